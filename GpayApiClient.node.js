@@ -20,7 +20,7 @@
  * SOFTWARE.
  */
 
-import crypto from 'crypto';
+import { EventEmitter } from 'events';
 
 /**
  * GPayApiClient provides a client for interacting with the GPay Payment API.
@@ -35,6 +35,40 @@ import crypto from 'crypto';
  *   @param {string} secretKey - The secret key for signing requests.
  *   @param {string} password - The password for hash token generation.
  *   @param {string} baseUrl - The base URL of the GPay API.
+ *   @param {string} [language='en'] - The language of the API's responses (Accept-Language) and of the
+ *     SDK's error messages ('en' or 'ar'; others get English SDK messages).
+ *   @param {Object} [options] - Transport options.
+ *     - @param {boolean} [options.allowCustomBaseUrl=false] - Accept a baseUrl other than BaseUrl.STAGING/PRODUCTION.
+ *     - @param {Function} [options.transport] - A fetch-compatible function (url, init) => Promise<Response>.
+ *     - @param {Object} [options.dispatcher] - An undici Dispatcher (e.g. ProxyAgent) passed to fetch as init.dispatcher.
+ *     - @param {Object} [options.agent] - An http.Agent passed as init.agent, for node-fetch style transports.
+ *     - @param {Object} [options.headers] - Extra headers sent with every request.
+ *     - @param {number} [options.timeout=30000] - Per-attempt timeout in milliseconds.
+ *     - @param {Object|boolean} [options.retry] - Retry policy for read-only endpoints, or false.
+ *     - @param {Object} [options.idempotencyStore] - Store that makes sendMoney and createPaymentRequest
+ *       idempotent per referenceNo (MemoryIdempotencyStore, FileIdempotencyStore or a custom store).
+ *     - @param {boolean} [options.legacyAmounts=false] - Return amounts as numbers instead of Money.
+ *     - @param {number|null} [options.maxClockSkew=300000] - Accepted response_timestamp skew, or null.
+ *     - @param {Object} [options.saltCache] - Rejects replayed response salts (MemorySaltCache).
+ *     - @param {boolean} [options.strictResponseFields=false] - Reject unsigned response fields.
+ *     - @param {Object|Object[]} [options.hooks] - { onRequest, onResponse, onError } request hooks.
+ *     - @param {Object|false} [options.validation] - Argument length/format limits, or false to disable them.
+ *     - @param {Object} [options.signer] - NodeSigner or WebCryptoSigner (default: detected from the runtime).
+ *     - @param {GPayScheduler|Object|boolean} [options.scheduler] - Client-side rate limiting and request queue.
+ *     - @param {GPayResponseCache|Object|boolean} [options.cache] - Cache and coalescing of read-only calls.
+ *     - @param {GPayCassette|Object} [options.cassette] - Records exchanges to, or replays them from, a cassette file.
+ *     - @param {Object} [options.audit] - Audit sink for sendMoney and createPaymentRequest (FileAuditSink or { path }).
+ *     - @param {string|Function} [options.auditActor] - Who triggers the calls, recorded in the audit log.
+ *     - @param {GPayTransferPolicy|Object} [options.transferPolicy] - Limits, wallet lists and approvals for sendMoney.
+ *
+ * Every endpoint method also accepts a trailing per-call options object:
+ *   { timeout, signal, retry } - overrides the client timeout and retry policy, and
+ *   aborts the call when the AbortSignal fires.
+ *   { priority } - the scheduler lane; { cache: false } - skips the response cache.
+ *   { actor } - who triggered a sendMoney or createPaymentRequest call, for the audit log.
+ *   { language } - overrides the client language for this call's Accept-Language and error messages.
+ * Arguments are validated before anything is signed; invalid ones throw a GPayValidationError
+ * listing every bad field.
  *
  * Methods:
  *   async getBalance(): Promise<Balance>
@@ -42,9 +76,9 @@ import crypto from 'crypto';
  *
  *   async createPaymentRequest(amount, referenceNo, description): Promise<PaymentRequest>
  *     - Creates a payment request for a specified amount.
- *     - @param {number|string} amount - The amount to request.
- *     - @param {string} referenceNo - Optional reference number.
- *     - @param {string} description - Optional description.
+ *     - @param {Money|number|string} amount - The amount to request.
+ *     - @param {string} [referenceNo] - Optional reference number.
+ *     - @param {string} [description] - Optional description.
  *
  *   async checkPaymentStatus(requestId): Promise<PaymentStatus>
  *     - Checks the status of a payment request by its request ID.
@@ -52,14 +86,14 @@ import crypto from 'crypto';
  *
  *   async sendMoney(amount, walletGatewayId, referenceNo, description): Promise<SendMoneyResult>
  *     - Sends money to another wallet.
- *     - @param {number|string} amount - The amount to send.
+ *     - @param {Money|number|string} amount - The amount to send.
  *     - @param {string} walletGatewayId - The recipient's wallet gateway ID.
- *     - @param {string} referenceNo - Optional reference number.
- *     - @param {string} description - Optional description.
+ *     - @param {string} referenceNo - The reference number (required).
+ *     - @param {string} [description] - Optional description.
  *
  *   async getStatement(date): Promise<Statement>
  *     - Retrieves the wallet's transaction statement for a specific day.
- *     - @param {string} date - The date in YYYY-MM-DD format.
+ *     - @param {string|Date} date - The day as YYYY-MM-DD or a Date.
  *
  *   async checkWallet(walletGatewayId): Promise<WalletCheck>
  *     - Checks if a wallet exists and retrieves its details.
@@ -67,6 +101,24 @@ import crypto from 'crypto';
  *
  *   async getOutstandingTransactions(): Promise<OutstandingTransactions>
  *     - Retrieves a list of outstanding transactions.
+ *
+ *   getStatementRange(from, to, options): StatementRange
+ *     - Iterates the statement transactions of every day from `from` to `to`, with CSV/JSON Lines export.
+ *
+ *   async reconcile(localRecords, options): Promise<ReconciliationReport>
+ *     - Matches local records against statement and outstanding transactions by reference_no and amount.
+ *
+ *   async createPayoutBatch(items, options): Promise<PayoutReport>
+ *     - Checks every recipient wallet and the balance, then pays the items with sendMoney; resumable by jobId.
+ *
+ *   async waitForPayment(requestId, options): Promise<PaymentStatus>
+ *     - Polls checkPaymentStatus with backoff until the payment request is paid.
+ *
+ *   watchPayments(options): PaymentWatcher
+ *     - Creates an event emitter that polls many payment requests within a shared budget.
+ *
+ *   watchWallet(options): WalletWatcher
+ *     - Creates an event emitter for new transactions, settlements, incoming money and low balances.
  */
 
 const BaseUrl = Object.freeze({
@@ -74,367 +126,4665 @@ const BaseUrl = Object.freeze({
     PRODUCTION: 'https://gpay.ly/banking/api/onlinewallet/v1'
 });
 
+/**
+ * Headers set by sendRequest that default headers are not allowed to replace.
+ */
+const PROTECTED_HEADERS = Object.freeze(['authorization', 'x-signature-salt', 'x-signature-hash', 'content-type']);
+
+/**
+ * Returns true for absolute http(s) URLs.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isHttpUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
+
+const DEFAULT_TIMEOUT = 30000;
+
+const DEFAULT_IDEMPOTENCY_STALE_AFTER = 5 * 60 * 1000;
+
+const DEFAULT_MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/**
+ * Response fields that the API returns outside the signed set.
+ */
+const UNSIGNED_RESPONSE_FIELDS = Object.freeze({
+    '/info/statement': ['day_statement'],
+    '/info/outstanding-transactions': ['outstanding_transactions'],
+});
+
+/**
+ * Request parameters the API echoes back in the signed response.
+ */
+const ECHOED_REQUEST_FIELDS = Object.freeze({
+    '/payment/create-payment-request': ['amount', 'reference_no'],
+    '/payment/check-payment-status': ['request_id'],
+    '/payment/send-money': ['amount', 'reference_no'],
+});
+
+function sameEchoedValue(field, sent, received) {
+    if (field === 'amount') {
+        try {
+            return Money.parse(sent).equals(Money.parse(received));
+        } catch {
+            return false;
+        }
+    }
+    return String(sent ?? '') === String(received ?? '');
+}
+
+/**
+ * Compares two strings in constant time (for strings of equal length).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function timingSafeEqualStrings(a, b) {
+    const bytesA = new TextEncoder().encode(String(a));
+    const bytesB = new TextEncoder().encode(String(b));
+    // Compare every byte of the longer input so neither the length nor the first difference shortcuts the timing.
+    let diff = bytesA.length ^ bytesB.length;
+    for (let i = 0; i < Math.max(bytesA.length, bytesB.length); i++) {
+        diff |= (bytesA[i] ?? 0) ^ (bytesB[i] ?? 0);
+    }
+    return diff === 0;
+}
+
+/**
+ * Signer backed by Node's crypto module, loaded on first use so the SDK can be imported where it does not exist.
+ * A signer provides the three primitives the protocol needs; the canonical string is built by the client,
+ * so every signer produces byte-identical hashes for the same input.
+ */
+class NodeSigner {
+    constructor() {
+        this.crypto = null;
+    }
+
+    async load() {
+        if (!this.crypto) {
+            this.crypto = await import('crypto');
+        }
+        return this.crypto;
+    }
+
+    /**
+     * @returns {Promise<string>} 32 random bytes, base64-encoded.
+     */
+    async randomSalt() {
+        return (await this.load()).randomBytes(32).toString('base64');
+    }
+
+    /**
+     * @param {string} key - The HMAC key (UTF-8).
+     * @param {string} message - The message (UTF-8).
+     * @returns {Promise<string>} The HMAC-SHA256 digest, base64-encoded.
+     */
+    async hmacSha256(key, message) {
+        return (await this.load()).createHmac('sha256', key).update(message).digest('base64');
+    }
+
+    /**
+     * @returns {Promise<string>} A random v4 UUID.
+     */
+    async randomUUID() {
+        return (await this.load()).randomUUID();
+    }
+}
+
+/**
+ * Signer backed by WebCrypto (globalThis.crypto.subtle), for Cloudflare Workers, Deno, Bun and browsers.
+ * The imported HMAC key is cached for the last secret key used.
+ */
+class WebCryptoSigner {
+    /**
+     * @param {Crypto} [webCrypto=globalThis.crypto]
+     */
+    constructor(webCrypto = globalThis.crypto) {
+        if (!webCrypto || !webCrypto.subtle) {
+            throw new Error('WebCrypto is not available. Pass a Crypto object with a subtle property.');
+        }
+        this.webCrypto = webCrypto;
+        this.cachedKey = null;
+    }
+
+    async randomSalt() {
+        return toBase64(this.webCrypto.getRandomValues(new Uint8Array(32)));
+    }
+
+    async hmacSha256(key, message) {
+        if (!this.cachedKey || this.cachedKey.secret !== key) {
+            const cryptoKey = await this.webCrypto.subtle.importKey(
+                'raw',
+                new TextEncoder().encode(key),
+                { name: 'HMAC', hash: 'SHA-256' },
+                false,
+                ['sign']
+            );
+            this.cachedKey = { secret: key, cryptoKey };
+        }
+        const signature = await this.webCrypto.subtle.sign('HMAC', this.cachedKey.cryptoKey, new TextEncoder().encode(message));
+        return toBase64(new Uint8Array(signature));
+    }
+
+    async randomUUID() {
+        return this.webCrypto.randomUUID();
+    }
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Picks the signer for the current runtime: Node's crypto module under Node (and Bun), otherwise WebCrypto.
+ * @returns {NodeSigner|WebCryptoSigner}
+ */
+function detectSigner() {
+    if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+        return new NodeSigner();
+    }
+    if (globalThis.crypto && globalThis.crypto.subtle) {
+        return new WebCryptoSigner();
+    }
+    throw new Error('No signer available: neither Node crypto nor WebCrypto (globalThis.crypto.subtle) was found.');
+}
+
+/**
+ * Credentials of every client, kept out of the instances so they cannot leak through logging or serialization.
+ */
+const CLIENT_CREDENTIALS = new WeakMap();
+
+const REDACTED = '[REDACTED]';
+
+const SECRET_KEY_PATTERN = /^(authorization|x-signature-salt|x-signature-hash|password|secretkey|secret_key|apikey|api_key)$/i;
+
+/**
+ * Deep-copies a value, replacing secret-bearing keys and any occurrence of the given secrets with '[REDACTED]'.
+ * Authorization values keep their scheme ('Bearer [REDACTED]').
+ * @param {*} value
+ * @param {string[]} secrets
+ * @returns {*}
+ */
+function redactSecrets(value, secrets, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        let out = value;
+        for (const secret of secrets) {
+            if (secret) {
+                out = out.split(secret).join(REDACTED);
+            }
+        }
+        return out;
+    }
+    if (!value || typeof value !== 'object' || value instanceof Money || value instanceof Date) {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item, secrets, seen));
+    }
+    const out = {};
+    const source = value instanceof Error
+        ? { name: value.name, message: value.message, ...value }
+        : value;
+    for (const [key, item] of Object.entries(source)) {
+        if (SECRET_KEY_PATTERN.test(key)) {
+            out[key] = key.toLowerCase() === 'authorization' && typeof item === 'string'
+                ? item.replace(/^(\S+\s+).*$/, `$1${REDACTED}`)
+                : REDACTED;
+        } else if (key === 'client' && item instanceof GPayApiClient) {
+            continue;
+        } else {
+            out[key] = redactSecrets(item, secrets, seen);
+        }
+    }
+    return out;
+}
+
+/**
+ * Libya observes UTC+2 all year; statement dates are calendar days in that zone.
+ */
+const LIBYA_UTC_OFFSET_MINUTES = 120;
+
+/**
+ * Formats a Date as the YYYY-MM-DD statement day it falls on in Libya.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatStatementDate(date) {
+    return new Date(date.getTime() + LIBYA_UTC_OFFSET_MINUTES * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Accepts a Date or a YYYY-MM-DD string and returns the YYYY-MM-DD statement day.
+ * @param {string|Date} value
+ * @returns {string}
+ */
+function toStatementDate(value) {
+    if (value instanceof Date && !isNaN(value.getTime())) {
+        return formatStatementDate(value);
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const date = new Date(`${value}T00:00:00Z`);
+        // Rejects impossible days such as 2025-02-30, which Date rolls over into the next month.
+        if (!isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value) {
+            return value;
+        }
+    }
+    throw new GPayValidationError([fieldError('date', localized('field.date'))]);
+}
+
+/**
+ * Parses a timestamp received from the API: epoch milliseconds (number or digit string), a
+ * 'YYYY-MM-DD HH:mm:ss' Libya time as used by statement transactions, or an ISO string with a zone.
+ * Keeps null, undefined and '' as null; anything else unparseable becomes an invalid Date.
+ * @param {Date|string|number} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        return new Date(Number(value));
+    }
+    const local = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/.exec(value);
+    if (local) {
+        const [, year, month, day, hours, minutes, seconds, ms = '0'] = local;
+        const utc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds), Number(ms.padEnd(3, '0')));
+        return new Date(utc - LIBYA_UTC_OFFSET_MINUTES * 60000);
+    }
+    return new Date(Date.parse(value));
+}
+
+/**
+ * Formats a Date as 'YYYY-MM-DD HH:mm:ss' in Libya time, the way the API returns transaction times.
+ * @param {Date|null} date
+ * @returns {string|null}
+ */
+function formatLibyaDateTime(date) {
+    return date ? new Date(date.getTime() + LIBYA_UTC_OFFSET_MINUTES * 60000).toISOString().slice(0, 19).replace('T', ' ') : null;
+}
+
+/**
+ * Returns the YYYY-MM-DD day following the given one.
+ * @param {string} day
+ * @returns {string}
+ */
+function nextDay(day) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+}
+
+function sameRequest(a, b) {
+    const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+    for (const key of keys) {
+        if (String(a[key] ?? '') !== String(b[key] ?? '')) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Default limits for client-side argument validation. Reference numbers and IDs are restricted to characters
+ * that survive URL encoding and signing unchanged; descriptions may hold any printable text (including Arabic).
+ */
+const DEFAULT_VALIDATION_RULES = Object.freeze({
+    referenceNoMaxLength: 64,
+    referenceNoPattern: /^[A-Za-z0-9._:/#-]+$/,
+    descriptionMaxLength: 255,
+    walletGatewayIdPattern: /^[A-Za-z0-9_-]{1,64}$/,
+    requestIdPattern: /^[A-Za-z0-9_-]{1,64}$/,
+});
+
+/**
+ * Argument validators keyed by argument name. Each returns the value to sign or throws GPayValidationError;
+ * `rules` is null when format and length limits are disabled.
+ */
+const ARGUMENT_VALIDATORS = {
+    amount: value => formatOutgoingAmount(value),
+    date: value => toStatementDate(value),
+    referenceNo: (value, rules, { required = false } = {}) => {
+        if (value === undefined || value === null || value === '') {
+            if (required) {
+                throw new GPayValidationError([fieldError('referenceNo', localized('field.required'))]);
+            }
+            return '';
+        }
+        if (typeof value !== 'string') {
+            throw new GPayValidationError([fieldError('referenceNo', localized('field.string'))]);
+        }
+        if (rules && value.length > rules.referenceNoMaxLength) {
+            throw new GPayValidationError([fieldError('referenceNo', localized('field.maxLength', { max: rules.referenceNoMaxLength }))]);
+        }
+        if (rules && !rules.referenceNoPattern.test(value)) {
+            throw new GPayValidationError([fieldError('referenceNo', localized('field.referenceNoChars'))]);
+        }
+        return value;
+    },
+    description: (value, rules) => {
+        // An omitted description is sent and signed as an empty string.
+        if (value === undefined || value === null) {
+            return '';
+        }
+        if (typeof value !== 'string') {
+            throw new GPayValidationError([fieldError('description', localized('field.string'))]);
+        }
+        if (rules && value.length > rules.descriptionMaxLength) {
+            throw new GPayValidationError([fieldError('description', localized('field.maxLength', { max: rules.descriptionMaxLength }))]);
+        }
+        if (rules && /\p{Cc}/u.test(value)) {
+            throw new GPayValidationError([fieldError('description', localized('field.controlChars'))]);
+        }
+        return value;
+    },
+    walletGatewayId: (value, rules) => validateId('walletGatewayId', value, rules && rules.walletGatewayIdPattern),
+    requestId: (value, rules) => validateId('requestId', value, rules && rules.requestIdPattern),
+};
+
+function validateId(field, value, pattern) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new GPayValidationError([fieldError(field, localized('field.required'))]);
+    }
+    if (pattern && !pattern.test(value)) {
+        throw new GPayValidationError([fieldError(field, localized('field.format'))]);
+    }
+    return value;
+}
+
+/**
+ * Default retry policy. Delays grow as minDelay * factor^attempt, capped at maxDelay;
+ * with jitter each delay is randomised between 50% and 100% of that value.
+ */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    retries: 2,
+    minDelay: 200,
+    maxDelay: 5000,
+    factor: 2,
+    jitter: true,
+});
+
+/**
+ * Scheduler lanes, highest priority first. Money-moving calls jump ahead of polling and reporting.
+ */
+const PRIORITY_LANES = Object.freeze(['high', 'normal', 'low']);
+
+const DEFAULT_ENDPOINT_PRIORITIES = Object.freeze({
+    '/payment/send-money': 'high',
+    '/payment/create-payment-request': 'high',
+    '/payment/check-payment-status': 'normal',
+    '/info/check-wallet': 'normal',
+    '/info/balance': 'normal',
+    '/info/statement': 'low',
+    '/info/outstanding-transactions': 'low',
+});
+
+/**
+ * How long GPayResponseCache keeps each endpoint's responses, in milliseconds. Statements are only
+ * cached for closed days (over in Libya time, with every transaction APPLIED), and then indefinitely;
+ * 0 means not cached.
+ */
+const DEFAULT_CACHE_TTLS = Object.freeze({
+    '/info/statement': Infinity,
+    '/info/check-wallet': 5 * 60 * 1000,
+    '/info/balance': 0,
+    '/payment/check-payment-status': 0,
+    '/info/outstanding-transactions': 0,
+});
+
+/**
+ * Delay used to pause an endpoint after a 429 response without a Retry-After header.
+ */
+const DEFAULT_THROTTLE_DELAY = 1000;
+
+/**
+ * Endpoints that do not move money and can safely be sent more than once.
+ */
+const READ_ONLY_ENDPOINTS = Object.freeze([
+    '/info/balance',
+    '/payment/check-payment-status',
+    '/info/check-wallet',
+    '/info/statement',
+    '/info/outstanding-transactions',
+]);
+
+/**
+ * Endpoints that move money, by the client method that calls them. Every request to them is written to
+ * the audit sink when the client has one.
+ */
+const AUDITED_ENDPOINTS = Object.freeze({
+    '/payment/send-money': 'sendMoney',
+    '/payment/create-payment-request': 'createPaymentRequest',
+});
+
+/**
+ * Endpoints every request to which must pass the client's transfer policy.
+ */
+const POLICY_ENDPOINTS = Object.freeze([
+    '/payment/send-money',
+]);
+
+/**
+ * Checks for the field types used in RESPONSE_SCHEMAS. A trailing '?' in a schema also allows null or a
+ * missing field.
+ */
+const FIELD_TYPES = Object.freeze({
+    id: { test: value => (typeof value === 'string' && value !== '') || Number.isSafeInteger(value), message: 'schema.id' },
+    string: { test: value => typeof value === 'string', message: 'schema.string' },
+    boolean: { test: value => typeof value === 'boolean', message: 'schema.boolean' },
+    integer: { test: value => Number.isSafeInteger(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value), message: 'schema.integer' },
+    money: { test: value => (typeof value === 'string' || typeof value === 'number') && isMoney(value), message: 'schema.money' },
+    date: { test: value => (typeof value === 'string' || typeof value === 'number') && !isNaN(toDate(value).getTime()), message: 'schema.date' },
+    transactions: { test: value => Array.isArray(value), message: 'schema.transactions', items: 'transaction' },
+});
+
+const TRANSACTION_SCHEMA = Object.freeze({
+    transaction_id: 'id',
+    datetime: 'date',
+    timestamp: 'date',
+    description: 'string?',
+    amount: 'money?',
+    balance: 'money?',
+    reference_no: 'string?',
+    op_type_id: 'integer',
+    status: 'integer',
+    created_at: 'date?',
+});
+
+/**
+ * The `data` of a successful response of each endpoint. sendRequest checks every response against
+ * its schema before the signature, so a malformed body fails with a GPayResponseSchemaError.
+ */
+const RESPONSE_SCHEMAS = Object.freeze({
+    '/info/balance': {
+        balance: 'money',
+        response_timestamp: 'date',
+    },
+    '/payment/create-payment-request': {
+        requester_username: 'string?',
+        request_id: 'id',
+        request_time: 'date',
+        amount: 'money',
+        reference_no: 'string?',
+        response_timestamp: 'date',
+    },
+    '/payment/check-payment-status': {
+        request_id: 'id',
+        transaction_id: 'id?',
+        amount: 'money',
+        payment_timestamp: 'date?',
+        reference_no: 'string?',
+        description: 'string?',
+        is_paid: 'boolean',
+        response_timestamp: 'date',
+    },
+    '/payment/send-money': {
+        amount: 'money',
+        sender_fee: 'money',
+        transaction_id: 'id',
+        old_balance: 'money',
+        new_balance: 'money',
+        timestamp: 'date',
+        reference_no: 'string?',
+        response_timestamp: 'date',
+    },
+    '/info/statement': {
+        available_balance: 'money',
+        outstanding_credit: 'money',
+        outstanding_debit: 'money',
+        day_balance: 'money',
+        day_total_in: 'money',
+        day_total_out: 'money',
+        response_timestamp: 'date',
+        day_statement: 'transactions?',
+    },
+    '/info/check-wallet': {
+        exists: 'boolean',
+        wallet_gateway_id: 'id?',
+        wallet_name: 'string?',
+        user_account_name: 'string?',
+        can_receive_money: 'boolean',
+        response_timestamp: 'date',
+    },
+    '/info/outstanding-transactions': {
+        outstanding_credit: 'money',
+        outstanding_debit: 'money',
+        response_timestamp: 'date',
+        outstanding_transactions: 'transactions?',
+    },
+});
+
+/**
+ * Throws a GPayResponseSchemaError listing every field of the response data that does not match the
+ * endpoint's schema. Endpoints without a schema are not checked.
+ * @param {string} endpoint
+ * @param {Object} result - The result of performRequest.
+ */
+function checkResponseSchema(endpoint, result) {
+    const schema = RESPONSE_SCHEMAS[endpoint];
+    if (!schema) {
+        return;
+    }
+    const data = result.response.data;
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(fieldError('data', localized('schema.notObject')));
+    } else {
+        checkFields(schema, data, 'data', errors);
+    }
+    if (errors.length) {
+        throw new GPayResponseSchemaError(endpoint, errors, { status: result.code, body: JSON.stringify(result.response), headers: result.headers });
+    }
+}
+
+function checkFields(schema, object, path, errors) {
+    for (const [field, spec] of Object.entries(schema)) {
+        const optional = spec.endsWith('?');
+        const type = FIELD_TYPES[optional ? spec.slice(0, -1) : spec];
+        const value = object[field];
+        if (value === undefined || value === null) {
+            if (!optional) {
+                errors.push(fieldError(`${path}.${field}`, localized('schema.missing')));
+            }
+        } else if (!type.test(value)) {
+            errors.push(fieldError(`${path}.${field}`, localized(type.message)));
+        } else if (type.items) {
+            value.forEach((item, i) => {
+                if (!item || typeof item !== 'object') {
+                    errors.push(fieldError(`${path}.${field}[${i}]`, localized('schema.object')));
+                } else {
+                    checkFields(TRANSACTION_SCHEMA, item, `${path}.${field}[${i}]`, errors);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Connection error codes raised before any byte of the request reached the server.
+ */
+const CONNECT_ERROR_CODES = Object.freeze([
+    'ECONNREFUSED',
+    'ENOTFOUND',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH',
+    'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+function resolveRetryPolicy(base, override) {
+    if (override === false) {
+        return { ...base, retries: 0 };
+    }
+    return { ...base, ...override };
+}
+
+function isRetryable(endpoint, err) {
+    if (READ_ONLY_ENDPOINTS.includes(endpoint)) {
+        if (err instanceof GPayTransportError) {
+            return true;
+        }
+        return err instanceof GPayApiError && (err.status === 408 || err.status === 429 || err.status >= 500);
+    }
+    if (!(err instanceof GPayTransportError) || err instanceof GPayTimeoutError) {
+        return false;
+    }
+    for (let cause = err.cause; cause; cause = cause.cause) {
+        if (CONNECT_ERROR_CODES.includes(cause.code)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Returns the delay requested by a Retry-After header (seconds or an HTTP date) in milliseconds, or null.
+ * @param {Error} err
+ * @returns {number|null}
+ */
+function retryAfterDelay(err) {
+    const value = err instanceof GPayApiError && err.headers ? err.headers['retry-after'] : undefined;
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt));
+    return policy.jitter ? delay * (0.5 + Math.random() / 2) : delay;
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
 class GPayApiClient {
     /**
-     * @param {string} apiKey - The API key for authentication.
-     * @param {string} secretKey - The secret key for signing requests.
-     * @param {string} password - The password for hash token generation.
-     * @param {string} baseUrl - The base URL enum value (BaseUrl.STAGING or BaseUrl.PRODUCTION).
-     * @param {string} [language='en'] - The language for the response (default: 'en').
+     * @param {string} apiKey - The API key for authentication.
+     * @param {string} secretKey - The secret key for signing requests.
+     * @param {string} password - The password for hash token generation.
+     * @param {string} baseUrl - The base URL enum value (BaseUrl.STAGING or BaseUrl.PRODUCTION), or with
+     *   options.allowCustomBaseUrl another URL such as the one returned by GPaySandboxServer.start().
+     * @param {string} [language='en'] - The language for the response (default: 'en'). SDK error messages
+     *   use it too: 'ar' for Arabic, and English for languages without a catalog.
+     * @param {Object} [options] - Transport options.
+     * @param {boolean} [options.allowCustomBaseUrl=false] - Set to true to use a baseUrl other than
+     *   BaseUrl.STAGING or BaseUrl.PRODUCTION (e.g. a local sandbox or a stand-in reached through a proxy).
+     * @param {Function} [options.transport] - A fetch-compatible function (url, init) => Promise<Response>.
+     *   Defaults to the global fetch.
+     * @param {Object} [options.dispatcher] - An undici Dispatcher (ProxyAgent, Agent with keep-alive, ...),
+     *   passed to the transport as init.dispatcher.
+     * @param {Object} [options.agent] - An http.Agent, passed to the transport as init.agent.
+     * @param {Object} [options.headers] - Extra headers sent with every request. They cannot override
+     *   the Authorization, signature or Content-Type headers.
+     * @param {number} [options.timeout=30000] - Per-attempt timeout in milliseconds (0 disables it).
+     * @param {Object|boolean} [options.retry] - Retry policy ({ retries, minDelay, maxDelay, factor, jitter }),
+     *   or false to disable retries. See DEFAULT_RETRY_POLICY.
+     * @param {Object} [options.idempotencyStore] - Store recording every referenceNo sent through sendMoney
+     *   and createPaymentRequest (see MemoryIdempotencyStore).
+     * @param {number} [options.idempotencyStaleAfter=300000] - Age in milliseconds after which a pending record
+     *   left behind by another process is treated as an ambiguous outcome instead of an in-flight call.
+     * @param {boolean} [options.legacyAmounts=false] - Return amounts as parseFloat numbers instead of Money.
+     * @param {number|null} [options.maxClockSkew=300000] - Maximum difference in milliseconds between a signed
+     *   response_timestamp and the local clock; null disables the check.
+     * @param {Object} [options.saltCache] - Rejects responses whose signature salt was already seen
+     *   (see MemorySaltCache).
+     * @param {boolean} [options.strictResponseFields=false] - Reject responses carrying fields outside the signed set.
+     * @param {Object|Object[]} [options.hooks] - Request hooks, see use().
+     * @param {Object|false} [options.validation] - Overrides for DEFAULT_VALIDATION_RULES, or false to skip
+     *   the length and format limits (amounts, dates and required fields are always checked).
+     * @param {Object} [options.signer] - A NodeSigner, WebCryptoSigner or compatible object (default: detected).
+     * @param {GPayScheduler|Object|boolean} [options.scheduler] - Rate limits, concurrency cap and priority lanes:
+     *   a GPayScheduler (can be shared by several clients), its options, or true for the defaults.
+     * @param {GPayResponseCache|Object|boolean} [options.cache] - Response cache for read-only endpoints:
+     *   a GPayResponseCache, its options, or true for an in-memory cache with the default TTLs.
+     * @param {GPayCassette|Object} [options.cassette] - A GPayCassette, or its options { path, mode }, to record
+     *   every exchange or to replay recorded ones instead of calling the API.
+     * @param {Object} [options.audit] - Audit sink with append(entry): a FileAuditSink, a custom sink, or
+     *   { path } for a FileAuditSink. Every sendMoney and createPaymentRequest request is written to it.
+     * @param {string|Function} [options.auditActor] - The default actor of audit entries, or a function
+     *   returning it (e.g. from an AsyncLocalStorage); the per-call `actor` option takes precedence.
+     * @param {GPayTransferPolicy|Object} [options.transferPolicy] - A GPayTransferPolicy, or its options, that
+     *   every transfer must pass before it is signed, whether sent by sendMoney or sendRequest.
+     */
+    constructor(apiKey, secretKey, password, baseUrl, language = 'en', options = {}) {
+        if (!Object.values(BaseUrl).includes(baseUrl)) {
+            if (!options.allowCustomBaseUrl) {
+                throw new GPayError(localized('client.invalidBaseUrl')).localize(language);
+            }
+            if (!isHttpUrl(baseUrl)) {
+                throw new GPayError(localized('client.invalidCustomBaseUrl')).localize(language);
+            }
+        }
+        if (options.transport !== undefined && typeof options.transport !== 'function') {
+            throw new GPayError(localized('client.invalidTransport')).localize(language);
+        }
+        if (options.signer !== undefined && !(options.signer && typeof options.signer.hmacSha256 === 'function')) {
+            throw new GPayError(localized('client.invalidSigner')).localize(language);
+        }
+        if (options.audit && typeof options.audit.append !== 'function' && !options.audit.path) {
+            throw new GPayError(localized('client.invalidAudit')).localize(language);
+        }
+        this.setCredentials({ apiKey, secretKey, password });
+        this.signer = options.signer || detectSigner();
+        this.scheduler = options.scheduler instanceof GPayScheduler || !options.scheduler
+            ? options.scheduler || null
+            : new GPayScheduler(options.scheduler === true ? {} : options.scheduler);
+        this.cache = options.cache instanceof GPayResponseCache || !options.cache
+            ? options.cache || null
+            : new GPayResponseCache(options.cache === true ? {} : options.cache);
+        this.cassette = options.cassette instanceof GPayCassette || !options.cassette
+            ? options.cassette || null
+            : new GPayCassette(options.cassette.path, options.cassette);
+        this.audit = !options.audit || typeof options.audit.append === 'function'
+            ? options.audit || null
+            : new FileAuditSink(options.audit.path);
+        this.auditActor = options.auditActor ?? null;
+        this.transferPolicy = options.transferPolicy instanceof GPayTransferPolicy || !options.transferPolicy
+            ? options.transferPolicy || null
+            : new GPayTransferPolicy(options.transferPolicy);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.language = language;
+        this.transport = options.transport || ((url, init) => fetch(url, init));
+        this.dispatcher = options.dispatcher;
+        this.agent = options.agent;
+        this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+        this.retry = resolveRetryPolicy(DEFAULT_RETRY_POLICY, options.retry);
+        this.idempotencyStore = options.idempotencyStore || null;
+        this.idempotencyStaleAfter = options.idempotencyStaleAfter ?? DEFAULT_IDEMPOTENCY_STALE_AFTER;
+        this.inFlight = new Set();
+        this.legacyAmounts = Boolean(options.legacyAmounts);
+        this.maxClockSkew = options.maxClockSkew === undefined ? DEFAULT_MAX_CLOCK_SKEW : options.maxClockSkew;
+        this.saltCache = options.saltCache || null;
+        this.strictResponseFields = Boolean(options.strictResponseFields);
+        this.hooks = [].concat(options.hooks || []);
+        this.validation = options.validation === false ? null : { ...DEFAULT_VALIDATION_RULES, ...options.validation };
+        this.defaultHeaders = Object.fromEntries(
+            Object.entries(options.headers || {})
+                .filter(([key]) => !PROTECTED_HEADERS.includes(key.toLowerCase()))
+        );
+    }
+
+    /**
+     * Replaces the credentials used for new requests, e.g. after a key rotation. Requests already in
+     * flight keep signing and verifying with the credentials they started with.
+     * The credentials are held outside the instance, so console.log(client) and JSON.stringify(client)
+     * never show them; apiKey, secretKey and password are read-only accessors.
+     * @param {Object} credentials - { apiKey, secretKey, password }
+     */
+    setCredentials({ apiKey, secretKey, password }) {
+        CLIENT_CREDENTIALS.set(this, Object.freeze({ apiKey, secretKey, password }));
+    }
+
+    /**
+     * @returns {Object} The current { apiKey, secretKey, password } (frozen).
+     */
+    getCredentials() {
+        return CLIENT_CREDENTIALS.get(this);
+    }
+
+    get apiKey() {
+        return this.getCredentials().apiKey;
+    }
+
+    get secretKey() {
+        return this.getCredentials().secretKey;
+    }
+
+    get password() {
+        return this.getCredentials().password;
+    }
+
+    /**
+     * @returns {Promise<string>} A random salt for the X-Signature-Salt header.
+     */
+    async generateSalt() {
+        return this.signer.randomSalt();
+    }
+
+    generateHashToken(salt, password) {
+        return salt + password;
+    }
+
+    /**
+     * Signs the parameters: HMAC-SHA256 over the hash token followed by the parameters sorted by name and
+     * joined as key=value pairs with '&' (null and undefined as empty strings), base64-encoded.
+     * @param {string} hashToken - The salt followed by the password, see generateHashToken().
+     * @param {Object} parameters
+     * @param {string} [secretKey] - The HMAC key (default: the client's secret key).
+     * @returns {Promise<string>}
+     */
+    async generateVerificationHash(hashToken, parameters, secretKey = this.secretKey) {
+        const sortedParams = Object.keys(parameters)
+            .sort()
+            .reduce((obj, key) => {
+                obj[key] = parameters[key];
+                return obj;
+            }, {});
+
+        const queryString = Object.entries(sortedParams)
+            .map(([key, value]) => `${key}=${value == null ? '' : value}`)
+            .join('&');
+
+        const verificationString = hashToken + queryString;
+        return this.signer.hmacSha256(secretKey, verificationString);
+    }
+
+    /**
+     * Sends a signed request, retrying it according to the retry policy.
+     * Read-only endpoints are retried on transport errors and 408/429/5xx responses; other endpoints are
+     * only retried when the connection failed before the request was sent. Every attempt is signed with
+     * a fresh salt and request_timestamp.
+     *
+     * When `options.signedFields` is given, each response is verified with verifyResponse before it is
+     * returned. The registered hooks see every attempt: onRequest before it is sent, then onResponse or onError.
+     *
+     * With a scheduler, every attempt first waits for its turn. A 429 response pauses the endpoint for the
+     * Retry-After delay, and no retry is sent before Retry-After has passed.
+     *
+     * With a cache, read-only requests go through GPayResponseCache, which may answer from the cache or
+     * share one request between identical concurrent calls.
+     *
+     * With an audit sink, every attempt to a money-moving endpoint is written to it twice: before it is
+     * sent, and with its verified result or error. An attempt whose first entry cannot be written is not sent.
+     *
+     * With a transfer policy, a transfer must pass GPayTransferPolicy.authorize() before its first attempt.
+     * @param {string} endpoint - The endpoint path, e.g. '/info/balance'.
+     * @param {Object} parameters - The request parameters.
+     * @param {Object} [options] - { timeout, signal, retry, priority, cache, actor, language, signedFields }
+     * @param {string} [options.priority] - Scheduler lane: 'high', 'normal' or 'low' (default by endpoint).
+     * @param {boolean} [options.cache] - false bypasses the cache and request coalescing for this call.
+     * @param {string} [options.actor] - Who triggered the call, for the audit log (default: auditActor).
+     * @param {Function} [options.signedFields] - Maps the response data to the fields covered by the signature.
+     */
+    async sendRequest(endpoint, parameters, options = {}) {
+        if (this.cache && options.cache !== false && READ_ONLY_ENDPOINTS.includes(endpoint)) {
+            return this.cache.fetch(this, endpoint, parameters, options, sharedOptions => this.sendWithRetries(endpoint, parameters, sharedOptions));
+        }
+        return this.sendWithRetries(endpoint, parameters, options);
+    }
+
+    /**
+     * Sends a request with the retry policy and the scheduler, without the cache.
+     * A request to a POLICY_ENDPOINTS endpoint is authorized once by the transfer policy, before it takes a
+     * scheduler slot since authorize() calls checkWallet itself.
+     */
+    async sendWithRetries(endpoint, parameters, options) {
+        const reservation = this.transferPolicy && POLICY_ENDPOINTS.includes(endpoint)
+            ? await this.transferPolicy.authorize(this, {
+                amount: parameters.amount,
+                walletGatewayId: parameters.wallet_gateway_id,
+                referenceNo: parameters.reference_no,
+                description: parameters.description,
+                actor: options.actor ?? this.resolveAuditActor(),
+            }, options)
+            : null;
+        try {
+            return await this.sendAttempts(endpoint, parameters, options);
+        } catch (err) {
+            // Keep the reservation unless GPay refused the transfer or it never left (a connection error).
+            if (reservation && ((err instanceof GPayApiError && err.status >= 400 && err.status < 500) || isRetryable(endpoint, err))) {
+                await this.transferPolicy.release(reservation);
+            }
+            throw err;
+        }
+    }
+
+    async sendAttempts(endpoint, parameters, options) {
+        const policy = resolveRetryPolicy(this.retry, options.retry);
+        for (let attempt = 0; ; attempt++) {
+            const release = this.scheduler
+                ? await this.scheduler.acquire(endpoint, { priority: options.priority, signal: options.signal })
+                : null;
+            let outcome;
+            try {
+                outcome = await this.sendAttempt(endpoint, parameters, options, policy, attempt);
+            } finally {
+                if (release) {
+                    release();
+                }
+            }
+            if (outcome.result) {
+                return outcome.result;
+            }
+            await sleep(outcome.retryIn, options.signal);
+        }
+    }
+
+    /**
+     * Sends one attempt of sendRequest. Resolves to { result } on success, or to { retryIn } with the delay
+     * before the next attempt when the error may be retried; other errors are thrown.
+     */
+    async sendAttempt(endpoint, parameters, options, policy, attempt) {
+        const attemptParameters = attempt > 0 && 'request_timestamp' in parameters
+            ? { ...parameters, request_timestamp: Date.now().toString() }
+            : parameters;
+        const context = {
+            client: this,
+            endpoint,
+            parameters: { ...attemptParameters },
+            attempt,
+            startedAt: Date.now(),
+            latency: null,
+            status: null,
+            verified: null,
+            data: null,
+            error: null,
+        };
+        this.runHooks('onRequest', context);
+        // Sign and verify with the same credentials even if they are rotated mid-request.
+        const credentials = this.getCredentials();
+        const audit = this.createAudit(endpoint, options);
+        try {
+            const result = await this.performRequest(endpoint, attemptParameters, { ...options, credentials, audit, context });
+            context.status = result.code;
+            context.data = result.response.data;
+            if (audit) {
+                audit.headers = result.headers;
+            }
+            checkResponseSchema(endpoint, result);
+            if (options.signedFields) {
+                const data = result.response.data || {};
+                try {
+                    await this.verifyResponse(result.headers, options.signedFields(data), { endpoint, data, request: attemptParameters, credentials, now: result.recordedAt });
+                } catch (err) {
+                    context.verified = false;
+                    throw err;
+                }
+                context.verified = true;
+            }
+            context.latency = Date.now() - context.startedAt;
+            if (audit) {
+                await this.writeAudit(audit, 'success', context);
+            }
+            this.runHooks('onResponse', context);
+            return { result };
+        } catch (err) {
+            context.latency = Date.now() - context.startedAt;
+            context.status = context.status ?? err.status ?? null;
+            context.error = err;
+            if (audit && !(err instanceof GPayAuditError)) {
+                await this.writeAudit(audit, 'error', context);
+            }
+            this.runHooks('onError', context);
+            const throttled = err instanceof GPayApiError && err.status === 429;
+            const retryAfter = throttled ? retryAfterDelay(err) : null;
+            if (throttled && this.scheduler) {
+                this.scheduler.pause(endpoint, retryAfter ?? DEFAULT_THROTTLE_DELAY);
+            }
+            if (attempt >= policy.retries || (options.signal && options.signal.aborted) || !isRetryable(endpoint, err)) {
+                throw err;
+            }
+            if (retryAfter !== null && retryAfter > policy.maxDelay) {
+                // GPay asked for a longer pause than the retry policy allows; leave it to the caller.
+                throw err;
+            }
+            return { retryIn: Math.max(backoffDelay(policy, attempt), retryAfter ?? 0) };
+        }
+    }
+
+    /**
+     * Registers hooks that observe every request attempt. A hook object may define:
+     *   onRequest(context)  - Before the attempt is sent.
+     *   onResponse(context) - After a successful, verified response.
+     *   onError(context)    - After a failed attempt (context.error), including verification failures.
+     * The context holds { client, endpoint, parameters, attempt, startedAt, latency, status, verified, data, error }.
+     * Hooks run in registration order; errors they throw are ignored so they can never break a call.
+     * @param {Object} hooks - { onRequest, onResponse, onError }
+     * @returns {GPayApiClient} The client, for chaining.
+     */
+    use(hooks) {
+        this.hooks.push(hooks);
+        return this;
+    }
+
+    runHooks(name, context) {
+        for (const hooks of this.hooks) {
+            if (typeof hooks[name] !== 'function') {
+                continue;
+            }
+            try {
+                const result = hooks[name](context);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(() => {});
+                }
+            } catch {
+                // Observability must never break a call.
+            }
+        }
+    }
+
+    /**
+     * Returns a deep copy of a value with the client's credentials, Authorization headers and
+     * X-Signature-* values replaced by '[REDACTED]'. Used by the logging hooks.
+     * @param {*} value
+     * @returns {*}
+     */
+    redact(value) {
+        const { apiKey, secretKey, password } = this.getCredentials();
+        return redactSecrets(value, [apiKey, secretKey, password]);
+    }
+
+    resolveAuditActor() {
+        return (typeof this.auditActor === 'function' ? this.auditActor() : this.auditActor) ?? null;
+    }
+
+    /**
+     * Returns the audit state of an attempt, or null when the client has no audit sink or the endpoint
+     * does not move money.
+     * @param {string} endpoint
+     * @param {Object} options - The per-call options; `actor` overrides auditActor.
+     * @returns {Object|null} { operation, actor, verificationHash, headers }
+     */
+    createAudit(endpoint, options) {
+        return this.audit && AUDITED_ENDPOINTS[endpoint]
+            ? { operation: AUDITED_ENDPOINTS[endpoint], actor: options.actor ?? this.resolveAuditActor(), verificationHash: null, headers: null }
+            : null;
+    }
+
+    /**
+     * Writes one audit entry for an attempt to a money-moving endpoint, with the client's secrets redacted.
+     * @param {Object} audit - { operation, actor, verificationHash, headers } of the attempt.
+     * @param {string} event - 'request' (before sending), 'success' or 'error'.
+     * @param {Object} context - The hook context of the attempt.
+     * @throws {GPayAuditError} When the sink fails; the entry is attached as `entry`.
+     */
+    async writeAudit(audit, event, context) {
+        const entry = {
+            time: new Date().toISOString(),
+            event,
+            operation: audit.operation,
+            endpoint: context.endpoint,
+            actor: audit.actor,
+            attempt: context.attempt,
+            parameters: context.parameters,
+            verificationHash: audit.verificationHash,
+        };
+        if (event !== 'request') {
+            entry.response = {
+                status: context.status,
+                data: context.data,
+                verificationHash: audit.headers ? audit.headers['x-signature-hash'] ?? null : null,
+                verified: context.verified,
+            };
+            entry.error = context.error
+                ? { name: context.error.name, code: context.error.code ?? null, message: context.error.message }
+                : null;
+        }
+        const redacted = this.redact(entry);
+        try {
+            await this.audit.append(redacted);
+        } catch (err) {
+            const message = event === 'request'
+                ? localized('audit.requestFailed', { endpoint: context.endpoint, reason: err.message })
+                : localized('audit.resultFailed', { event, endpoint: context.endpoint, reason: err.message });
+            throw new GPayAuditError('WRITE_FAILED', message, { entry: redacted, cause: context.error || err });
+        }
+    }
+
+    /**
+     * Sends a single signed request attempt. With an audit sink, a request to a money-moving endpoint is
+     * written to it once signed and is not sent when that fails, also when performRequest is called directly.
+     * @param {string} endpoint - The endpoint path.
+     * @param {Object} parameters - The request parameters.
+     * @param {Object} [options] - { timeout, signal, credentials, language, actor, audit, context }
+     * @param {Object} [options.audit] - The attempt's audit state from createAudit(), which sendAttempt
+     *   completes with the result entry (default: a new one for audited endpoints).
+     * @param {Object} [options.context] - The hook context the audit entry is built from.
+     * @returns {Promise<Object>} { response, headers, code }, plus recordedAt (epoch ms) for a replayed exchange.
+     */
+    async performRequest(endpoint, parameters, options = {}) {
+        const credentials = options.credentials || this.getCredentials();
+        const salt = await this.generateSalt();
+        const hashToken = this.generateHashToken(salt, credentials.password);
+        const verificationHash = await this.generateVerificationHash(hashToken, parameters, credentials.secretKey);
+        const audit = options.audit !== undefined ? options.audit : this.createAudit(endpoint, options);
+        if (audit) {
+            audit.verificationHash = verificationHash;
+            await this.writeAudit(audit, 'request', options.context || { endpoint, attempt: 0, parameters: { ...parameters } });
+        }
+
+        const init = {
+            method: 'POST',
+            headers: {
+                'Accept-Language': options.language || this.language,
+                ...this.defaultHeaders,
+                'Authorization': `Bearer ${credentials.apiKey}`,
+                'X-Signature-Salt': salt,
+                'X-Signature-Hash': verificationHash,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(parameters),
+        };
+        if (this.dispatcher) {
+            init.dispatcher = this.dispatcher;
+        }
+        if (this.agent) {
+            init.agent = this.agent;
+        }
+
+        const timeout = options.timeout ?? this.timeout;
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
+        const onAbort = () => controller.abort(options.signal.reason);
+        if (options.signal) {
+            if (options.signal.aborted) {
+                onAbort();
+            } else {
+                options.signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+        init.signal = controller.signal;
+
+        let response;
+        let responseBody;
+        let recordedAt = null;
+        try {
+            if (this.cassette) {
+                ({ response, recordedAt } = await this.cassette.play(this, endpoint, parameters, init, () => this.transport(`${this.baseUrl}${endpoint}`, init)));
+            } else {
+                response = await this.transport(`${this.baseUrl}${endpoint}`, init);
+            }
+            responseBody = await response.text();
+        } catch (err) {
+            if (err instanceof GPayCassetteError) {
+                throw err;
+            }
+            if (timedOut || (err && err.name === 'TimeoutError')) {
+                throw new GPayTimeoutError(localized('transport.timeout', { endpoint, timeout }), { endpoint, cause: err });
+            }
+            if (options.signal && options.signal.aborted) {
+                throw options.signal.reason;
+            }
+            throw new GPayTransportError(localized('transport.failed', { endpoint, reason: err && err.message }), { endpoint, cause: err });
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+        const headers = {};
+        response.headers.forEach((value, key) => {
+            headers[key] = value;
+        });
+        const status = response.status;
+        const ok = status >= 200 && status < 300;
+
+        let responseJson;
+        try {
+            responseJson = JSON.parse(responseBody);
+        } catch (err) {
+            if (!ok) {
+                throw new GPayApiError(`HTTP_${status}`, response.statusText || 'Non-JSON error response', { status, body: responseBody, headers });
+            }
+            throw new GPayResponseParseError(localized('response.invalidJson'), { status, body: responseBody, headers, cause: err });
+        }
+
+        // Throw an error if the response contains an error field
+        if (responseJson && responseJson.error) {
+            const errorMsg = responseJson.error.message || 'Unknown error';
+            const errorCode = responseJson.error.code || 'UNKNOWN_CODE';
+            throw new GPayApiError(errorCode, errorMsg, { status, body: responseBody, headers });
+        }
+        if (!ok) {
+            throw new GPayApiError(`HTTP_${status}`, response.statusText || 'Unexpected HTTP status', { status, body: responseBody, headers });
+        }
+        if (!responseJson || typeof responseJson !== 'object') {
+            throw new GPayResponseParseError(localized('response.noJson'), { status, body: responseBody, headers });
+        }
+
+        const result = {
+            response: responseJson,
+            headers,
+            code: status,
+        };
+        if (recordedAt !== null) {
+            result.recordedAt = recordedAt;
+        }
+        return result;
+    }
+
+    /**
+     * Converts the Money amounts of a model to numbers when the client runs in legacy amount mode.
+     * @param {Object} model - A response model.
+     * @returns {Object} The same model.
+     */
+    applyAmountMode(model) {
+        if (this.legacyAmounts) {
+            toLegacyAmounts(model);
+        }
+        return model;
+    }
+
+    /**
+     * Runs a money-moving call at most once per referenceNo when an idempotency store is configured.
+     * The referenceNo is recorded as pending before the request goes out. A repeated call resolves to the
+     * stored response data once the first call has completed, and is refused while it is still in flight.
+     * After an ambiguous failure (no definitive answer from the API) the outcome is looked up by reference_no
+     * in the statement and outstanding transactions before the call may be sent again.
+     * @param {string} operation - 'sendMoney' or 'createPaymentRequest'.
+     * @param {string} referenceNo - The reference number; calls without one are not tracked.
+     * @param {Object} parameters - The request parameters (request_timestamp is ignored).
+     * @param {Function} execute - Sends the request and resolves to the verified response data.
+     * @returns {Promise<Object>} The response data.
+     */
+    async runIdempotent(operation, referenceNo, parameters, execute) {
+        const store = this.idempotencyStore;
+        if (!store || referenceNo == null || referenceNo === '') {
+            return execute();
+        }
+        const key = `${operation}:${referenceNo}`;
+        const request = { ...parameters };
+        delete request.request_timestamp;
+        const now = Date.now();
+        const pending = { operation, referenceNo, state: 'pending', request, response: null, transactionId: null, createdAt: now, updatedAt: now };
+
+        if (this.inFlight.has(key)) {
+            throw new GPayIdempotencyError('IN_FLIGHT', localized('idempotency.inFlight', { operation, referenceNo }), { referenceNo });
+        }
+        this.inFlight.add(key);
+        try {
+            let record = await store.create(key, pending);
+            while (record) {
+                if (!sameRequest(record.request, request)) {
+                    throw new GPayIdempotencyError('PARAMETER_MISMATCH', localized('idempotency.mismatch', { operation, referenceNo }), { referenceNo, record });
+                }
+                if (record.state === 'completed') {
+                    if (record.response) {
+                        return record.response;
+                    }
+                    throw new GPayIdempotencyError('ALREADY_COMPLETED', localized('idempotency.completed', { operation, referenceNo, transactionId: record.transactionId }), { referenceNo, record });
+                }
+                if (record.state === 'pending' && now - record.updatedAt < this.idempotencyStaleAfter) {
+                    throw new GPayIdempotencyError('IN_FLIGHT', localized('idempotency.inFlight', { operation, referenceNo }), { referenceNo, record });
+                }
+                if (record.state !== 'failed') {
+                    // Ambiguous outcome left behind by an earlier attempt: only send again if GPay has no trace of it.
+                    const transaction = await this.findSettledReference(operation, referenceNo, record.createdAt);
+                    if (transaction) {
+                        await store.put(key, { ...record, state: 'completed', transactionId: transaction.transactionId, updatedAt: Date.now() });
+                        throw new GPayIdempotencyError('ALREADY_COMPLETED', localized('idempotency.completed', { operation, referenceNo, transactionId: transaction.transactionId }), { referenceNo, record, transaction });
+                    }
+                }
+                await store.put(key, { ...pending, createdAt: record.createdAt });
+                record = null;
+            }
+
+            let data;
+            try {
+                data = await execute();
+            } catch (err) {
+                // GPay refused the call, or the transfer policy blocked it before it was signed.
+                if ((err instanceof GPayApiError && err.status >= 400 && err.status < 500) || err instanceof GPayPolicyError) {
+                    await store.put(key, { ...pending, state: 'failed', updatedAt: Date.now() });
+                    throw err;
+                }
+                let transaction = null;
+                try {
+                    transaction = await this.findSettledReference(operation, referenceNo, pending.createdAt);
+                } catch {
+                    // The lookup itself failed; the outcome stays unknown.
+                }
+                if (transaction) {
+                    await store.put(key, { ...pending, state: 'completed', transactionId: transaction.transactionId, updatedAt: Date.now() });
+                    throw new GPayIdempotencyError('ALREADY_COMPLETED', localized('idempotency.lostResponse', { operation, referenceNo, transactionId: transaction.transactionId }), { referenceNo, transaction, cause: err });
+                }
+                await store.put(key, { ...pending, state: 'unknown', updatedAt: Date.now() });
+                throw err;
+            }
+            await store.put(key, { ...pending, state: 'completed', response: data, transactionId: data.transaction_id ?? null, updatedAt: Date.now() });
+            return data;
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    /**
+     * Looks for a settled or pending transfer with the given reference_no in the outstanding transactions
+     * and in every daily statement since `since`. Payment requests create no transaction until they are
+     * paid, so only sendMoney calls can be found this way.
+     * @param {string} operation - 'sendMoney' or 'createPaymentRequest'.
+     * @param {string} referenceNo - The reference number to look for.
+     * @param {number} since - Epoch milliseconds of the first attempt.
+     * @returns {Promise<StatementTransaction|OutstandingTransaction|null>}
+     */
+    async findSettledReference(operation, referenceNo, since) {
+        if (operation !== 'sendMoney') {
+            return null;
+        }
+        const matches = tx => tx.referenceNo === referenceNo && tx.opTypeId === OperationType.DIRECT_TRANSFER;
+        const outstanding = await this.getOutstandingTransactions();
+        const found = outstanding.outstandingTransactions.find(matches);
+        if (found) {
+            return found;
+        }
+        const today = formatStatementDate(new Date());
+        for (let day = formatStatementDate(new Date(since)); day <= today; day = nextDay(day)) {
+            const statement = await this.getStatement(day, { cache: false });
+            const tx = statement.dayStatement.find(matches);
+            if (tx) {
+                return tx;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Verifies the authenticity of a response using the response headers and response fields.
+     * Rejects with a GPaySignatureError if verification fails.
+     *
+     * The hash is compared in constant time. When response_timestamp is signed it must be within
+     * maxClockSkew of the local clock, and when a salt cache is configured a salt may only be seen once.
+     * With a context, the fields the API echoes back (amount, reference_no, request_id) must match the
+     * request, and in strict mode the response data may not carry fields outside the signed set.
+     * The salt is checked last, so a response rejected for another reason does not use it up.
+     * @param {Object} headers - The response headers.
+     * @param {Object} responseFields - The response fields to use for verification (see api-doc.md).
+     * @param {Object} [context] - { endpoint, data, request, credentials, now, saltCache }: the endpoint, the full
+     *   response data, the request parameters, the credentials the request was signed with (default: the current
+     *   ones), the epoch ms to check response_timestamp against (default: now; a replayed response uses its
+     *   recording time) and the salt cache (default: the client's; null leaves the replay check to the caller).
+     * @returns {Promise<void>}
+     */
+    async verifyResponse(headers, responseFields, context = {}) {
+        try {
+            const credentials = context.credentials || this.getCredentials();
+            const receivedHash = headers['x-signature-hash'] || headers['X-Signature-Hash'];
+            const receivedSalt = headers['x-signature-salt'] || headers['X-Signature-Salt'];
+            if (!receivedHash || !receivedSalt) {
+                throw new GPaySignatureError('MISSING_SIGNATURE', localized('signature.missing'));
+            }
+            const hashToken = this.generateHashToken(receivedSalt, credentials.password);
+            const verificationHash = await this.generateVerificationHash(hashToken, responseFields, credentials.secretKey);
+            if (!timingSafeEqualStrings(verificationHash, receivedHash)) {
+                throw new GPaySignatureError('HASH_MISMATCH', localized('signature.mismatch'));
+            }
+            if (this.maxClockSkew != null && 'response_timestamp' in responseFields) {
+                const responseTime = Number(responseFields.response_timestamp);
+                if (!Number.isFinite(responseTime) || Math.abs((context.now ?? Date.now()) - responseTime) > this.maxClockSkew) {
+                    throw new GPaySignatureError('STALE_RESPONSE', localized('signature.stale', { skew: this.maxClockSkew }));
+                }
+            }
+            const { endpoint, data, request } = context;
+            if (this.strictResponseFields && data) {
+                const allowed = UNSIGNED_RESPONSE_FIELDS[endpoint] || [];
+                const unsigned = Object.keys(data).filter(key => !(key in responseFields) && !allowed.includes(key));
+                if (unsigned.length > 0) {
+                    throw new GPaySignatureError('UNSIGNED_FIELDS', localized('signature.unsigned', { fields: unsigned.join(', ') }));
+                }
+            }
+            if (request) {
+                for (const field of ECHOED_REQUEST_FIELDS[endpoint] || []) {
+                    if (!sameEchoedValue(field, request[field], responseFields[field])) {
+                        throw new GPaySignatureError('FIELD_MISMATCH', localized('signature.fieldMismatch', { field }));
+                    }
+                }
+            }
+            const saltCache = context.saltCache !== undefined ? context.saltCache : this.saltCache;
+            if (saltCache && saltCache.seen(receivedSalt)) {
+                throw new GPaySignatureError('REPLAYED_SALT', localized('signature.replayed'));
+            }
+        } catch (err) {
+            throw this.localizeError(err);
+        }
+    }
+
+    /**
+     * Validates endpoint arguments before anything is signed or sent.
+     * @param {Object} args - Argument name => value; names are keys of ARGUMENT_VALIDATORS.
+     * @param {Object} [required] - Argument name => true for optional-by-default arguments that are required here.
+     * @returns {Object} The values to sign, keyed by argument name.
+     * @throws {GPayValidationError} Listing every invalid argument, not just the first.
+     */
+    validateArguments(args, required = {}) {
+        const values = {};
+        const errors = [];
+        for (const [name, value] of Object.entries(args)) {
+            try {
+                values[name] = ARGUMENT_VALIDATORS[name](value, this.validation, { required: Boolean(required[name]) });
+            } catch (err) {
+                if (err instanceof GPayValidationError) {
+                    errors.push(...err.errors);
+                } else if (name === 'amount' && err instanceof GPayError) {
+                    // Money refuses amounts of more than Number.MAX_SAFE_INTEGER dirhams.
+                    errors.push(fieldError('amount', localized('field.amountTooLarge')));
+                } else {
+                    throw err;
+                }
+            }
+        }
+        if (errors.length) {
+            throw new GPayValidationError(errors);
+        }
+        return values;
+    }
+
+    /**
+     * Retrieves the current wallet balance.
+     * @param {Object} [options] - Per-call options: { timeout, signal, retry }.
+     * @returns {Promise<Balance>} A promise that resolves to a Balance object containing the current available balance and response time.
+     */
+    async getBalance(options = {}) {
+        try {
+            const endpoint = '/info/balance';
+            const parameters = { request_timestamp: Date.now().toString() };
+            const result = await this.sendRequest(endpoint, parameters, {
+                ...options,
+                // Response fields for verification
+                signedFields: data => ({
+                    balance: data.balance,
+                    response_timestamp: data.response_timestamp,
+                }),
+            });
+            const data = result.response.data;
+            return this.applyAmountMode(new Balance(data.balance, data.response_timestamp));
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Creates a payment request for a specified amount.
+     * @param {Money|number|string} amount - The amount to request (positive, at most 3 decimal places).
+     * @param {string} [referenceNo] - Optional reference number (letters, digits and . _ : / # -, at most 64 characters).
+     * @param {string} [description] - Optional description, at most 255 characters.
+     * @param {Object} [options] - Per-call options: { timeout, signal, retry }.
+     * @returns {Promise<PaymentRequest>} A promise that resolves to a PaymentRequest object with details of the created payment request.
+     */
+    async createPaymentRequest(amount, referenceNo, description, options = {}) {
+        try {
+            const endpoint = '/payment/create-payment-request';
+            const args = this.validateArguments({ amount, referenceNo, description });
+            const parameters = {
+                amount: args.amount,
+                reference_no: args.referenceNo,
+                description: args.description,
+                request_timestamp: Date.now().toString(),
+            };
+            const data = await this.runIdempotent('createPaymentRequest', args.referenceNo, parameters, async () => {
+                const result = await this.sendRequest(endpoint, parameters, {
+                    ...options,
+                    signedFields: data => ({
+                        requester_username: data.requester_username,
+                        request_id: data.request_id,
+                        request_time: data.request_time,
+                        amount: data.amount,
+                        reference_no: data.reference_no,
+                        response_timestamp: data.response_timestamp,
+                    }),
+                });
+                return result.response.data;
+            });
+            return this.applyAmountMode(new PaymentRequest(
+                data.requester_username,
+                data.request_id,
+                data.request_time,
+                data.amount,
+                data.reference_no,
+                data.response_timestamp
+            ));
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Checks the status of a payment request by its request ID.
+     * @param {string} requestId - The payment request ID.
+     * @param {Object} [options] - Per-call options: { timeout, signal, retry }.
+     * @returns {Promise<PaymentStatus>} A promise that resolves to a PaymentStatus object with the status of the payment request.
+     */
+    async checkPaymentStatus(requestId, options = {}) {
+        try {
+            const endpoint = '/payment/check-payment-status';
+            const args = this.validateArguments({ requestId });
+            const parameters = {
+                request_id: args.requestId,
+                request_timestamp: Date.now().toString(),
+            };
+            const result = await this.sendRequest(endpoint, parameters, {
+                ...options,
+                signedFields: data => ({
+                    request_id: data.request_id,
+                    transaction_id: data.transaction_id,
+                    amount: data.amount,
+                    payment_timestamp: data.payment_timestamp,
+                    reference_no: data.reference_no,
+                    description: data.description,
+                    is_paid: data.is_paid,
+                    response_timestamp: data.response_timestamp,
+                }),
+            });
+            const data = result.response.data;
+            return this.applyAmountMode(new PaymentStatus(
+                data.request_id,
+                data.transaction_id,
+                data.amount,
+                data.payment_timestamp,
+                data.reference_no,
+                data.description,
+                data.is_paid,
+                data.response_timestamp
+            ));
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Sends money to another wallet.
+     * @param {Money|number|string} amount - The amount to send (positive, at most 3 decimal places).
+     * @param {string} walletGatewayId - The recipient's wallet gateway ID.
+     * @param {string} referenceNo - The reference number (letters, digits and . _ : / # -, at most 64 characters).
+     * @param {string} [description] - Optional description, at most 255 characters.
+     * @param {Object} [options] - Per-call options: { timeout, signal, retry, actor }.
+     * @returns {Promise<SendMoneyResult>} A promise that resolves to a SendMoneyResult object with details of the transaction.
+     * @throws {GPayPolicyError} When the client's transferPolicy blocks the transfer.
+     */
+    async sendMoney(amount, walletGatewayId, referenceNo, description, options = {}) {
+        try {
+            const endpoint = '/payment/send-money';
+            const args = this.validateArguments({ amount, walletGatewayId, referenceNo, description }, { referenceNo: true });
+            const parameters = {
+                amount: args.amount,
+                wallet_gateway_id: args.walletGatewayId,
+                reference_no: args.referenceNo,
+                description: args.description,
+                request_timestamp: Date.now().toString(),
+            };
+            // The transfer policy is applied by sendRequest, so a repeat answered from the idempotency store skips it.
+            const data = await this.runIdempotent('sendMoney', args.referenceNo, parameters, async () => {
+                const result = await this.sendRequest(endpoint, parameters, {
+                    ...options,
+                    signedFields: data => ({
+                        amount: data.amount,
+                        sender_fee: data.sender_fee,
+                        transaction_id: data.transaction_id,
+                        old_balance: data.old_balance,
+                        new_balance: data.new_balance,
+                        timestamp: data.timestamp,
+                        reference_no: data.reference_no,
+                        response_timestamp: data.response_timestamp,
+                    }),
+                });
+                return result.response.data;
+            });
+            return this.applyAmountMode(new SendMoneyResult(
+                data.amount,
+                data.sender_fee,
+                data.transaction_id,
+                data.old_balance,
+                data.new_balance,
+                data.timestamp,
+                data.reference_no,
+                data.response_timestamp
+            ));
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Retrieves the wallet's transaction statement for a specific day.
+     * @param {string|Date} date - The day as YYYY-MM-DD, or a Date (taken in Libya time).
+     * @param {Object} [options] - Per-call options: { timeout, signal, retry }.
+     * @returns {Promise<Statement>} A promise that resolves to a Statement object containing the day's transactions and balances.
+     */
+    async getStatement(date, options = {}) {
+        try {
+            const endpoint = '/info/statement';
+            const args = this.validateArguments({ date });
+            const parameters = {
+                date: args.date,
+                request_timestamp: Date.now().toString(),
+            };
+            const result = await this.sendRequest(endpoint, parameters, {
+                ...options,
+                signedFields: data => ({
+                    available_balance: data.available_balance,
+                    outstanding_credit: data.outstanding_credit,
+                    outstanding_debit: data.outstanding_debit,
+                    day_balance: data.day_balance,
+                    day_total_in: data.day_total_in,
+                    day_total_out: data.day_total_out,
+                    response_timestamp: data.response_timestamp,
+                }),
+            });
+            const data = result.response.data;
+            const dayStatement = Array.isArray(data.day_statement)
+                ? data.day_statement.map(tx => new StatementTransaction(
+                    tx.transaction_id,
+                    tx.datetime,
+                    tx.timestamp,
+                    tx.description,
+                    tx.amount,
+                    tx.balance,
+                    tx.reference_no,
+                    tx.op_type_id,
+                    tx.status,
+                    tx.created_at
+                ))
+                : [];
+            return this.applyAmountMode(new Statement(
+                data.available_balance,
+                data.outstanding_credit,
+                data.outstanding_debit,
+                data.day_balance,
+                data.day_total_in,
+                data.day_total_out,
+                data.response_timestamp,
+                dayStatement
+            ));
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Checks if a wallet exists and retrieves its details.
+     * @param {string} walletGatewayId - The wallet gateway ID to check.
+     * @param {Object} [options] - Per-call options: { timeout, signal, retry }.
+     * @returns {Promise<WalletCheck>} A promise that resolves to a WalletCheck object with wallet details.
+     */
+    async checkWallet(walletGatewayId, options = {}) {
+        try {
+            const endpoint = '/info/check-wallet';
+            const args = this.validateArguments({ walletGatewayId });
+            const parameters = {
+                wallet_gateway_id: args.walletGatewayId,
+                request_timestamp: Date.now().toString(),
+            };
+            const result = await this.sendRequest(endpoint, parameters, {
+                ...options,
+                signedFields: data => ({
+                    exists: data.exists,
+                    wallet_gateway_id: data.wallet_gateway_id,
+                    wallet_name: data.wallet_name,
+                    user_account_name: data.user_account_name,
+                    can_receive_money: data.can_receive_money,
+                    response_timestamp: data.response_timestamp,
+                }),
+            });
+            const data = result.response.data;
+            return this.applyAmountMode(new WalletCheck(
+                data.exists,
+                data.wallet_gateway_id,
+                data.wallet_name,
+                data.user_account_name,
+                data.can_receive_money,
+                data.response_timestamp
+            ));
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Retrieves a list of outstanding transactions.
+     * @param {Object} [options] - Per-call options: { timeout, signal, retry }.
+     * @returns {Promise<OutstandingTransactions>} A promise that resolves to an OutstandingTransactions object containing outstanding credits, debits, and transactions.
+     */
+    async getOutstandingTransactions(options = {}) {
+        try {
+            const endpoint = '/info/outstanding-transactions';
+            const parameters = {
+                request_timestamp: Date.now().toString(),
+            };
+            const result = await this.sendRequest(endpoint, parameters, {
+                ...options,
+                signedFields: data => ({
+                    outstanding_credit: data.outstanding_credit,
+                    outstanding_debit: data.outstanding_debit,
+                    response_timestamp: data.response_timestamp,
+                }),
+            });
+            const data = result.response.data;
+            const outstandingTransactions = Array.isArray(data.outstanding_transactions)
+                ? data.outstanding_transactions.map(tx => new OutstandingTransaction(
+                    tx.transaction_id,
+                    tx.datetime,
+                    tx.timestamp,
+                    tx.description,
+                    tx.amount,
+                    tx.balance,
+                    tx.reference_no,
+                    tx.op_type_id,
+                    tx.status,
+                    tx.created_at
+                ))
+                : [];
+            return this.applyAmountMode(new OutstandingTransactions(
+                data.outstanding_credit,
+                data.outstanding_debit,
+                data.response_timestamp,
+                outstandingTransactions
+            ));
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Returns the statement transactions of every day from `from` to `to` (inclusive) as an async iterable.
+     * Days are fetched with bounded concurrency but yielded in order, transactions are deduplicated by
+     * transaction_id, and each day's day_balance is checked against the previous day's balance plus the
+     * day's totals.
+     * @param {string|Date} from - The first day (YYYY-MM-DD or a Date, taken in Libya time).
+     * @param {string|Date} [to=today] - The last day.
+     * @param {Object} [options]
+     * @param {number} [options.concurrency=3] - Maximum number of days fetched at the same time.
+     * @param {boolean} [options.verifyBalances=true] - Throw GPayStatementChainError when balances do not chain.
+     * @param {AbortSignal} [options.signal] - Aborts the pending statement calls.
+     * @param {string} [options.language] - Overrides the client language for the statement calls and errors.
+     * @param {boolean} [options.cache] - false bypasses the response cache for the statement calls.
+     * @returns {StatementRange}
+     */
+    getStatementRange(from, to = new Date(), options = {}) {
+        try {
+            return new StatementRange(this, toStatementDate(from), toStatementDate(to), options);
+        } catch (err) {
+            throw this.localizeError(err, options);
+        }
+    }
+
+    /**
+     * Reconciles local records (e.g. orders or payouts) against GPay. Transactions are taken from the
+     * statements of every day from `from` to `to` and from the outstanding transactions, and matched to
+     * local records by reference_no and absolute amount.
+     * @param {Object[]} localRecords - Records with { referenceNo, amount }; other properties are kept as-is.
+     * @param {Object} options
+     * @param {string|Date} options.from - The first statement day.
+     * @param {string|Date} [options.to=today] - The last statement day.
+     * @param {number} [options.concurrency=3] - Maximum number of statement days fetched at the same time.
+     * @param {AbortSignal} [options.signal] - Aborts the pending calls.
+     * @returns {Promise<ReconciliationReport>}
+     */
+    async reconcile(localRecords, { from, to = new Date(), concurrency = 3, signal } = {}) {
+        try {
+            const transactions = new Map();
+            const range = this.getStatementRange(from, to, { concurrency, signal, verifyBalances: false, cache: false });
+            for await (const tx of range) {
+                transactions.set(tx.transactionId, tx);
+            }
+            const outstanding = await this.getOutstandingTransactions({ signal });
+            for (const tx of outstanding.outstandingTransactions) {
+                // The outstanding list reflects the current status, so it wins over an older statement entry.
+                transactions.set(tx.transactionId, tx);
+            }
+            return buildReconciliationReport(localRecords, [...transactions.values()]);
+        } catch (err) {
+            throw this.localizeError(err);
+        }
+    }
+
+    /**
+     * Pays many recipients with sendMoney, in three steps:
+     *   1. checkWallet on every recipient; items whose wallet does not exist or cannot receive money are skipped.
+     *   2. getBalance must cover the remaining amounts plus a fee buffer, otherwise a GPayPayoutError
+     *      (INSUFFICIENT_BALANCE) is thrown before anything is sent.
+     *   3. sendMoney with bounded concurrency.
+     * Progress is saved to the job store after every item update. Calling createPayoutBatch again with the
+     * same jobId and items resumes the job: sent and skipped items are never sent again, and items whose
+     * outcome was lost (a crash or a timeout mid-transfer) are looked up on GPay before they are retried.
+     * @param {Object[]} items - { walletGatewayId, amount, referenceNo, description }; referenceNo is required
+     *   and must be unique within the batch.
+     * @param {Object} [options]
+     * @param {string} [options.jobId] - Identifies the job in the store (default: a random UUID, see report.jobId).
+     * @param {Object} [options.store] - Job store with get(key) / put(key, record), e.g. a FileIdempotencyStore.
+     * @param {string} [options.jobFile] - Shorthand for store: new FileIdempotencyStore(jobFile).
+     * @param {number} [options.concurrency=3] - Maximum number of calls in flight.
+     * @param {Object} [options.feeBuffer] - { fixed, percent } reserved per item on top of its amount
+     *   for the balance check (default { fixed: 0, percent: 1 }).
+     * @param {AbortSignal} [options.signal] - Stops starting new transfers; the job can be resumed later.
+     * @param {Function} [options.onProgress] - Called with (item, job) after every item update.
+     * @param {string} [options.actor] - Who started the job, recorded in the audit log of every transfer.
+     * @returns {Promise<PayoutReport>}
+     * @throws {GPayValidationError} When an item is invalid; nothing is checked or sent.
+     * @throws {GPayPayoutError} INSUFFICIENT_BALANCE.
+     * @throws {GPayIdempotencyError} PARAMETER_MISMATCH when the jobId was used for different items.
+     */
+    async createPayoutBatch(items, {
+        jobId,
+        store,
+        jobFile,
+        concurrency = 3,
+        feeBuffer = {},
+        signal,
+        onProgress,
+        actor,
+    } = {}) {
+        try {
+            const normalized = this.validatePayoutItems(items);
+            jobId = jobId ?? await this.signer.randomUUID();
+            const jobStore = store || (jobFile ? new FileIdempotencyStore(jobFile) : new MemoryIdempotencyStore());
+            const key = `payoutBatch:${jobId}`;
+            let job = await jobStore.get(key);
+            if (job) {
+                const same = job.items.length === normalized.length && job.items.every((item, i) => sameRequest(
+                    { walletGatewayId: item.walletGatewayId, amount: item.amount, referenceNo: item.referenceNo, description: item.description },
+                    normalized[i]
+                ));
+                if (!same) {
+                    throw new GPayIdempotencyError('PARAMETER_MISMATCH', localized('payout.mismatch', { jobId }), { record: job });
+                }
+            } else {
+                const now = Date.now();
+                job = {
+                    jobId,
+                    createdAt: now,
+                    updatedAt: now,
+                    items: normalized.map((item, index) => ({
+                        index,
+                        ...item,
+                        state: 'pending',
+                        wallet: null,
+                        result: null,
+                        transactionId: null,
+                        error: null,
+                        sentAt: null,
+                        updatedAt: now,
+                    })),
+                };
+                await jobStore.put(key, job);
+            }
+            const update = async (item, changes) => {
+                Object.assign(item, changes, { updatedAt: Date.now() });
+                job.updatedAt = item.updatedAt;
+                await jobStore.put(key, job);
+                if (onProgress) {
+                    onProgress(item, job);
+                }
+            };
+
+            // 1. Recipients. Only a definite answer marks an item; other errors stop the run before money moves.
+            const unchecked = job.items.filter(item => item.state === 'pending' && !item.wallet);
+            await runWithConcurrency(unchecked, concurrency, signal, async item => {
+                let wallet;
+                try {
+                    wallet = await this.checkWallet(item.walletGatewayId, { signal });
+                } catch (err) {
+                    if (err instanceof GPayApiError && err.status >= 400 && err.status < 500) {
+                        await update(item, { state: 'failed', error: payoutError(err) });
+                        return;
+                    }
+                    throw err;
+                }
+                const summary = {
+                    exists: wallet.exists,
+                    canReceiveMoney: wallet.canReceiveMoney,
+                    walletName: wallet.walletName ?? null,
+                    userAccountName: wallet.userAccountName ?? null,
+                };
+                if (!wallet.exists) {
+                    await update(item, { state: 'skipped', wallet: summary, error: { code: 'WALLET_NOT_FOUND', message: formatMessage(this.language, 'policy.notFound', { wallet: item.walletGatewayId }) } });
+                } else if (!wallet.canReceiveMoney) {
+                    await update(item, { state: 'skipped', wallet: summary, error: { code: 'WALLET_CANNOT_RECEIVE', message: formatMessage(this.language, 'policy.cannotReceive', { wallet: item.walletGatewayId }) } });
+                } else {
+                    await update(item, { wallet: summary });
+                }
+            });
+            throwIfAborted(signal);
+
+            // Items left 'sending' or 'unknown' by an earlier run may have been paid already.
+            const ambiguous = job.items.filter(item => item.state === 'sending' || item.state === 'unknown');
+            await runWithConcurrency(ambiguous, concurrency, signal, async item => {
+                const transaction = await this.findSettledReference('sendMoney', item.referenceNo, item.sentAt ?? job.createdAt);
+                await update(item, transaction
+                    ? { state: 'sent', transactionId: transaction.transactionId, error: null }
+                    : { state: 'pending', error: null });
+            });
+            throwIfAborted(signal);
+
+            // 2. Balance.
+            const payable = job.items.filter(item => item.state === 'pending');
+            if (payable.length) {
+                const required = payable.reduce((sum, item) => sum.add(withFeeBuffer(Money.parse(item.amount), feeBuffer)), Money.ZERO);
+                const available = toMoney((await this.getBalance({ signal })).balance);
+                if (available.compare(required) < 0) {
+                    throw new GPayPayoutError('INSUFFICIENT_BALANCE', localized('payout.insufficientBalance', { jobId, required, available }), { jobId, required, available });
+                }
+            }
+
+            // 3. Transfers.
+            await runWithConcurrency(payable, concurrency, signal, async item => {
+                const sentAt = Date.now();
+                await update(item, { state: 'sending', sentAt });
+                try {
+                    const result = await this.sendMoney(item.amount, item.walletGatewayId, item.referenceNo, item.description, { signal, actor });
+                    await update(item, {
+                        state: 'sent',
+                        transactionId: result.transactionId,
+                        result: {
+                            amount: String(result.amount),
+                            sender_fee: String(result.senderFee),
+                            transaction_id: result.transactionId,
+                            old_balance: String(result.oldBalance),
+                            new_balance: String(result.newBalance),
+                            timestamp: result.timestamp,
+                            reference_no: result.referenceNo,
+                            response_timestamp: result.responseTime.getTime(),
+                        },
+                        error: null,
+                    });
+                } catch (err) {
+                    if (err instanceof GPayIdempotencyError && err.code === 'ALREADY_COMPLETED') {
+                        const transactionId = err.transaction ? err.transaction.transactionId : (err.record && err.record.transactionId) || null;
+                        await update(item, { state: 'sent', transactionId, error: null });
+                        return;
+                    }
+                    if ((err instanceof GPayApiError && err.status >= 400 && err.status < 500) || err instanceof GPayValidationError || err instanceof GPayPolicyError) {
+                        await update(item, { state: 'failed', error: payoutError(err) });
+                        return;
+                    }
+                    let transaction = null;
+                    try {
+                        transaction = await this.findSettledReference('sendMoney', item.referenceNo, sentAt);
+                    } catch {
+                        // The lookup itself failed; the outcome stays unknown until the job is resumed.
+                    }
+                    await update(item, transaction
+                        ? { state: 'sent', transactionId: transaction.transactionId, error: null }
+                        : { state: 'unknown', error: payoutError(err) });
+                }
+            });
+            throwIfAborted(signal);
+            return buildPayoutReport(job, this);
+        } catch (err) {
+            throw this.localizeError(err);
+        }
+    }
+
+    /**
+     * Validates payout items and returns them normalized for the job record.
+     * @param {Object[]} items
+     * @returns {Object[]} { walletGatewayId, amount, referenceNo, description } with amount as a string.
+     * @throws {GPayValidationError} Listing every invalid field as items[i].field.
+     */
+    validatePayoutItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new GPayValidationError([fieldError('items', localized('field.nonEmptyArray'))]);
+        }
+        const errors = [];
+        const seen = new Map();
+        const normalized = items.map((item, i) => {
+            try {
+                const args = this.validateArguments({
+                    amount: item && item.amount,
+                    walletGatewayId: item && item.walletGatewayId,
+                    referenceNo: item && item.referenceNo,
+                    description: item && item.description,
+                }, { referenceNo: true });
+                if (seen.has(args.referenceNo)) {
+                    errors.push(fieldError(`items[${i}].referenceNo`, localized('field.duplicate', { other: `items[${seen.get(args.referenceNo)}]` })));
+                }
+                seen.set(args.referenceNo, i);
+                return args;
+            } catch (err) {
+                if (!(err instanceof GPayValidationError)) {
+                    throw err;
+                }
+                errors.push(...err.errors.map(e => fieldError(`items[${i}].${e.field}`, e.template)));
+                return null;
+            }
+        });
+        if (errors.length) {
+            throw new GPayValidationError(errors);
+        }
+        return normalized;
+    }
+
+    /**
+     * Polls checkPaymentStatus until the payment request is paid.
+     * The delay between polls starts at `interval` and grows by `factor` up to `maxInterval`.
+     * Transport errors are retried on the next poll; any other error rejects the promise.
+     * @param {string} requestId - The payment request ID.
+     * @param {Object} [options]
+     * @param {number} [options.interval=2000] - Delay before the second poll, in milliseconds.
+     * @param {number} [options.maxInterval=15000] - Upper bound for the delay between polls.
+     * @param {number} [options.factor=1.5] - Multiplier applied to the delay after every poll.
+     * @param {number} [options.timeout=300000] - Total time to wait before rejecting with GPayTimeoutError.
+     * @param {AbortSignal} [options.signal] - Stops waiting when aborted.
+     * @param {Function} [options.onTick] - Called with (status, attempt) after every successful poll.
+     * @returns {Promise<PaymentStatus>} The status of the paid request.
+     */
+    async waitForPayment(requestId, {
+        interval = 2000,
+        maxInterval = 15000,
+        factor = 1.5,
+        timeout = 5 * 60 * 1000,
+        signal,
+        onTick,
+    } = {}) {
+        try {
+            const deadline = Date.now() + timeout;
+            let delay = interval;
+            for (let attempt = 1; ; attempt++) {
+                if (signal && signal.aborted) {
+                    throw signal.reason;
+                }
+                const remaining = deadline - Date.now();
+                if (remaining <= 0) {
+                    throw new GPayTimeoutError(localized('payment.notPaid', { requestId, timeout }), { endpoint: '/payment/check-payment-status' });
+                }
+                try {
+                    const status = await this.checkPaymentStatus(requestId, { signal, timeout: Math.min(this.timeout || remaining, remaining) });
+                    if (onTick) {
+                        onTick(status, attempt);
+                    }
+                    if (status.isPaid) {
+                        return status;
+                    }
+                } catch (err) {
+                    if (!(err instanceof GPayTransportError) || (signal && signal.aborted)) {
+                        throw err;
+                    }
+                }
+                await sleep(Math.max(0, Math.min(delay, deadline - Date.now())), signal);
+                delay = Math.min(maxInterval, delay * factor);
+            }
+        } catch (err) {
+            throw this.localizeError(err);
+        }
+    }
+
+    /**
+     * Creates a PaymentWatcher that polls many payment requests while sharing one poll budget.
+     * @param {Object} [options] - See PaymentWatcher.
+     * @returns {PaymentWatcher}
+     */
+    watchPayments(options) {
+        return new PaymentWatcher(this, options);
+    }
+
+    /**
+     * Creates a WalletWatcher that reports transactions, settlements and low balances of the wallet.
+     * Call start() on it after adding the listeners.
+     * @param {Object} [options] - See WalletWatcher.
+     * @returns {WalletWatcher}
+     */
+    watchWallet(options) {
+        return new WalletWatcher(this, options);
+    }
+
+    /**
+     * Renders a GPayError in the language of a call: options.language, or the client's language.
+     * @param {Error} err
+     * @param {Object} [options] - The per-call options of the failed call.
+     * @returns {Error} The same error.
+     */
+    localizeError(err, options) {
+        if (err instanceof GPayError) {
+            err.localize((options && options.language) || this.language);
+        }
+        return err;
+    }
+}
+
+/**
+ * Column order used by StatementRange exports.
+ */
+const STATEMENT_EXPORT_FIELDS = Object.freeze([
+    'transaction_id',
+    'datetime',
+    'timestamp',
+    'description',
+    'amount',
+    'balance',
+    'reference_no',
+    'op_type_id',
+    'op_type',
+    'status',
+    'status_name',
+    'created_at',
+]);
+
+/**
+ * The transactions of a range of statement days, as returned by GPayApiClient.getStatementRange().
+ * Iterate it with `for await`, or export it with toCSV() / toJSONLines().
+ * After a complete iteration `days` holds the Statement of every day in the range.
+ */
+class StatementRange {
+    constructor(client, from, to, { concurrency = 3, verifyBalances = true, signal, language, cache } = {}) {
+        if (from > to) {
+            throw new GPayValidationError([fieldError('from', localized('field.notAfter', { other: 'to' }))]);
+        }
+        this.client = client;
+        this.from = from;
+        this.to = to;
+        this.concurrency = Math.max(1, concurrency);
+        this.verifyBalances = verifyBalances;
+        this.signal = signal;
+        this.language = language;
+        this.cache = cache;
+        this.days = [];
+    }
+
+    async *[Symbol.asyncIterator]() {
+        const days = [];
+        for (let day = this.from; day <= this.to; day = nextDay(day)) {
+            days.push(day);
+        }
+        const fetchDay = day => {
+            const pending = this.client.getStatement(day, { signal: this.signal, language: this.language, cache: this.cache }).then(statement => ({ day, statement }));
+            // Failures are rethrown when the day is awaited in order; do not report them as unhandled before.
+            pending.catch(() => {});
+            return pending;
+        };
+        const window = days.slice(0, this.concurrency).map(fetchDay);
+        let next = window.length;
+        const seen = new Set();
+        let previous = null;
+        this.days = [];
+
+        while (window.length > 0) {
+            const { day, statement } = await window.shift();
+            if (next < days.length) {
+                window.push(fetchDay(days[next++]));
+            }
+            if (this.verifyBalances && previous) {
+                const expected = toMoney(previous.statement.dayBalance)
+                    .add(statement.dayTotalIn)
+                    .subtract(statement.dayTotalOut);
+                if (!expected.equals(statement.dayBalance)) {
+                    throw this.client.localizeError(new GPayStatementChainError(day, expected, toMoney(statement.dayBalance), previous.day), { language: this.language });
+                }
+            }
+            previous = { day, statement };
+            this.days.push(statement);
+            for (const tx of statement.dayStatement) {
+                if (!seen.has(tx.transactionId)) {
+                    seen.add(tx.transactionId);
+                    yield tx;
+                }
+            }
+        }
+    }
+
+    /**
+     * Collects every transaction of the range.
+     * @returns {Promise<StatementTransaction[]>}
+     */
+    async toArray() {
+        const transactions = [];
+        for await (const tx of this) {
+            transactions.push(tx);
+        }
+        return transactions;
+    }
+
+    /**
+     * Yields the range as export lines, with OperationType and TransactionStatus names filled in.
+     * @param {'csv'|'jsonl'} format
+     */
+    async *lines(format) {
+        if (format === 'csv') {
+            yield STATEMENT_EXPORT_FIELDS.join(',');
+        }
+        for await (const tx of this) {
+            const row = statementExportRow(tx);
+            yield format === 'csv'
+                ? STATEMENT_EXPORT_FIELDS.map(field => csvField(row[field])).join(',')
+                : JSON.stringify(row);
+        }
+    }
+
+    /**
+     * @returns {Promise<string>} The range as CSV, with a header row.
+     */
+    async toCSV() {
+        return joinLines(this.lines('csv'));
+    }
+
+    /**
+     * @returns {Promise<string>} The range as JSON Lines, one transaction per line.
+     */
+    async toJSONLines() {
+        return joinLines(this.lines('jsonl'));
+    }
+}
+
+function statementExportRow(tx) {
+    return {
+        transaction_id: tx.transactionId,
+        datetime: formatLibyaDateTime(tx.datetime),
+        timestamp: tx.timestamp === null ? null : String(tx.timestamp.getTime()),
+        description: tx.description,
+        amount: tx.amount === null ? null : String(tx.amount),
+        balance: tx.balance === null ? null : String(tx.balance),
+        reference_no: tx.referenceNo,
+        op_type_id: tx.opTypeId,
+        op_type: tx.opType,
+        status: tx.status,
+        status_name: tx.statusName,
+        created_at: formatLibyaDateTime(tx.createdAt),
+    };
+}
+
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function joinLines(lines) {
+    let out = '';
+    for await (const line of lines) {
+        out += `${line}\n`;
+    }
+    return out;
+}
+
+/**
+ * Matches local records against GPay transactions.
+ *
+ * The report lists:
+ *   matched          - { record, transaction } pairs with the same reference_no and amount.
+ *   missingOnGPay    - Local records without a GPay transaction.
+ *   unexpectedOnGPay - GPay transactions without a local record (fees excluded).
+ *   amountMismatch   - { record, transaction, expected, actual } pairs with the same reference_no only.
+ *   pending          - { record, transaction } pairs whose transaction is still PENDING
+ *                      (record is null when no local record matches).
+ *   fees             - { fee, transfer, record } for TRANSACTION_FEE entries; transfer is the
+ *                      DIRECT_TRANSFER they belong to (same reference_no, else same timestamp), or null.
+ *
+ * @param {Object[]} localRecords - Records with { referenceNo, amount }.
+ * @param {Array<StatementTransaction|OutstandingTransaction>} transactions
+ * @returns {ReconciliationReport}
+ */
+function buildReconciliationReport(localRecords, transactions) {
+    const report = {
+        matched: [],
+        missingOnGPay: [],
+        unexpectedOnGPay: [],
+        amountMismatch: [],
+        pending: [],
+        fees: [],
+    };
+    const fees = transactions.filter(tx => tx.opTypeId === OperationType.TRANSACTION_FEE);
+    const candidates = transactions.filter(tx => tx.opTypeId !== OperationType.TRANSACTION_FEE);
+    const byReference = new Map();
+    for (const tx of candidates) {
+        if (tx.referenceNo) {
+            if (!byReference.has(tx.referenceNo)) {
+                byReference.set(tx.referenceNo, []);
+            }
+            byReference.get(tx.referenceNo).push(tx);
+        }
+    }
+
+    const used = new Set();
+    const recordByTransaction = new Map();
+    for (const record of localRecords) {
+        const expected = Money.parse(record.amount);
+        const available = (byReference.get(record.referenceNo) || []).filter(tx => !used.has(tx.transactionId));
+        const exact = available.find(tx => tx.amount !== null && absMoney(tx.amount).equals(absMoney(expected)));
+        const tx = exact || available[0];
+        if (!tx) {
+            report.missingOnGPay.push(record);
+            continue;
+        }
+        used.add(tx.transactionId);
+        recordByTransaction.set(tx.transactionId, record);
+        if (tx.status === TransactionStatus.PENDING) {
+            report.pending.push({ record, transaction: tx });
+        } else if (exact) {
+            report.matched.push({ record, transaction: tx });
+        } else {
+            report.amountMismatch.push({ record, transaction: tx, expected, actual: tx.amount === null ? null : toMoney(tx.amount) });
+        }
+    }
+    for (const tx of candidates) {
+        if (used.has(tx.transactionId)) {
+            continue;
+        }
+        if (tx.status === TransactionStatus.PENDING) {
+            report.pending.push({ record: null, transaction: tx });
+        } else {
+            report.unexpectedOnGPay.push(tx);
+        }
+    }
+    const transfers = candidates.filter(tx => tx.opTypeId === OperationType.DIRECT_TRANSFER);
+    for (const fee of fees) {
+        const transfer = (fee.referenceNo && transfers.find(tx => tx.referenceNo === fee.referenceNo))
+            || transfers.find(tx => tx.timestamp && fee.timestamp && tx.timestamp.getTime() === fee.timestamp.getTime())
+            || null;
+        report.fees.push({
+            fee,
+            transfer,
+            record: transfer ? recordByTransaction.get(transfer.transactionId) || null : null,
+        });
+    }
+    return report;
+}
+
+function absMoney(value) {
+    const money = toMoney(value);
+    return money.isNegative() ? money.negate() : money;
+}
+
+/**
+ * Runs worker over the list with at most `limit` calls in flight. Stops starting new calls once the
+ * signal aborts or a worker throws; the first error is rethrown after the running calls settle.
+ */
+async function runWithConcurrency(list, limit, signal, worker) {
+    let next = 0;
+    let failure = null;
+    const lane = async () => {
+        while (next < list.length && !failure && !(signal && signal.aborted)) {
+            const item = list[next++];
+            try {
+                await worker(item);
+            } catch (err) {
+                failure = failure || { err };
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), list.length) }, lane));
+    if (failure) {
+        throw failure.err;
+    }
+}
+
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw signal.reason;
+    }
+}
+
+function withFeeBuffer(amount, { fixed = 0, percent = 1 }) {
+    const variable = Money.fromDirhams(Math.ceil(amount.dirhams * percent / 100));
+    return amount.add(Money.parse(fixed)).add(variable);
+}
+
+function payoutError(err) {
+    return { name: err.name, code: err.code ?? null, message: err.message };
+}
+
+/**
+ * Builds the report of a payout job.
+ *
+ * The report lists:
+ *   jobId    - The job ID, to resume the job.
+ *   complete - True when no item is pending or unknown.
+ *   items    - Every item: { index, walletGatewayId, amount, referenceNo, description, state, wallet,
+ *              result, transactionId, fee, error }; state is pending, sending, sent, skipped, failed or unknown.
+ *   sent / skipped / failed / unknown - The items in that state.
+ *   totals   - { requested, sent, fees } as Money.
+ *
+ * @param {Object} job - The job record.
+ * @param {GPayApiClient} client - Used for the amount mode of the results.
+ * @returns {PayoutReport}
+ */
+function buildPayoutReport(job, client) {
+    const items = job.items.map(record => {
+        const result = record.result ? client.applyAmountMode(new SendMoneyResult(
+            record.result.amount,
+            record.result.sender_fee,
+            record.result.transaction_id,
+            record.result.old_balance,
+            record.result.new_balance,
+            record.result.timestamp,
+            record.result.reference_no,
+            record.result.response_timestamp
+        )) : null;
+        return {
+            index: record.index,
+            walletGatewayId: record.walletGatewayId,
+            amount: Money.parse(record.amount),
+            referenceNo: record.referenceNo,
+            description: record.description,
+            state: record.state,
+            wallet: record.wallet,
+            result,
+            transactionId: record.transactionId,
+            fee: record.result ? Money.parse(record.result.sender_fee) : null,
+            error: record.error,
+        };
+    });
+    const inState = state => items.filter(item => item.state === state);
+    const sent = inState('sent');
+    return {
+        jobId: job.jobId,
+        complete: !items.some(item => item.state === 'pending' || item.state === 'sending' || item.state === 'unknown'),
+        items,
+        sent,
+        skipped: inState('skipped'),
+        failed: inState('failed'),
+        unknown: inState('unknown'),
+        totals: {
+            requested: items.reduce((sum, item) => sum.add(item.amount), Money.ZERO),
+            sent: sent.reduce((sum, item) => sum.add(item.amount), Money.ZERO),
+            fees: sent.reduce((sum, item) => (item.fee ? sum.add(item.fee) : sum), Money.ZERO),
+        },
+    };
+}
+
+/**
+ * Watches many payment requests at once. Every `tick` milliseconds it polls at most `budget` requests
+ * that are due, so a large number of watched requests never turns into a burst of concurrent calls.
+ * Each request is polled with its own backoff, from `interval` up to `maxInterval`.
+ *
+ * Events:
+ *   'status'   (status)           - After every successful poll.
+ *   'paid'     (status)           - When a request is paid; it is then no longer watched.
+ *   'timeout'  (requestId)        - When a request was not paid within `timeout`; it is no longer watched.
+ *   'rejected' (error, requestId) - When a poll fails with an error that polling again cannot fix (a signature
+ *                                   error, or a 4xx such as an unknown request ID); it is no longer watched.
+ *   'error'    (error, requestId) - When a poll fails with a transport, 408, 429 or 5xx error; the request is
+ *                                   polled again later. Without an 'error' listener the failure is ignored.
+ *   'idle'     ()                 - When no request is left to watch.
+ */
+class PaymentWatcher extends EventEmitter {
+    /**
+     * @param {GPayApiClient} client
+     * @param {Object} [options]
+     * @param {number} [options.budget=5] - Maximum polls per tick (and concurrent polls).
+     * @param {number} [options.tick=1000] - Scheduling period in milliseconds.
+     * @param {number} [options.interval=2000] - Delay before a request is polled again.
+     * @param {number} [options.maxInterval=30000] - Upper bound for the per-request delay.
+     * @param {number} [options.factor=1.5] - Multiplier applied to the per-request delay after every poll.
+     * @param {number} [options.timeout=1800000] - Time after which a request stops being watched.
+     */
+    constructor(client, {
+        budget = 5,
+        tick = 1000,
+        interval = 2000,
+        maxInterval = 30000,
+        factor = 1.5,
+        timeout = 30 * 60 * 1000,
+    } = {}) {
+        super();
+        this.client = client;
+        this.budget = budget;
+        this.tick = tick;
+        this.interval = interval;
+        this.maxInterval = maxInterval;
+        this.factor = factor;
+        this.timeout = timeout;
+        this.entries = new Map();
+        this.timer = null;
+        this.polling = 0;
+    }
+
+    /**
+     * Starts watching a payment request. Adding an ID that is already watched does nothing.
+     * @param {string} requestId
+     * @param {Object} [options] - { timeout } to override the watcher timeout for this request.
+     */
+    add(requestId, { timeout = this.timeout } = {}) {
+        if (!this.entries.has(requestId)) {
+            const now = Date.now();
+            this.entries.set(requestId, { requestId, nextPollAt: now, delay: this.interval, deadline: now + timeout, polling: false });
+            this.schedule();
+        }
+        return this;
+    }
+
+    /**
+     * Stops watching a payment request.
+     * @param {string} requestId
+     */
+    remove(requestId) {
+        this.entries.delete(requestId);
+        if (this.entries.size === 0) {
+            this.stop();
+        }
+        return this;
+    }
+
+    /**
+     * Stops all polling. Watched requests are kept and polling resumes on the next add().
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @returns {number} The number of watched requests.
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    schedule() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.runTick(), this.tick);
+            this.runTick();
+        }
+    }
+
+    runTick() {
+        const now = Date.now();
+        for (const entry of [...this.entries.values()]) {
+            if (!entry.polling && now >= entry.deadline) {
+                this.entries.delete(entry.requestId);
+                this.emit('timeout', entry.requestId);
+            }
+        }
+        const due = [...this.entries.values()]
+            .filter(entry => !entry.polling && entry.nextPollAt <= now)
+            .sort((a, b) => a.nextPollAt - b.nextPollAt)
+            .slice(0, Math.max(0, this.budget - this.polling));
+        for (const entry of due) {
+            this.poll(entry);
+        }
+        if (this.entries.size === 0) {
+            this.stop();
+            this.emit('idle');
+        }
+    }
+
+    async poll(entry) {
+        entry.polling = true;
+        this.polling++;
+        try {
+            const status = await this.client.checkPaymentStatus(entry.requestId);
+            if (!this.entries.has(entry.requestId)) {
+                return;
+            }
+            this.emit('status', status);
+            if (status.isPaid) {
+                this.entries.delete(entry.requestId);
+                this.emit('paid', status);
+            }
+        } catch (err) {
+            if (!this.entries.has(entry.requestId)) {
+                return;
+            }
+            if (!isRetryable('/payment/check-payment-status', err)) {
+                this.entries.delete(entry.requestId);
+                this.emit('rejected', err, entry.requestId);
+                return;
+            }
+            // A poll runs from a timer, where an unhandled 'error' event would crash the process.
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', err, entry.requestId);
+            }
+        } finally {
+            entry.polling = false;
+            this.polling--;
+            entry.nextPollAt = Date.now() + entry.delay;
+            entry.delay = Math.min(this.maxInterval, entry.delay * this.factor);
+        }
+    }
+}
+
+/**
+ * Watches the wallet by polling getBalance, getStatement and getOutstandingTransactions every `interval`
+ * milliseconds, and reports what changed since the previous poll.
+ *
+ * Transactions are deduplicated by transaction_id. The cursor (the statement day, the transaction IDs
+ * seen on it, the statuses of outstanding transactions and the low-balance state) is saved to the store
+ * after every poll, so a restarted watcher continues where it stopped. Events of a poll are emitted before
+ * its cursor is saved: after a crash they may be emitted again, but never lost.
+ *
+ * When the Libya day changes between two polls, the previous day's statement is fetched once more, so
+ * transactions posted just before midnight are still reported. After a longer pause, every missed day
+ * up to `maxCatchUpDays` is fetched.
+ *
+ * Usage:
+ *   const watcher = client.watchWallet({ cursorFile: './data/wallet-cursor.json', lowBalance: '500' });
+ *   watcher.on('incoming', tx => console.log(`${tx.amount} LYD arrived (${tx.opType})`));
+ *   watcher.on('lowBalance', balance => alert(balance.balance));
+ *   watcher.start();
+ *
+ * Events:
+ *   'transaction' (tx)                 - A StatementTransaction that was not seen before.
+ *   'incoming'    (tx)                 - A new BANK_DEPOSIT or DIRECT_TRANSFER crediting the wallet (also
+ *                                        emitted as 'transaction').
+ *   'settled'     (tx, previousStatus) - An outstanding transaction moved from PENDING to COMPLETED or APPLIED.
+ *   'lowBalance'  (balance, threshold) - The balance fell below `lowBalance`. Emitted again only after the
+ *                                        balance was back at or above the threshold.
+ *   'balance'     (balance)            - After every successful poll.
+ *   'error'       (error)              - When a poll fails; the next poll still runs as scheduled. Without an
+ *                                        'error' listener the failure is ignored.
+ */
+class WalletWatcher extends EventEmitter {
+    /**
+     * @param {GPayApiClient} client
+     * @param {Object} [options]
+     * @param {number} [options.interval=30000] - Delay between the end of a poll and the next one.
+     * @param {Money|string|number} [options.lowBalance] - Balance threshold for 'lowBalance' (default: none).
+     * @param {Object} [options.store] - Cursor store with get(key) / put(key, record), e.g. a FileIdempotencyStore.
+     * @param {string} [options.cursorFile] - Shorthand for store: new FileIdempotencyStore(cursorFile).
+     * @param {string} [options.id='default'] - Identifies the cursor in the store.
+     * @param {boolean} [options.emitExisting=false] - Report the transactions of the first day when there
+     *   is no cursor yet, instead of taking them as already seen.
+     * @param {number} [options.maxCatchUpDays=7] - Maximum number of statement days fetched in one poll.
+     */
+    constructor(client, {
+        interval = 30000,
+        lowBalance = null,
+        store,
+        cursorFile,
+        id = 'default',
+        emitExisting = false,
+        maxCatchUpDays = 7,
+    } = {}) {
+        super();
+        this.client = client;
+        this.interval = interval;
+        this.lowBalance = lowBalance === null || lowBalance === undefined ? null : Money.parse(lowBalance);
+        this.store = store || (cursorFile ? new FileIdempotencyStore(cursorFile) : new MemoryIdempotencyStore());
+        this.key = `walletWatcher:${id}`;
+        this.emitExisting = emitExisting;
+        this.maxCatchUpDays = maxCatchUpDays;
+        this.timer = null;
+        this.running = false;
+        this.polling = null;
+    }
+
+    /**
+     * Polls now and then every `interval` milliseconds until stop().
+     */
+    start() {
+        if (!this.running) {
+            this.running = true;
+            this.runPoll();
+        }
+        return this;
+    }
+
+    /**
+     * Stops polling. A poll in progress completes and saves its cursor.
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        return this;
+    }
+
+    async runPoll() {
+        let error = null;
+        try {
+            await this.poll();
+        } catch (err) {
+            error = err;
+        }
+        if (this.running) {
+            this.timer = setTimeout(() => this.runPoll(), this.interval);
+        }
+        // runPoll runs from a timer, where an unhandled 'error' event would crash the process.
+        if (error && this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Runs one poll, emits its events and saves the cursor. Polls never overlap; calling poll() while one
+     * is in progress waits for that one.
+     * @returns {Promise<void>}
+     */
+    poll() {
+        if (!this.polling) {
+            this.polling = this.pollOnce().finally(() => {
+                this.polling = null;
+            });
+        }
+        return this.polling;
+    }
+
+    async pollOnce() {
+        const client = this.client;
+        const today = formatStatementDate(new Date());
+        const saved = await this.store.get(this.key);
+        const cursor = saved || { day: today, seen: [], outstanding: {}, belowThreshold: false };
+        const emitNew = Boolean(saved) || this.emitExisting;
+
+        const days = [];
+        for (let day = cursor.day < today ? cursor.day : today; day <= today; day = nextDay(day)) {
+            days.push(day);
+        }
+        const fetchDays = days.slice(-this.maxCatchUpDays);
+        const [balance, outstanding, ...statements] = await Promise.all([
+            client.getBalance(),
+            client.getOutstandingTransactions(),
+            ...fetchDays.map(day => client.getStatement(day)),
+        ]);
+
+        // New statement transactions, in statement order.
+        const seen = new Set(cursor.day === fetchDays[0] ? cursor.seen : []);
+        const transactions = statements.flatMap(statement => statement.dayStatement);
+        for (const tx of transactions) {
+            if (seen.has(tx.transactionId)) {
+                continue;
+            }
+            seen.add(tx.transactionId);
+            if (emitNew) {
+                this.emit('transaction', tx);
+                if (isIncoming(tx)) {
+                    this.emit('incoming', tx);
+                }
+            }
+        }
+
+        // Outstanding transactions that left PENDING. Applied ones drop off the outstanding list, so their
+        // new status is taken from the statement of their day.
+        const current = new Map(outstanding.outstandingTransactions.map(tx => [tx.transactionId, tx]));
+        const byId = new Map(transactions.map(tx => [tx.transactionId, tx]));
+        for (const [transactionId, { status, day }] of Object.entries(cursor.outstanding)) {
+            if (status !== TransactionStatus.PENDING) {
+                continue;
+            }
+            let tx = current.get(transactionId) || byId.get(transactionId);
+            if (!tx && day < fetchDays[0]) {
+                const statement = await client.getStatement(day, { cache: false });
+                tx = statement.dayStatement.find(item => item.transactionId === transactionId);
+            }
+            if (tx && tx.status !== TransactionStatus.PENDING) {
+                this.emit('settled', tx, status);
+            }
+        }
+
+        this.emit('balance', balance);
+        let belowThreshold = false;
+        if (this.lowBalance) {
+            belowThreshold = Money.parse(balance.balance).compare(this.lowBalance) < 0;
+            if (belowThreshold && !cursor.belowThreshold) {
+                this.emit('lowBalance', balance, this.lowBalance);
+            }
+        }
+
+        const todayStatement = statements[statements.length - 1];
+        await this.store.put(this.key, {
+            day: today,
+            seen: todayStatement.dayStatement.map(tx => tx.transactionId),
+            outstanding: Object.fromEntries(outstanding.outstandingTransactions.map(tx => [
+                tx.transactionId,
+                { status: tx.status, day: tx.datetime ? formatStatementDate(tx.datetime) : today },
+            ])),
+            belowThreshold,
+            updatedAt: Date.now(),
+        });
+    }
+}
+
+/**
+ * Whether a transaction brings money into the wallet: a BANK_DEPOSIT or DIRECT_TRANSFER with a positive amount.
+ */
+function isIncoming(tx) {
+    return (tx.opTypeId === OperationType.BANK_DEPOSIT || tx.opTypeId === OperationType.DIRECT_TRANSFER)
+        && tx.amount !== null && Money.parse(tx.amount).compare(Money.ZERO) > 0;
+}
+
+/**
+ * Lengths of the rolling windows of GPayTransferPolicy's dailyLimit and monthlyLimit.
+ */
+const TRANSFER_LIMIT_WINDOWS = Object.freeze({
+    daily: 24 * 60 * 60 * 1000,
+    monthly: 30 * 24 * 60 * 60 * 1000,
+});
+
+/**
+ * GPayTransferPolicy guards sendMoney. Before a transfer is signed, it checks in this order:
+ *   1. the per-transfer limit `maxAmount`;
+ *   2. the wallet against `allowWallets` or `denyWallets`;
+ *   3. the rolling `dailyLimit` (last 24 hours) and `monthlyLimit` (last 30 days);
+ *   4. checkWallet: the wallet must exist and be able to receive money;
+ *   5. `approve(transfer)` for amounts above `approvalThreshold`.
+ * A blocked transfer throws a GPayPolicyError. An allowed one is reserved against the limits until it
+ * is known to have failed, so concurrent transfers cannot overrun them together.
+ *
+ * The amounts counted against the limits are kept in the store under `transferPolicy:<id>`. Use a
+ * FileIdempotencyStore (or `storeFile`) to keep them across restarts, or a shared custom store with
+ * get(key) / put(key, record) for several processes.
+ *
+ * Usage:
+ *   const client = new GPayApiClient(apiKey, secretKey, password, BaseUrl.PRODUCTION, 'en', {
+ *       transferPolicy: { maxAmount: '1000', dailyLimit: '5000', approvalThreshold: '500', approve: askManager },
+ *   });
+ *
+ * Constructor Parameters:
+ *   @param {Object} [options]
+ *   @param {Money|string|number} [options.maxAmount] - Largest single transfer.
+ *   @param {Money|string|number} [options.dailyLimit] - Total of the transfers in any 24 hours.
+ *   @param {Money|string|number} [options.monthlyLimit] - Total of the transfers in any 30 days.
+ *   @param {string[]} [options.allowWallets] - The only wallets that may receive transfers.
+ *   @param {string[]} [options.denyWallets] - Wallets that may never receive transfers.
+ *   @param {Money|string|number} [options.approvalThreshold] - Transfers above it need approve().
+ *   @param {Function} [options.approve] - async (transfer) => boolean; transfer is { amount, walletGatewayId,
+ *     referenceNo, description, actor, wallet }, wallet being the WalletCheck.
+ *   @param {Object} [options.store] - Store with get(key) / put(key, record) (default: in memory).
+ *   @param {string} [options.storeFile] - Shorthand for store: new FileIdempotencyStore(storeFile).
+ *   @param {string} [options.id='default'] - Identifies the limits in the store.
+ */
+class GPayTransferPolicy {
+    constructor({
+        maxAmount,
+        dailyLimit,
+        monthlyLimit,
+        allowWallets,
+        denyWallets,
+        approvalThreshold,
+        approve,
+        store,
+        storeFile,
+        id = 'default',
+    } = {}) {
+        if (allowWallets && denyWallets) {
+            throw new Error('Invalid transfer policy. Use either allowWallets or denyWallets, not both.');
+        }
+        if (approvalThreshold != null && typeof approve !== 'function') {
+            throw new Error('Invalid transfer policy. approvalThreshold needs an approve(transfer) function.');
+        }
+        this.maxAmount = toMoney(maxAmount);
+        this.limits = { daily: toMoney(dailyLimit), monthly: toMoney(monthlyLimit) };
+        this.allowWallets = allowWallets ? new Set(allowWallets) : null;
+        this.denyWallets = denyWallets ? new Set(denyWallets) : null;
+        this.approvalThreshold = toMoney(approvalThreshold);
+        this.approve = approve || null;
+        this.store = store || (storeFile ? new FileIdempotencyStore(storeFile) : new MemoryIdempotencyStore());
+        this.key = `transferPolicy:${id}`;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Checks a transfer and reserves its amount against the limits.
+     * @param {GPayApiClient} client - Used for the checkWallet pre-check.
+     * @param {Object} transfer - { amount, walletGatewayId, referenceNo, description, actor }.
+     * @param {Object} [options] - { signal } for the checkWallet call.
+     * @returns {Promise<Object>} The reservation, to pass to release() if the transfer fails.
+     * @throws {GPayPolicyError} When the transfer is blocked.
+     */
+    async authorize(client, transfer, { signal } = {}) {
+        const amount = Money.parse(transfer.amount);
+        const wallet = transfer.walletGatewayId;
+        if (this.maxAmount && amount.compare(this.maxAmount) > 0) {
+            throw new GPayPolicyError('AMOUNT_LIMIT', localized('policy.amountLimit', { amount, limit: this.maxAmount }), { transfer, limit: this.maxAmount });
+        }
+        if (this.allowWallets && !this.allowWallets.has(wallet)) {
+            throw new GPayPolicyError('WALLET_NOT_ALLOWED', localized('policy.notAllowed', { wallet }), { transfer });
+        }
+        if (this.denyWallets && this.denyWallets.has(wallet)) {
+            throw new GPayPolicyError('WALLET_DENIED', localized('policy.denied', { wallet }), { transfer });
+        }
+        // Fail fast on the limits before asking GPay or an approver; the reservation below checks again.
+        await this.exclusive(async record => this.checkLimits(record, amount, transfer));
+
+        let check;
+        try {
+            check = await client.checkWallet(wallet, { signal, cache: false });
+        } catch (err) {
+            if (err instanceof GPayApiError && err.status >= 400 && err.status < 500) {
+                throw new GPayPolicyError('WALLET_NOT_FOUND', localized('policy.checkFailed', { wallet, reason: err.message }), { transfer, cause: err });
+            }
+            throw err;
+        }
+        if (!check.exists) {
+            throw new GPayPolicyError('WALLET_NOT_FOUND', localized('policy.notFound', { wallet }), { transfer });
+        }
+        if (!check.canReceiveMoney) {
+            throw new GPayPolicyError('WALLET_CANNOT_RECEIVE', localized('policy.cannotReceive', { wallet }), { transfer });
+        }
+
+        if (this.approvalThreshold && amount.compare(this.approvalThreshold) > 0) {
+            let approved;
+            try {
+                approved = await this.approve({ ...transfer, amount, wallet: check });
+            } catch (err) {
+                throw new GPayPolicyError('NOT_APPROVED', localized('policy.approvalFailed', { wallet, reason: err.message }), { transfer, cause: err });
+            }
+            if (!approved) {
+                throw new GPayPolicyError('NOT_APPROVED', localized('policy.notApproved', { amount, wallet }), { transfer, limit: this.approvalThreshold });
+            }
+        }
+
+        return this.exclusive(async record => {
+            this.checkLimits(record, amount, transfer);
+            const reservation = { amount: amount.toString(), referenceNo: transfer.referenceNo ?? null, at: Date.now() };
+            record.transfers.push(reservation);
+            await this.store.put(this.key, record);
+            return reservation;
+        });
+    }
+
+    /**
+     * Returns a reserved amount to the limits, after the transfer failed without moving money.
+     * @param {Object} reservation - As returned by authorize().
+     */
+    async release(reservation) {
+        await this.exclusive(async record => {
+            const index = record.transfers.findIndex(t => t.at === reservation.at && t.referenceNo === reservation.referenceNo && t.amount === reservation.amount);
+            if (index !== -1) {
+                record.transfers.splice(index, 1);
+                await this.store.put(this.key, record);
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<Object>} { daily, monthly }: the Money sent (or reserved) in each rolling window.
+     */
+    async usage() {
+        return this.exclusive(async record => ({ daily: this.used(record, 'daily'), monthly: this.used(record, 'monthly') }));
+    }
+
+    checkLimits(record, amount, transfer) {
+        for (const [window, limit] of Object.entries(this.limits)) {
+            if (!limit) {
+                continue;
+            }
+            const used = this.used(record, window);
+            if (used.add(amount).compare(limit) > 0) {
+                throw new GPayPolicyError(`${window.toUpperCase()}_LIMIT`, localized(`policy.${window}Limit`, { amount, limit, used }), { transfer, limit, used });
+            }
+        }
+    }
+
+    used(record, window) {
+        const since = Date.now() - TRANSFER_LIMIT_WINDOWS[window];
+        return record.transfers
+            .filter(t => t.at > since)
+            .reduce((sum, t) => sum.add(Money.parse(t.amount)), Money.ZERO);
+    }
+
+    /**
+     * Runs task(record) with the limits record, one task at a time; transfers older than the monthly
+     * window are dropped.
+     */
+    exclusive(task) {
+        const run = this.queue.then(async () => {
+            const stored = await this.store.get(this.key);
+            const since = Date.now() - TRANSFER_LIMIT_WINDOWS.monthly;
+            const transfers = stored && Array.isArray(stored.transfers) ? stored.transfers.filter(t => t.at > since) : [];
+            return task({ transfers });
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+/**
+ * GPayScheduler queues request attempts so a client stays within GPay's rate limits.
+ * Each endpoint has its own token bucket, a global cap limits the calls in flight, and queued calls are
+ * started by lane: 'high' (sendMoney, createPaymentRequest) before 'normal' (status, wallet and balance
+ * checks) before 'low' (statements, outstanding transactions). A queued call whose endpoint has no token
+ * left does not hold up calls to other endpoints. One scheduler may be shared by several clients.
+ *
+ * Usage:
+ *   const client = new GPayApiClient(apiKey, secretKey, password, BaseUrl.PRODUCTION, 'en', {
+ *       scheduler: {
+ *           concurrency: 4,
+ *           rateLimits: { '/payment/check-payment-status': { rate: 5, interval: 1000 } },
+ *       },
+ *   });
+ *   client.scheduler.stats();
+ *
+ * Constructor Options:
+ *   @param {number} [concurrency=Infinity] - Maximum number of calls in flight.
+ *   @param {Object} [rateLimits] - Endpoint => { rate, interval = 1000, burst = rate }: `rate` calls per
+ *     `interval` milliseconds, with up to `burst` calls at once.
+ *   @param {Object} [defaultRateLimit] - The limit of endpoints missing from rateLimits (default: none).
+ *   @param {Object} [priorities] - Endpoint => lane overrides.
+ */
+class GPayScheduler {
+    constructor({ concurrency = Infinity, rateLimits = {}, defaultRateLimit = null, priorities = {} } = {}) {
+        this.concurrency = Math.max(1, concurrency);
+        this.rateLimits = rateLimits;
+        this.defaultRateLimit = defaultRateLimit;
+        this.priorities = { ...DEFAULT_ENDPOINT_PRIORITIES, ...priorities };
+        this.queue = [];
+        this.running = 0;
+        this.timer = null;
+        this.buckets = new Map();
+        this.endpointStats = new Map();
+    }
+
+    /**
+     * Waits until a call to the endpoint may start.
+     * @param {string} endpoint
+     * @param {Object} [options]
+     * @param {string} [options.priority] - 'high', 'normal' or 'low' (default by endpoint).
+     * @param {AbortSignal} [options.signal] - Removes the call from the queue when aborted.
+     * @returns {Promise<Function>} Resolves to release(), which must be called when the call is done.
+     */
+    acquire(endpoint, { priority, signal } = {}) {
+        const lane = priority ?? this.priorities[endpoint] ?? 'normal';
+        if (!PRIORITY_LANES.includes(lane)) {
+            return Promise.reject(new GPayValidationError([fieldError('priority', localized('field.oneOf', { values: PRIORITY_LANES.join(', ') }))]));
+        }
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        return new Promise((resolve, reject) => {
+            const entry = {
+                endpoint,
+                lane,
+                rank: PRIORITY_LANES.indexOf(lane),
+                enqueuedAt: Date.now(),
+                resolve,
+                reject,
+                signal,
+                onAbort: null,
+            };
+            if (signal) {
+                entry.onAbort = () => {
+                    const index = this.queue.indexOf(entry);
+                    if (index !== -1) {
+                        this.queue.splice(index, 1);
+                        reject(signal.reason);
+                        this.drain();
+                    }
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            // Keep the queue ordered by lane, then by arrival.
+            let index = this.queue.findIndex(queued => queued.rank > entry.rank);
+            if (index === -1) {
+                index = this.queue.length;
+            }
+            this.queue.splice(index, 0, entry);
+            this.drain();
+        });
+    }
+
+    /**
+     * Stops starting calls to the endpoint for the given time, e.g. after a 429 response.
+     * @param {string} endpoint
+     * @param {number} ms
+     */
+    pause(endpoint, ms) {
+        const bucket = this.bucket(endpoint);
+        bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+        this.counters(endpoint).throttled++;
+        this.drain();
+    }
+
+    /**
+     * Returns queue and wait-time statistics.
+     * @returns {Object} { running, queued, queuedByLane, started, averageWait, maxWait, throttled, endpoints }
+     *   where endpoints maps each endpoint to { queued, started, averageWait, maxWait, throttled, pausedUntil }.
+     */
+    stats() {
+        const queuedByLane = Object.fromEntries(PRIORITY_LANES.map(lane => [lane, 0]));
+        const queuedByEndpoint = new Map();
+        for (const entry of this.queue) {
+            queuedByLane[entry.lane]++;
+            queuedByEndpoint.set(entry.endpoint, (queuedByEndpoint.get(entry.endpoint) || 0) + 1);
+        }
+        const endpoints = {};
+        const totals = { started: 0, totalWait: 0, maxWait: 0, throttled: 0 };
+        const names = new Set([...this.endpointStats.keys(), ...queuedByEndpoint.keys()]);
+        for (const name of names) {
+            const stats = this.counters(name);
+            const bucket = this.buckets.get(name);
+            endpoints[name] = {
+                queued: queuedByEndpoint.get(name) || 0,
+                started: stats.started,
+                averageWait: stats.started ? stats.totalWait / stats.started : 0,
+                maxWait: stats.maxWait,
+                throttled: stats.throttled,
+                pausedUntil: bucket && bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil) : null,
+            };
+            totals.started += stats.started;
+            totals.totalWait += stats.totalWait;
+            totals.maxWait = Math.max(totals.maxWait, stats.maxWait);
+            totals.throttled += stats.throttled;
+        }
+        return {
+            running: this.running,
+            queued: this.queue.length,
+            queuedByLane,
+            started: totals.started,
+            averageWait: totals.started ? totals.totalWait / totals.started : 0,
+            maxWait: totals.maxWait,
+            throttled: totals.throttled,
+            endpoints,
+        };
+    }
+
+    counters(endpoint) {
+        let counters = this.endpointStats.get(endpoint);
+        if (!counters) {
+            counters = { started: 0, totalWait: 0, maxWait: 0, throttled: 0 };
+            this.endpointStats.set(endpoint, counters);
+        }
+        return counters;
+    }
+
+    bucket(endpoint) {
+        let bucket = this.buckets.get(endpoint);
+        if (!bucket) {
+            const limit = this.rateLimits[endpoint] ?? this.defaultRateLimit;
+            const interval = (limit && limit.interval) || 1000;
+            bucket = {
+                capacity: limit ? limit.burst ?? limit.rate : Infinity,
+                perMs: limit ? limit.rate / interval : Infinity,
+                tokens: limit ? limit.burst ?? limit.rate : Infinity,
+                updatedAt: Date.now(),
+                pausedUntil: 0,
+            };
+            this.buckets.set(endpoint, bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Returns the time at which the endpoint can start a call, refilling its bucket first.
+     */
+    readyAt(bucket, now) {
+        if (bucket.tokens !== Infinity) {
+            bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.perMs);
+            bucket.updatedAt = now;
+        }
+        const tokenAt = bucket.tokens >= 1 ? now : now + Math.ceil((1 - bucket.tokens) / bucket.perMs);
+        return Math.max(tokenAt, bucket.pausedUntil);
+    }
+
+    drain() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        const now = Date.now();
+        let wakeAt = Infinity;
+        for (let i = 0; i < this.queue.length && this.running < this.concurrency;) {
+            const entry = this.queue[i];
+            const bucket = this.bucket(entry.endpoint);
+            const readyAt = this.readyAt(bucket, now);
+            if (readyAt > now) {
+                wakeAt = Math.min(wakeAt, readyAt);
+                i++;
+                continue;
+            }
+            bucket.tokens -= 1;
+            this.queue.splice(i, 1);
+            this.start(entry, now);
+        }
+        if (this.queue.length && this.running < this.concurrency && wakeAt !== Infinity) {
+            this.timer = setTimeout(() => this.drain(), wakeAt - now);
+        }
+    }
+
+    start(entry, now) {
+        if (entry.signal) {
+            entry.signal.removeEventListener('abort', entry.onAbort);
+        }
+        const stats = this.counters(entry.endpoint);
+        const wait = now - entry.enqueuedAt;
+        stats.started++;
+        stats.totalWait += wait;
+        stats.maxWait = Math.max(stats.maxWait, wait);
+        this.running++;
+        let released = false;
+        entry.resolve(() => {
+            if (!released) {
+                released = true;
+                this.running--;
+                this.drain();
+            }
+        });
+    }
+}
+
+/**
+ * GPayResponseCache keeps verified responses of read-only endpoints and lets identical concurrent calls
+ * share one request. Only responses that passed verifyResponse are stored. Statements of closed days (past
+ * days whose transactions are all APPLIED) are kept indefinitely, without the wallet's current balance and
+ * outstanding totals, which a cached Statement returns as null. checkWallet results are kept for five
+ * minutes, and balances, payment statuses and outstanding transactions are not cached unless a TTL is
+ * configured for them. Entries are keyed by endpoint, parameters, base URL, language and an HMAC of the
+ * API key, so one store can serve several merchants.
+ *
+ * A coalesced call shares the first call's timeout, retry policy and priority. The shared request is
+ * only aborted when every call waiting for it was aborted.
+ *
+ * Usage:
+ *   const client = new GPayApiClient(apiKey, secretKey, password, BaseUrl.PRODUCTION, 'en', {
+ *       cache: { store: new FileCacheStore('./data/gpay-cache.json'), ttl: { '/info/balance': 5000 } },
+ *   });
+ *   await client.getStatement('2025-01-15');                 // sent
+ *   await client.getStatement('2025-01-15');                 // from the cache
+ *   await client.getStatement('2025-01-15', { cache: false }); // sent
+ *
+ * Constructor Options:
+ *   @param {Object} [store] - MemoryCacheStore (default), FileCacheStore or a store with async
+ *     get(key), set(key, value, ttl) and delete(key), where values are strings and ttl is in milliseconds
+ *     (undefined for no expiry).
+ *   @param {Object} [ttl] - Endpoint => milliseconds overrides for DEFAULT_CACHE_TTLS; 0 disables caching
+ *     and Infinity keeps entries until the store evicts them.
+ *   @param {boolean} [coalesce=true] - Share one request between identical concurrent calls.
+ */
+class GPayResponseCache {
+    constructor({ store = new MemoryCacheStore(), ttl = {}, coalesce = true } = {}) {
+        for (const endpoint of Object.keys(ttl)) {
+            if (!READ_ONLY_ENDPOINTS.includes(endpoint)) {
+                throw new Error(`Invalid cache ttl. Only read-only endpoints can be cached, not ${endpoint}.`);
+            }
+        }
+        this.store = store;
+        this.ttl = { ...DEFAULT_CACHE_TTLS, ...ttl };
+        this.coalesce = coalesce;
+        this.pending = new Map();
+        this.counts = { hits: 0, misses: 0, coalesced: 0, stored: 0, errors: 0 };
+    }
+
+    /**
+     * Resolves a read-only request from the cache, from a request already in flight, or with send().
+     * @param {GPayApiClient} client
+     * @param {string} endpoint
+     * @param {Object} parameters - The request parameters; request_timestamp is not part of the key.
+     * @param {Object} options - The per-call options.
+     * @param {Function} send - (options) => Promise<{ response, headers, code }>, sends the request.
+     * @returns {Promise<Object>} The result; results from the cache have `cached: true` and no headers.
+     */
+    async fetch(client, endpoint, parameters, options, send) {
+        const ttl = this.ttlFor(endpoint, parameters);
+        if (!ttl && !this.coalesce) {
+            return send(options);
+        }
+        const key = await this.key(client, endpoint, parameters, options.language || client.language);
+        let shared = this.coalesce ? this.pending.get(key) : null;
+        if (shared) {
+            this.counts.coalesced++;
+        } else {
+            const controller = new AbortController();
+            shared = { controller, waiters: 0, promise: null };
+            shared.promise = this.load(key, endpoint, ttl, options, () => send({ ...options, signal: controller.signal }));
+            if (this.coalesce) {
+                this.pending.set(key, shared);
+                const done = () => this.pending.delete(key);
+                shared.promise.then(done, done);
+            }
+        }
+        return waitFor(shared, options.signal);
+    }
+
+    async load(key, endpoint, ttl, options, send) {
+        if (ttl) {
+            const hit = await this.read(key);
+            if (hit) {
+                this.counts.hits++;
+                return { response: hit.response, headers: {}, code: hit.code, cached: true };
+            }
+        }
+        this.counts.misses++;
+        const result = await send();
+        // sendRequest verified the response against these fields; unverified responses are never stored.
+        const response = ttl && options.signedFields ? this.storable(endpoint, result.response) : null;
+        if (response) {
+            await this.write(key, { response, code: result.code }, ttl);
+        }
+        return result;
+    }
+
+    /**
+     * Returns the response as it may be stored, or null when it may not be stored. A statement is only
+     * stored once its day is closed, i.e. every transaction of the day is APPLIED, and without the live
+     * available_balance, outstanding_credit and outstanding_debit, which are null in a cached statement.
+     */
+    storable(endpoint, response) {
+        if (endpoint !== '/info/statement') {
+            return response;
+        }
+        const data = response.data || {};
+        const transactions = Array.isArray(data.day_statement) ? data.day_statement : [];
+        if (!transactions.every(tx => Number(tx.status) === TransactionStatus.APPLIED)) {
+            return null;
+        }
+        return { ...response, data: { ...data, available_balance: null, outstanding_credit: null, outstanding_debit: null } };
+    }
+
+    /**
+     * Returns how long the response may be cached, 0 when it may not.
+     */
+    ttlFor(endpoint, parameters) {
+        const ttl = this.ttl[endpoint] || 0;
+        if (endpoint === '/info/statement' && !(parameters.date < formatStatementDate(new Date()))) {
+            // Today's statement still changes; past days are checked by storable().
+            return 0;
+        }
+        return ttl;
+    }
+
+    async key(client, endpoint, parameters, language = client.language) {
+        const { apiKey } = client.getCredentials();
+        const merchant = await client.signer.hmacSha256(apiKey, `${client.baseUrl} ${language}`);
+        const fields = Object.keys(parameters)
+            .filter(name => name !== 'request_timestamp')
+            .sort()
+            .map(name => `${name}=${parameters[name]}`)
+            .join('&');
+        return `gpay:${merchant}:${endpoint}?${fields}`;
+    }
+
+    // The cache is an optimisation: a failing store is counted and the request is sent instead.
+    async read(key) {
+        try {
+            const value = await this.store.get(key);
+            return value == null ? null : JSON.parse(value);
+        } catch {
+            this.counts.errors++;
+            return null;
+        }
+    }
+
+    async write(key, entry, ttl) {
+        try {
+            await this.store.set(key, JSON.stringify(entry), ttl === Infinity ? undefined : ttl);
+            this.counts.stored++;
+        } catch {
+            this.counts.errors++;
+        }
+    }
+
+    /**
+     * Removes a cached response, e.g. a statement that has to be fetched again.
+     * @param {GPayApiClient} client
+     * @param {string} endpoint
+     * @param {Object} parameters - e.g. { date: '2025-01-15' } or { wallet_gateway_id: '...' }.
+     */
+    async invalidate(client, endpoint, parameters) {
+        await this.store.delete(await this.key(client, endpoint, parameters));
+    }
+
+    /**
+     * @returns {Object} { hits, misses, coalesced, stored, errors, inFlight }
+     */
+    stats() {
+        return { ...this.counts, inFlight: this.pending.size };
+    }
+}
+
+/**
+ * Waits for a shared request, rejecting early when the caller's signal is aborted. The request itself is
+ * aborted once no caller is left waiting for it.
+ */
+function waitFor(shared, signal) {
+    if (!signal) {
+        shared.waiters++;
+        return shared.promise;
+    }
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    shared.waiters++;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            if (--shared.waiters === 0) {
+                shared.controller.abort(signal.reason);
+            }
+            reject(signal.reason);
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        shared.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * GPayCassette records the exchanges of a client to a JSON file, or replays them instead of calling the API,
+ * for deterministic tests. Each exchange holds the endpoint, the request parameters and headers, and the
+ * response status, headers and raw body.
+ *
+ * Recording scrubs the API key, secret key and password wherever they appear (the Authorization header
+ * becomes 'Bearer [REDACTED]'), and replaces the request's salt, hash and request_timestamp with '[NORMALIZED]'.
+ * The response signature headers are kept, so replayed responses still go through verifyResponse; the
+ * replaying client needs the recorded secret key and password, and response_timestamp is checked
+ * against the time the exchange was recorded.
+ *
+ * Replay matches a request by endpoint and its parameters other than request_timestamp. Identical requests
+ * are answered in recorded order, e.g. a status that changes between polls. A request without an unplayed
+ * match throws a GPayCassetteError (UNMATCHED_REQUEST), which is never retried.
+ *
+ * Usage:
+ *   // Record once against staging
+ *   const client = new GPayApiClient(apiKey, secretKey, password, BaseUrl.STAGING, 'en', {
+ *       cassette: { path: 'test/cassettes/payment.json', mode: 'record' },
+ *   });
+ *   // Replay offline
+ *   const client = new GPayApiClient(apiKey, secretKey, password, BaseUrl.STAGING, 'en', {
+ *       cassette: { path: 'test/cassettes/payment.json', mode: 'replay' },
+ *   });
+ *
+ * Constructor Parameters:
+ *   @param {string} path - The cassette file. Recording replaces it.
+ *   @param {Object} [options]
+ *   @param {string} [options.mode='replay'] - 'record' or 'replay'.
+ *   @param {string[]} [options.ignoreParameters=['request_timestamp']] - Parameters left out of the match.
+ */
+class GPayCassette {
+    constructor(path, { mode = 'replay', ignoreParameters = ['request_timestamp'] } = {}) {
+        if (!path) {
+            throw new Error('Invalid cassette. A cassette needs a path.');
+        }
+        if (mode !== 'record' && mode !== 'replay') {
+            throw new Error(`Invalid cassette mode "${mode}". Use 'record' or 'replay'.`);
+        }
+        this.path = path;
+        this.mode = mode;
+        this.ignoreParameters = ignoreParameters;
+        this.exchanges = mode === 'record' ? [] : null;
+        this.played = new Set();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Answers one request attempt: records the response of send() or replays a recorded one.
+     * @param {GPayApiClient} client - Supplies the secrets to scrub.
+     * @param {string} endpoint
+     * @param {Object} parameters - The signed request parameters.
+     * @param {Object} init - The fetch init of the request.
+     * @param {Function} send - () => Promise<Response>, sends the request.
+     * @returns {Promise<Object>} { response, recordedAt }, recordedAt being null while recording.
+     */
+    async play(client, endpoint, parameters, init, send) {
+        return this.mode === 'record'
+            ? this.record(client, endpoint, parameters, init, send)
+            : this.replay(endpoint, parameters);
+    }
+
+    async record(client, endpoint, parameters, init, send) {
+        const response = await send();
+        const body = await response.text();
+        const headers = {};
+        response.headers.forEach((value, key) => {
+            headers[key] = value;
+        });
+        const { apiKey, secretKey, password } = client.getCredentials();
+        const secrets = [apiKey, secretKey, password];
+        this.exchanges.push({
+            endpoint,
+            recordedAt: Date.now(),
+            request: {
+                parameters: redactSecrets(normalizeParameters(parameters), secrets),
+                headers: { ...redactSecrets(init.headers, secrets), 'X-Signature-Salt': NORMALIZED, 'X-Signature-Hash': NORMALIZED },
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                // The signature headers are kept; they are what replay verifies.
+                headers: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, redactSecrets(value, secrets)])),
+                body: redactSecrets(body, secrets),
+            },
+        });
+        await this.save();
+        return {
+            response: new Response(body, { status: response.status, statusText: response.statusText, headers }),
+            recordedAt: null,
+        };
+    }
+
+    async replay(endpoint, parameters) {
+        const exchanges = await this.load();
+        const key = this.matchKey(endpoint, parameters);
+        const index = exchanges.findIndex((exchange, i) => !this.played.has(i) && this.matchKey(exchange.endpoint, exchange.request.parameters) === key);
+        if (index === -1) {
+            throw new GPayCassetteError('UNMATCHED_REQUEST', localized('cassette.unmatched', { path: this.path, endpoint, parameters: JSON.stringify(normalizeParameters(parameters)) }), { endpoint, parameters });
+        }
+        this.played.add(index);
+        const { response, recordedAt } = exchanges[index];
+        return {
+            response: new Response(response.body, { status: response.status, statusText: response.statusText, headers: response.headers }),
+            recordedAt,
+        };
+    }
+
+    matchKey(endpoint, parameters) {
+        const fields = Object.keys(parameters)
+            .filter(name => !this.ignoreParameters.includes(name))
+            .sort()
+            .map(name => [name, parameters[name] == null ? null : String(parameters[name])]);
+        return JSON.stringify([endpoint, fields]);
+    }
+
+    /**
+     * @returns {Object[]} The recorded exchanges that have not been replayed, e.g. to assert that a test
+     *   made every call it recorded.
+     */
+    unplayed() {
+        return (this.exchanges || []).filter((exchange, i) => !this.played.has(i));
+    }
+
+    async load() {
+        if (!this.exchanges) {
+            let cassette;
+            try {
+                const fs = await import('fs');
+                cassette = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+            } catch (err) {
+                throw new GPayCassetteError('INVALID_CASSETTE', localized('cassette.unreadable', { path: this.path, reason: err.message }), { cause: err });
+            }
+            if (!cassette || cassette.version !== 1 || !Array.isArray(cassette.exchanges)) {
+                throw new GPayCassetteError('INVALID_CASSETTE', localized('cassette.version', { path: this.path }));
+            }
+            this.exchanges = cassette.exchanges;
+        }
+        return this.exchanges;
+    }
+
+    save() {
+        const run = this.queue.then(async () => {
+            const [fs, path] = await Promise.all([import('fs'), import('path')]);
+            await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+            const tmp = `${this.path}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmp, `${JSON.stringify({ version: 1, exchanges: this.exchanges }, null, 2)}\n`);
+            await fs.promises.rename(tmp, this.path);
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+const NORMALIZED = '[NORMALIZED]';
+
+function normalizeParameters(parameters) {
+    return 'request_timestamp' in parameters ? { ...parameters, request_timestamp: NORMALIZED } : { ...parameters };
+}
+
+/**
+ * Messages of the errors raised by the SDK and labels of the enums, by language. A message may contain
+ * {name} placeholders filled from the error's parameters. The API's own error messages are not listed;
+ * GPay returns them in the client's Accept-Language.
+ */
+const MESSAGES = Object.freeze({
+    en: Object.freeze({
+        'validation.failed': 'Invalid request: {errors}',
+        'field.required': 'is required',
+        'field.string': 'must be a string',
+        'field.maxLength': 'must be at most {max} characters',
+        'field.referenceNoChars': 'may only contain letters, digits and . _ : / # -',
+        'field.controlChars': 'must not contain control characters',
+        'field.format': 'has an invalid format',
+        'field.date': 'must be a Date or a YYYY-MM-DD string',
+        'field.amount': 'must be a positive LYD amount with at most 3 decimal places',
+        'field.positive': 'must be greater than zero',
+        'field.amountTooLarge': 'is larger than the largest supported amount',
+        'field.nonEmptyArray': 'must be a non-empty array',
+        'field.duplicate': 'is also used by {other}',
+        'field.notAfter': 'must not be after {other}',
+        'field.oneOf': 'must be one of {values}',
+        'schema.invalid': 'Invalid response from GPay API {endpoint}: {errors}',
+        'schema.missing': 'is missing',
+        'schema.notObject': 'is missing or not an object',
+        'schema.object': 'must be an object',
+        'schema.id': 'must be an ID',
+        'schema.string': 'must be a string',
+        'schema.boolean': 'must be a boolean',
+        'schema.integer': 'must be an integer',
+        'schema.money': 'must be an LYD amount',
+        'schema.date': 'must be a timestamp',
+        'schema.transactions': 'must be an array',
+        'response.invalidJson': 'Invalid response from GPay API: body is not valid JSON',
+        'response.noJson': 'Invalid response from GPay API: No JSON response',
+        'api.error': 'GPay API Error ({code}): {message}',
+        'transport.timeout': 'GPay API request to {endpoint} timed out after {timeout}ms',
+        'transport.failed': 'GPay API request to {endpoint} failed: {reason}',
+        'signature.missing': 'Missing X-Signature-Hash or X-Signature-Salt in response headers',
+        'signature.mismatch': 'Response verification failed: hash mismatch',
+        'signature.stale': 'Response verification failed: response_timestamp is outside the accepted clock skew of {skew}ms',
+        'signature.replayed': 'Response verification failed: signature salt was already used',
+        'signature.unsigned': 'Response verification failed: unsigned fields in response: {fields}',
+        'signature.fieldMismatch': 'Response verification failed: {field} does not match the request',
+        'idempotency.inFlight': 'A {operation} call with reference {referenceNo} is already in flight',
+        'idempotency.mismatch': 'Reference {referenceNo} was already used for a different {operation} call',
+        'idempotency.completed': 'A {operation} call with reference {referenceNo} already completed as transaction {transactionId}',
+        'idempotency.lostResponse': 'The {operation} call with reference {referenceNo} reached GPay as transaction {transactionId}, but its response was lost',
+        'payout.mismatch': 'Payout job {jobId} was created for different items',
+        'payout.insufficientBalance': 'Payout job {jobId} needs {required} LYD including the fee buffer, but the balance is {available} LYD',
+        'payment.notPaid': 'Payment request {requestId} was not paid within {timeout}ms',
+        'statement.chain': 'Statement balance for {day} does not chain from {previousDay}: expected {expected}, got {actual}',
+        'policy.amountLimit': 'Transfer of {amount} LYD exceeds the per-transfer limit of {limit} LYD',
+        'policy.dailyLimit': 'Transfer of {amount} LYD would exceed the daily limit of {limit} LYD ({used} LYD used)',
+        'policy.monthlyLimit': 'Transfer of {amount} LYD would exceed the monthly limit of {limit} LYD ({used} LYD used)',
+        'policy.notAllowed': 'Wallet {wallet} is not on the allow-list',
+        'policy.denied': 'Wallet {wallet} is on the deny-list',
+        'policy.checkFailed': 'Wallet {wallet} could not be checked: {reason}',
+        'policy.notFound': 'Wallet {wallet} does not exist',
+        'policy.cannotReceive': 'Wallet {wallet} cannot receive money',
+        'policy.approvalFailed': 'Approval of the transfer to {wallet} failed: {reason}',
+        'policy.notApproved': 'Transfer of {amount} LYD to {wallet} was not approved',
+        'cassette.unmatched': 'No unplayed exchange in cassette {path} matches {endpoint} {parameters}',
+        'cassette.unreadable': 'Cannot read cassette {path}: {reason}',
+        'cassette.version': 'Cassette {path} is not a version 1 cassette',
+        'audit.requestFailed': 'Could not write the audit entry for {endpoint}; the request was not sent: {reason}',
+        'audit.resultFailed': 'Could not write the {event} audit entry for {endpoint}: {reason}',
+        'client.invalidBaseUrl': 'Invalid baseUrl. Use BaseUrl.STAGING or BaseUrl.PRODUCTION, or set options.allowCustomBaseUrl for another URL.',
+        'client.invalidCustomBaseUrl': 'Invalid baseUrl. A custom baseUrl must be an absolute http(s) URL.',
+        'client.invalidTransport': 'Invalid transport. options.transport must be a function (url, init) => Promise<Response>.',
+        'client.invalidSigner': 'Invalid signer. options.signer must provide randomSalt(), hmacSha256(key, message) and randomUUID().',
+        'client.invalidAudit': 'Invalid audit. options.audit must provide append(entry), or be { path } for a FileAuditSink.',
+        'notification.stale': 'Notification {field} is missing or older than {maxAge}ms',
+        'notification.noRequestId': 'Notification has no request_id',
+        'notification.rejected': 'checkPaymentStatus rejected {requestId}: {reason}',
+        'notification.confirmationFailed': 'Could not confirm notification: {reason}',
+        'notification.notPaid': 'Payment request {requestId} is not paid according to checkPaymentStatus',
+        'notification.amountMismatch': 'Notified amount for {requestId} does not match checkPaymentStatus',
+        'notification.transactionMismatch': 'Notified transaction for {requestId} does not match checkPaymentStatus',
+        'notification.replayed': 'Notification signature salt was already used',
+        'notification.invalidJson': 'Notification body is not valid JSON',
+        'notification.notObject': 'Notification body must be a JSON object',
+        'notification.tooLarge': 'Notification body exceeds {max} bytes',
+        'notification.unreadable': 'Could not read notification body: {reason}',
+        'notification.cutOff': 'Notification body was cut off',
+        'notification.rawBodyRequired': 'fastify() needs the raw notification body; register a content-type parser with parseAs \'buffer\' for its route',
+        'credentials.invalidProvider': 'Invalid provider. Pass an object with getCredentials(merchantId) or an async function.',
+        'credentials.invalidCallback': 'Invalid callback. CallbackCredentialProvider expects (merchantId) => Promise<credentials>.',
+        'credentials.unknownMerchant': 'No GPay credentials for merchant {merchantId}',
+        'credentials.missing': 'GPay credentials for merchant {merchantId} are missing {fields}',
+        'credentials.unparsable': 'Cannot parse credentials file {path}: {reason}',
+        'money.invalid': 'Invalid LYD amount: {value}',
+        'money.invalidDirhams': 'Invalid dirham amount: {value}',
+        'currency.LYD': 'LYD',
+        'operationType.DIRECT_TRANSFER': 'Direct transfer',
+        'operationType.PAYMENT_REQUEST': 'Payment request',
+        'operationType.BANK_DEPOSIT': 'Bank deposit',
+        'operationType.BANK_WITHDRAW': 'Bank withdrawal',
+        'operationType.TRANSACTION_FEE': 'Transaction fee',
+        'operationType.LOCAL_TRANSFER': 'Local transfer',
+        'transactionStatus.PENDING': 'Pending',
+        'transactionStatus.COMPLETED': 'Completed',
+        'transactionStatus.APPLIED': 'Applied',
+    }),
+    ar: Object.freeze({
+        'validation.failed': 'طلب غير صالح: {errors}',
+        'field.required': 'مطلوب',
+        'field.string': 'يجب أن يكون نصًا',
+        'field.maxLength': 'يجب ألا يتجاوز {max} حرفًا',
+        'field.referenceNoChars': 'يجب أن يقتصر على الحروف والأرقام و . _ : / # -',
+        'field.controlChars': 'يجب ألا يحتوي على محارف تحكم',
+        'field.format': 'صيغته غير صالحة',
+        'field.date': 'يجب أن يكون Date أو نصًا بالصيغة YYYY-MM-DD',
+        'field.amount': 'يجب أن يكون مبلغًا موجبًا بالدينار الليبي بثلاث خانات عشرية على الأكثر',
+        'field.positive': 'يجب أن يكون أكبر من صفر',
+        'field.amountTooLarge': 'أكبر من أقصى مبلغ مدعوم',
+        'field.nonEmptyArray': 'يجب أن يكون مصفوفة غير فارغة',
+        'field.duplicate': 'مستخدم أيضًا في {other}',
+        'field.notAfter': 'يجب ألا يكون بعد {other}',
+        'field.oneOf': 'يجب أن يكون إحدى القيم: {values}',
+        'schema.invalid': 'استجابة غير صالحة من واجهة GPay {endpoint}: {errors}',
+        'schema.missing': 'مفقود',
+        'schema.notObject': 'مفقود أو ليس كائنًا',
+        'schema.object': 'يجب أن يكون كائنًا',
+        'schema.id': 'يجب أن يكون معرّفًا',
+        'schema.string': 'يجب أن يكون نصًا',
+        'schema.boolean': 'يجب أن يكون قيمة منطقية',
+        'schema.integer': 'يجب أن يكون عددًا صحيحًا',
+        'schema.money': 'يجب أن يكون مبلغًا بالدينار الليبي',
+        'schema.date': 'يجب أن يكون طابعًا زمنيًا',
+        'schema.transactions': 'يجب أن يكون مصفوفة',
+        'response.invalidJson': 'استجابة غير صالحة من واجهة GPay: المحتوى ليس JSON صالحًا',
+        'response.noJson': 'استجابة غير صالحة من واجهة GPay: لا توجد استجابة JSON',
+        'api.error': 'خطأ من واجهة GPay ({code}): {message}',
+        'transport.timeout': 'انتهت مهلة الطلب إلى واجهة GPay {endpoint} بعد {timeout} ملّي ثانية',
+        'transport.failed': 'فشل الطلب إلى واجهة GPay {endpoint}: {reason}',
+        'signature.missing': 'الترويسة X-Signature-Hash أو X-Signature-Salt غير موجودة في الاستجابة',
+        'signature.mismatch': 'فشل التحقق من الاستجابة: التوقيع غير مطابق',
+        'signature.stale': 'فشل التحقق من الاستجابة: قيمة response_timestamp خارج فارق التوقيت المقبول ({skew} ملّي ثانية)',
+        'signature.replayed': 'فشل التحقق من الاستجابة: ملح التوقيع مستخدم من قبل',
+        'signature.unsigned': 'فشل التحقق من الاستجابة: حقول غير موقّعة في الاستجابة: {fields}',
+        'signature.fieldMismatch': 'فشل التحقق من الاستجابة: الحقل {field} لا يطابق الطلب',
+        'idempotency.inFlight': 'عملية {operation} بالرقم المرجعي {referenceNo} قيد التنفيذ بالفعل',
+        'idempotency.mismatch': 'الرقم المرجعي {referenceNo} مستخدم من قبل لعملية {operation} مختلفة',
+        'idempotency.completed': 'اكتملت عملية {operation} بالرقم المرجعي {referenceNo} من قبل بالحركة {transactionId}',
+        'idempotency.lostResponse': 'وصلت عملية {operation} بالرقم المرجعي {referenceNo} إلى GPay بالحركة {transactionId}، لكن استجابتها فُقدت',
+        'payout.mismatch': 'أُنشئت دفعة الصرف {jobId} لبنود مختلفة',
+        'payout.insufficientBalance': 'تحتاج دفعة الصرف {jobId} إلى {required} د.ل. شاملة احتياطي الرسوم، لكن الرصيد {available} د.ل.',
+        'payment.notPaid': 'لم يُدفع طلب الدفع {requestId} خلال {timeout} ملّي ثانية',
+        'statement.chain': 'رصيد كشف الحساب ليوم {day} لا يتسلسل من يوم {previousDay}: المتوقع {expected} والفعلي {actual}',
+        'policy.amountLimit': 'تحويل {amount} د.ل. يتجاوز حد التحويل الواحد البالغ {limit} د.ل.',
+        'policy.dailyLimit': 'تحويل {amount} د.ل. سيتجاوز الحد اليومي البالغ {limit} د.ل. (المستخدم {used} د.ل.)',
+        'policy.monthlyLimit': 'تحويل {amount} د.ل. سيتجاوز الحد الشهري البالغ {limit} د.ل. (المستخدم {used} د.ل.)',
+        'policy.notAllowed': 'المحفظة {wallet} ليست في قائمة المحافظ المسموح بها',
+        'policy.denied': 'المحفظة {wallet} في قائمة المحافظ المحظورة',
+        'policy.checkFailed': 'تعذّر التحقق من المحفظة {wallet}: {reason}',
+        'policy.notFound': 'المحفظة {wallet} غير موجودة',
+        'policy.cannotReceive': 'المحفظة {wallet} لا يمكنها استلام الأموال',
+        'policy.approvalFailed': 'فشلت الموافقة على التحويل إلى المحفظة {wallet}: {reason}',
+        'policy.notApproved': 'لم تتم الموافقة على تحويل {amount} د.ل. إلى المحفظة {wallet}',
+        'cassette.unmatched': 'لا يوجد تبادل لم يُعَد تشغيله في الشريط {path} يطابق {endpoint} {parameters}',
+        'cassette.unreadable': 'تعذّرت قراءة الشريط {path}: {reason}',
+        'cassette.version': 'الشريط {path} ليس من الإصدار 1',
+        'audit.requestFailed': 'تعذّرت كتابة سجل التدقيق لـ {endpoint}، ولم يُرسَل الطلب: {reason}',
+        'audit.resultFailed': 'تعذّرت كتابة سجل التدقيق ({event}) لـ {endpoint}: {reason}',
+        'client.invalidBaseUrl': 'قيمة baseUrl غير صالحة. استخدم BaseUrl.STAGING أو BaseUrl.PRODUCTION، أو فعّل options.allowCustomBaseUrl لاستخدام عنوان آخر.',
+        'client.invalidCustomBaseUrl': 'قيمة baseUrl غير صالحة. يجب أن يكون عنوان baseUrl المخصص عنوان http(s) كاملًا.',
+        'client.invalidTransport': 'قيمة transport غير صالحة. يجب أن يكون options.transport دالة (url, init) => Promise<Response>.',
+        'client.invalidSigner': 'قيمة signer غير صالحة. يجب أن يوفّر options.signer الدوال randomSalt() و hmacSha256(key, message) و randomUUID().',
+        'client.invalidAudit': 'قيمة audit غير صالحة. يجب أن يوفّر options.audit الدالة append(entry)، أو أن يكون { path } لسجل FileAuditSink.',
+        'notification.stale': 'الحقل {field} في الإشعار مفقود أو أقدم من {maxAge} ملّي ثانية',
+        'notification.noRequestId': 'لا يحتوي الإشعار على request_id',
+        'notification.rejected': 'رفض checkPaymentStatus الطلب {requestId}: {reason}',
+        'notification.confirmationFailed': 'تعذّر تأكيد الإشعار: {reason}',
+        'notification.notPaid': 'طلب الدفع {requestId} غير مدفوع حسب checkPaymentStatus',
+        'notification.amountMismatch': 'المبلغ المُبلَّغ عنه للطلب {requestId} لا يطابق checkPaymentStatus',
+        'notification.transactionMismatch': 'الحركة المُبلَّغ عنها للطلب {requestId} لا تطابق checkPaymentStatus',
+        'notification.replayed': 'ملح توقيع الإشعار مستخدم من قبل',
+        'notification.invalidJson': 'محتوى الإشعار ليس JSON صالحًا',
+        'notification.notObject': 'يجب أن يكون محتوى الإشعار كائن JSON',
+        'notification.tooLarge': 'محتوى الإشعار يتجاوز {max} بايت',
+        'notification.unreadable': 'تعذّرت قراءة محتوى الإشعار: {reason}',
+        'notification.cutOff': 'انقطع محتوى الإشعار قبل اكتماله',
+        'notification.rawBodyRequired': 'يحتاج fastify() إلى محتوى الإشعار الخام؛ سجّل محللًا لنوع المحتوى بالخيار parseAs \'buffer\' لمساره',
+        'credentials.invalidProvider': 'قيمة provider غير صالحة. مرّر كائنًا يوفّر getCredentials(merchantId) أو دالة غير متزامنة.',
+        'credentials.invalidCallback': 'قيمة callback غير صالحة. يتوقع CallbackCredentialProvider الدالة (merchantId) => Promise<credentials>.',
+        'credentials.unknownMerchant': 'لا توجد بيانات اعتماد GPay للتاجر {merchantId}',
+        'credentials.missing': 'بيانات اعتماد GPay للتاجر {merchantId} ينقصها {fields}',
+        'credentials.unparsable': 'تعذّر تحليل ملف بيانات الاعتماد {path}: {reason}',
+        'money.invalid': 'مبلغ بالدينار الليبي غير صالح: {value}',
+        'money.invalidDirhams': 'مبلغ بالدرهم غير صالح: {value}',
+        'currency.LYD': 'د.ل.',
+        'operationType.DIRECT_TRANSFER': 'تحويل مباشر',
+        'operationType.PAYMENT_REQUEST': 'طلب دفع',
+        'operationType.BANK_DEPOSIT': 'إيداع مصرفي',
+        'operationType.BANK_WITHDRAW': 'سحب مصرفي',
+        'operationType.TRANSACTION_FEE': 'رسوم معاملة',
+        'operationType.LOCAL_TRANSFER': 'تحويل محلي',
+        'transactionStatus.PENDING': 'قيد الانتظار',
+        'transactionStatus.COMPLETED': 'مكتملة',
+        'transactionStatus.APPLIED': 'مُطبَّقة',
+    }),
+});
+
+/**
+ * Intl locales used by formatAmount() and formatDateTime().
+ */
+const FORMAT_LOCALES = Object.freeze({ en: 'en-GB', ar: 'ar-LY' });
+
+/**
+ * Returns the catalog language for a language tag such as 'ar', 'ar-LY' or 'en-US', or 'en' when
+ * there is no catalog for it.
+ * @param {string} [language]
+ * @returns {string}
+ */
+function resolveLanguage(language) {
+    const primary = String(language || '').toLowerCase().split(/[-_]/)[0];
+    return Object.prototype.hasOwnProperty.call(MESSAGES, primary) ? primary : 'en';
+}
+
+/**
+ * A message of the catalogs with its parameters, rendered when an error is created and again when
+ * it is localized.
+ * @param {string} key - A key of MESSAGES.
+ * @param {Object} [params]
+ * @returns {Object} { key, params }
+ */
+function localized(key, params = {}) {
+    return { key, params };
+}
+
+/**
+ * Renders a catalog message, falling back to English for a missing key.
+ * @param {string} language
+ * @param {string} key
+ * @param {Object} [params]
+ * @returns {string}
+ */
+function formatMessage(language, key, params = {}) {
+    const catalog = MESSAGES[resolveLanguage(language)];
+    const text = catalog[key] ?? MESSAGES.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
+
+/**
+ * Creates a { field, message } entry for GPayValidationError or GPayResponseSchemaError that can be localized.
+ * @param {string} field
+ * @param {Object} message - See localized().
+ * @returns {Object}
+ */
+function fieldError(field, message) {
+    const error = { field, message: formatMessage('en', message.key, message.params) };
+    Object.defineProperty(error, 'template', { value: message });
+    return error;
+}
+
+function formatFieldErrors(errors, language) {
+    return errors
+        .map(e => `${e.field} ${e.template ? formatMessage(language, e.template.key, e.template.params) : e.message}`)
+        .join('; ');
+}
+
+/**
+ * Formats an amount in LYD for display, e.g. '1,250.500 LYD' or '1.250,500 د.ل.'.
+ * @param {Money|string|number} amount
+ * @param {string} [language='en']
+ * @returns {string}
+ */
+function formatAmount(amount, language = 'en') {
+    const lang = resolveLanguage(language);
+    const money = Money.parse(amount);
+    const number = new Intl.NumberFormat(FORMAT_LOCALES[lang], { minimumFractionDigits: 3, maximumFractionDigits: 3 })
+        .format(money.toString());
+    return `${number} ${formatMessage(lang, 'currency.LYD')}`;
+}
+
+/**
+ * Formats a timestamp in Libya time for display, e.g. '19/10/2026, 21:22:14'.
+ * @param {Date|string|number} date - A Date, or a timestamp as returned by the API.
+ * @param {string} [language='en']
+ * @returns {string|null} null for a missing timestamp.
+ */
+function formatDateTime(date, language = 'en') {
+    const value = toDate(date);
+    if (!value) {
+        return null;
+    }
+    return new Intl.DateTimeFormat(FORMAT_LOCALES[resolveLanguage(language)], {
+        timeZone: 'Africa/Tripoli',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+    }).format(value);
+}
+
+/**
+ * @param {number} opTypeId - An OperationType value.
+ * @param {string} [language='en']
+ * @returns {string} The label, e.g. 'Bank deposit' or 'إيداع مصرفي'; the ID itself when it is unknown.
+ */
+function formatOperationType(opTypeId, language = 'en') {
+    const name = OperationType[opTypeId];
+    return typeof name === 'string' ? formatMessage(language, `operationType.${name}`) : String(opTypeId);
+}
+
+/**
+ * @param {number} status - A TransactionStatus value.
+ * @param {string} [language='en']
+ * @returns {string} The label, e.g. 'Pending' or 'قيد الانتظار'; the status itself when it is unknown.
+ */
+function formatTransactionStatus(status, language = 'en') {
+    const name = TransactionStatus[status];
+    return typeof name === 'string' ? formatMessage(language, `transactionStatus.${name}`) : String(status);
+}
+
+/**
+ * Base class for every error thrown by the SDK.
+ * Errors created from a catalog message (see localized()) are in English until localize() renders them
+ * in another language; GPayApiClient does that with the language of the call that failed.
+ */
+class GPayError extends Error {
+    constructor(message, options = {}) {
+        const template = message && typeof message === 'object' ? message : null;
+        super(template ? formatMessage('en', template.key, template.params) : message, options.cause !== undefined ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        if (template) {
+            Object.defineProperty(this, 'template', { value: template });
+        }
+    }
+
+    /**
+     * Renders the message (and the messages of `errors`, if any) in the given language.
+     * Messages that do not come from the catalogs, such as the API's own, are kept.
+     * @param {string} language - 'en' or 'ar'; other languages fall back to English.
+     * @returns {GPayError} The error itself.
+     */
+    localize(language) {
+        if (Array.isArray(this.errors)) {
+            for (const error of this.errors) {
+                if (error && error.template) {
+                    error.message = formatMessage(language, error.template.key, error.template.params);
+                }
+            }
+        }
+        if (this.template) {
+            const params = Array.isArray(this.errors)
+                ? { ...this.template.params, errors: formatFieldErrors(this.errors, language) }
+                : this.template.params;
+            this.message = formatMessage(language, this.template.key, params);
+        }
+        return this;
+    }
+}
+
+/**
+ * Thrown when the GPay API answers with an error field or a non-2xx HTTP status.
+ * The message keeps the `GPay API Error (CODE): message` format.
+ * @property {string} code - The API error code, or HTTP_<status> when the body carries none.
+ * @property {string} apiMessage - The error message returned by the API.
+ * @property {number} status - The HTTP status code.
+ * @property {string} body - The raw response body.
+ * @property {Object} headers - The response headers.
+ */
+class GPayApiError extends GPayError {
+    constructor(code, message, { status, body, headers } = {}) {
+        super(localized('api.error', { code, message }));
+        this.code = code;
+        this.apiMessage = message;
+        this.status = status;
+        this.body = body;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Thrown when a response signature is missing or does not match, or a signed response fails
+ * one of the additional checks of verifyResponse.
+ * @property {string} code - MISSING_SIGNATURE, HASH_MISMATCH, STALE_RESPONSE, REPLAYED_SALT,
+ *   UNSIGNED_FIELDS or FIELD_MISMATCH.
+ */
+class GPaySignatureError extends GPayError {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * Thrown when the request could not be sent or the response could not be read.
+ * The underlying error is available as `cause`.
+ * @property {string} endpoint - The endpoint that was called.
+ */
+class GPayTransportError extends GPayError {
+    constructor(message, { endpoint, cause } = {}) {
+        super(message, { cause });
+        this.endpoint = endpoint;
+    }
+}
+
+/**
+ * Thrown when a request does not complete in time.
+ */
+class GPayTimeoutError extends GPayTransportError {}
+
+/**
+ * Thrown when a successful response body is not valid JSON.
+ * @property {number} status - The HTTP status code.
+ * @property {string} body - The raw response body.
+ * @property {Object} headers - The response headers.
+ */
+class GPayResponseParseError extends GPayError {
+    constructor(message, { status, body, headers, cause } = {}) {
+        super(message, { cause });
+        this.status = status;
+        this.body = body;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Thrown when a successful response does not have the fields and types its endpoint returns.
+ * @property {string} endpoint - The endpoint path.
+ * @property {Object[]} errors - One { field, message } entry per invalid field, e.g.
+ *   { field: 'data.day_statement[0].amount', message: 'must be an LYD amount' }.
+ */
+class GPayResponseSchemaError extends GPayResponseParseError {
+    constructor(endpoint, errors, { status, body, headers } = {}) {
+        super(localized('schema.invalid', { endpoint, errors: formatFieldErrors(errors, 'en') }), { status, body, headers });
+        this.endpoint = endpoint;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Thrown by getStatementRange when a day's day_balance does not equal the previous day's balance
+ * plus that day's totals.
+ * @property {string} day - The day whose balance does not chain.
+ * @property {string} previousDay - The day it was compared with.
+ * @property {Money} expected - previous day_balance + day_total_in - day_total_out.
+ * @property {Money} actual - The day_balance returned by the API.
+ */
+class GPayStatementChainError extends GPayError {
+    constructor(day, expected, actual, previousDay) {
+        super(localized('statement.chain', { day, previousDay, expected, actual }));
+        this.day = day;
+        this.previousDay = previousDay;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Thrown by the idempotency layer when a referenceNo must not be sent again.
+ * @property {string} code - IN_FLIGHT, ALREADY_COMPLETED or PARAMETER_MISMATCH.
+ * @property {string} referenceNo - The reference number of the refused call.
+ * @property {Object} [record] - The stored idempotency record.
+ * @property {StatementTransaction|OutstandingTransaction} [transaction] - The transaction found on GPay, if any.
+ */
+class GPayIdempotencyError extends GPayError {
+    constructor(code, message, { referenceNo, record, transaction, cause } = {}) {
+        super(message, { cause });
+        this.code = code;
+        this.referenceNo = referenceNo;
+        this.record = record;
+        this.transaction = transaction;
+    }
+}
+
+/**
+ * Thrown when a payout batch cannot start.
+ * @property {string} code - INSUFFICIENT_BALANCE.
+ * @property {string} jobId - The job, to resume it later.
+ * @property {Money} [required] - The amount needed, including the fee buffer.
+ * @property {Money} [available] - The current balance.
+ */
+class GPayPayoutError extends GPayError {
+    constructor(code, message, { jobId, required, available } = {}) {
+        super(message);
+        this.code = code;
+        this.jobId = jobId;
+        this.required = required;
+        this.available = available;
+    }
+}
+
+/**
+ * Thrown by a replaying GPayCassette when no recorded exchange matches a request, or when the cassette
+ * file cannot be read.
+ * @property {string} code - UNMATCHED_REQUEST or INVALID_CASSETTE.
+ * @property {string} [endpoint] - The unmatched endpoint.
+ * @property {Object} [parameters] - The unmatched request parameters.
+ */
+class GPayCassetteError extends GPayError {
+    constructor(code, message, { endpoint, parameters, cause } = {}) {
+        super(message, { cause });
+        this.code = code;
+        this.endpoint = endpoint;
+        this.parameters = parameters;
+    }
+}
+
+/**
+ * Thrown by a GPayTransferPolicy when it blocks a transfer; nothing was signed or sent for the transfer.
+ * @property {string} code - AMOUNT_LIMIT, DAILY_LIMIT, MONTHLY_LIMIT, WALLET_NOT_ALLOWED, WALLET_DENIED,
+ *   WALLET_NOT_FOUND, WALLET_CANNOT_RECEIVE or NOT_APPROVED.
+ * @property {Object} transfer - { amount, walletGatewayId, referenceNo, description, actor }.
+ * @property {Money} [limit] - The limit or approval threshold that applied.
+ * @property {Money} [used] - The amount already sent in the limit's window.
+ */
+class GPayPolicyError extends GPayError {
+    constructor(code, message, { transfer, limit, used, cause } = {}) {
+        super(message, { cause });
+        this.code = code;
+        this.transfer = transfer;
+        this.limit = limit;
+        this.used = used;
+    }
+}
+
+/**
+ * Thrown when an audit entry cannot be written. When the entry was the one written before sending, the
+ * request was not sent; otherwise the call reached GPay and `entry` holds its outcome.
+ * @property {string} code - WRITE_FAILED.
+ * @property {Object} entry - The redacted entry that could not be written.
+ */
+class GPayAuditError extends GPayError {
+    constructor(code, message, { entry, cause } = {}) {
+        super(message, { cause });
+        this.code = code;
+        this.entry = entry;
+    }
+}
+
+/**
+ * Remembers response signature salts for `ttl` milliseconds so a replayed response is rejected.
+ * The ttl should be at least twice the client's maxClockSkew; older responses are already
+ * rejected by the response_timestamp check. A custom cache implements seen(salt), which records
+ * the salt and returns true when it was recorded before.
+ */
+class MemorySaltCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl=600000] - How long a salt is remembered.
+     * @param {number} [options.maxSize=10000] - Maximum number of salts kept; the oldest are evicted first.
      */
-    constructor(apiKey, secretKey, password, baseUrl, language = 'en') {
-        if (!Object.values(BaseUrl).includes(baseUrl)) {
-            throw new Error('Invalid baseUrl. Use BaseUrl.STAGING or BaseUrl.PRODUCTION.');
-        }
-        this.apiKey = apiKey;
-        this.secretKey = secretKey;
-        this.password = password;
-        this.baseUrl = baseUrl;
-        this.language = language;
+    constructor({ ttl = 10 * 60 * 1000, maxSize = 10000 } = {}) {
+        this.ttl = ttl;
+        this.maxSize = maxSize;
+        this.salts = new Map();
     }
 
-    generateSalt() {
-        return crypto.randomBytes(32).toString('base64');
+    seen(salt) {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.salts) {
+            if (expiresAt > now && this.salts.size < this.maxSize) {
+                break;
+            }
+            this.salts.delete(key);
+        }
+        if (this.salts.has(salt)) {
+            return true;
+        }
+        this.salts.set(salt, now + this.ttl);
+        return false;
     }
+}
 
-    generateHashToken(salt, password) {
-        return salt + password;
+/**
+ * In-memory idempotency store. Records are lost when the process exits.
+ *
+ * A custom store implements the same three async methods:
+ *   create(key, record) - Stores the record unless the key exists; resolves to the existing record or null.
+ *   put(key, record)    - Stores or replaces the record.
+ *   get(key)            - Resolves to the record or null.
+ */
+class MemoryIdempotencyStore {
+    constructor() {
+        this.records = new Map();
     }
 
-    generateVerificationHash(hashToken, parameters) {
-        const sortedParams = Object.keys(parameters)
-            .sort()
-            .reduce((obj, key) => {
-                obj[key] = parameters[key];
-                return obj;
-            }, {});
+    async create(key, record) {
+        if (this.records.has(key)) {
+            return this.records.get(key);
+        }
+        this.records.set(key, record);
+        return null;
+    }
 
-        const queryString = Object.entries(sortedParams)
-            .map(([key, value]) => `${key}=${value == null ? '' : value}`)
-            .join('&');
+    async put(key, record) {
+        this.records.set(key, record);
+    }
 
-        const verificationString = hashToken + queryString;
-        const hmac = crypto.createHmac('sha256', this.secretKey);
-        hmac.update(verificationString);
-        return hmac.digest('base64');
+    async get(key) {
+        return this.records.get(key) ?? null;
     }
+}
 
-    async sendRequest(endpoint, parameters) {
-        const salt = this.generateSalt();
-        const hashToken = this.generateHashToken(salt, this.password);
-        const verificationHash = await this.generateVerificationHash(hashToken, parameters);
+/**
+ * Idempotency store persisted to a JSON file, so records survive restarts.
+ * Writes go to a temporary file that is renamed over the original. The file must not be shared
+ * between processes that run at the same time.
+ */
+class FileIdempotencyStore {
+    /**
+     * @param {string} filePath - Path of the JSON file (created on first write).
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.records = null;
+        this.queue = Promise.resolve();
+    }
 
-        const response = await fetch(`${this.baseUrl}${endpoint}`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Accept-Language': this.language,
-                'X-Signature-Salt': salt,
-                'X-Signature-Hash': verificationHash,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(parameters),
+    async create(key, record) {
+        return this.exclusive(async records => {
+            if (records[key]) {
+                return records[key];
+            }
+            records[key] = record;
+            await this.save(records);
+            return null;
         });
+    }
 
-        const responseBody = await response.text();
-        const headers = {};
-        response.headers.forEach((value, key) => {
-            headers[key] = value;
+    async put(key, record) {
+        return this.exclusive(async records => {
+            records[key] = record;
+            await this.save(records);
         });
+    }
 
-        const responseJson = JSON.parse(responseBody);
+    async get(key) {
+        return this.exclusive(async records => records[key] ?? null);
+    }
 
-        // Throw an error if the response contains an error field
-        if (!responseJson) {
-            throw new Error('Invalid response from GPay API: No JSON response');
-        }
-        if (responseJson.error) {
-            const errorMsg = responseJson.error.message || 'Unknown error';
-            const errorCode = responseJson.error.code || 'UNKNOWN_CODE';
-            throw new Error(`GPay API Error (${errorCode}): ${errorMsg}`);
+    exclusive(task) {
+        const run = this.queue.then(async () => task(await this.load()));
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async load() {
+        if (!this.records) {
+            try {
+                const fs = await import('fs');
+                this.records = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+                this.records = {};
+            }
         }
+        return this.records;
+    }
 
-        return {
-            response: responseJson,
-            headers,
-            code: response.status,
-        };
+    async save(records) {
+        const [fs, path] = await Promise.all([import('fs'), import('path')]);
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmp = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(records, null, 2));
+        await fs.promises.rename(tmp, this.filePath);
     }
+}
 
+/**
+ * In-memory LRU cache store for GPayResponseCache. Entries are lost when the process exits.
+ *
+ * A custom store, e.g. one backed by Redis, implements the same three async methods:
+ *   get(key)             - Resolves to the stored string, or null when it is missing or expired.
+ *   set(key, value, ttl) - Stores the string; ttl is in milliseconds, undefined for no expiry.
+ *   delete(key)          - Removes the entry.
+ */
+class MemoryCacheStore {
     /**
-     * Verifies the authenticity of a response using the response headers and response fields.
-     * Throws an error if verification fails.
-     * @param {Object} headers - The response headers.
-     * @param {Object} responseFields - The response fields to use for verification (see api-doc.md).
+     * @param {Object} [options]
+     * @param {number} [options.maxSize=1000] - Maximum number of entries; the least recently used are evicted first.
      */
-    verifyResponse(headers, responseFields) {
-        const receivedHash = headers['x-signature-hash'] || headers['X-Signature-Hash'];
-        const receivedSalt = headers['x-signature-salt'] || headers['X-Signature-Salt'];
-        if (!receivedHash || !receivedSalt) {
-            throw new Error('Missing X-Signature-Hash or X-Signature-Salt in response headers');
+    constructor({ maxSize = 1000 } = {}) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
         }
-        const hashToken = this.generateHashToken(receivedSalt, this.password);
-        const verificationHash = this.generateVerificationHash(hashToken, responseFields);
-        if (verificationHash !== receivedHash) {
-            throw new Error('Response verification failed: hash mismatch');
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            return null;
+        }
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    async set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: ttl === undefined ? Infinity : Date.now() + ttl });
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxSize) {
+                break;
+            }
+            this.entries.delete(oldest);
         }
     }
 
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Cache store persisted to a JSON file, so cached statements survive restarts. Expired entries are
+ * dropped on every write. Like FileIdempotencyStore, the file must not be shared between processes
+ * that run at the same time.
+ */
+class FileCacheStore {
     /**
-     * Retrieves the current wallet balance.
-     * @returns {Promise<Balance>} A promise that resolves to a Balance object containing the current available balance and response time.
+     * @param {string} filePath - Path of the JSON file (created on first write).
      */
-    async getBalance() {
-        const endpoint = '/info/balance';
-        const parameters = { request_timestamp: Date.now().toString() };
-        const result = await this.sendRequest(endpoint, parameters);
-        const data = result.response.data;
-        // Response fields for verification
-        this.verifyResponse(result.headers, {
-            balance: data.balance,
-            response_timestamp: data.response_timestamp,
+    constructor(filePath) {
+        // FileIdempotencyStore already serialises access to a JSON file and writes it atomically.
+        this.file = new FileIdempotencyStore(filePath);
+    }
+
+    async get(key) {
+        return this.file.exclusive(async entries => {
+            const entry = entries[key];
+            return entry && (entry.expiresAt === null || entry.expiresAt > Date.now()) ? entry.value : null;
+        });
+    }
+
+    async set(key, value, ttl) {
+        return this.file.exclusive(async entries => {
+            const now = Date.now();
+            for (const [name, entry] of Object.entries(entries)) {
+                if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                    delete entries[name];
+                }
+            }
+            entries[key] = { value, expiresAt: ttl === undefined ? null : now + ttl };
+            await this.file.save(entries);
+        });
+    }
+
+    async delete(key) {
+        return this.file.exclusive(async entries => {
+            if (key in entries) {
+                delete entries[key];
+                await this.file.save(entries);
+            }
         });
-        return new Balance(data.balance, data.response_timestamp);
     }
+}
+
+/**
+ * The prevHash of the first entry of an audit log.
+ */
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
 
+/**
+ * Append-only audit sink writing one JSON object per line. Every line carries a sequence number, the hash
+ * of the previous line and its own SHA-256 hash, so verifyAuditLog() detects edited, removed or reordered
+ * lines. Appends are serialised and flushed to disk before append() resolves. The file must not be
+ * written by two processes at the same time.
+ *
+ * A custom sink, e.g. one writing to a database, implements a single async method:
+ *   append(entry) - Stores the entry; the client refuses to send a request when it rejects.
+ */
+class FileAuditSink {
     /**
-     * Creates a payment request for a specified amount.
-     * @param {string} amount - The amount to request.
-     * @param {string} referenceNo - Optional reference number.
-     * @param {string} description - Optional description.
-     * @returns {Promise<PaymentRequest>} A promise that resolves to a PaymentRequest object with details of the created payment request.
+     * @param {string} filePath - Path of the JSON Lines file (created on first write, appended to afterwards).
      */
-    async createPaymentRequest(amount, referenceNo, description) {
-        const endpoint = '/payment/create-payment-request';
-        const parameters = {
-            amount: amount.toString(),
-            reference_no: referenceNo,
-            description: description,
-            request_timestamp: Date.now().toString(),
-        };
-        const result = await this.sendRequest(endpoint, parameters);
-        const data = result.response.data;
-        this.verifyResponse(result.headers, {
-            requester_username: data.requester_username,
-            request_id: data.request_id,
-            request_time: data.request_time,
-            amount: data.amount,
-            reference_no: data.reference_no,
-            response_timestamp: data.response_timestamp,
-        });
-        return new PaymentRequest(
-            data.requester_username,
-            data.request_id,
-            data.request_time,
-            data.amount,
-            data.reference_no,
-            data.response_timestamp
-        );
+    constructor(filePath) {
+        if (!filePath) {
+            throw new Error('Invalid audit sink. A FileAuditSink needs a path.');
+        }
+        this.filePath = filePath;
+        this.last = null;
+        this.queue = Promise.resolve();
     }
 
     /**
-     * Checks the status of a payment request by its request ID.
-     * @param {string} requestId - The payment request ID.
-     * @returns {Promise<PaymentStatus>} A promise that resolves to a PaymentStatus object with the status of the payment request.
+     * @param {Object} entry - The audit entry; seq, prevHash and hash are added.
+     * @returns {Promise<Object>} The entry as written.
      */
-    async checkPaymentStatus(requestId) {
-        const endpoint = '/payment/check-payment-status';
-        const parameters = {
-            request_id: requestId,
-            request_timestamp: Date.now().toString(),
-        };
-        const result = await this.sendRequest(endpoint, parameters);
-        const data = result.response.data;
-        this.verifyResponse(result.headers, {
-            request_id: data.request_id,
-            transaction_id: data.transaction_id,
-            amount: data.amount,
-            payment_timestamp: data.payment_timestamp,
-            reference_no: data.reference_no,
-            description: data.description,
-            is_paid: data.is_paid,
-            response_timestamp: data.response_timestamp,
+    append(entry) {
+        const run = this.queue.then(async () => {
+            const [fs, path] = await Promise.all([import('fs'), import('path')]);
+            const last = await this.load();
+            const record = { seq: last.seq + 1, ...entry, prevHash: last.hash };
+            record.hash = await auditHash(record);
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const file = await fs.promises.open(this.filePath, 'a');
+            try {
+                await file.write(`${JSON.stringify(record)}\n`);
+                await file.sync();
+            } finally {
+                await file.close();
+            }
+            this.last = { seq: record.seq, hash: record.hash };
+            return record;
         });
-        return new PaymentStatus(
-            data.request_id,
-            data.transaction_id,
-            data.amount,
-            data.payment_timestamp,
-            data.reference_no,
-            data.description,
-            data.is_paid,
-            data.response_timestamp
-        );
+        this.queue = run.catch(() => {});
+        return run;
     }
 
     /**
-     * Sends money to another wallet.
-     * @param {string} amount - The amount to send.
-     * @param {string} walletGatewayId - The recipient's wallet gateway ID.
-     * @param {string} referenceNo - Optional reference number.
-     * @param {string} description - Optional description.
-     * @returns {Promise<SendMoneyResult>} A promise that resolves to a SendMoneyResult object with details of the transaction.
+     * Reads the sequence number and hash of the last line, to continue the chain of an existing file.
      */
-    async sendMoney(amount, walletGatewayId, referenceNo, description) {
-        const endpoint = '/payment/send-money';
-        const parameters = {
-            amount: amount.toString(),
-            wallet_gateway_id: walletGatewayId,
-            reference_no: referenceNo,
-            description: description,
-            request_timestamp: Date.now().toString(),
-        };
-        const result = await this.sendRequest(endpoint, parameters);
-        const data = result.response.data;
-        this.verifyResponse(result.headers, {
-            amount: data.amount,
-            sender_fee: data.sender_fee,
-            transaction_id: data.transaction_id,
-            old_balance: data.old_balance,
-            new_balance: data.new_balance,
-            timestamp: data.timestamp,
-            reference_no: data.reference_no,
-            response_timestamp: data.response_timestamp,
-        });
-        return new SendMoneyResult(
-            data.amount,
-            data.sender_fee,
-            data.transaction_id,
-            data.old_balance,
-            data.new_balance,
-            data.timestamp,
-            data.reference_no,
-            data.response_timestamp
-        );
+    async load() {
+        if (!this.last) {
+            let text = '';
+            try {
+                const fs = await import('fs');
+                text = await fs.promises.readFile(this.filePath, 'utf8');
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+            const lines = text.split('\n').filter(line => line.trim() !== '');
+            if (lines.length) {
+                const { seq, hash } = JSON.parse(lines[lines.length - 1]);
+                if (!Number.isSafeInteger(seq) || typeof hash !== 'string') {
+                    throw new Error(`Audit log ${this.filePath} does not end with a chained entry`);
+                }
+                this.last = { seq, hash };
+            } else {
+                this.last = { seq: 0, hash: AUDIT_GENESIS_HASH };
+            }
+        }
+        return this.last;
+    }
+}
+
+/**
+ * Checks the hash chain of an audit log written by FileAuditSink. Lines removed from the end cannot be
+ * detected from the file alone; keep `lastHash` somewhere else (e.g. a daily report) to catch that too.
+ * @param {string} filePath - Path of the JSON Lines file.
+ * @returns {Promise<Object>} { valid, entries, lastSeq, lastHash, line, reason }: `entries` counts the lines
+ *   verified before the first problem, `line` is that problem's 1-based line number and `reason` describes it.
+ */
+async function verifyAuditLog(filePath) {
+    const fs = await import('fs');
+    const lines = (await fs.promises.readFile(filePath, 'utf8')).split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    const report = { valid: true, entries: 0, lastSeq: 0, lastHash: AUDIT_GENESIS_HASH, line: null, reason: null };
+    const fail = (line, reason) => ({ ...report, valid: false, line, reason });
+    for (let i = 0; i < lines.length; i++) {
+        let record;
+        try {
+            record = JSON.parse(lines[i]);
+        } catch {
+            return fail(i + 1, 'not valid JSON');
+        }
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return fail(i + 1, 'not an audit entry');
+        }
+        if (record.seq !== report.lastSeq + 1) {
+            return fail(i + 1, `expected seq ${report.lastSeq + 1} but found ${record.seq}`);
+        }
+        if (record.prevHash !== report.lastHash) {
+            return fail(i + 1, 'prevHash does not match the hash of the previous entry');
+        }
+        const { hash, ...content } = record;
+        if (hash !== await auditHash(content)) {
+            return fail(i + 1, 'hash does not match the entry content');
+        }
+        report.entries++;
+        report.lastSeq = record.seq;
+        report.lastHash = hash;
+    }
+    return report;
+}
+
+/**
+ * SHA-256 (hex) of an audit entry without its hash field, over JSON with sorted keys so the hash does not
+ * depend on how the line is parsed again.
+ */
+async function auditHash(record) {
+    const crypto = await import('crypto');
+    return crypto.createHash('sha256').update(canonicalJson(record)).digest('hex');
+}
+
+function canonicalJson(value) {
+    if (value && typeof value.toJSON === 'function') {
+        return canonicalJson(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
     }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Thrown when arguments fail client-side validation, before anything is signed or sent.
+ * @property {Object[]} errors - One { field, message } entry per invalid field.
+ */
+class GPayValidationError extends GPayError {
+    constructor(errors) {
+        super(localized('validation.failed', { errors: formatFieldErrors(errors, 'en') }));
+        this.errors = errors;
+    }
+}
 
+/**
+ * An exact LYD amount, stored as an integer number of dirhams (1 LYD = 1000 dirhams).
+ * Models use Money for every amount so that fees and balances add up without floating point error.
+ * toString() and toJSON() return the amount with three decimals, e.g. '12.500'.
+ */
+class Money {
     /**
-     * Retrieves the wallet's transaction statement for a specific day.
-     * @param {string} date - The date in YYYY-MM-DD format.
-     * @returns {Promise<Statement>} A promise that resolves to a Statement object containing the day's transactions and balances.
+     * @param {number} dirhams - The amount in dirhams (a safe integer).
      */
-    async getStatement(date) {
-        const endpoint = '/info/statement';
-        const parameters = {
-            date,
-            request_timestamp: Date.now().toString(),
-        };
-        const result = await this.sendRequest(endpoint, parameters);
-        const data = result.response.data;
-        this.verifyResponse(result.headers, {
-            available_balance: data.available_balance,
-            outstanding_credit: data.outstanding_credit,
-            outstanding_debit: data.outstanding_debit,
-            day_balance: data.day_balance,
-            day_total_in: data.day_total_in,
-            day_total_out: data.day_total_out,
-            response_timestamp: data.response_timestamp,
-        });
-        const dayStatement = Array.isArray(data.day_statement)
-            ? data.day_statement.map(tx => new StatementTransaction(
-                tx.transaction_id,
-                tx.datetime,
-                tx.timestamp,
-                tx.description,
-                tx.amount,
-                tx.balance,
-                tx.reference_no,
-                tx.op_type_id,
-                tx.status,
-                tx.created_at
-            ))
-            : [];
-        return new Statement(
-            data.available_balance,
-            data.outstanding_credit,
-            data.outstanding_debit,
-            data.day_balance,
-            data.day_total_in,
-            data.day_total_out,
-            data.response_timestamp,
-            dayStatement
-        );
+    constructor(dirhams) {
+        if (!Number.isSafeInteger(dirhams)) {
+            throw new GPayError(localized('money.invalidDirhams', { value: dirhams }));
+        }
+        this.dirhams = dirhams;
+        Object.freeze(this);
     }
 
     /**
-     * Checks if a wallet exists and retrieves its details.
-     * @param {string} walletGatewayId - The wallet gateway ID to check.
-     * @returns {Promise<WalletCheck>} A promise that resolves to a WalletCheck object with wallet details.
+     * Parses an amount as returned by the API ('12.5', '-3.250', 12.5) or a Money.
+     * Digits beyond the third decimal place are only accepted when they are zeros.
+     * @param {Money|string|number} value
+     * @returns {Money}
      */
-    async checkWallet(walletGatewayId) {
-        const endpoint = '/info/check-wallet';
-        const parameters = {
-            wallet_gateway_id: walletGatewayId,
-            request_timestamp: Date.now().toString(),
-        };
-        const result = await this.sendRequest(endpoint, parameters);
-        const data = result.response.data;
-        this.verifyResponse(result.headers, {
-            exists: data.exists,
-            wallet_gateway_id: data.wallet_gateway_id,
-            wallet_name: data.wallet_name,
-            user_account_name: data.user_account_name,
-            can_receive_money: data.can_receive_money,
-            response_timestamp: data.response_timestamp,
-        });
-        return new WalletCheck(
-            data.exists,
-            data.wallet_gateway_id,
-            data.wallet_name,
-            data.user_account_name,
-            data.can_receive_money,
-            data.response_timestamp
-        );
+    static parse(value) {
+        if (value instanceof Money) {
+            return value;
+        }
+        const text = typeof value === 'number' ? String(value) : String(value).trim();
+        const match = /^([+-])?(\d+)(?:\.(\d+))?$/.exec(text);
+        if (!match || /[1-9]/.test((match[3] || '').slice(3))) {
+            throw new GPayError(localized('money.invalid', { value }));
+        }
+        const dirhams = Number(match[2]) * 1000 + Number((match[3] || '').slice(0, 3).padEnd(3, '0'));
+        return new Money(match[1] === '-' ? -dirhams : dirhams);
     }
 
     /**
-     * Retrieves a list of outstanding transactions.
-     * @returns {Promise<OutstandingTransactions>} A promise that resolves to an OutstandingTransactions object containing outstanding credits, debits, and transactions.
+     * @param {number} dirhams
+     * @returns {Money}
      */
-    async getOutstandingTransactions() {
-        const endpoint = '/info/outstanding-transactions';
-        const parameters = {
-            request_timestamp: Date.now().toString(),
-        };
-        const result = await this.sendRequest(endpoint, parameters);
-        const data = result.response.data;
-        this.verifyResponse(result.headers, {
-            outstanding_credit: data.outstanding_credit,
-            outstanding_debit: data.outstanding_debit,
-            response_timestamp: data.response_timestamp,
-        });
-        const outstandingTransactions = Array.isArray(data.outstanding_transactions)
-            ? data.outstanding_transactions.map(tx => new OutstandingTransaction(
-                tx.transaction_id,
-                tx.datetime,
-                tx.timestamp,
-                tx.description,
-                tx.amount,
-                tx.balance,
-                tx.reference_no,
-                tx.op_type_id,
-                tx.status,
-                tx.created_at
-            ))
-            : [];
-        return new OutstandingTransactions(
-            data.outstanding_credit,
-            data.outstanding_debit,
-            data.response_timestamp,
-            outstandingTransactions
-        );
+    static fromDirhams(dirhams) {
+        return new Money(dirhams);
+    }
+
+    add(other) {
+        return new Money(this.dirhams + Money.parse(other).dirhams);
+    }
+
+    subtract(other) {
+        return new Money(this.dirhams - Money.parse(other).dirhams);
+    }
+
+    negate() {
+        return new Money(-this.dirhams);
+    }
+
+    /**
+     * @returns {number} -1, 0 or 1.
+     */
+    compare(other) {
+        return Math.sign(this.dirhams - Money.parse(other).dirhams);
+    }
+
+    equals(other) {
+        return this.compare(other) === 0;
+    }
+
+    isZero() {
+        return this.dirhams === 0;
+    }
+
+    isNegative() {
+        return this.dirhams < 0;
+    }
+
+    /**
+     * @returns {number} The amount in LYD as a floating point number.
+     */
+    toNumber() {
+        return this.dirhams / 1000;
+    }
+
+    toString() {
+        const abs = Math.abs(this.dirhams);
+        return `${this.dirhams < 0 ? '-' : ''}${Math.floor(abs / 1000)}.${String(abs % 1000).padStart(3, '0')}`;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return `Money(${this.toString()})`;
+    }
+}
+
+Money.ZERO = new Money(0);
+
+/**
+ * Parses an amount received from the API, keeping null and undefined as null.
+ * @param {*} value
+ * @returns {Money|null}
+ */
+function toMoney(value) {
+    return value === undefined || value === null || value === '' ? null : Money.parse(value);
+}
+
+function isMoney(value) {
+    try {
+        Money.parse(value);
+        return true;
+    } catch {
+        return false;
     }
 }
 
+/**
+ * Validates an amount passed to createPaymentRequest or sendMoney and returns the string sent to the API.
+ * Amounts must be positive, have at most 3 decimal places and use no exponent notation.
+ * @param {Money|string|number} amount
+ * @returns {string}
+ */
+function formatOutgoingAmount(amount) {
+    if (amount instanceof Money) {
+        if (amount.dirhams <= 0) {
+            throw new GPayValidationError([fieldError('amount', localized('field.positive'))]);
+        }
+        return amount.toString();
+    }
+    const text = typeof amount === 'number' ? String(amount) : typeof amount === 'string' ? amount.trim() : '';
+    if (!/^\d+(\.\d{1,3})?$/.test(text)) {
+        throw new GPayValidationError([fieldError('amount', localized('field.amount'))]);
+    }
+    if (Money.parse(text).isZero()) {
+        throw new GPayValidationError([fieldError('amount', localized('field.positive'))]);
+    }
+    return text;
+}
+
+/**
+ * Replaces every Money in a model (and its nested transactions) with a number.
+ * @param {Object} model
+ */
+function toLegacyAmounts(model) {
+    for (const [key, value] of Object.entries(model)) {
+        if (value instanceof Money) {
+            model[key] = value.toNumber();
+        } else if (Array.isArray(value)) {
+            value.forEach(item => item && typeof item === 'object' && toLegacyAmounts(item));
+        }
+    }
+}
+
+/**
+ * Base class of the response models. toJSON() returns plain data (amounts as strings, timestamps as ISO
+ * strings, nested models as plain data), and each model's static fromJSON() turns it back into an
+ * equal model, so models can be kept in queues and caches. Transactions also include their opType and
+ * statusName, which fromJSON ignores.
+ */
+class GPayModel {
+    toJSON() {
+        return Object.fromEntries(Object.entries(this).map(([key, value]) => [key, toPlainValue(value)]));
+    }
+}
+
+function toPlainValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(toPlainValue);
+    }
+    return value && typeof value.toJSON === 'function' ? value.toJSON() : value;
+}
+
+/**
+ * Returns the integer value of an op_type_id or status, which the API may send as a digit string.
+ */
+function toInteger(value) {
+    return typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+}
+
 /**
  * Represents the wallet balance response.
- * @property {number} balance - The current available balance in LYD.
+ * @property {Money} balance - The current available balance in LYD.
  * @property {Date} responseTime - The response timestamp as a Date object.
  */
-class Balance {
+class Balance extends GPayModel {
     constructor(balance, responseTime) {
-        this.balance = parseFloat(balance);
-        this.responseTime = new Date(Number(responseTime));
+        super();
+        this.balance = toMoney(balance);
+        this.responseTime = toDate(responseTime);
+    }
+
+    static fromJSON(json) {
+        return new Balance(json.balance, json.responseTime);
     }
 }
 
@@ -442,19 +4792,24 @@ class Balance {
  * Represents a payment request response.
  * @property {string} requesterUsername - The username of the requester.
  * @property {string} requestId - The unique ID for the payment request.
- * @property {string} requestTime - The timestamp of the request.
- * @property {number} amount - The amount requested.
+ * @property {Date} requestTime - The time of the request.
+ * @property {Money} amount - The amount requested.
  * @property {string|null} referenceNo - The reference number provided in the request.
  * @property {Date} responseTime - The response timestamp as a Date object.
  */
-class PaymentRequest {
+class PaymentRequest extends GPayModel {
     constructor(requesterUsername, requestId, requestTime, amount, referenceNo, responseTime) {
+        super();
         this.requesterUsername = requesterUsername;
         this.requestId = requestId;
-        this.requestTime = requestTime;
-        this.amount = parseFloat(amount);
+        this.requestTime = toDate(requestTime);
+        this.amount = toMoney(amount);
         this.referenceNo = referenceNo;
-        this.responseTime = new Date(Number(responseTime));
+        this.responseTime = toDate(responseTime);
+    }
+
+    static fromJSON(json) {
+        return new PaymentRequest(json.requesterUsername, json.requestId, json.requestTime, json.amount, json.referenceNo, json.responseTime);
     }
 }
 
@@ -462,99 +4817,153 @@ class PaymentRequest {
  * Represents the status of a payment request.
  * @property {string} requestId - The unique ID of the payment request.
  * @property {string|null} transactionId - The transaction ID if payment is completed.
- * @property {number} amount - The requested amount.
- * @property {string|null} paymentTimestamp - The payment timestamp if completed.
+ * @property {Money} amount - The requested amount.
+ * @property {Date|null} paymentTimestamp - The time of the payment if completed.
  * @property {string|null} referenceNo - The reference number provided in the request.
  * @property {string} description - The description provided in the request.
  * @property {boolean} isPaid - Indicates whether the payment is completed.
  * @property {Date} responseTime - The response timestamp as a Date object.
  */
-class PaymentStatus {
+class PaymentStatus extends GPayModel {
     constructor(requestId, transactionId, amount, paymentTimestamp, referenceNo, description, isPaid, responseTime) {
+        super();
         this.requestId = requestId;
         this.transactionId = transactionId;
-        this.amount = parseFloat(amount);
-        this.paymentTimestamp = paymentTimestamp;
+        this.amount = toMoney(amount);
+        this.paymentTimestamp = toDate(paymentTimestamp);
         this.referenceNo = referenceNo;
         this.description = description;
         this.isPaid = isPaid;
-        this.responseTime = new Date(Number(responseTime));
+        this.responseTime = toDate(responseTime);
+    }
+
+    static fromJSON(json) {
+        return new PaymentStatus(json.requestId, json.transactionId, json.amount, json.paymentTimestamp, json.referenceNo, json.description, json.isPaid, json.responseTime);
     }
 }
 
 /**
  * Represents the result of a send money operation.
- * @property {number} amount - The amount sent.
- * @property {number} senderFee - The fee charged to the sender.
+ * @property {Money} amount - The amount sent.
+ * @property {Money} senderFee - The fee charged to the sender.
  * @property {string} transactionId - The unique ID for the transaction.
- * @property {number} oldBalance - The balance before the transaction.
- * @property {number} newBalance - The balance after the transaction.
- * @property {string} timestamp - The timestamp of the transaction.
+ * @property {Money} oldBalance - The balance before the transaction.
+ * @property {Money} newBalance - The balance after the transaction.
+ * @property {Date} timestamp - The time of the transaction.
  * @property {string|null} referenceNo - The reference number provided in the request.
  * @property {Date} responseTime - The response timestamp as a Date object.
  */
-class SendMoneyResult {
+class SendMoneyResult extends GPayModel {
     constructor(amount, senderFee, transactionId, oldBalance, newBalance, timestamp, referenceNo, responseTime) {
-        this.amount = parseFloat(amount);
-        this.senderFee = parseFloat(senderFee);
+        super();
+        this.amount = toMoney(amount);
+        this.senderFee = toMoney(senderFee);
         this.transactionId = transactionId;
-        this.oldBalance = parseFloat(oldBalance);
-        this.newBalance = parseFloat(newBalance);
-        this.timestamp = timestamp;
+        this.oldBalance = toMoney(oldBalance);
+        this.newBalance = toMoney(newBalance);
+        this.timestamp = toDate(timestamp);
         this.referenceNo = referenceNo;
-        this.responseTime = new Date(Number(responseTime));
+        this.responseTime = toDate(responseTime);
+    }
+
+    static fromJSON(json) {
+        return new SendMoneyResult(json.amount, json.senderFee, json.transactionId, json.oldBalance, json.newBalance, json.timestamp, json.referenceNo, json.responseTime);
     }
 }
 
 /**
  * Represents a wallet statement for a specific day.
- * @property {number} availableBalance - The available balance at the time of the request.
- * @property {number} outstandingCredit - The total outstanding credit.
- * @property {number} outstandingDebit - The total outstanding debit.
- * @property {number} dayBalance - The balance at the end of the given day.
- * @property {number} dayTotalIn - The total credited on the given day.
- * @property {number} dayTotalOut - The total debited on the given day.
+ * @property {Money|null} availableBalance - The available balance at the time of the request (null when cached).
+ * @property {Money|null} outstandingCredit - The total outstanding credit (null when cached).
+ * @property {Money|null} outstandingDebit - The total outstanding debit (null when cached).
+ * @property {Money} dayBalance - The balance at the end of the given day.
+ * @property {Money} dayTotalIn - The total credited on the given day.
+ * @property {Money} dayTotalOut - The total debited on the given day.
  * @property {Date} responseTime - The response timestamp as a Date object.
  * @property {StatementTransaction[]} dayStatement - The list of transactions for the given day.
  */
-class Statement {
+class Statement extends GPayModel {
     constructor(availableBalance, outstandingCredit, outstandingDebit, dayBalance, dayTotalIn, dayTotalOut, responseTime, dayStatement) {
-        this.availableBalance = parseFloat(availableBalance);
-        this.outstandingCredit = parseFloat(outstandingCredit);
-        this.outstandingDebit = parseFloat(outstandingDebit);
-        this.dayBalance = parseFloat(dayBalance);
-        this.dayTotalIn = parseFloat(dayTotalIn);
-        this.dayTotalOut = parseFloat(dayTotalOut);
-        this.responseTime = new Date(Number(responseTime));
+        super();
+        this.availableBalance = toMoney(availableBalance);
+        this.outstandingCredit = toMoney(outstandingCredit);
+        this.outstandingDebit = toMoney(outstandingDebit);
+        this.dayBalance = toMoney(dayBalance);
+        this.dayTotalIn = toMoney(dayTotalIn);
+        this.dayTotalOut = toMoney(dayTotalOut);
+        this.responseTime = toDate(responseTime);
         this.dayStatement = dayStatement;
     }
+
+    static fromJSON(json) {
+        return new Statement(
+            json.availableBalance,
+            json.outstandingCredit,
+            json.outstandingDebit,
+            json.dayBalance,
+            json.dayTotalIn,
+            json.dayTotalOut,
+            json.responseTime,
+            json.dayStatement.map(StatementTransaction.fromJSON)
+        );
+    }
 }
 
 /**
  * Represents a transaction in a wallet statement.
  * @property {string} transactionId - The unique ID of the transaction.
- * @property {string} datetime - The date and time of the transaction.
- * @property {string} timestamp - The timestamp of the transaction.
+ * @property {Date} datetime - The date and time of the transaction.
+ * @property {Date} timestamp - The timestamp of the transaction.
  * @property {string} description - The description of the transaction.
- * @property {number|null} amount - The amount of the transaction.
- * @property {number|null} balance - The balance after the transaction.
+ * @property {Money|null} amount - The amount of the transaction.
+ * @property {Money|null} balance - The balance after the transaction.
  * @property {string|null} referenceNo - The reference number associated with the transaction.
  * @property {number} opTypeId - The operation type ID (value from the OperationType enumeration).
  * @property {number} status - The status of the transaction (value from the TransactionStatus enumeration).
- * @property {string} createdAt - The timestamp when the transaction was created.
+ * @property {Date|null} createdAt - The time when the transaction was created.
+ * @property {string|null} opType - The OperationType name of opTypeId, e.g. 'BANK_DEPOSIT'.
+ * @property {string|null} statusName - The TransactionStatus name of status, e.g. 'PENDING'.
  */
-class StatementTransaction {
+class StatementTransaction extends GPayModel {
     constructor(transactionId, datetime, timestamp, description, amount, balance, referenceNo, opTypeId, status, createdAt) {
+        super();
         this.transactionId = transactionId;
-        this.datetime = datetime;
-        this.timestamp = timestamp;
+        this.datetime = toDate(datetime);
+        this.timestamp = toDate(timestamp);
         this.description = description;
-        this.amount = amount !== undefined && amount !== null ? parseFloat(amount) : null;
-        this.balance = balance !== undefined && balance !== null ? parseFloat(balance) : null;
+        this.amount = toMoney(amount);
+        this.balance = toMoney(balance);
         this.referenceNo = referenceNo;
-        this.opTypeId = opTypeId;
-        this.status = status;
-        this.createdAt = createdAt;
+        this.opTypeId = toInteger(opTypeId);
+        this.status = toInteger(status);
+        this.createdAt = toDate(createdAt);
+    }
+
+    get opType() {
+        return OperationType[this.opTypeId] ?? null;
+    }
+
+    get statusName() {
+        return TransactionStatus[this.status] ?? null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), opType: this.opType, statusName: this.statusName };
+    }
+
+    static fromJSON(json) {
+        return new StatementTransaction(
+            json.transactionId,
+            json.datetime,
+            json.timestamp,
+            json.description,
+            json.amount,
+            json.balance,
+            json.referenceNo,
+            json.opTypeId,
+            json.status,
+            json.createdAt
+        );
     }
 }
 
@@ -567,58 +4976,103 @@ class StatementTransaction {
  * @property {boolean} canReceiveMoney - Whether the wallet can receive money.
  * @property {Date} responseTime - The response timestamp as a Date object.
  */
-class WalletCheck {
+class WalletCheck extends GPayModel {
     constructor(exists, walletGatewayId, walletName, userAccountName, canReceiveMoney, responseTime) {
+        super();
         this.exists = exists;
         this.walletGatewayId = walletGatewayId;
         this.walletName = walletName;
         this.userAccountName = userAccountName;
         this.canReceiveMoney = canReceiveMoney;
-        this.responseTime = new Date(Number(responseTime));
+        this.responseTime = toDate(responseTime);
+    }
+
+    static fromJSON(json) {
+        return new WalletCheck(json.exists, json.walletGatewayId, json.walletName, json.userAccountName, json.canReceiveMoney, json.responseTime);
     }
 }
 
 /**
  * Represents a list of outstanding transactions.
- * @property {number} outstandingCredit - The total outstanding credit.
- * @property {number} outstandingDebit - The total outstanding debit.
+ * @property {Money} outstandingCredit - The total outstanding credit.
+ * @property {Money} outstandingDebit - The total outstanding debit.
  * @property {Date} responseTime - The response timestamp as a Date object.
  * @property {OutstandingTransaction[]} outstandingTransactions - The list of outstanding transactions.
  */
-class OutstandingTransactions {
+class OutstandingTransactions extends GPayModel {
     constructor(outstandingCredit, outstandingDebit, responseTime, outstandingTransactions) {
-        this.outstandingCredit = parseFloat(outstandingCredit);
-        this.outstandingDebit = parseFloat(outstandingDebit);
-        this.responseTime = new Date(Number(responseTime));
+        super();
+        this.outstandingCredit = toMoney(outstandingCredit);
+        this.outstandingDebit = toMoney(outstandingDebit);
+        this.responseTime = toDate(responseTime);
         this.outstandingTransactions = outstandingTransactions;
     }
+
+    static fromJSON(json) {
+        return new OutstandingTransactions(
+            json.outstandingCredit,
+            json.outstandingDebit,
+            json.responseTime,
+            json.outstandingTransactions.map(OutstandingTransaction.fromJSON)
+        );
+    }
 }
 
 /**
  * Represents an outstanding transaction.
  * @property {string} transactionId - The unique ID of the transaction.
- * @property {string} datetime - The date and time of the transaction.
- * @property {string} timestamp - The timestamp of the transaction.
+ * @property {Date} datetime - The date and time of the transaction.
+ * @property {Date} timestamp - The timestamp of the transaction.
  * @property {string} description - The description of the transaction.
- * @property {number|null} amount - The amount of the transaction.
- * @property {number|null} balance - The balance after the transaction.
+ * @property {Money|null} amount - The amount of the transaction.
+ * @property {Money|null} balance - The balance after the transaction.
  * @property {string|null} referenceNo - The reference number associated with the transaction.
  * @property {number} opTypeId - The operation type ID (value from the OperationType enumeration).
  * @property {number} status - The status of the transaction (value from the TransactionStatus enumeration).
- * @property {string} createdAt - The timestamp when the transaction was created.
+ * @property {Date|null} createdAt - The time when the transaction was created.
+ * @property {string|null} opType - The OperationType name of opTypeId, e.g. 'BANK_DEPOSIT'.
+ * @property {string|null} statusName - The TransactionStatus name of status, e.g. 'PENDING'.
  */
-class OutstandingTransaction {
+class OutstandingTransaction extends GPayModel {
     constructor(transactionId, datetime, timestamp, description, amount, balance, referenceNo, opTypeId, status, createdAt) {
+        super();
         this.transactionId = transactionId;
-        this.datetime = datetime;
-        this.timestamp = timestamp;
+        this.datetime = toDate(datetime);
+        this.timestamp = toDate(timestamp);
         this.description = description;
-        this.amount = amount !== undefined && amount !== null ? parseFloat(amount) : null;
-        this.balance = balance !== undefined && balance !== null ? parseFloat(balance) : null;
+        this.amount = toMoney(amount);
+        this.balance = toMoney(balance);
         this.referenceNo = referenceNo;
-        this.opTypeId = opTypeId;
-        this.status = status;
-        this.createdAt = createdAt;
+        this.opTypeId = toInteger(opTypeId);
+        this.status = toInteger(status);
+        this.createdAt = toDate(createdAt);
+    }
+
+    get opType() {
+        return OperationType[this.opTypeId] ?? null;
+    }
+
+    get statusName() {
+        return TransactionStatus[this.status] ?? null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), opType: this.opType, statusName: this.statusName };
+    }
+
+    static fromJSON(json) {
+        return new OutstandingTransaction(
+            json.transactionId,
+            json.datetime,
+            json.timestamp,
+            json.description,
+            json.amount,
+            json.balance,
+            json.referenceNo,
+            json.opTypeId,
+            json.status,
+            json.createdAt
+        );
     }
 }
 
@@ -665,5 +5119,10 @@ const OperationType = Object.freeze({
     6: 'LOCAL_TRANSFER',
 });
 
+export { GPayError, GPayApiError, GPaySignatureError, GPayTransportError, GPayTimeoutError, GPayResponseParseError, GPayIdempotencyError };
+export { GPayValidationError, GPayStatementChainError, GPayPayoutError, GPayResponseSchemaError, GPayCassetteError, GPayAuditError, GPayPolicyError };
+export { MemoryIdempotencyStore, FileIdempotencyStore, MemorySaltCache, Money, PaymentWatcher, WalletWatcher, StatementRange };
+export { NodeSigner, WebCryptoSigner, GPayScheduler, GPayResponseCache, MemoryCacheStore, FileCacheStore, GPayCassette, FileAuditSink, verifyAuditLog, GPayTransferPolicy };
+export { formatAmount, formatDateTime, formatOperationType, formatTransactionStatus, localized };
 export { BaseUrl, TransactionStatus, OperationType, OutstandingTransaction, OutstandingTransactions, WalletCheck, StatementTransaction, Statement, SendMoneyResult, PaymentStatus, PaymentRequest, Balance };
 export default GPayApiClient;
@@ -0,0 +1,34 @@
+// Type definitions for gpay-nodejs-sdk/GpayCli.node.js
+
+import GpayApiClient from './index';
+
+export interface CliProfile {
+    name: string;
+    apiKey: string;
+    secretKey: string;
+    password: string;
+    baseUrl: string;
+    language: string;
+    allowCustomBaseUrl: boolean;
+}
+
+export interface CliIO {
+    env?: Record<string, string | undefined>;
+    stdout?: NodeJS.WritableStream;
+    stderr?: NodeJS.WritableStream;
+    stdin?: NodeJS.ReadableStream & { isTTY?: boolean };
+    createClient?: (profile: CliProfile) => GpayApiClient;
+}
+
+/**
+ * Runs the gpay command line and resolves to the exit status.
+ */
+export function main(argv: string[], io?: CliIO): Promise<number>;
+
+/**
+ * Resolves the credentials of the selected profile from the config file and environment variables.
+ */
+export function loadProfile(
+    options: { profile?: string; config?: string },
+    env: Record<string, string | undefined>
+): CliProfile;
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/*
+ * Copyright (c) 2025 Libya Guide for Information Technology and Training
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import GPayApiClient, {
+    BaseUrl,
+    GPayApiError,
+    GPayError,
+    Money,
+} from './GpayApiClient.node.js';
+
+const USAGE = `Usage: gpay <command> [arguments] [options]
+
+Commands:
+  balance                          Show the wallet balance
+  check-wallet <walletId>          Check that a wallet exists and can receive money
+  request <amount> <referenceNo>   Create a payment request
+  status <requestId>               Show the status of a payment request (--wait to wait until it is paid)
+  send <amount> <walletId> <referenceNo>
+                                   Send money to a wallet (asks for confirmation unless --yes)
+  statement <date|from..to>        Show the statement of a day or a range of days (YYYY-MM-DD or "today")
+  outstanding                      Show outstanding transactions
+
+Options:
+  -p, --profile <name>     Credentials profile (default: $GPAY_PROFILE or the config's defaultProfile)
+  -c, --config <path>      Config file (default: $GPAY_CONFIG or ~/.gpay.json)
+  -o, --output <format>    table, json or csv (default: table)
+  -d, --description <text> Description for request and send
+  -y, --yes                Do not ask for confirmation before send
+      --wait               status: wait until the payment request is paid
+      --timeout <ms>       status --wait: how long to wait (default 300000)
+  -h, --help               Show this help
+
+Profiles are read from the config file and from environment variables, the latter taking precedence:
+  GPAY_<PROFILE>_API_KEY, GPAY_<PROFILE>_SECRET_KEY, GPAY_<PROFILE>_PASSWORD, GPAY_<PROFILE>_BASE_URL
+  (or GPAY_API_KEY, GPAY_SECRET_KEY, GPAY_PASSWORD, GPAY_BASE_URL for any profile).`;
+
+const OPTIONS = {
+    profile: { type: 'string', short: 'p' },
+    config: { type: 'string', short: 'c' },
+    output: { type: 'string', short: 'o', default: 'table' },
+    description: { type: 'string', short: 'd' },
+    yes: { type: 'boolean', short: 'y', default: false },
+    wait: { type: 'boolean', default: false },
+    timeout: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Thrown for invalid command lines and configuration; printed without a stack and exits with status 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * Runs the gpay command line.
+ * @param {string[]} argv - The arguments after the program name.
+ * @param {Object} [io]
+ * @param {Object} [io.env=process.env]
+ * @param {Writable} [io.stdout=process.stdout]
+ * @param {Writable} [io.stderr=process.stderr]
+ * @param {Readable} [io.stdin=process.stdin] - Read for the send confirmation.
+ * @param {Function} [io.createClient] - (profile) => GPayApiClient, used instead of the default constructor.
+ * @returns {Promise<number>} The exit status.
+ */
+async function main(argv, {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    stdin = process.stdin,
+    createClient = createProfileClient,
+} = {}) {
+    let args;
+    try {
+        args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    const { values: options, positionals: [command, ...operands] } = args;
+    if (options.help || !command) {
+        (options.help ? stdout : stderr).write(`${USAGE}\n`);
+        return options.help ? 0 : 2;
+    }
+    try {
+        if (!OUTPUT_FORMATS.includes(options.output)) {
+            throw new UsageError(`Unknown output format "${options.output}"; use ${OUTPUT_FORMATS.join(', ')}`);
+        }
+        const handler = COMMANDS[command];
+        if (!handler) {
+            throw new UsageError(`Unknown command "${command}"`);
+        }
+        if (operands.length !== handler.operands.length) {
+            throw new UsageError(`Usage: gpay ${command} ${handler.operands.map(name => `<${name}>`).join(' ')}`.trimEnd());
+        }
+        const profile = loadProfile(options, env);
+        const client = createClient(profile);
+        const out = { stdout, stderr, stdin, format: options.output };
+        await handler.run(client, operands, options, out);
+        return 0;
+    } catch (err) {
+        if (err instanceof UsageError) {
+            stderr.write(`gpay: ${err.message}\n`);
+            return 2;
+        }
+        if (err instanceof GPayError) {
+            stderr.write(`gpay: ${err instanceof GPayApiError ? `${err.code}: ${err.apiMessage}` : err.message}\n`);
+            return 1;
+        }
+        throw err;
+    }
+}
+
+const COMMANDS = {
+    balance: {
+        operands: [],
+        async run(client, operands, options, out) {
+            const balance = await client.getBalance();
+            print(out, { balance: balance.balance, response_time: balance.responseTime });
+        },
+    },
+    'check-wallet': {
+        operands: ['walletId'],
+        async run(client, [walletId], options, out) {
+            const wallet = await client.checkWallet(walletId);
+            print(out, {
+                wallet_gateway_id: wallet.walletGatewayId ?? walletId,
+                exists: wallet.exists,
+                wallet_name: wallet.walletName,
+                user_account_name: wallet.userAccountName,
+                can_receive_money: wallet.canReceiveMoney,
+            });
+        },
+    },
+    request: {
+        operands: ['amount', 'referenceNo'],
+        async run(client, [amount, referenceNo], options, out) {
+            const request = await client.createPaymentRequest(parseAmount(amount), referenceNo, options.description ?? '');
+            print(out, {
+                request_id: request.requestId,
+                amount: request.amount,
+                reference_no: request.referenceNo,
+                requester_username: request.requesterUsername,
+                request_time: request.requestTime,
+            });
+        },
+    },
+    status: {
+        operands: ['requestId'],
+        async run(client, [requestId], options, out) {
+            let status;
+            if (options.wait) {
+                const timeout = options.timeout === undefined ? undefined : Number(options.timeout);
+                if (timeout !== undefined && !(timeout > 0)) {
+                    throw new UsageError('--timeout must be a positive number of milliseconds');
+                }
+                out.stderr.write(`Waiting for payment request ${requestId}...\n`);
+                status = await client.waitForPayment(requestId, { timeout });
+            } else {
+                status = await client.checkPaymentStatus(requestId);
+            }
+            print(out, {
+                request_id: status.requestId,
+                is_paid: status.isPaid,
+                amount: status.amount,
+                transaction_id: status.transactionId,
+                payment_timestamp: status.paymentTimestamp,
+                reference_no: status.referenceNo,
+                description: status.description,
+            });
+        },
+    },
+    send: {
+        operands: ['amount', 'walletId', 'referenceNo'],
+        async run(client, [amount, walletId, referenceNo], options, out) {
+            const money = parseAmount(amount);
+            // The recipient is checked even with --yes, which only skips the prompt.
+            const wallet = await client.checkWallet(walletId);
+            if (!wallet.exists) {
+                throw new UsageError(`Wallet ${walletId} does not exist`);
+            }
+            if (!wallet.canReceiveMoney) {
+                throw new UsageError(`Wallet ${walletId} cannot receive money`);
+            }
+            if (!options.yes) {
+                const name = [wallet.walletName, wallet.userAccountName].filter(Boolean).join(' / ');
+                const confirmed = await confirm(out,
+                    `Send ${money} LYD to ${walletId}${name ? ` (${name})` : ''} with reference ${referenceNo}? [y/N] `);
+                if (!confirmed) {
+                    out.stderr.write('Cancelled, nothing was sent.\n');
+                    return;
+                }
+            }
+            const result = await client.sendMoney(money, walletId, referenceNo, options.description ?? '');
+            print(out, {
+                transaction_id: result.transactionId,
+                amount: result.amount,
+                sender_fee: result.senderFee,
+                old_balance: result.oldBalance,
+                new_balance: result.newBalance,
+                reference_no: result.referenceNo,
+                timestamp: result.timestamp,
+            });
+        },
+    },
+    statement: {
+        operands: ['date|from..to'],
+        async run(client, [spec], options, out) {
+            const [from, to = from] = spec.split('..').map(parseDay);
+            const range = client.getStatementRange(from, to);
+            if (out.format === 'csv') {
+                for await (const line of range.lines('csv')) {
+                    out.stdout.write(`${line}\n`);
+                }
+                return;
+            }
+            const rows = [];
+            for await (const line of range.lines('jsonl')) {
+                rows.push(JSON.parse(line));
+            }
+            print(out, rows, ['transaction_id', 'datetime', 'amount', 'balance', 'reference_no', 'op_type', 'status_name', 'description']);
+        },
+    },
+    outstanding: {
+        operands: [],
+        async run(client, operands, options, out) {
+            const outstanding = await client.getOutstandingTransactions();
+            const rows = outstanding.outstandingTransactions.map(tx => ({
+                transaction_id: tx.transactionId,
+                datetime: tx.datetime,
+                amount: tx.amount,
+                reference_no: tx.referenceNo,
+                op_type: tx.opType ?? tx.opTypeId,
+                status: tx.statusName ?? tx.status,
+                description: tx.description,
+            }));
+            if (out.format === 'table') {
+                out.stdout.write(`Outstanding credit: ${outstanding.outstandingCredit}  debit: ${outstanding.outstandingDebit}\n`);
+            }
+            print(out, rows, ['transaction_id', 'datetime', 'amount', 'reference_no', 'op_type', 'status', 'description']);
+        },
+    },
+};
+
+/**
+ * Resolves the credentials of the selected profile. The config file holds
+ *   { "defaultProfile": "staging", "profiles": { "staging": { "apiKey", "secretKey", "password", "baseUrl", "language" } } }
+ * where baseUrl is "staging", "production" or a URL, which also needs "allowCustomBaseUrl": true; environment
+ * variables override the file.
+ * @returns {Object} { name, apiKey, secretKey, password, baseUrl, language, allowCustomBaseUrl }
+ */
+function loadProfile(options, env) {
+    const configPath = options.config ?? env.GPAY_CONFIG ?? path.join(os.homedir(), '.gpay.json');
+    let config = {};
+    if (fs.existsSync(configPath)) {
+        try {
+            config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        } catch (err) {
+            throw new UsageError(`Cannot read config file ${configPath}: ${err.message}`);
+        }
+    } else if (options.config) {
+        throw new UsageError(`Config file ${configPath} does not exist`);
+    }
+    const name = options.profile ?? env.GPAY_PROFILE ?? config.defaultProfile ?? 'staging';
+    const fromFile = (config.profiles && config.profiles[name]) || {};
+    const prefix = `GPAY_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+    const fromEnv = key => env[prefix + key] ?? env[`GPAY_${key}`];
+    const allowFromEnv = fromEnv('ALLOW_CUSTOM_BASE_URL');
+    const profile = {
+        name,
+        apiKey: fromEnv('API_KEY') ?? fromFile.apiKey,
+        secretKey: fromEnv('SECRET_KEY') ?? fromFile.secretKey,
+        password: fromEnv('PASSWORD') ?? fromFile.password,
+        baseUrl: fromEnv('BASE_URL') ?? fromFile.baseUrl ?? (name === 'production' ? 'production' : 'staging'),
+        language: fromEnv('LANGUAGE') ?? fromFile.language ?? 'en',
+        allowCustomBaseUrl: allowFromEnv !== undefined ? /^(1|true)$/i.test(allowFromEnv) : Boolean(fromFile.allowCustomBaseUrl),
+    };
+    const missing = ['apiKey', 'secretKey', 'password'].filter(key => !profile[key]);
+    if (missing.length) {
+        throw new UsageError(`Profile "${name}" is missing ${missing.join(', ')} (set ${prefix}API_KEY, ${prefix}SECRET_KEY and ${prefix}PASSWORD or add it to ${configPath})`);
+    }
+    const named = { staging: BaseUrl.STAGING, production: BaseUrl.PRODUCTION };
+    profile.baseUrl = named[profile.baseUrl.toLowerCase()] ?? profile.baseUrl;
+    if (!Object.values(BaseUrl).includes(profile.baseUrl) && !profile.allowCustomBaseUrl) {
+        throw new UsageError(`Profile "${name}" uses the custom baseUrl ${profile.baseUrl} (set "allowCustomBaseUrl": true in ${configPath} or ${prefix}ALLOW_CUSTOM_BASE_URL=1)`);
+    }
+    return profile;
+}
+
+function createProfileClient(profile) {
+    return new GPayApiClient(profile.apiKey, profile.secretKey, profile.password, profile.baseUrl, profile.language, {
+        allowCustomBaseUrl: profile.allowCustomBaseUrl,
+    });
+}
+
+function parseAmount(value) {
+    let amount;
+    try {
+        amount = Money.parse(value);
+    } catch {
+        throw new UsageError(`Invalid amount "${value}"`);
+    }
+    if (amount.isNegative() || amount.isZero()) {
+        throw new UsageError(`Amount must be greater than zero, got "${value}"`);
+    }
+    return amount;
+}
+
+function parseDay(value) {
+    if (value === 'today') {
+        return new Date();
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new UsageError(`Invalid date "${value}"; use YYYY-MM-DD, "today" or FROM..TO`);
+    }
+    return value;
+}
+
+/**
+ * Asks a yes/no question on stderr and reads the answer from stdin. Refuses when stdin is not a terminal,
+ * so a piped or scripted send must pass --yes explicitly.
+ */
+async function confirm({ stdin, stderr }, question) {
+    if (!stdin.isTTY) {
+        throw new UsageError('Refusing to send without confirmation; stdin is not a terminal (use --yes)');
+    }
+    const rl = readline.createInterface({ input: stdin, output: stderr });
+    try {
+        const answer = await new Promise(resolve => rl.question(question, resolve));
+        return /^y(es)?$/i.test(answer.trim());
+    } finally {
+        rl.close();
+    }
+}
+
+/**
+ * Writes a record or a list of records in the selected format.
+ * @param {Object} out - { stdout, format }
+ * @param {Object|Object[]} data
+ * @param {string[]} [columns] - Columns of a list, in order (default: the keys of the first row).
+ */
+function print(out, data, columns) {
+    const rows = Array.isArray(data) ? data : [data];
+    const keys = columns ?? Object.keys(rows[0] ?? {});
+    if (out.format === 'json') {
+        out.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    } else if (out.format === 'csv') {
+        const lines = [keys.join(',')].concat(rows.map(row => keys.map(key => csvCell(row[key])).join(',')));
+        out.stdout.write(`${lines.join('\n')}\n`);
+    } else if (!Array.isArray(data)) {
+        const width = Math.max(...keys.map(key => key.length));
+        out.stdout.write(keys.map(key => `${key.padEnd(width)}  ${text(data[key])}`.trimEnd()).join('\n') + '\n');
+    } else if (rows.length === 0) {
+        out.stdout.write('(none)\n');
+    } else {
+        const cells = rows.map(row => keys.map(key => text(row[key])));
+        const widths = keys.map((key, i) => Math.max(key.length, ...cells.map(row => row[i].length)));
+        const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+        out.stdout.write([line(keys), line(widths.map(width => '-'.repeat(width)))].concat(cells.map(line)).join('\n') + '\n');
+    }
+}
+
+function text(value) {
+    if (value == null) {
+        return '';
+    }
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function csvCell(value) {
+    const cell = text(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+function isMainModule() {
+    try {
+        return Boolean(process.argv[1]) && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+    } catch {
+        return false;
+    }
+}
+
+if (isMainModule()) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, err => {
+        process.stderr.write(`${err.stack || err}\n`);
+        process.exitCode = 1;
+    });
+}
+
+export { main, loadProfile };
@@ -0,0 +1,71 @@
+// Type definitions for gpay-nodejs-sdk/GpayClientRegistry.node.js
+
+import { EventEmitter } from 'events';
+import GpayApiClient, { GPayClientOptions, GPayCredentials, GPayError } from './index';
+
+export interface MerchantCredentials extends GPayCredentials {
+    /** 'staging', 'production' or a URL (default: the registry's baseUrl). */
+    baseUrl?: string;
+    language?: string;
+    /** Client options for this merchant, merged over the registry's clientOptions. */
+    options?: GPayClientOptions;
+}
+
+export interface CredentialProvider {
+    getCredentials(merchantId: string): Promise<MerchantCredentials | null>;
+    /** Providers may emit 'change' (merchantId) when credentials were rotated. */
+    on?(event: 'change', listener: (merchantId: string) => void): unknown;
+    off?(event: 'change', listener: (merchantId: string) => void): unknown;
+}
+
+export interface ClientRegistryOptions {
+    provider: CredentialProvider | ((merchantId: string) => Promise<MerchantCredentials | null>);
+    clientOptions?: GPayClientOptions;
+    /** Default base URL: 'staging', 'production' or a URL (default BaseUrl.PRODUCTION). */
+    baseUrl?: string;
+    /** Re-read credentials on get() when older than this many milliseconds (default 0: never). */
+    refreshInterval?: number;
+    /** Language for credentials that do not name one, and of the registry's errors (default 'en'). */
+    language?: string;
+}
+
+export class GPayClientRegistry extends EventEmitter {
+    constructor(options: ClientRegistryOptions);
+    get(merchantId: string): Promise<GpayApiClient>;
+    refresh(merchantId: string): Promise<void>;
+    merchants(): string[];
+    delete(merchantId: string): boolean;
+    close(): void;
+
+    /** `client` is the client to use from now on; a new object when baseUrl or language changed. */
+    on(event: 'rotated', listener: (merchantId: string, client: GpayApiClient) => void): this;
+    on(event: 'error', listener: (error: Error, merchantId: string) => void): this;
+}
+
+export class EnvCredentialProvider implements CredentialProvider {
+    constructor(options?: { prefix?: string; env?: Record<string, string | undefined> });
+    getCredentials(merchantId: string): Promise<MerchantCredentials | null>;
+}
+
+export class JsonFileCredentialProvider extends EventEmitter implements CredentialProvider {
+    constructor(filePath: string, options?: { watch?: boolean; interval?: number });
+    getCredentials(merchantId: string): Promise<MerchantCredentials | null>;
+    reload(): Promise<void>;
+    close(): void;
+}
+
+export class CallbackCredentialProvider extends EventEmitter implements CredentialProvider {
+    constructor(callback: (merchantId: string) => Promise<MerchantCredentials | null | undefined>);
+    getCredentials(merchantId: string): Promise<MerchantCredentials | null>;
+    rotated(merchantId: string): void;
+}
+
+export type GPayCredentialErrorCode = 'UNKNOWN_MERCHANT' | 'INVALID_CREDENTIALS';
+
+export class GPayCredentialError extends GPayError {
+    constructor(code: GPayCredentialErrorCode, message: string | { key: string; params?: Record<string, unknown> }, merchantId: string | null, cause?: unknown);
+    code: GPayCredentialErrorCode;
+    merchantId: string | null;
+}
+
+export default GPayClientRegistry;
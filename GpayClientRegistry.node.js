@@ -0,0 +1,347 @@
+/*
+ * Copyright (c) 2025 Libya Guide for Information Technology and Training
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import GPayApiClient, { BaseUrl, GPayError, localized } from './GpayApiClient.node.js';
+
+/**
+ * GPayClientRegistry resolves one GPayApiClient per merchant ID from a credential provider.
+ * Clients are created on first use and reused afterwards; when the provider reports new credentials
+ * (a 'change' event, or the next lookup after refreshInterval), the existing client is rotated in place
+ * with setCredentials(), so callers holding a client keep working. A changed baseUrl or language cannot be
+ * rotated in place: a new client replaces the old one, and callers holding the old one must call get() again.
+ *
+ * Usage:
+ *   const registry = new GPayClientRegistry({
+ *       provider: new EnvCredentialProvider(),            // GPAY_<MERCHANT>_API_KEY, ...
+ *       clientOptions: { timeout: 10000 },
+ *   });
+ *   const client = await registry.get('north-branch');
+ *
+ * A provider is an object with async getCredentials(merchantId), resolving to
+ * { apiKey, secretKey, password, baseUrl, language } or null for an unknown merchant. It may be an
+ * EventEmitter emitting 'change' (merchantId) when credentials were rotated. A plain async function
+ * (merchantId) => credentials is accepted too.
+ *
+ * Events:
+ *   'rotated' (merchantId, client) - The credentials of a cached client changed; `client` is the one to use
+ *     from now on, a new object when baseUrl or language changed.
+ *   'error'   (error, merchantId) - A background refresh failed (only emitted when a listener exists).
+ *
+ * Constructor Options:
+ *   @param {Object|Function} provider - The credential provider.
+ *   @param {Object} [clientOptions] - Options passed to every GPayApiClient.
+ *   @param {string} [baseUrl=BaseUrl.PRODUCTION] - Base URL for credentials that do not name one
+ *     ('staging', 'production' or a URL).
+ *   @param {number} [refreshInterval=0] - Re-read credentials on get() when they are older than this many
+ *     milliseconds (0 only refreshes on 'change' events and refresh()).
+ *   @param {string} [language='en'] - Language for credentials that do not name one, and of the registry's
+ *     own errors.
+ */
+class GPayClientRegistry extends EventEmitter {
+    constructor({ provider, clientOptions = {}, baseUrl = BaseUrl.PRODUCTION, refreshInterval = 0, language = 'en' } = {}) {
+        super();
+        if (typeof provider === 'function') {
+            provider = new CallbackCredentialProvider(provider);
+        }
+        if (!provider || typeof provider.getCredentials !== 'function') {
+            throw new GPayError(localized('credentials.invalidProvider')).localize(language);
+        }
+        this.provider = provider;
+        this.clientOptions = clientOptions;
+        this.baseUrl = baseUrl;
+        this.refreshInterval = refreshInterval;
+        this.language = language;
+        this.entries = new Map();
+        this.pending = new Map();
+        this.onProviderChange = merchantId => {
+            if (this.entries.has(merchantId)) {
+                this.refresh(merchantId).catch(err => {
+                    if (this.listenerCount('error') > 0) {
+                        this.emit('error', err, merchantId);
+                    }
+                });
+            }
+        };
+        if (typeof provider.on === 'function') {
+            provider.on('change', this.onProviderChange);
+        }
+    }
+
+    /**
+     * Returns the client of a merchant, creating it on first use. Concurrent calls share one lookup.
+     * @param {string} merchantId
+     * @returns {Promise<GPayApiClient>}
+     * @throws {GPayCredentialError} UNKNOWN_MERCHANT or INVALID_CREDENTIALS.
+     */
+    async get(merchantId) {
+        const entry = this.entries.get(merchantId);
+        if (entry && !(this.refreshInterval > 0 && Date.now() - entry.loadedAt >= this.refreshInterval)) {
+            return entry.client;
+        }
+        await this.refresh(merchantId);
+        return this.entries.get(merchantId).client;
+    }
+
+    /**
+     * Re-reads a merchant's credentials from the provider. A cached client whose credentials changed is
+     * rotated with setCredentials(); a merchant that is no longer known is removed from the registry.
+     * @param {string} merchantId
+     * @returns {Promise<void>}
+     */
+    refresh(merchantId) {
+        if (this.pending.has(merchantId)) {
+            return this.pending.get(merchantId);
+        }
+        const pending = this.load(merchantId).finally(() => this.pending.delete(merchantId));
+        this.pending.set(merchantId, pending);
+        return pending;
+    }
+
+    async load(merchantId) {
+        let credentials;
+        try {
+            credentials = await this.provider.getCredentials(merchantId);
+        } catch (err) {
+            throw err instanceof GPayError ? err.localize(this.language) : err;
+        }
+        if (!credentials) {
+            this.entries.delete(merchantId);
+            throw new GPayCredentialError('UNKNOWN_MERCHANT', localized('credentials.unknownMerchant', { merchantId }), merchantId).localize(this.language);
+        }
+        const missing = ['apiKey', 'secretKey', 'password'].filter(key => !credentials[key]);
+        if (missing.length) {
+            throw new GPayCredentialError('INVALID_CREDENTIALS', localized('credentials.missing', { merchantId, fields: missing.join(', ') }), merchantId).localize(this.language);
+        }
+        const baseUrl = resolveBaseUrl(credentials.baseUrl ?? this.baseUrl);
+        const language = credentials.language ?? this.language;
+        const entry = this.entries.get(merchantId);
+        if (entry && entry.client.baseUrl === baseUrl.replace(/\/+$/, '') && entry.client.language === language) {
+            const current = entry.client.getCredentials();
+            if (['apiKey', 'secretKey', 'password'].some(key => current[key] !== credentials[key])) {
+                entry.client.setCredentials(credentials);
+                this.emit('rotated', merchantId, entry.client);
+            }
+            entry.loadedAt = Date.now();
+            return;
+        }
+        const client = new GPayApiClient(credentials.apiKey, credentials.secretKey, credentials.password, baseUrl, language, {
+            ...this.clientOptions,
+            ...credentials.options,
+        });
+        this.entries.set(merchantId, { client, loadedAt: Date.now() });
+        if (entry) {
+            this.emit('rotated', merchantId, client);
+        }
+    }
+
+    /**
+     * @returns {string[]} The merchant IDs with a cached client.
+     */
+    merchants() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Drops the cached client of a merchant.
+     * @param {string} merchantId
+     * @returns {boolean} Whether a client was cached.
+     */
+    delete(merchantId) {
+        return this.entries.delete(merchantId);
+    }
+
+    /**
+     * Drops every cached client and stops listening to the provider.
+     */
+    close() {
+        this.entries.clear();
+        if (typeof this.provider.off === 'function') {
+            this.provider.off('change', this.onProviderChange);
+        }
+    }
+}
+
+/**
+ * Reads credentials from environment variables:
+ *   <PREFIX>_<MERCHANT>_API_KEY, <PREFIX>_<MERCHANT>_SECRET_KEY, <PREFIX>_<MERCHANT>_PASSWORD,
+ *   <PREFIX>_<MERCHANT>_BASE_URL and <PREFIX>_<MERCHANT>_LANGUAGE (optional),
+ * where MERCHANT is the merchant ID upper-cased with every other character replaced by '_'
+ * (merchant 'north-branch' reads GPAY_NORTH_BRANCH_API_KEY).
+ *
+ * Constructor Options:
+ *   @param {string} [prefix='GPAY']
+ *   @param {Object} [env=process.env]
+ */
+class EnvCredentialProvider {
+    constructor({ prefix = 'GPAY', env = process.env } = {}) {
+        this.prefix = prefix;
+        this.env = env;
+    }
+
+    async getCredentials(merchantId) {
+        const name = `${this.prefix}_${String(merchantId).toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+        const apiKey = this.env[`${name}API_KEY`];
+        if (apiKey === undefined) {
+            return null;
+        }
+        return {
+            apiKey,
+            secretKey: this.env[`${name}SECRET_KEY`],
+            password: this.env[`${name}PASSWORD`],
+            baseUrl: this.env[`${name}BASE_URL`],
+            language: this.env[`${name}LANGUAGE`],
+        };
+    }
+}
+
+/**
+ * Reads credentials from a JSON file shaped as
+ *   { "merchants": { "<merchantId>": { "apiKey", "secretKey", "password", "baseUrl", "language" } } }
+ * The file is re-read whenever its modification time changes. With `watch`, the file is polled and a
+ * 'change' event is emitted for every merchant whose entry changed, so a registry rotates its clients
+ * without waiting for the next lookup.
+ *
+ * Constructor Parameters:
+ *   @param {string} filePath
+ *   @param {Object} [options]
+ *   @param {boolean} [options.watch=false] - Poll the file for changes.
+ *   @param {number} [options.interval=5000] - Poll interval in milliseconds.
+ */
+class JsonFileCredentialProvider extends EventEmitter {
+    constructor(filePath, { watch = false, interval = 5000 } = {}) {
+        super();
+        this.filePath = filePath;
+        this.mtimeMs = null;
+        this.merchants = {};
+        this.watching = false;
+        if (watch) {
+            this.watching = true;
+            fs.watchFile(filePath, { interval, persistent: false }, () => this.reload().catch(err => {
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', err);
+                }
+            }));
+        }
+    }
+
+    async getCredentials(merchantId) {
+        await this.reload();
+        return this.merchants[merchantId] ?? null;
+    }
+
+    /**
+     * Re-reads the file if it changed and emits 'change' for every merchant whose entry changed.
+     */
+    async reload() {
+        const stat = await fs.promises.stat(this.filePath);
+        if (stat.mtimeMs === this.mtimeMs) {
+            return;
+        }
+        const text = await fs.promises.readFile(this.filePath, 'utf8');
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (err) {
+            throw new GPayCredentialError('INVALID_CREDENTIALS', localized('credentials.unparsable', { path: this.filePath, reason: err.message }), null, err);
+        }
+        const previous = this.merchants;
+        const initial = this.mtimeMs === null;
+        this.merchants = (parsed && parsed.merchants) || {};
+        this.mtimeMs = stat.mtimeMs;
+        if (!initial) {
+            const ids = new Set([...Object.keys(previous), ...Object.keys(this.merchants)]);
+            for (const id of ids) {
+                if (JSON.stringify(previous[id]) !== JSON.stringify(this.merchants[id])) {
+                    this.emit('change', id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stops polling the file.
+     */
+    close() {
+        if (this.watching) {
+            fs.unwatchFile(this.filePath);
+            this.watching = false;
+        }
+    }
+}
+
+/**
+ * Wraps an async lookup, e.g. a vault or secrets-manager call: (merchantId) => Promise<credentials|null>.
+ * Call rotated(merchantId) when the backing store rotated a merchant's credentials.
+ *
+ * Constructor Parameters:
+ *   @param {Function} callback
+ */
+class CallbackCredentialProvider extends EventEmitter {
+    constructor(callback) {
+        super();
+        if (typeof callback !== 'function') {
+            throw new GPayError(localized('credentials.invalidCallback'));
+        }
+        this.callback = callback;
+    }
+
+    async getCredentials(merchantId) {
+        return (await this.callback(merchantId)) ?? null;
+    }
+
+    /**
+     * Signals that the credentials of a merchant changed.
+     * @param {string} merchantId
+     */
+    rotated(merchantId) {
+        this.emit('change', merchantId);
+    }
+}
+
+/**
+ * Thrown when a merchant's credentials cannot be resolved.
+ * @property {string} code - UNKNOWN_MERCHANT or INVALID_CREDENTIALS.
+ * @property {string|null} merchantId
+ */
+class GPayCredentialError extends GPayError {
+    constructor(code, message, merchantId, cause) {
+        super(message, { cause });
+        this.code = code;
+        this.merchantId = merchantId;
+    }
+}
+
+function resolveBaseUrl(value) {
+    const named = { staging: BaseUrl.STAGING, production: BaseUrl.PRODUCTION };
+    return named[String(value).toLowerCase()] ?? value;
+}
+
+export {
+    GPayClientRegistry,
+    EnvCredentialProvider,
+    JsonFileCredentialProvider,
+    CallbackCredentialProvider,
+    GPayCredentialError,
+};
+export default GPayClientRegistry;
@@ -0,0 +1,64 @@
+// Type definitions for gpay-nodejs-sdk/GpayNotificationReceiver.node.js
+
+import { EventEmitter } from 'events';
+import GpayApiClient, { GPayError, PaymentStatus, SaltCache } from './index';
+
+export interface NotificationReceiverOptions {
+    /**
+     * Maximum age of the notification timestamp in milliseconds (default 300000). It can only tighten the
+     * client's maxClockSkew, which verifyResponse applies to a signed response_timestamp first.
+     */
+    maxAge?: number;
+    /** The signed field holding the epoch-ms timestamp (default 'response_timestamp'). */
+    timestampField?: string;
+    /** Replay cache (default: a MemorySaltCache). */
+    saltCache?: SaltCache;
+    /** Largest body read by nodeHandler() and express(), in bytes (default 65536). */
+    maxBodySize?: number;
+}
+
+export type GPayNotificationErrorCode =
+    | 'INVALID_NOTIFICATION'
+    | 'BODY_TOO_LARGE'
+    | 'MISSING_SIGNATURE'
+    | 'HASH_MISMATCH'
+    | 'REPLAYED_SALT'
+    | 'STALE_NOTIFICATION'
+    | 'REPLAYED_NOTIFICATION'
+    | 'UNCONFIRMED'
+    | 'CONFIRMATION_FAILED';
+
+/**
+ * A notification was rejected.
+ */
+export class GPayNotificationError extends GPayError {
+    constructor(code: GPayNotificationErrorCode, message: string | { key: string; params?: Record<string, unknown> }, status: number, cause?: unknown);
+    code: GPayNotificationErrorCode;
+    /** The HTTP status to answer with. */
+    status: number;
+}
+
+/**
+ * Verifies signed payment notifications and confirms them with checkPaymentStatus.
+ */
+declare class GPayNotificationReceiver extends EventEmitter {
+    constructor(client: GpayApiClient, options?: NotificationReceiverOptions);
+
+    handle(notification: {
+        headers: Record<string, string | string[] | undefined> | Headers;
+        body: string | Buffer | Record<string, unknown>;
+    }): Promise<PaymentStatus>;
+
+    /** Node http request listener. */
+    nodeHandler(): (req: any, res: any) => Promise<void>;
+    /** Express middleware. */
+    express(): (req: any, res: any, next: (err?: unknown) => void) => Promise<void>;
+    /** Fastify route handler; the route needs a content-type parser that keeps the raw body. */
+    fastify(): (request: any, reply: any) => Promise<any>;
+
+    on(event: 'payment', listener: (status: PaymentStatus) => void): this;
+    on(event: 'rejected', listener: (error: GPayNotificationError, notification: Record<string, unknown> | null) => void): this;
+}
+
+export { GPayNotificationReceiver };
+export default GPayNotificationReceiver;
@@ -0,0 +1,311 @@
+/*
+ * Copyright (c) 2025 Libya Guide for Information Technology and Training
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { EventEmitter } from 'events';
+import {
+    GPayApiError,
+    GPayError,
+    GPaySignatureError,
+    MemorySaltCache,
+    Money,
+    localized,
+} from './GpayApiClient.node.js';
+
+/**
+ * GPayNotificationReceiver verifies payment notifications pushed by GPay.
+ * A notification is accepted only when its X-Signature-Salt / X-Signature-Hash headers match the
+ * posted fields (same scheme as signed API responses), it is fresh, its salt was not seen before,
+ * and checkPaymentStatus confirms that the payment request is paid for the notified amount.
+ *
+ * Usage:
+ *   const receiver = new GPayNotificationReceiver(client);
+ *   receiver.on('payment', status => markOrderPaid(status.referenceNo));
+ *
+ *   http.createServer(receiver.nodeHandler());           // Node http
+ *   app.post('/gpay/notify', receiver.express());        // Express
+ *   fastify.post('/gpay/notify', receiver.fastify());    // Fastify, with a raw-body content-type parser
+ *
+ * Events:
+ *   'payment'  (status)               - A verified and confirmed notification, as a PaymentStatus.
+ *   'rejected' (error, notification)  - A notification that failed verification or confirmation.
+ *
+ * Constructor Parameters:
+ *   @param {GPayApiClient} client - The client whose credentials sign the notifications.
+ *   @param {Object} [options]
+ *   @param {number} [options.maxAge=300000] - Maximum age of the notification timestamp in milliseconds.
+ *     client.verifyResponse() already rejects a signed response_timestamp outside the client's maxClockSkew,
+ *     so maxAge can only tighten that window, not widen it.
+ *   @param {string} [options.timestampField='response_timestamp'] - The signed field holding the epoch-ms timestamp.
+ *   @param {Object} [options.saltCache] - Replay cache (default: a MemorySaltCache).
+ *   @param {number} [options.maxBodySize=65536] - Largest body read by nodeHandler() and express(), in bytes.
+ */
+class GPayNotificationReceiver extends EventEmitter {
+    constructor(client, {
+        maxAge = 5 * 60 * 1000,
+        timestampField = 'response_timestamp',
+        saltCache = new MemorySaltCache(),
+        maxBodySize = 64 * 1024,
+    } = {}) {
+        super();
+        this.client = client;
+        this.maxAge = maxAge;
+        this.timestampField = timestampField;
+        this.saltCache = saltCache;
+        this.maxBodySize = maxBodySize;
+    }
+
+    /**
+     * Verifies a notification and resolves to the confirmed PaymentStatus.
+     * Emits 'payment' on success and 'rejected' on failure.
+     * @param {Object} notification
+     * @param {Object} notification.headers - The request headers.
+     * @param {string|Buffer|Object} notification.body - The raw body, whose numbers are verified as they were
+     *   sent, or the already parsed JSON object.
+     * @returns {Promise<PaymentStatus>}
+     * @throws {GPayNotificationError}
+     */
+    async handle({ headers, body }) {
+        let fields = null;
+        try {
+            fields = parseBody(body);
+            const status = await this.verify(normalizeHeaders(headers), fields);
+            this.emit('payment', status);
+            return status;
+        } catch (err) {
+            const error = this.client.localizeError(toNotificationError(err));
+            this.emit('rejected', error, fields);
+            throw error;
+        }
+    }
+
+    async verify(headers, fields) {
+        // Hash, timing-safe comparison and the client's own response checks, including maxClockSkew. The
+        // salt is checked below, once the notification is confirmed.
+        await this.client.verifyResponse(headers, fields, { saltCache: null });
+
+        const timestamp = Number(fields[this.timestampField]);
+        if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > this.maxAge) {
+            throw new GPayNotificationError('STALE_NOTIFICATION', localized('notification.stale', { field: this.timestampField, maxAge: this.maxAge }), 401);
+        }
+        if (!fields.request_id) {
+            throw new GPayNotificationError('INVALID_NOTIFICATION', localized('notification.noRequestId'), 400);
+        }
+        let status;
+        try {
+            status = await this.client.checkPaymentStatus(fields.request_id);
+        } catch (err) {
+            if (err instanceof GPayApiError && err.status >= 400 && err.status < 500) {
+                throw new GPayNotificationError('UNCONFIRMED', localized('notification.rejected', { requestId: fields.request_id, reason: err.message }), 422, err);
+            }
+            // The notification may be genuine; answer with a 5xx so GPay delivers it again.
+            throw new GPayNotificationError('CONFIRMATION_FAILED', localized('notification.confirmationFailed', { reason: err.message }), 503, err);
+        }
+        if (!status.isPaid) {
+            throw new GPayNotificationError('UNCONFIRMED', localized('notification.notPaid', { requestId: fields.request_id }), 422);
+        }
+        if (fields.amount != null && !Money.parse(fields.amount).equals(status.amount)) {
+            throw new GPayNotificationError('UNCONFIRMED', localized('notification.amountMismatch', { requestId: fields.request_id }), 422);
+        }
+        if (fields.transaction_id && status.transactionId && fields.transaction_id !== status.transactionId) {
+            throw new GPayNotificationError('UNCONFIRMED', localized('notification.transactionMismatch', { requestId: fields.request_id }), 422);
+        }
+        // Recorded only now, so that GPay can deliver a notification again after a 503 CONFIRMATION_FAILED.
+        if (this.saltCache && this.saltCache.seen(headers['x-signature-salt'])) {
+            throw new GPayNotificationError('REPLAYED_NOTIFICATION', localized('notification.replayed'), 409);
+        }
+        return status;
+    }
+
+    /**
+     * Returns a Node http request listener: (req, res) => void.
+     * Verified notifications get 200, rejected ones the status of their GPayNotificationError. A body that
+     * cannot be read gets 400 (413 above maxBodySize), and any other failure 500; the listener never rejects.
+     */
+    nodeHandler() {
+        return async (req, res) => {
+            let response;
+            try {
+                const body = req.body !== undefined ? req.body : await readBody(req, this.maxBodySize);
+                response = await this.respond(req.headers, body);
+            } catch (err) {
+                response = errorResponse(this.client.localizeError(err));
+            }
+            if (!res.headersSent && !res.destroyed) {
+                res.writeHead(response.status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(response.payload));
+            }
+        };
+    }
+
+    /**
+     * Returns an Express middleware. Works with express.raw(), express.text() or express.json();
+     * a raw body keeps amounts exactly as they were signed.
+     */
+    express() {
+        return async (req, res, next) => {
+            try {
+                const body = req.body !== undefined ? req.body : await readBody(req, this.maxBodySize);
+                const { status, payload } = await this.respond(req.headers, body);
+                res.status(status).json(payload);
+            } catch (err) {
+                next(this.client.localizeError(err));
+            }
+        };
+    }
+
+    /**
+     * Returns a Fastify route handler: (request, reply) => Promise.
+     * The route needs a content-type parser that keeps the raw body (parseAs 'buffer' or 'string'): the
+     * fields parsed by Fastify's JSON parser no longer match the signature once an amount such as 12.500 is
+     * read as a number. A parsed body is refused with an error, which Fastify answers with a 500.
+     */
+    fastify() {
+        return async (request, reply) => {
+            if (request.body && typeof request.body === 'object' && !Buffer.isBuffer(request.body)) {
+                throw new GPayError(localized('notification.rawBodyRequired')).localize(this.client.language);
+            }
+            const { status, payload } = await this.respond(request.headers, request.body);
+            reply.code(status).send(payload);
+            return reply;
+        };
+    }
+
+    async respond(headers, body) {
+        try {
+            const status = await this.handle({ headers, body });
+            return { status: 200, payload: { status: 'ok', request_id: status.requestId } };
+        } catch (err) {
+            return errorResponse(err);
+        }
+    }
+}
+
+/**
+ * Thrown when a notification is rejected, with a message in the language of the receiver's client.
+ * @property {string} code - INVALID_NOTIFICATION, BODY_TOO_LARGE, MISSING_SIGNATURE, HASH_MISMATCH,
+ *   REPLAYED_SALT, STALE_NOTIFICATION, REPLAYED_NOTIFICATION, UNCONFIRMED or CONFIRMATION_FAILED.
+ * @property {number} status - The HTTP status to answer with.
+ */
+class GPayNotificationError extends GPayError {
+    constructor(code, message, status, cause) {
+        super(message, { cause });
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function errorResponse(err) {
+    return { status: err.status || 500, payload: { error: { code: err.code ?? 'INTERNAL_ERROR', message: err.message } } };
+}
+
+function toNotificationError(err) {
+    if (err instanceof GPayNotificationError) {
+        return err;
+    }
+    if (err instanceof GPaySignatureError) {
+        return new GPayNotificationError(err.code === 'STALE_RESPONSE' ? 'STALE_NOTIFICATION' : err.code, err.template ?? err.message, 401, err);
+    }
+    return new GPayNotificationError('INVALID_NOTIFICATION', err.template ?? err.message, 400, err);
+}
+
+function parseBody(body) {
+    if (body && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        return body;
+    }
+    const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body ?? '');
+    let fields;
+    try {
+        fields = parseJsonKeepingNumbers(text);
+    } catch {
+        throw new GPayNotificationError('INVALID_NOTIFICATION', localized('notification.invalidJson'), 400);
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw new GPayNotificationError('INVALID_NOTIFICATION', localized('notification.notObject'), 400);
+    }
+    // Some senders wrap the fields the same way API responses are wrapped.
+    return fields.data && typeof fields.data === 'object' ? fields.data : fields;
+}
+
+/**
+ * Parses JSON with every number kept as the text it was sent as, e.g. '12.500' rather than 12.5, because the
+ * signature covers that text.
+ */
+function parseJsonKeepingNumbers(text) {
+    return JSON.parse(text.replace(/"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, token => (token[0] === '"' ? token : `"${token}"`)));
+}
+
+function normalizeHeaders(headers = {}) {
+    const entries = typeof headers.get === 'function' && typeof headers.entries === 'function'
+        ? [...headers.entries()]
+        : Object.entries(headers);
+    const normalized = {};
+    for (const [key, value] of entries) {
+        normalized[key.toLowerCase()] = Array.isArray(value) ? value[0] : value;
+    }
+    return normalized;
+}
+
+/**
+ * Reads a request body of at most maxBodySize bytes. Rejects with a GPayNotificationError: 413 when the
+ * body is larger, 400 when the client aborts or the stream fails.
+ */
+function readBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let done = false;
+        const fail = err => {
+            if (!done) {
+                done = true;
+                reject(err);
+            }
+        };
+        if (Number(req.headers && req.headers['content-length']) > maxBodySize) {
+            fail(new GPayNotificationError('BODY_TOO_LARGE', localized('notification.tooLarge', { max: maxBodySize }), 413));
+            req.resume();
+            return;
+        }
+        req.on('data', chunk => {
+            if (done) {
+                return;
+            }
+            size += chunk.length;
+            if (size > maxBodySize) {
+                chunks.length = 0;
+                fail(new GPayNotificationError('BODY_TOO_LARGE', localized('notification.tooLarge', { max: maxBodySize }), 413));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!done) {
+                done = true;
+                resolve(Buffer.concat(chunks));
+            }
+        });
+        req.on('error', err => fail(new GPayNotificationError('INVALID_NOTIFICATION', localized('notification.unreadable', { reason: err.message }), 400, err)));
+        req.on('close', () => fail(new GPayNotificationError('INVALID_NOTIFICATION', localized('notification.cutOff'), 400)));
+    });
+}
+
+export { GPayNotificationReceiver, GPayNotificationError };
+export default GPayNotificationReceiver;
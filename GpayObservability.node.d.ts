@@ -0,0 +1,72 @@
+// Type definitions for gpay-nodejs-sdk/GpayObservability.node.js
+
+import { GPayHookContext, GPayHooks } from './index';
+
+export interface StructuredLogger {
+    debug?(entry: Record<string, unknown>, message: string): void;
+    info(entry: Record<string, unknown>, message: string): void;
+    warn?(entry: Record<string, unknown>, message: string): void;
+    error?(entry: Record<string, unknown>, message: string): void;
+}
+
+export interface LoggingHooksOptions {
+    /** Also log an entry before each attempt, at debug level (default false). */
+    logRequests?: boolean;
+    /** Include the request parameters (default true). */
+    logParameters?: boolean;
+    /** Include the response data (default false). */
+    logData?: boolean;
+}
+
+/**
+ * Hooks writing one redacted, structured log entry per request attempt.
+ */
+export function createLoggingHooks(logger: StructuredLogger, options?: LoggingHooksOptions): GPayHooks;
+
+/** The subset of an OpenTelemetry span used by the tracing hooks. */
+export interface TracerSpan {
+    setAttribute(key: string, value: string | number | boolean | null): unknown;
+    setStatus(status: { code: number; message?: string }): unknown;
+    recordException(exception: { name: string; message: string }): unknown;
+    end(): void;
+}
+
+export interface Tracer {
+    startSpan(name: string, options?: { attributes?: Record<string, string | number | boolean> }): TracerSpan;
+}
+
+/**
+ * Hooks recording one span per request attempt.
+ */
+export function createTracingHooks(tracer: Tracer, options?: { spanName?: string }): GPayHooks;
+
+export interface EndpointMetrics {
+    requests: number;
+    errors: number;
+    retries: number;
+    signatureFailures: number;
+    statusCodes: Record<string, number>;
+    errorCodes: Record<string, number>;
+    latency: {
+        count: number;
+        sum: number;
+        min: number | null;
+        max: number | null;
+        mean: number | null;
+        /** Cumulative buckets, ending with { le: Infinity }. */
+        buckets: Array<{ le: number; count: number }>;
+    };
+}
+
+/**
+ * Per-endpoint counters and latency histograms; register with client.use(metrics).
+ */
+export class GPayMetrics implements GPayHooks {
+    constructor(options?: { buckets?: number[] });
+    buckets: number[];
+    onResponse(context: GPayHookContext): void;
+    onError(context: GPayHookContext): void;
+    record(context: GPayHookContext): void;
+    snapshot(): Record<string, EndpointMetrics>;
+    reset(): void;
+}
@@ -0,0 +1,243 @@
+/*
+ * Copyright (c) 2025 Libya Guide for Information Technology and Training
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import { GPaySignatureError } from './GpayApiClient.node.js';
+
+/**
+ * Request hooks for logging, tracing and metrics. Each factory returns a hook object for client.use().
+ *
+ * Usage:
+ *   client.use(createLoggingHooks(pino()));
+ *   client.use(createTracingHooks(trace.getTracer('gpay')));
+ *   const metrics = new GPayMetrics();
+ *   client.use(metrics);
+ */
+
+const DEFAULT_LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Creates hooks that write one structured entry per request attempt.
+ * The logger is called pino-style, logger[level](entry, message), so pino, bunyan-style and
+ * console-like loggers all work. Entries are passed through client.redact(), so the Authorization
+ * bearer key, X-Signature-* values and the client's password / secretKey never reach the logger.
+ * @param {Object} logger - An object with debug / info / warn / error methods.
+ * @param {Object} [options]
+ * @param {boolean} [options.logRequests=false] - Also log an entry before each attempt (at debug level).
+ * @param {boolean} [options.logParameters=true] - Include the request parameters.
+ * @param {boolean} [options.logData=false] - Include the response data.
+ * @returns {Object} Hooks for client.use().
+ */
+function createLoggingHooks(logger, { logRequests = false, logParameters = true, logData = false } = {}) {
+    const write = (level, context, entry, message) => {
+        const method = typeof logger[level] === 'function' ? level : 'info';
+        logger[method](context.client.redact(entry), message);
+    };
+    const baseEntry = context => {
+        const entry = { endpoint: context.endpoint, attempt: context.attempt };
+        if (logParameters) {
+            entry.parameters = context.parameters;
+        }
+        return entry;
+    };
+    const hooks = {
+        onResponse(context) {
+            const entry = {
+                ...baseEntry(context),
+                status: context.status,
+                latency: context.latency,
+                verified: context.verified,
+            };
+            if (logData) {
+                entry.data = context.data;
+            }
+            write('info', context, entry, `GPay ${context.endpoint} ${context.status}`);
+        },
+        onError(context) {
+            const err = context.error;
+            write(err instanceof GPaySignatureError ? 'error' : 'warn', context, {
+                ...baseEntry(context),
+                status: context.status,
+                latency: context.latency,
+                verified: context.verified,
+                err: { name: err.name, code: err.code, message: err.message },
+            }, `GPay ${context.endpoint} failed: ${err.message}`);
+        },
+    };
+    if (logRequests) {
+        hooks.onRequest = context => write('debug', context, baseEntry(context), `GPay ${context.endpoint} attempt ${context.attempt + 1}`);
+    }
+    return hooks;
+}
+
+/**
+ * Creates hooks that record one span per request attempt on an OpenTelemetry-style tracer
+ * (tracer.startSpan(name, { attributes }) returning a span with setAttribute, setStatus,
+ * recordException and end). Parameters are not recorded, only the endpoint and the outcome.
+ * @param {Object} tracer
+ * @param {Object} [options]
+ * @param {string} [options.spanName='gpay.request'] - Prefix of the span name; the endpoint is appended.
+ * @returns {Object} Hooks for client.use().
+ */
+function createTracingHooks(tracer, { spanName = 'gpay.request' } = {}) {
+    const spans = new WeakMap();
+    const finish = (context, apply) => {
+        const span = spans.get(context);
+        if (!span) {
+            return;
+        }
+        spans.delete(context);
+        if (context.status != null) {
+            span.setAttribute('http.status_code', context.status);
+        }
+        span.setAttribute('gpay.latency_ms', context.latency);
+        if (context.verified != null) {
+            span.setAttribute('gpay.signature_verified', context.verified);
+        }
+        apply(span);
+        span.end();
+    };
+    return {
+        onRequest(context) {
+            spans.set(context, tracer.startSpan(`${spanName} ${context.endpoint}`, {
+                attributes: { 'gpay.endpoint': context.endpoint, 'gpay.attempt': context.attempt },
+            }));
+        },
+        onResponse(context) {
+            // 1 = SpanStatusCode.OK
+            finish(context, span => span.setStatus({ code: 1 }));
+        },
+        onError(context) {
+            // 2 = SpanStatusCode.ERROR
+            finish(context, span => {
+                const err = context.error;
+                if (err.code) {
+                    span.setAttribute('gpay.error_code', err.code);
+                }
+                span.recordException({ name: err.name, message: context.client.redact(err.message) });
+                span.setStatus({ code: 2, message: context.client.redact(err.message) });
+            });
+        },
+    };
+}
+
+/**
+ * GPayMetrics collects per-endpoint counters and latency histograms. Register it with client.use(metrics).
+ *
+ * Constructor Parameters:
+ *   @param {Object} [options]
+ *   @param {number[]} [options.buckets] - Upper bounds of the latency histogram buckets, in milliseconds.
+ */
+class GPayMetrics {
+    constructor({ buckets = DEFAULT_LATENCY_BUCKETS } = {}) {
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.endpoints = new Map();
+        this.onResponse = context => this.record(context);
+        this.onError = context => this.record(context);
+    }
+
+    record(context) {
+        let stats = this.endpoints.get(context.endpoint);
+        if (!stats) {
+            stats = {
+                requests: 0,
+                errors: 0,
+                retries: 0,
+                signatureFailures: 0,
+                statusCodes: {},
+                errorCodes: {},
+                latency: { count: 0, sum: 0, min: null, max: null, buckets: this.buckets.map(() => 0), overflow: 0 },
+            };
+            this.endpoints.set(context.endpoint, stats);
+        }
+        stats.requests++;
+        if (context.attempt > 0) {
+            stats.retries++;
+        }
+        if (context.status != null) {
+            stats.statusCodes[context.status] = (stats.statusCodes[context.status] || 0) + 1;
+        }
+        if (context.error) {
+            stats.errors++;
+            const code = context.error.code || context.error.name;
+            stats.errorCodes[code] = (stats.errorCodes[code] || 0) + 1;
+            if (context.error instanceof GPaySignatureError) {
+                stats.signatureFailures++;
+            }
+        }
+        if (typeof context.latency === 'number') {
+            const latency = stats.latency;
+            latency.count++;
+            latency.sum += context.latency;
+            latency.min = latency.min === null ? context.latency : Math.min(latency.min, context.latency);
+            latency.max = latency.max === null ? context.latency : Math.max(latency.max, context.latency);
+            const index = this.buckets.findIndex(bound => context.latency <= bound);
+            if (index === -1) {
+                latency.overflow++;
+            } else {
+                latency.buckets[index]++;
+            }
+        }
+    }
+
+    /**
+     * Returns a copy of the collected metrics, keyed by endpoint. Histogram buckets are cumulative
+     * ({ le, count } pairs, Prometheus-style), ending with { le: Infinity }.
+     * @returns {Object}
+     */
+    snapshot() {
+        const result = {};
+        for (const [endpoint, stats] of this.endpoints) {
+            let cumulative = 0;
+            const buckets = this.buckets.map((le, i) => {
+                cumulative += stats.latency.buckets[i];
+                return { le, count: cumulative };
+            });
+            buckets.push({ le: Infinity, count: cumulative + stats.latency.overflow });
+            result[endpoint] = {
+                requests: stats.requests,
+                errors: stats.errors,
+                retries: stats.retries,
+                signatureFailures: stats.signatureFailures,
+                statusCodes: { ...stats.statusCodes },
+                errorCodes: { ...stats.errorCodes },
+                latency: {
+                    count: stats.latency.count,
+                    sum: stats.latency.sum,
+                    min: stats.latency.min,
+                    max: stats.latency.max,
+                    mean: stats.latency.count ? stats.latency.sum / stats.latency.count : null,
+                    buckets,
+                },
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Clears all collected metrics.
+     */
+    reset() {
+        this.endpoints.clear();
+    }
+}
+
+export { createLoggingHooks, createTracingHooks, GPayMetrics };
@@ -0,0 +1,65 @@
+// Type definitions for gpay-nodejs-sdk/GpaySandboxServer.node.js
+
+export interface SandboxWallet {
+    walletGatewayId: string;
+    walletName?: string | null;
+    userAccountName?: string | null;
+    canReceiveMoney?: boolean;
+}
+
+export interface SandboxServerOptions {
+    apiKey: string;
+    secretKey: string;
+    password: string;
+    username?: string;
+    walletGatewayId?: string;
+    balance?: number | string;
+    wallets?: SandboxWallet[];
+    sendMoneyFee?: { fixed?: number | string; percent?: number };
+    settleImmediately?: boolean;
+    maxRequestAgeMs?: number;
+    utcOffsetMinutes?: number;
+    now?: () => number;
+    host?: string;
+    port?: number;
+}
+
+/**
+ * A raw ledger entry, in the same shape the API returns statement transactions
+ * (amounts are kept as integer dirhams internally).
+ */
+export interface SandboxTransaction {
+    transaction_id: string;
+    datetime: string;
+    timestamp: string;
+    description: string;
+    amount: number;
+    balance: number;
+    reference_no: string | null;
+    op_type_id: number;
+    status: number;
+    created_at: string;
+}
+
+/**
+ * Local stand-in for the GPay Payment API that speaks the signed protocol.
+ */
+declare class GPaySandboxServer {
+    constructor(options: SandboxServerOptions);
+
+    baseUrl: string | null;
+
+    start(): Promise<string>;
+    stop(): Promise<void>;
+    addWallet(wallet: SandboxWallet): void;
+    deposit(
+        amount: number | string,
+        options?: { description?: string; referenceNo?: string | null; status?: number }
+    ): SandboxTransaction;
+    payPaymentRequest(requestId: string, options?: { status?: number }): SandboxTransaction;
+    settle(transactionId: string, status?: number): SandboxTransaction;
+    settleAll(): void;
+}
+
+export { GPaySandboxServer };
+export default GPaySandboxServer;
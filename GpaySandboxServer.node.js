@@ -0,0 +1,586 @@
+/*
+ * Copyright (c) 2025 Libya Guide for Information Technology and Training
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import GPayApiClient, { BaseUrl, Money, OperationType, TransactionStatus } from './GpayApiClient.node.js';
+
+/**
+ * GPaySandboxServer is a local stand-in for the GPay Payment API.
+ * It speaks the same signed protocol as the real API: incoming requests must carry a valid
+ * X-Signature-Salt / X-Signature-Hash pair, and every response is signed so that
+ * GPayApiClient.verifyResponse accepts it. Wallet state is kept in an in-memory ledger.
+ *
+ * Usage:
+ *   const server = new GPaySandboxServer({ apiKey, secretKey, password, balance: '1000' });
+ *   const baseUrl = await server.start();
+ *   const client = new GPayApiClient(apiKey, secretKey, password, baseUrl, 'en', { allowCustomBaseUrl: true });
+ *   ...
+ *   await server.stop();
+ *
+ * Constructor Options:
+ *   @param {string} apiKey - The API key expected in the Authorization header.
+ *   @param {string} secretKey - The secret key used for HMAC signing.
+ *   @param {string} password - The password used for hash token generation.
+ *   @param {string} [username='sandbox_merchant'] - The merchant username returned as requester_username.
+ *   @param {string} [walletGatewayId='SANDBOX-MERCHANT'] - The merchant's own wallet gateway ID.
+ *   @param {number|string} [balance='0'] - The opening balance in LYD.
+ *   @param {Object[]} [wallets] - Other wallets known to the sandbox ({ walletGatewayId, walletName, userAccountName, canReceiveMoney }).
+ *   @param {Object} [sendMoneyFee] - The fee charged on send-money ({ fixed: '0.000', percent: 0 }).
+ *   @param {boolean} [settleImmediately=true] - When false, new transactions stay PENDING until settle() is called.
+ *   @param {number} [maxRequestAgeMs=300000] - Maximum accepted age of request_timestamp.
+ *   @param {number} [utcOffsetMinutes=120] - Offset used to assign transactions to statement days (Libya is UTC+2).
+ *   @param {Function} [now] - Clock returning epoch milliseconds (default: Date.now).
+ *   @param {string} [host='127.0.0.1'] - The interface to listen on.
+ *   @param {number} [port=0] - The port to listen on (0 picks a free port).
+ */
+
+const API_PATH = new URL(BaseUrl.PRODUCTION).pathname;
+
+/**
+ * Parameters each endpoint signs. Missing parameters are signed as empty strings,
+ * the same way GPayApiClient.generateVerificationHash treats null and undefined values.
+ */
+const ENDPOINT_PARAMETERS = Object.freeze({
+    '/info/balance': ['request_timestamp'],
+    '/payment/create-payment-request': ['amount', 'reference_no', 'description', 'request_timestamp'],
+    '/payment/check-payment-status': ['request_id', 'request_timestamp'],
+    '/payment/send-money': ['amount', 'wallet_gateway_id', 'reference_no', 'description', 'request_timestamp'],
+    '/info/statement': ['date', 'request_timestamp'],
+    '/info/check-wallet': ['wallet_gateway_id', 'request_timestamp'],
+    '/info/outstanding-transactions': ['request_timestamp'],
+});
+
+class SandboxError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+class GPaySandboxServer {
+    constructor({
+        apiKey,
+        secretKey,
+        password,
+        username = 'sandbox_merchant',
+        walletGatewayId = 'SANDBOX-MERCHANT',
+        balance = '0',
+        wallets = [],
+        sendMoneyFee = { fixed: '0', percent: 0 },
+        settleImmediately = true,
+        maxRequestAgeMs = 5 * 60 * 1000,
+        utcOffsetMinutes = 120,
+        now = Date.now,
+        host = '127.0.0.1',
+        port = 0,
+    } = {}) {
+        if (!apiKey || !secretKey || !password) {
+            throw new Error('GPaySandboxServer requires apiKey, secretKey and password.');
+        }
+        this.apiKey = apiKey;
+        this.password = password;
+        this.username = username;
+        this.walletGatewayId = walletGatewayId;
+        this.sendMoneyFee = sendMoneyFee;
+        this.settleImmediately = settleImmediately;
+        this.maxRequestAgeMs = maxRequestAgeMs;
+        this.utcOffsetMinutes = utcOffsetMinutes;
+        this.now = now;
+        this.host = host;
+        this.port = port;
+        this.baseUrl = null;
+
+        // The signing scheme is taken from the client itself so both sides can never drift apart.
+        this.signer = new GPayApiClient(apiKey, secretKey, password, BaseUrl.STAGING);
+
+        this.balance = toDirhams(balance);
+        this.openingBalance = this.balance;
+        this.wallets = new Map();
+        this.wallets.set(walletGatewayId, {
+            walletGatewayId,
+            walletName: username,
+            userAccountName: username,
+            canReceiveMoney: true,
+        });
+        for (const wallet of wallets) {
+            this.addWallet(wallet);
+        }
+        this.transactions = [];
+        this.paymentRequests = new Map();
+        this.server = null;
+        this.sequence = 0;
+    }
+
+    /**
+     * Starts listening and resolves to the base URL to hand to GPayApiClient.
+     * @returns {Promise<string>}
+     */
+    async start() {
+        if (this.server) {
+            return this.baseUrl;
+        }
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(err => this.reply(res, 500, { error: { code: 'INTERNAL_ERROR', message: err.message } }));
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+        const { port } = this.server.address();
+        this.baseUrl = `http://${this.host}:${port}${API_PATH}`;
+        return this.baseUrl;
+    }
+
+    /**
+     * Stops the server and closes open connections.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+        const server = this.server;
+        this.server = null;
+        this.baseUrl = null;
+        server.closeAllConnections?.();
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Registers a wallet that check-wallet and send-money will recognise.
+     * @param {Object} wallet - { walletGatewayId, walletName, userAccountName, canReceiveMoney }
+     */
+    addWallet({ walletGatewayId, walletName = null, userAccountName = null, canReceiveMoney = true }) {
+        this.wallets.set(walletGatewayId, { walletGatewayId, walletName, userAccountName, canReceiveMoney });
+    }
+
+    /**
+     * Credits the merchant wallet with a cash-in bank deposit.
+     * @param {number|string} amount - The amount in LYD.
+     * @param {Object} [options] - { description, referenceNo, status }
+     * @returns {Object} The ledger transaction.
+     */
+    deposit(amount, { description = 'Bank deposit', referenceNo = null, status } = {}) {
+        return this.record(OperationType.BANK_DEPOSIT, toDirhams(amount), description, referenceNo, status);
+    }
+
+    /**
+     * Marks a payment request as paid and credits the merchant wallet.
+     * @param {string} requestId - The payment request ID.
+     * @param {Object} [options] - { status }
+     * @returns {Object} The ledger transaction.
+     */
+    payPaymentRequest(requestId, { status } = {}) {
+        const request = this.paymentRequests.get(requestId);
+        if (!request) {
+            throw new Error(`Unknown payment request: ${requestId}`);
+        }
+        if (request.transactionId) {
+            throw new Error(`Payment request already paid: ${requestId}`);
+        }
+        const tx = this.record(
+            OperationType.PAYMENT_REQUEST,
+            request.amount,
+            request.description || 'Payment request',
+            request.referenceNo,
+            status
+        );
+        request.transactionId = tx.transaction_id;
+        request.paymentTimestamp = tx.timestamp;
+        return tx;
+    }
+
+    /**
+     * Moves a pending transaction forward: PENDING -> COMPLETED -> APPLIED.
+     * Credits only reach the available balance once they are applied.
+     * @param {string} transactionId - The transaction to settle.
+     * @param {number} [status=TransactionStatus.APPLIED] - The target status.
+     */
+    settle(transactionId, status = TransactionStatus.APPLIED) {
+        const tx = this.transactions.find(t => t.transaction_id === transactionId);
+        if (!tx) {
+            throw new Error(`Unknown transaction: ${transactionId}`);
+        }
+        if (status <= tx.status) {
+            return tx;
+        }
+        if (status === TransactionStatus.APPLIED && tx.amount > 0) {
+            this.balance += tx.amount;
+            tx.balance = this.balance;
+        }
+        tx.status = status;
+        return tx;
+    }
+
+    /**
+     * Applies every outstanding transaction.
+     */
+    settleAll() {
+        for (const tx of this.transactions) {
+            if (tx.status !== TransactionStatus.APPLIED) {
+                this.settle(tx.transaction_id);
+            }
+        }
+    }
+
+    async handle(req, res) {
+        try {
+            if (req.method !== 'POST' || !req.url.startsWith(API_PATH)) {
+                throw new SandboxError(404, 'NOT_FOUND', 'Not found');
+            }
+            const endpoint = req.url.slice(API_PATH.length).split('?')[0];
+            const handler = this.routes()[endpoint];
+            if (!handler) {
+                throw new SandboxError(404, 'NOT_FOUND', `Unknown endpoint: ${endpoint}`);
+            }
+            if (req.headers['authorization'] !== `Bearer ${this.apiKey}`) {
+                throw new SandboxError(401, 'UNAUTHORIZED', 'Invalid API key');
+            }
+            const body = await readBody(req);
+            let parameters;
+            try {
+                parameters = body ? JSON.parse(body) : {};
+            } catch {
+                throw new SandboxError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+            }
+            await this.verifyRequest(req.headers, endpoint, parameters);
+            const data = handler(parameters);
+            await this.reply(res, 200, { data: data.signed ? { ...data.signed, ...data.unsigned } : data }, data.signed || data);
+        } catch (err) {
+            if (!(err instanceof SandboxError)) {
+                throw err;
+            }
+            await this.reply(res, err.status, { error: { code: err.code, message: err.message } });
+        }
+    }
+
+    async verifyRequest(headers, endpoint, parameters) {
+        const salt = headers['x-signature-salt'];
+        const hash = headers['x-signature-hash'];
+        if (!salt || !hash) {
+            throw new SandboxError(401, 'MISSING_SIGNATURE', 'Missing X-Signature-Salt or X-Signature-Hash');
+        }
+        const signed = {};
+        for (const key of ENDPOINT_PARAMETERS[endpoint]) {
+            signed[key] = parameters[key];
+        }
+        Object.assign(signed, parameters);
+        const expected = await this.signer.generateVerificationHash(
+            this.signer.generateHashToken(salt, this.password),
+            signed
+        );
+        const a = Buffer.from(expected);
+        const b = Buffer.from(String(hash));
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+            throw new SandboxError(401, 'INVALID_SIGNATURE', 'Request signature verification failed');
+        }
+        const timestamp = Number(parameters.request_timestamp);
+        if (!Number.isFinite(timestamp) || Math.abs(this.now() - timestamp) > this.maxRequestAgeMs) {
+            throw new SandboxError(400, 'INVALID_TIMESTAMP', 'request_timestamp is missing or outside the accepted window');
+        }
+    }
+
+    async reply(res, status, body, signedFields) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (signedFields) {
+            const salt = await this.signer.generateSalt();
+            headers['X-Signature-Salt'] = salt;
+            headers['X-Signature-Hash'] = await this.signer.generateVerificationHash(
+                this.signer.generateHashToken(salt, this.password),
+                signedFields
+            );
+        }
+        res.writeHead(status, headers);
+        res.end(JSON.stringify(body));
+    }
+
+    routes() {
+        return {
+            '/info/balance': () => ({
+                balance: formatDirhams(this.balance),
+                response_timestamp: this.timestamp(),
+            }),
+            '/payment/create-payment-request': params => this.createPaymentRequest(params),
+            '/payment/check-payment-status': params => this.checkPaymentStatus(params),
+            '/payment/send-money': params => this.sendMoney(params),
+            '/info/statement': params => this.statement(params),
+            '/info/check-wallet': params => this.checkWallet(params),
+            '/info/outstanding-transactions': () => this.outstandingTransactions(),
+        };
+    }
+
+    createPaymentRequest(params) {
+        const amount = parseAmount(params.amount);
+        const requestId = this.nextId('PR');
+        const request = {
+            requestId,
+            requestTime: this.timestamp(),
+            amount,
+            referenceNo: params.reference_no ?? null,
+            description: params.description ?? null,
+            transactionId: null,
+            paymentTimestamp: null,
+        };
+        this.paymentRequests.set(requestId, request);
+        return {
+            requester_username: this.username,
+            request_id: requestId,
+            request_time: request.requestTime,
+            amount: formatDirhams(amount),
+            reference_no: request.referenceNo,
+            response_timestamp: this.timestamp(),
+        };
+    }
+
+    checkPaymentStatus(params) {
+        const request = this.paymentRequests.get(params.request_id);
+        if (!request) {
+            throw new SandboxError(404, 'PAYMENT_REQUEST_NOT_FOUND', 'Payment request not found');
+        }
+        return {
+            request_id: request.requestId,
+            transaction_id: request.transactionId,
+            amount: formatDirhams(request.amount),
+            payment_timestamp: request.paymentTimestamp,
+            reference_no: request.referenceNo,
+            description: request.description,
+            is_paid: request.transactionId !== null,
+            response_timestamp: this.timestamp(),
+        };
+    }
+
+    sendMoney(params) {
+        const amount = parseAmount(params.amount);
+        const wallet = this.wallets.get(params.wallet_gateway_id);
+        if (!wallet || params.wallet_gateway_id === this.walletGatewayId) {
+            throw new SandboxError(404, 'WALLET_NOT_FOUND', 'Recipient wallet not found');
+        }
+        if (!wallet.canReceiveMoney) {
+            throw new SandboxError(400, 'WALLET_CANNOT_RECEIVE', 'Recipient wallet cannot receive money');
+        }
+        const referenceNo = params.reference_no ?? null;
+        if (referenceNo && this.transactions.some(t => t.op_type_id === OperationType.DIRECT_TRANSFER && t.reference_no === referenceNo)) {
+            throw new SandboxError(409, 'DUPLICATE_REFERENCE', 'A transfer with this reference_no already exists');
+        }
+        const fee = this.fee(amount);
+        if (amount + fee > this.balance) {
+            throw new SandboxError(400, 'INSUFFICIENT_BALANCE', 'Insufficient balance');
+        }
+        const oldBalance = this.balance;
+        const tx = this.record(OperationType.DIRECT_TRANSFER, -amount, params.description || 'Send money', referenceNo);
+        if (fee > 0) {
+            this.record(OperationType.TRANSACTION_FEE, -fee, 'Transaction fee', referenceNo);
+        }
+        return {
+            amount: formatDirhams(amount),
+            sender_fee: formatDirhams(fee),
+            transaction_id: tx.transaction_id,
+            old_balance: formatDirhams(oldBalance),
+            new_balance: formatDirhams(this.balance),
+            timestamp: tx.timestamp,
+            reference_no: referenceNo,
+            response_timestamp: this.timestamp(),
+        };
+    }
+
+    statement(params) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(params.date))) {
+            throw new SandboxError(400, 'INVALID_DATE', 'date must be in YYYY-MM-DD format');
+        }
+        // Like the available balance, the running balance leaves out credits that are not applied yet.
+        const counted = t => t.amount < 0 || t.status === TransactionStatus.APPLIED;
+        const day = this.transactions.filter(t => t.datetime.startsWith(params.date));
+        const before = this.transactions.filter(t => t.datetime.slice(0, 10) < params.date && counted(t));
+        const opening = before.reduce((sum, t) => sum + t.amount, this.openingBalance);
+        let running = opening;
+        let totalIn = 0;
+        let totalOut = 0;
+        const dayStatement = day.map(t => {
+            if (!counted(t)) {
+                return this.serializeTransaction(t, running);
+            }
+            running += t.amount;
+            if (t.amount > 0) {
+                totalIn += t.amount;
+            } else {
+                totalOut -= t.amount;
+            }
+            return this.serializeTransaction(t, running);
+        });
+        const { credit, debit } = this.outstanding();
+        return {
+            signed: {
+                available_balance: formatDirhams(this.balance),
+                outstanding_credit: formatDirhams(credit),
+                outstanding_debit: formatDirhams(debit),
+                day_balance: formatDirhams(running),
+                day_total_in: formatDirhams(totalIn),
+                day_total_out: formatDirhams(totalOut),
+                response_timestamp: this.timestamp(),
+            },
+            unsigned: { day_statement: dayStatement },
+        };
+    }
+
+    checkWallet(params) {
+        const wallet = this.wallets.get(params.wallet_gateway_id);
+        return {
+            exists: Boolean(wallet),
+            wallet_gateway_id: params.wallet_gateway_id ?? null,
+            wallet_name: wallet ? wallet.walletName : null,
+            user_account_name: wallet ? wallet.userAccountName : null,
+            can_receive_money: wallet ? wallet.canReceiveMoney : false,
+            response_timestamp: this.timestamp(),
+        };
+    }
+
+    outstandingTransactions() {
+        const { credit, debit } = this.outstanding();
+        return {
+            signed: {
+                outstanding_credit: formatDirhams(credit),
+                outstanding_debit: formatDirhams(debit),
+                response_timestamp: this.timestamp(),
+            },
+            unsigned: {
+                outstanding_transactions: this.transactions
+                    .filter(t => t.status !== TransactionStatus.APPLIED)
+                    .map(t => this.serializeTransaction(t, t.balance)),
+            },
+        };
+    }
+
+    outstanding() {
+        let credit = 0;
+        let debit = 0;
+        for (const t of this.transactions) {
+            if (t.status === TransactionStatus.APPLIED) {
+                continue;
+            }
+            if (t.amount > 0) {
+                credit += t.amount;
+            } else {
+                debit -= t.amount;
+            }
+        }
+        return { credit, debit };
+    }
+
+    /**
+     * Appends a transaction to the ledger. Debits are taken from the available balance
+     * straight away; credits are only added once the transaction is applied.
+     */
+    record(opTypeId, amount, description, referenceNo, status) {
+        const now = this.now();
+        const finalStatus = status ?? (this.settleImmediately ? TransactionStatus.APPLIED : TransactionStatus.PENDING);
+        if (amount < 0) {
+            this.balance += amount;
+        }
+        const tx = {
+            transaction_id: this.nextId('TX'),
+            datetime: this.formatDatetime(now),
+            timestamp: String(now),
+            description,
+            amount,
+            balance: this.balance,
+            reference_no: referenceNo,
+            op_type_id: opTypeId,
+            status: TransactionStatus.PENDING,
+            created_at: this.formatDatetime(now),
+        };
+        this.transactions.push(tx);
+        if (amount < 0) {
+            tx.status = finalStatus;
+        } else {
+            this.settle(tx.transaction_id, finalStatus);
+        }
+        return tx;
+    }
+
+    serializeTransaction(t, balance) {
+        return {
+            ...t,
+            amount: formatDirhams(t.amount),
+            balance: formatDirhams(balance),
+        };
+    }
+
+    fee(amount) {
+        const fixed = toDirhams(this.sendMoneyFee.fixed || 0);
+        const percent = Number(this.sendMoneyFee.percent || 0);
+        return fixed + Math.round(amount * percent / 100);
+    }
+
+    nextId(prefix) {
+        this.sequence += 1;
+        return `${prefix}${String(this.sequence).padStart(10, '0')}`;
+    }
+
+    timestamp() {
+        return String(this.now());
+    }
+
+    formatDatetime(ms) {
+        return new Date(ms + this.utcOffsetMinutes * 60000).toISOString().slice(0, 19).replace('T', ' ');
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * The ledger keeps integer dirhams (1 LYD = 1000 dirhams) so it never accumulates floating point error.
+ */
+function toDirhams(value) {
+    return Money.parse(value).dirhams;
+}
+
+function formatDirhams(dirhams) {
+    return Money.fromDirhams(dirhams).toString();
+}
+
+function parseAmount(value) {
+    let dirhams;
+    try {
+        dirhams = toDirhams(value);
+    } catch {
+        throw new SandboxError(400, 'INVALID_AMOUNT', 'amount must be a positive LYD value with at most 3 decimals');
+    }
+    if (dirhams <= 0) {
+        throw new SandboxError(400, 'INVALID_AMOUNT', 'amount must be greater than zero');
+    }
+    return dirhams;
+}
+
+export { GPaySandboxServer };
+export default GPaySandboxServer;
@@ -0,0 +1,20 @@
+// Type definitions for gpay-nodejs-sdk/GpaySigningVectors.node.js
+
+import { GPaySigner } from './index';
+
+export interface SigningVector {
+    description: string;
+    secretKey: string;
+    password: string;
+    salt: string;
+    parameters: Record<string, string | number | boolean | null>;
+    /** The expected X-Signature-Hash. */
+    hash: string;
+}
+
+export const SIGNING_VECTORS: ReadonlyArray<SigningVector>;
+
+/**
+ * Signs every vector with the signer; resolves to the number of vectors checked and throws on any mismatch.
+ */
+export function checkSigner(signer: GPaySigner, vectors?: ReadonlyArray<SigningVector>): Promise<number>;
@@ -0,0 +1,145 @@
+/*
+ * Copyright (c) 2025 Libya Guide for Information Technology and Training
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+import GPayApiClient, { BaseUrl } from './GpayApiClient.node.js';
+
+/**
+ * Shared signing test vectors. Every signer (NodeSigner, WebCryptoSigner or a custom one) must produce exactly
+ * these hashes through GPayApiClient.generateVerificationHash. The hashes were computed independently with
+ * HMAC-SHA256(secretKey, salt + password + canonical query string), base64-encoded.
+ *
+ * Usage, e.g. once at startup on a new runtime:
+ *   import { checkSigner } from 'gpay-nodejs-sdk/GpaySigningVectors.node.js';
+ *   await checkSigner(new WebCryptoSigner());   // throws if any vector does not match
+ */
+const SIGNING_VECTORS = Object.freeze([
+    {
+        description: 'balance request',
+        secretKey: 'secret-key-1',
+        password: 'p@ssw0rd',
+        salt: 'c2FsdC1vbmU=',
+        parameters: {
+            request_timestamp: '1750000000000',
+        },
+        hash: '5wR2K7H7biawVVJ2oOXFutBFja9wefUFXkBtuNvd2JQ=',
+    },
+    {
+        description: 'send money with sorted keys',
+        secretKey: 'Sk_9f8e7d',
+        password: 'pw',
+        salt: 'Zm9vYmFyYmF6',
+        parameters: {
+            wallet_gateway_id: 'W-123',
+            amount: '12.500',
+            reference_no: 'REF/2025#1',
+            description: 'Payout week 42',
+            request_timestamp: '1750000000123',
+        },
+        hash: '+4yYM49pdALrfr0cG1AjFE0MScgQsvEEBdjsyM1d3PE=',
+    },
+    {
+        description: 'null and empty values',
+        secretKey: 'k',
+        password: 'p',
+        salt: 'AAAA',
+        parameters: {
+            reference_no: null,
+            description: '',
+            amount: '1',
+            request_timestamp: '1',
+        },
+        hash: 'Diu0sS0VbMgkV7loB9Iofg7HBayQJWyII04zM0CHoao=',
+    },
+    {
+        description: 'Arabic description (UTF-8)',
+        secretKey: 'مفتاح-سري',
+        password: 'كلمة',
+        salt: 'c2FsdA==',
+        parameters: {
+            description: 'دفعة شهر يونيو',
+            amount: '100',
+            request_timestamp: '1750000000999',
+        },
+        hash: '87fUk8Em2U6G9boczYhfmTqM1tTHELF/MLHUs+dvXVM=',
+    },
+    {
+        description: 'reserved characters and emoji',
+        secretKey: 'key with spaces',
+        password: 'p&w=',
+        salt: '+/+/+/==',
+        parameters: {
+            description: 'a&b=c d 🚀',
+            reference_no: 'X:Y',
+            request_timestamp: '2',
+        },
+        hash: 'T65p2jL8ek9U12H5nC4hO3LvAIXsPjnpcSZjMKygr6k=',
+    },
+    {
+        description: 'response fields with booleans and numbers',
+        secretKey: 'SECRET',
+        password: 'PASSWORD',
+        salt: 'cmVzcG9uc2U=',
+        parameters: {
+            exists: true,
+            can_receive_money: false,
+            balance: 1234.5,
+            response_timestamp: 1750000000000,
+        },
+        hash: 'Abv59MPoLwV8dIUfZFPLAPv+r/CD9GEY9J1YIE2bpiI=',
+    },
+    {
+        description: 'no parameters',
+        secretKey: 'k',
+        password: 'p',
+        salt: 'c2FsdA==',
+        parameters: {},
+        hash: 'vGzln/eLe8moc99e9+2TSBB/jAEMNjxdO4Qh3v55BKs=',
+    },
+]);
+
+/**
+ * Signs every vector with the given signer and throws when a hash differs or a salt is malformed.
+ * @param {Object} signer - A NodeSigner, WebCryptoSigner or compatible object.
+ * @param {Object[]} [vectors=SIGNING_VECTORS]
+ * @returns {Promise<number>} The number of vectors checked.
+ * @throws {Error} Listing every vector that did not match.
+ */
+async function checkSigner(signer, vectors = SIGNING_VECTORS) {
+    const failures = [];
+    for (const vector of vectors) {
+        const client = new GPayApiClient('vector', vector.secretKey, vector.password, BaseUrl.STAGING, 'en', { signer });
+        const hash = await client.generateVerificationHash(client.generateHashToken(vector.salt, vector.password), vector.parameters);
+        if (hash !== vector.hash) {
+            failures.push(`${vector.description}: expected ${vector.hash}, got ${hash}`);
+        }
+    }
+    const salt = await signer.randomSalt();
+    if (!/^[A-Za-z0-9+/]{43}=$/.test(salt)) {
+        failures.push(`randomSalt: expected 32 base64-encoded bytes, got ${salt}`);
+    }
+    if (failures.length) {
+        throw new Error(`Signer does not match the GPay signing vectors:\n  ${failures.join('\n  ')}`);
+    }
+    return vectors.length;
+}
+
+export { SIGNING_VECTORS, checkSigner };
@@ -2,6 +2,8 @@
 // Project: https://github.com/yourusername/gpay-nodejs-sdk
 // Definitions by: Your Name <your.email@example.com>
 
+import { EventEmitter } from 'events';
+
 export = GpayApiClient;
 
 /**
@@ -13,117 +15,1107 @@ declare class GpayApiClient {
         secretKey: string,
         password: string,
         baseUrl: string,
-        language?: string
+        language?: string,
+        options?: GPayClientOptions
     );
 
-    getBalance(): Promise<Balance>;
+    /** Current credentials; read-only and not enumerable, so they never show up in logs or JSON. */
+    readonly apiKey: string;
+    readonly secretKey: string;
+    readonly password: string;
+    /** Replaces the credentials used for new requests (in-flight requests keep theirs). */
+    setCredentials(credentials: GPayCredentials): void;
+    getCredentials(): Readonly<GPayCredentials>;
+
+    getBalance(options?: GPayRequestOptions): Promise<Balance>;
     createPaymentRequest(
-        amount: number | string,
-        referenceNo: string,
-        description: string
+        amount: Money | number | string,
+        referenceNo?: string | null,
+        description?: string | null,
+        options?: GPayRequestOptions
     ): Promise<PaymentRequest>;
-    checkPaymentStatus(requestId: string): Promise<PaymentStatus>;
+    checkPaymentStatus(requestId: string, options?: GPayRequestOptions): Promise<PaymentStatus>;
     sendMoney(
-        amount: number | string,
+        amount: Money | number | string,
         walletGatewayId: string,
         referenceNo: string,
-        description: string
+        description?: string | null,
+        options?: GPayRequestOptions
     ): Promise<SendMoneyResult>;
-    getStatement(date: string): Promise<Statement>;
-    checkWallet(walletGatewayId: string): Promise<WalletCheck>;
-    getOutstandingTransactions(): Promise<OutstandingTransactions>;
+    getStatement(date: string | Date, options?: GPayRequestOptions): Promise<Statement>;
+    checkWallet(walletGatewayId: string, options?: GPayRequestOptions): Promise<WalletCheck>;
+    getOutstandingTransactions(options?: GPayRequestOptions): Promise<OutstandingTransactions>;
+    verifyResponse(
+        headers: Record<string, string>,
+        responseFields: Record<string, unknown>,
+        context?: {
+            endpoint?: string;
+            data?: Record<string, unknown>;
+            request?: Record<string, unknown>;
+            credentials?: GPayCredentials;
+            /** Epoch ms to check response_timestamp against (default: now). */
+            now?: number;
+            /** Salt cache to check (default: the client's); null leaves the replay check to the caller. */
+            saltCache?: SaltCache | null;
+        }
+    ): Promise<void>;
+    readonly signer: GPaySigner;
+    readonly scheduler: GPayScheduler | null;
+    readonly cassette: GPayCassette | null;
+    readonly audit: AuditSink | null;
+    readonly transferPolicy: GPayTransferPolicy | null;
+    readonly cache: GPayResponseCache | null;
+    generateSalt(): Promise<string>;
+    generateHashToken(salt: string, password: string): string;
+    generateVerificationHash(hashToken: string, parameters: Record<string, unknown>, secretKey?: string): Promise<string>;
+    getStatementRange(from: string | Date, to?: string | Date, options?: StatementRangeOptions): StatementRange;
+    reconcile<R extends LocalRecord>(localRecords: R[], options: ReconcileOptions): Promise<ReconciliationReport<R>>;
+    createPayoutBatch(items: PayoutItem[], options?: PayoutBatchOptions): Promise<PayoutReport>;
+    validatePayoutItems(items: PayoutItem[]): Array<Required<PayoutItem> & { amount: string }>;
+    waitForPayment(requestId: string, options?: WaitForPaymentOptions): Promise<PaymentStatus>;
+    watchPayments(options?: PaymentWatcherOptions): PaymentWatcher;
+    /** Creates a WalletWatcher; call start() after adding listeners. */
+    watchWallet(options?: WalletWatcherOptions): WalletWatcher;
+    /**
+     * Validates endpoint arguments by name and returns the values to sign.
+     * Throws a GPayValidationError listing every invalid argument.
+     */
+    validateArguments(
+        args: Partial<Record<'amount' | 'date' | 'referenceNo' | 'description' | 'walletGatewayId' | 'requestId', unknown>>,
+        required?: { referenceNo?: boolean }
+    ): Record<string, string>;
+    /** Registers request hooks; returns the client for chaining. */
+    use(hooks: GPayHooks): this;
+    /** Deep copy with credentials, Authorization and X-Signature-* values replaced by '[REDACTED]'. */
+    redact<T>(value: T): T;
+    /** Renders a GPayError in options.language, or the client's language. */
+    localizeError<E>(err: E, options?: { language?: string }): E;
 }
 
 export default GpayApiClient;
 
-// Optionally, declare and export the other types/classes if you want users to use them:
-export interface Balance {
-    balance: number;
+/**
+ * A fetch-compatible function used to send requests.
+ */
+export type GPayTransport = (url: string, init: GPayRequestInit) => Promise<Response>;
+
+export interface GPayRequestInit {
+    method: string;
+    headers: Record<string, string>;
+    body: string;
+    dispatcher?: unknown;
+    agent?: unknown;
+}
+
+export interface GPayClientOptions {
+    /** Required to use a baseUrl other than BaseUrl.STAGING or BaseUrl.PRODUCTION, including a local sandbox. */
+    allowCustomBaseUrl?: boolean;
+    /** Replaces the global fetch. */
+    transport?: GPayTransport;
+    /** An undici Dispatcher, e.g. a ProxyAgent or a keep-alive Agent. */
+    dispatcher?: unknown;
+    /** An http.Agent for node-fetch style transports. */
+    agent?: unknown;
+    /** Extra headers sent with every request. */
+    headers?: Record<string, string>;
+    /** Per-attempt timeout in milliseconds (default 30000, 0 disables it). */
+    timeout?: number;
+    /** Retry policy for read-only endpoints, or false to disable retries. */
+    retry?: Partial<GPayRetryPolicy> | false;
+    /** Makes sendMoney and createPaymentRequest idempotent per referenceNo. */
+    idempotencyStore?: IdempotencyStore;
+    /** Age in milliseconds after which a pending record is treated as an ambiguous outcome (default 300000). */
+    idempotencyStaleAfter?: number;
+    /**
+     * Return amounts as parseFloat numbers instead of Money (the model types below then
+     * hold numbers where they declare Money).
+     */
+    legacyAmounts?: boolean;
+    /** Maximum skew between a signed response_timestamp and the local clock (default 300000); null disables it. */
+    maxClockSkew?: number | null;
+    /** Rejects responses whose signature salt was already seen. */
+    saltCache?: SaltCache;
+    /** Reject responses carrying fields outside the signed set (default false). */
+    strictResponseFields?: boolean;
+    /** Request hooks, see use(). */
+    hooks?: GPayHooks | GPayHooks[];
+    /** Overrides for the argument limits, or false to turn the length and format limits off. */
+    validation?: Partial<GPayValidationRules> | false;
+    /** The signing primitives (default: NodeSigner under Node and Bun, otherwise WebCryptoSigner). */
+    signer?: GPaySigner;
+    /** Rate limits, concurrency cap and priority lanes: a (possibly shared) scheduler, its options, or true. */
+    scheduler?: GPayScheduler | GPaySchedulerOptions | boolean;
+    /** Cache and coalescing of read-only calls: a (possibly shared) cache, its options, or true. */
+    cache?: GPayResponseCache | GPayResponseCacheOptions | boolean;
+    /** Records every exchange to, or replays them from, a cassette file. */
+    cassette?: GPayCassette | ({ path: string } & GPayCassetteOptions);
+    /** Audit sink for every sendMoney and createPaymentRequest request, or { path } for a FileAuditSink. */
+    audit?: AuditSink | { path: string };
+    /** Default actor of audit entries, or a function returning it. */
+    auditActor?: string | (() => string | null);
+    /** Limits, wallet lists, wallet pre-check and approvals that every sendMoney call must pass. */
+    transferPolicy?: GPayTransferPolicy | GPayTransferPolicyOptions;
+}
+
+/**
+ * The cryptographic primitives used for signing. The canonical string is built by the client,
+ * so every signer must return byte-identical hashes (see GpaySigningVectors.node.js).
+ */
+export interface GPaySigner {
+    /** 32 random bytes, base64-encoded. */
+    randomSalt(): Promise<string>;
+    /** HMAC-SHA256 of the UTF-8 message with the UTF-8 key, base64-encoded. */
+    hmacSha256(key: string, message: string): Promise<string>;
+    randomUUID(): Promise<string>;
+}
+
+/** Signer backed by Node's crypto module, loaded on first use. */
+export class NodeSigner implements GPaySigner {
+    randomSalt(): Promise<string>;
+    hmacSha256(key: string, message: string): Promise<string>;
+    randomUUID(): Promise<string>;
+}
+
+/** Signer backed by WebCrypto, for Cloudflare Workers, Deno, Bun and browsers. */
+export class WebCryptoSigner implements GPaySigner {
+    constructor(webCrypto?: Crypto);
+    randomSalt(): Promise<string>;
+    hmacSha256(key: string, message: string): Promise<string>;
+    randomUUID(): Promise<string>;
+}
+
+export interface GPayValidationRules {
+    /** Default 64. */
+    referenceNoMaxLength: number;
+    /** Default /^[A-Za-z0-9._:\/#-]+$/. */
+    referenceNoPattern: RegExp;
+    /** Default 255. */
+    descriptionMaxLength: number;
+    /** Default /^[A-Za-z0-9_-]{1,64}$/. */
+    walletGatewayIdPattern: RegExp;
+    /** Default /^[A-Za-z0-9_-]{1,64}$/. */
+    requestIdPattern: RegExp;
+}
+
+export interface GPayCredentials {
+    apiKey: string;
+    secretKey: string;
+    password: string;
+}
+
+/**
+ * The context passed to request hooks, one per attempt.
+ */
+export interface GPayHookContext {
+    client: GpayApiClient;
+    endpoint: string;
+    parameters: Record<string, unknown>;
+    /** 0 for the first attempt. */
+    attempt: number;
+    startedAt: number;
+    /** Milliseconds; null in onRequest. */
+    latency: number | null;
+    /** HTTP status; null in onRequest and when no response was received. */
+    status: number | null;
+    /** Whether the response signature was verified; null when it was not checked. */
+    verified: boolean | null;
+    data: Record<string, unknown> | null;
+    error: Error | null;
+}
+
+/**
+ * Hooks observing every request attempt. Errors they throw are ignored.
+ */
+export interface GPayHooks {
+    onRequest?(context: GPayHookContext): void;
+    onResponse?(context: GPayHookContext): void;
+    onError?(context: GPayHookContext): void;
+}
+
+export interface SaltCache {
+    /** Records the salt and returns true when it was recorded before. */
+    seen(salt: string): boolean;
+}
+
+export class MemorySaltCache implements SaltCache {
+    constructor(options?: { ttl?: number; maxSize?: number });
+    seen(salt: string): boolean;
+}
+
+export interface GPayRetryPolicy {
+    /** Number of retries after the first attempt (default 2). */
+    retries: number;
+    /** Delay before the first retry in milliseconds (default 200). */
+    minDelay: number;
+    /** Upper bound for a single delay in milliseconds (default 5000). */
+    maxDelay: number;
+    /** Multiplier applied to the delay after every attempt (default 2). */
+    factor: number;
+    /** Randomise each delay between 50% and 100% of its value (default true). */
+    jitter: boolean;
+}
+
+/**
+ * Per-call options accepted by every endpoint method.
+ */
+export interface GPayRequestOptions {
+    timeout?: number;
+    signal?: AbortSignal;
+    retry?: Partial<GPayRetryPolicy> | false;
+    /** Scheduler lane (default by endpoint). */
+    priority?: GPayPriority;
+    /** false skips the response cache and request coalescing. */
+    cache?: boolean;
+    /** Who triggered a sendMoney or createPaymentRequest call, for the audit log. */
+    actor?: string;
+    /** Overrides the client language for this call's Accept-Language and error messages. */
+    language?: string;
+}
+
+/**
+ * A string key/value store for GPayResponseCache, e.g. backed by Redis.
+ */
+export interface CacheStore {
+    get(key: string): Promise<string | null>;
+    /** ttl in milliseconds; undefined for no expiry. */
+    set(key: string, value: string, ttl?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+}
+
+/** In-memory LRU store. */
+export class MemoryCacheStore implements CacheStore {
+    constructor(options?: { maxSize?: number });
+    get(key: string): Promise<string | null>;
+    set(key: string, value: string, ttl?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+}
+
+/** Store persisted to a JSON file; not safe for concurrent processes. */
+export class FileCacheStore implements CacheStore {
+    constructor(filePath: string);
+    get(key: string): Promise<string | null>;
+    set(key: string, value: string, ttl?: number): Promise<void>;
+    delete(key: string): Promise<void>;
+}
+
+export interface GPayResponseCacheOptions {
+    /** Default: a MemoryCacheStore. */
+    store?: CacheStore;
+    /**
+     * Endpoint path => milliseconds. Defaults: past days' statements Infinity, '/info/check-wallet' 300000,
+     * balance, payment status and outstanding transactions 0 (not cached). Only read-only endpoints are accepted.
+     */
+    ttl?: Record<string, number>;
+    /** Share one request between identical concurrent calls (default true). */
+    coalesce?: boolean;
+}
+
+export interface GPayResponseCacheStats {
+    hits: number;
+    misses: number;
+    coalesced: number;
+    stored: number;
+    /** Store failures; the request was sent instead. */
+    errors: number;
+    inFlight: number;
+}
+
+/**
+ * Caches verified responses of read-only endpoints and coalesces identical concurrent calls.
+ */
+export class GPayResponseCache {
+    constructor(options?: GPayResponseCacheOptions);
+    invalidate(client: GpayApiClient, endpoint: string, parameters: Record<string, unknown>): Promise<void>;
+    stats(): GPayResponseCacheStats;
+}
+
+export interface GPayCassetteOptions {
+    /** Default 'replay'. */
+    mode?: 'record' | 'replay';
+    /** Parameters left out of the replay match (default ['request_timestamp']). */
+    ignoreParameters?: string[];
+}
+
+export interface GPayCassetteExchange {
+    endpoint: string;
+    /** Epoch ms; replayed responses are checked for clock skew against it. */
+    recordedAt: number;
+    request: { parameters: Record<string, unknown>; headers: Record<string, string> };
+    response: { status: number; statusText: string; headers: Record<string, string>; body: string };
+}
+
+/**
+ * Records request/response exchanges to a JSON file with secrets scrubbed, or replays them offline.
+ */
+export class GPayCassette {
+    constructor(path: string, options?: GPayCassetteOptions);
+    readonly path: string;
+    readonly mode: 'record' | 'replay';
+    /** Recorded exchanges that were not replayed yet. */
+    unplayed(): GPayCassetteExchange[];
+}
+
+export interface AuditEntry {
+    /** ISO 8601. */
+    time: string;
+    /** 'request' is written before the request is sent, 'success' or 'error' after it. */
+    event: 'request' | 'success' | 'error';
+    operation: 'sendMoney' | 'createPaymentRequest';
+    endpoint: string;
+    actor: string | null;
+    attempt: number;
+    /** The signed parameters, secrets redacted. */
+    parameters: Record<string, unknown>;
+    /** The request's X-Signature-Hash. */
+    verificationHash: string;
+    response?: { status: number | null; data: Record<string, unknown> | null; verificationHash: string | null; verified: boolean | null };
+    error?: { name: string; code: string | null; message: string } | null;
+}
+
+/**
+ * Receives the audit entries of a client. The client does not send a request whose 'request' entry was rejected.
+ */
+export interface AuditSink {
+    append(entry: AuditEntry): Promise<unknown>;
+}
+
+export interface ChainedAuditEntry extends AuditEntry {
+    seq: number;
+    /** SHA-256 (hex) of the previous entry; 64 zeros for the first. */
+    prevHash: string;
+    /** SHA-256 (hex) of this entry without its hash, as JSON with sorted keys. */
+    hash: string;
+}
+
+/**
+ * Append-only JSON Lines audit log, each line chained to the previous one by SHA-256.
+ */
+export class FileAuditSink implements AuditSink {
+    constructor(filePath: string);
+    readonly filePath: string;
+    append(entry: AuditEntry): Promise<ChainedAuditEntry>;
+}
+
+export interface AuditLogReport {
+    valid: boolean;
+    /** Entries verified before the first problem. */
+    entries: number;
+    lastSeq: number;
+    /** Keep it elsewhere to detect lines removed from the end. */
+    lastHash: string;
+    /** 1-based line of the first problem, or null. */
+    line: number | null;
+    reason: string | null;
+}
+
+/** Checks the hash chain of a FileAuditSink log, detecting edited, removed or reordered lines. */
+export function verifyAuditLog(filePath: string): Promise<AuditLogReport>;
+
+export interface GPayTransfer {
+    amount: Money;
+    walletGatewayId: string;
+    referenceNo: string;
+    description: string | null;
+    actor: string | null;
+}
+
+export interface GPayTransferPolicyOptions {
+    /** Largest single transfer. */
+    maxAmount?: Money | string | number;
+    /** Total of the transfers in any 24 hours. */
+    dailyLimit?: Money | string | number;
+    /** Total of the transfers in any 30 days. */
+    monthlyLimit?: Money | string | number;
+    /** The only wallets that may receive transfers (not together with denyWallets). */
+    allowWallets?: string[];
+    /** Wallets that may never receive transfers. */
+    denyWallets?: string[];
+    /** Transfers above it need approve(). */
+    approvalThreshold?: Money | string | number;
+    approve?: (transfer: GPayTransfer & { wallet: WalletCheck }) => boolean | Promise<boolean>;
+    /** Where the amounts counted against the limits are kept (default: in memory). */
+    store?: { get(key: string): Promise<unknown>; put(key: string, record: unknown): Promise<void> };
+    /** Shorthand for store: new FileIdempotencyStore(storeFile). */
+    storeFile?: string;
+    /** Identifies the limits in the store (default 'default'). */
+    id?: string;
+}
+
+export interface GPayTransferReservation {
+    amount: string;
+    referenceNo: string | null;
+    at: number;
+}
+
+/**
+ * Checks every sendMoney call against limits, wallet lists, checkWallet and approvals before it is signed.
+ */
+export class GPayTransferPolicy {
+    constructor(options?: GPayTransferPolicyOptions);
+    /** Throws GPayPolicyError when the transfer is blocked; otherwise reserves it against the limits. */
+    authorize(client: GpayApiClient, transfer: GPayTransfer, options?: { signal?: AbortSignal }): Promise<GPayTransferReservation>;
+    release(reservation: GPayTransferReservation): Promise<void>;
+    /** Amounts sent or reserved in the last 24 hours and 30 days. */
+    usage(): Promise<{ daily: Money; monthly: Money }>;
+}
+
+/** Scheduler lanes: sendMoney and createPaymentRequest are 'high', statements and outstanding transactions 'low'. */
+export type GPayPriority = 'high' | 'normal' | 'low';
+
+export interface GPayRateLimit {
+    /** Calls per interval. */
+    rate: number;
+    /** Milliseconds (default 1000). */
+    interval?: number;
+    /** Calls that may start at once (default rate). */
+    burst?: number;
+}
+
+export interface GPaySchedulerOptions {
+    /** Maximum number of calls in flight (default Infinity). */
+    concurrency?: number;
+    /** Token bucket per endpoint path, e.g. '/payment/check-payment-status'. */
+    rateLimits?: Record<string, GPayRateLimit>;
+    /** Limit for endpoints missing from rateLimits (default none). */
+    defaultRateLimit?: GPayRateLimit | null;
+    /** Endpoint path => lane overrides. */
+    priorities?: Record<string, GPayPriority>;
+}
+
+export interface GPaySchedulerEndpointStats {
+    queued: number;
+    started: number;
+    /** Milliseconds spent in the queue. */
+    averageWait: number;
+    maxWait: number;
+    /** Number of 429 responses. */
+    throttled: number;
+    /** Set while the endpoint is paused after a 429 response. */
+    pausedUntil: Date | null;
+}
+
+export interface GPaySchedulerStats {
+    running: number;
+    queued: number;
+    queuedByLane: Record<GPayPriority, number>;
+    started: number;
+    averageWait: number;
+    maxWait: number;
+    throttled: number;
+    endpoints: Record<string, GPaySchedulerEndpointStats>;
+}
+
+/**
+ * Queues request attempts per endpoint token bucket, global concurrency cap and priority lane.
+ */
+export class GPayScheduler {
+    constructor(options?: GPaySchedulerOptions);
+    /** Resolves to release(), which must be called once the call is done. */
+    acquire(endpoint: string, options?: { priority?: GPayPriority; signal?: AbortSignal }): Promise<() => void>;
+    /** Stops starting calls to the endpoint for ms milliseconds. */
+    pause(endpoint: string, ms: number): void;
+    stats(): GPaySchedulerStats;
+}
+
+/**
+ * An exact LYD amount stored as integer dirhams (1 LYD = 1000 dirhams).
+ */
+export class Money {
+    constructor(dirhams: number);
+    static parse(value: Money | string | number): Money;
+    static fromDirhams(dirhams: number): Money;
+    static readonly ZERO: Money;
+    readonly dirhams: number;
+    add(other: Money | string | number): Money;
+    subtract(other: Money | string | number): Money;
+    negate(): Money;
+    compare(other: Money | string | number): -1 | 0 | 1;
+    equals(other: Money | string | number): boolean;
+    isZero(): boolean;
+    isNegative(): boolean;
+    toNumber(): number;
+    /** The amount with three decimals, e.g. '12.500'. */
+    toString(): string;
+    toJSON(): string;
+}
+
+export interface StatementRangeOptions {
+    /** Maximum number of days fetched at the same time (default 3). */
+    concurrency?: number;
+    /** Throw GPayStatementChainError when day balances do not chain (default true). */
+    verifyBalances?: boolean;
+    signal?: AbortSignal;
+    /** Overrides the client language for the statement calls and errors. */
+    language?: string;
+    /** false bypasses the response cache for the statement calls. */
+    cache?: boolean;
+}
+
+/**
+ * A statement transaction as exported by StatementRange, with enum names filled in.
+ */
+export interface StatementExportRow {
+    transaction_id: string;
+    datetime: string;
+    timestamp: string;
+    description: string;
+    amount: string | null;
+    balance: string | null;
+    reference_no: string | null;
+    op_type_id: number;
+    op_type: string | null;
+    status: number;
+    status_name: string | null;
+    created_at: string;
+}
+
+/**
+ * The transactions of a range of statement days, deduplicated by transaction ID.
+ */
+export class StatementRange implements AsyncIterable<StatementTransaction> {
+    readonly from: string;
+    readonly to: string;
+    /** The Statement of every day, filled in during iteration. */
+    days: Statement[];
+    [Symbol.asyncIterator](): AsyncIterator<StatementTransaction>;
+    toArray(): Promise<StatementTransaction[]>;
+    lines(format: 'csv' | 'jsonl'): AsyncIterable<string>;
+    toCSV(): Promise<string>;
+    toJSONLines(): Promise<string>;
+}
+
+/**
+ * A local record (order, payout, ...) to reconcile. Other properties are kept as-is.
+ */
+export interface LocalRecord {
+    referenceNo: string;
+    amount: Money | number | string;
+}
+
+export interface ReconcileOptions {
+    from: string | Date;
+    to?: string | Date;
+    /** Maximum number of statement days fetched at the same time (default 3). */
+    concurrency?: number;
+    signal?: AbortSignal;
+}
+
+export type GPayTransaction = StatementTransaction | OutstandingTransaction;
+
+export interface ReconciliationReport<R extends LocalRecord = LocalRecord> {
+    matched: Array<{ record: R; transaction: GPayTransaction }>;
+    missingOnGPay: R[];
+    unexpectedOnGPay: GPayTransaction[];
+    amountMismatch: Array<{ record: R; transaction: GPayTransaction; expected: Money; actual: Money | null }>;
+    /** Transactions still PENDING; record is null when no local record matches. */
+    pending: Array<{ record: R | null; transaction: GPayTransaction }>;
+    /** TRANSACTION_FEE entries and the DIRECT_TRANSFER they belong to. */
+    fees: Array<{ fee: GPayTransaction; transfer: GPayTransaction | null; record: R | null }>;
+}
+
+export interface PayoutItem {
+    walletGatewayId: string;
+    amount: Money | number | string;
+    /** Required and unique within the batch. */
+    referenceNo: string;
+    description?: string;
+}
+
+export type PayoutItemState = 'pending' | 'sending' | 'sent' | 'skipped' | 'failed' | 'unknown';
+
+export interface PayoutJobItem {
+    index: number;
+    walletGatewayId: string;
+    amount: string;
+    referenceNo: string;
+    description: string;
+    state: PayoutItemState;
+    wallet: { exists: boolean; canReceiveMoney: boolean; walletName: string | null; userAccountName: string | null } | null;
+    /** The raw send-money response data. */
+    result: Record<string, unknown> | null;
+    transactionId: string | null;
+    error: { name?: string; code: string | null; message: string } | null;
+    sentAt: number | null;
+    updatedAt: number;
+}
+
+/** The job record saved to the job store. */
+export interface PayoutJob {
+    jobId: string;
+    createdAt: number;
+    updatedAt: number;
+    items: PayoutJobItem[];
+}
+
+export interface PayoutJobStore {
+    get(key: string): Promise<PayoutJob | null>;
+    put(key: string, job: PayoutJob): Promise<void>;
+}
+
+export interface PayoutBatchOptions {
+    /** Identifies the job in the store (default: a random UUID). Pass the same ID to resume. */
+    jobId?: string;
+    /** Job store, e.g. a FileIdempotencyStore (default: in memory). */
+    store?: PayoutJobStore;
+    /** Shorthand for store: new FileIdempotencyStore(jobFile). */
+    jobFile?: string;
+    /** Maximum number of calls in flight (default 3). */
+    concurrency?: number;
+    /** Reserved per item on top of its amount for the balance check (default { fixed: 0, percent: 1 }). */
+    feeBuffer?: { fixed?: Money | number | string; percent?: number };
+    signal?: AbortSignal;
+    onProgress?: (item: PayoutJobItem, job: PayoutJob) => void;
+    /** Who started the job, recorded in the audit log of every transfer. */
+    actor?: string;
+}
+
+export interface PayoutReportItem {
+    index: number;
+    walletGatewayId: string;
+    amount: Money;
+    referenceNo: string;
+    description: string;
+    state: PayoutItemState;
+    wallet: PayoutJobItem['wallet'];
+    /** Set when the transfer was sent in this job; null when it was recovered from a statement. */
+    result: SendMoneyResult | null;
+    transactionId: string | null;
+    fee: Money | null;
+    /** WALLET_NOT_FOUND, WALLET_CANNOT_RECEIVE, or the API / transport error. */
+    error: PayoutJobItem['error'];
+}
+
+export interface PayoutReport {
+    jobId: string;
+    /** True when no item is pending or unknown. */
+    complete: boolean;
+    items: PayoutReportItem[];
+    sent: PayoutReportItem[];
+    skipped: PayoutReportItem[];
+    failed: PayoutReportItem[];
+    unknown: PayoutReportItem[];
+    totals: { requested: Money; sent: Money; fees: Money };
+}
+
+export interface WaitForPaymentOptions {
+    /** Delay before the second poll in milliseconds (default 2000). */
+    interval?: number;
+    /** Upper bound for the delay between polls (default 15000). */
+    maxInterval?: number;
+    /** Multiplier applied to the delay after every poll (default 1.5). */
+    factor?: number;
+    /** Total time to wait before rejecting with GPayTimeoutError (default 300000). */
+    timeout?: number;
+    signal?: AbortSignal;
+    onTick?: (status: PaymentStatus, attempt: number) => void;
+}
+
+export interface PaymentWatcherOptions {
+    /** Maximum polls per tick and concurrent polls (default 5). */
+    budget?: number;
+    /** Scheduling period in milliseconds (default 1000). */
+    tick?: number;
+    /** Delay before a request is polled again (default 2000). */
+    interval?: number;
+    /** Upper bound for the per-request delay (default 30000). */
+    maxInterval?: number;
+    /** Multiplier applied to the per-request delay after every poll (default 1.5). */
+    factor?: number;
+    /** Time after which a request stops being watched (default 1800000). */
+    timeout?: number;
+}
+
+/**
+ * Polls many payment requests within a shared poll budget.
+ */
+export class PaymentWatcher extends EventEmitter {
+    constructor(client: GpayApiClient, options?: PaymentWatcherOptions);
+    readonly size: number;
+    add(requestId: string, options?: { timeout?: number }): this;
+    remove(requestId: string): this;
+    stop(): void;
+
+    on(event: 'status' | 'paid', listener: (status: PaymentStatus) => void): this;
+    on(event: 'timeout', listener: (requestId: string) => void): this;
+    /** A poll failed with an error that polling again cannot fix; the request is no longer watched. */
+    on(event: 'rejected', listener: (error: Error, requestId: string) => void): this;
+    /** A poll failed with a transport, 408, 429 or 5xx error; the request is polled again. Ignored without a listener. */
+    on(event: 'error', listener: (error: Error, requestId: string) => void): this;
+    on(event: 'idle', listener: () => void): this;
+}
+
+export interface WalletWatcherCursor {
+    /** The Libya statement day of the last poll, YYYY-MM-DD. */
+    day: string;
+    /** Transaction IDs seen on that day. */
+    seen: string[];
+    outstanding: Record<string, { status: number; day: string }>;
+    belowThreshold: boolean;
+    updatedAt: number;
+}
+
+export interface WalletWatcherCursorStore {
+    get(key: string): Promise<WalletWatcherCursor | null>;
+    put(key: string, cursor: WalletWatcherCursor): Promise<void>;
+}
+
+export interface WalletWatcherOptions {
+    /** Delay between polls in milliseconds (default 30000). */
+    interval?: number;
+    /** Threshold for 'lowBalance' (default none). */
+    lowBalance?: Money | string | number;
+    /** Cursor store, e.g. a FileIdempotencyStore (default: in memory). */
+    store?: WalletWatcherCursorStore;
+    /** Shorthand for store: new FileIdempotencyStore(cursorFile). */
+    cursorFile?: string;
+    /** Identifies the cursor in the store (default 'default'). */
+    id?: string;
+    /** Report the first day's transactions when there is no cursor yet (default false). */
+    emitExisting?: boolean;
+    /** Maximum number of statement days fetched in one poll (default 7). */
+    maxCatchUpDays?: number;
+}
+
+/**
+ * Polls balance, statement and outstanding transactions and reports what changed, with a persisted cursor.
+ */
+export class WalletWatcher extends EventEmitter {
+    constructor(client: GpayApiClient, options?: WalletWatcherOptions);
+    start(): this;
+    stop(): this;
+    /** Runs one poll now; resolves once its events were emitted and its cursor saved. */
+    poll(): Promise<void>;
+
+    on(event: 'transaction' | 'incoming', listener: (tx: StatementTransaction) => void): this;
+    on(event: 'settled', listener: (tx: StatementTransaction | OutstandingTransaction, previousStatus: number) => void): this;
+    on(event: 'lowBalance', listener: (balance: Balance, threshold: Money) => void): this;
+    on(event: 'balance', listener: (balance: Balance) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+}
+
+/**
+ * The plain data returned by a model's toJSON(): amounts as strings, timestamps as ISO strings.
+ */
+export type GPayJSON<T> =
+    T extends Money ? string :
+    T extends Date ? string :
+    T extends Array<infer U> ? Array<GPayJSON<U>> :
+    T extends object ? { [K in keyof T as T[K] extends (...args: never[]) => unknown ? never : K]: GPayJSON<T[K]> } :
+    T;
+
+/**
+ * Response models. toJSON() returns plain data and the static fromJSON() turns it back into an equal model.
+ */
+export class Balance {
+    balance: Money;
     responseTime: Date;
+    toJSON(): GPayJSON<Balance>;
+    static fromJSON(json: GPayJSON<Balance>): Balance;
 }
 
-export interface PaymentRequest {
+export class PaymentRequest {
     requesterUsername: string;
     requestId: string;
-    requestTime: string;
-    amount: number;
+    requestTime: Date;
+    amount: Money;
     referenceNo: string | null;
     responseTime: Date;
+    toJSON(): GPayJSON<PaymentRequest>;
+    static fromJSON(json: GPayJSON<PaymentRequest>): PaymentRequest;
 }
 
-export interface PaymentStatus {
+export class PaymentStatus {
     requestId: string;
     transactionId: string | null;
-    amount: number;
-    paymentTimestamp: string | null;
+    amount: Money;
+    paymentTimestamp: Date | null;
     referenceNo: string | null;
     description: string;
     isPaid: boolean;
     responseTime: Date;
+    toJSON(): GPayJSON<PaymentStatus>;
+    static fromJSON(json: GPayJSON<PaymentStatus>): PaymentStatus;
 }
 
-export interface SendMoneyResult {
-    amount: number;
-    senderFee: number;
+export class SendMoneyResult {
+    amount: Money;
+    senderFee: Money;
     transactionId: string;
-    oldBalance: number;
-    newBalance: number;
-    timestamp: string;
+    oldBalance: Money;
+    newBalance: Money;
+    timestamp: Date;
     referenceNo: string | null;
     responseTime: Date;
+    toJSON(): GPayJSON<SendMoneyResult>;
+    static fromJSON(json: GPayJSON<SendMoneyResult>): SendMoneyResult;
 }
 
-export interface Statement {
-    availableBalance: number;
-    outstandingCredit: number;
-    outstandingDebit: number;
-    dayBalance: number;
-    dayTotalIn: number;
-    dayTotalOut: number;
+export class Statement {
+    /** null when the statement came from the response cache. */
+    availableBalance: Money | null;
+    outstandingCredit: Money | null;
+    outstandingDebit: Money | null;
+    dayBalance: Money;
+    dayTotalIn: Money;
+    dayTotalOut: Money;
     responseTime: Date;
     dayStatement: StatementTransaction[];
+    toJSON(): GPayJSON<Statement>;
+    static fromJSON(json: GPayJSON<Statement>): Statement;
 }
 
-export interface StatementTransaction {
+export type OperationTypeName = 'DIRECT_TRANSFER' | 'PAYMENT_REQUEST' | 'BANK_DEPOSIT' | 'BANK_WITHDRAW' | 'TRANSACTION_FEE' | 'LOCAL_TRANSFER';
+export type TransactionStatusName = 'PENDING' | 'COMPLETED' | 'APPLIED';
+
+export class StatementTransaction {
     transactionId: string;
-    datetime: string;
-    timestamp: string;
+    /** Parsed from the API's 'YYYY-MM-DD HH:mm:ss' Libya time. */
+    datetime: Date;
+    timestamp: Date;
     description: string;
-    amount: number | null;
-    balance: number | null;
+    amount: Money | null;
+    balance: Money | null;
     referenceNo: string | null;
     opTypeId: number;
     status: number;
-    createdAt: string;
+    createdAt: Date | null;
+    /** The OperationType name of opTypeId; null for an unknown id. */
+    readonly opType: OperationTypeName | null;
+    /** The TransactionStatus name of status; null for an unknown status. */
+    readonly statusName: TransactionStatusName | null;
+    toJSON(): GPayJSON<StatementTransaction>;
+    static fromJSON(json: GPayJSON<StatementTransaction>): StatementTransaction;
 }
 
-export interface WalletCheck {
+export class WalletCheck {
     exists: boolean;
     walletGatewayId: string;
     walletName: string | null;
     userAccountName: string | null;
     canReceiveMoney: boolean;
     responseTime: Date;
+    toJSON(): GPayJSON<WalletCheck>;
+    static fromJSON(json: GPayJSON<WalletCheck>): WalletCheck;
 }
 
-export interface OutstandingTransactions {
-    outstandingCredit: number;
-    outstandingDebit: number;
+export class OutstandingTransactions {
+    outstandingCredit: Money;
+    outstandingDebit: Money;
     responseTime: Date;
     outstandingTransactions: OutstandingTransaction[];
+    toJSON(): GPayJSON<OutstandingTransactions>;
+    static fromJSON(json: GPayJSON<OutstandingTransactions>): OutstandingTransactions;
 }
 
-export interface OutstandingTransaction {
+export class OutstandingTransaction {
     transactionId: string;
-    datetime: string;
-    timestamp: string;
+    datetime: Date;
+    timestamp: Date;
     description: string;
-    amount: number | null;
-    balance: number | null;
+    amount: Money | null;
+    balance: Money | null;
     referenceNo: string | null;
     opTypeId: number;
     status: number;
-    createdAt: string;
+    createdAt: Date | null;
+    readonly opType: OperationTypeName | null;
+    readonly statusName: TransactionStatusName | null;
+    toJSON(): GPayJSON<OutstandingTransaction>;
+    static fromJSON(json: GPayJSON<OutstandingTransaction>): OutstandingTransaction;
+}
+
+/**
+ * Base class for every error thrown by the SDK.
+ */
+export class GPayError extends Error {
+    constructor(message: string | { key: string; params?: Record<string, unknown> }, options?: { cause?: unknown });
+    /** Renders the SDK's message (and those of `errors`) in 'en' or 'ar'; other languages fall back to English. */
+    localize(language: string): this;
+}
+
+/** A catalog message with its parameters, for the constructor of a GPayError; see GPayError.localize(). */
+export function localized(key: string, params?: Record<string, unknown>): { key: string; params: Record<string, unknown> };
+
+/** Formats an amount for display, e.g. '1,250.500 LYD' or '1.250,500 د.ل.'. */
+export function formatAmount(amount: Money | string | number, language?: string): string;
+/** Formats a timestamp in Libya time for display; null for a missing timestamp. */
+export function formatDateTime(date: Date | string | number | null | undefined, language?: string): string | null;
+/** The label of an OperationType, e.g. 'Bank deposit' or 'إيداع مصرفي'. */
+export function formatOperationType(opTypeId: number, language?: string): string;
+/** The label of a TransactionStatus, e.g. 'Pending' or 'قيد الانتظار'. */
+export function formatTransactionStatus(status: number, language?: string): string;
+
+/**
+ * The API answered with an error field or a non-2xx HTTP status.
+ */
+export class GPayApiError extends GPayError {
+    constructor(code: string, message: string, details?: { status?: number; body?: string; headers?: Record<string, string> });
+    /** The API error code, or HTTP_<status> when the body carries none. */
+    code: string;
+    /** The error message returned by the API. */
+    apiMessage: string;
+    status?: number;
+    body?: string;
+    headers?: Record<string, string>;
+}
+
+export type GPaySignatureErrorCode =
+    | 'MISSING_SIGNATURE'
+    | 'HASH_MISMATCH'
+    | 'STALE_RESPONSE'
+    | 'REPLAYED_SALT'
+    | 'UNSIGNED_FIELDS'
+    | 'FIELD_MISMATCH';
+
+/**
+ * A response signature is missing or does not match, or a signed response failed an additional check.
+ */
+export class GPaySignatureError extends GPayError {
+    constructor(code: GPaySignatureErrorCode, message: string);
+    code: GPaySignatureErrorCode;
+}
+
+/**
+ * The request could not be sent or the response could not be read.
+ */
+export class GPayTransportError extends GPayError {
+    constructor(message: string, details?: { endpoint?: string; cause?: unknown });
+    endpoint?: string;
+}
+
+/**
+ * The request did not complete in time.
+ */
+export class GPayTimeoutError extends GPayTransportError {}
+
+/**
+ * A successful response body is not valid JSON.
+ */
+export class GPayResponseParseError extends GPayError {
+    constructor(message: string, details?: { status?: number; body?: string; headers?: Record<string, string>; cause?: unknown });
+    status?: number;
+    body?: string;
+    headers?: Record<string, string>;
+}
+
+/**
+ * A replayed request matched no recorded exchange (UNMATCHED_REQUEST), or the cassette could not be read
+ * (INVALID_CASSETTE).
+ */
+export class GPayCassetteError extends GPayError {
+    constructor(code: string, message: string, details?: { endpoint?: string; parameters?: Record<string, unknown>; cause?: unknown });
+    code: 'UNMATCHED_REQUEST' | 'INVALID_CASSETTE';
+    endpoint?: string;
+    parameters?: Record<string, unknown>;
+}
+
+/**
+ * The transfer policy blocked a sendMoney call; nothing was signed or sent for it.
+ */
+export class GPayPolicyError extends GPayError {
+    constructor(code: string, message: string, details?: { transfer?: GPayTransfer; limit?: Money; used?: Money; cause?: unknown });
+    code: 'AMOUNT_LIMIT' | 'DAILY_LIMIT' | 'MONTHLY_LIMIT' | 'WALLET_NOT_ALLOWED' | 'WALLET_DENIED'
+        | 'WALLET_NOT_FOUND' | 'WALLET_CANNOT_RECEIVE' | 'NOT_APPROVED';
+    transfer?: GPayTransfer;
+    limit?: Money;
+    used?: Money;
+}
+
+/**
+ * An audit entry could not be written (WRITE_FAILED). For a 'request' entry the request was not sent.
+ */
+export class GPayAuditError extends GPayError {
+    constructor(code: string, message: string, details?: { entry?: AuditEntry; cause?: unknown });
+    code: 'WRITE_FAILED';
+    entry?: AuditEntry;
+}
+
+/**
+ * A successful response is missing fields or has fields of the wrong type.
+ */
+export class GPayResponseSchemaError extends GPayResponseParseError {
+    constructor(endpoint: string, errors: Array<{ field: string; message: string }>, details?: { status?: number; body?: string; headers?: Record<string, string> });
+    endpoint: string;
+    /** e.g. { field: 'data.day_statement[0].amount', message: 'must be an LYD amount' }. */
+    errors: Array<{ field: string; message: string }>;
+}
+
+/**
+ * Arguments failed client-side validation; nothing was signed or sent.
+ */
+export class GPayValidationError extends GPayError {
+    constructor(errors: Array<{ field: string; message: string }>);
+    errors: Array<{ field: string; message: string }>;
+}
+
+/**
+ * A day's day_balance does not equal the previous day's balance plus that day's totals.
+ */
+export class GPayStatementChainError extends GPayError {
+    constructor(day: string, expected: Money, actual: Money, previousDay: string);
+    day: string;
+    previousDay: string;
+    expected: Money;
+    actual: Money;
+}
+
+/**
+ * A referenceNo was refused by the idempotency layer.
+ */
+/**
+ * A payout batch cannot start.
+ */
+export class GPayPayoutError extends GPayError {
+    constructor(code: 'INSUFFICIENT_BALANCE', message: string, details?: { jobId?: string; required?: Money; available?: Money });
+    code: 'INSUFFICIENT_BALANCE';
+    jobId: string;
+    required?: Money;
+    available?: Money;
+}
+
+export class GPayIdempotencyError extends GPayError {
+    constructor(
+        code: 'IN_FLIGHT' | 'ALREADY_COMPLETED' | 'PARAMETER_MISMATCH',
+        message: string,
+        details?: { referenceNo?: string; record?: IdempotencyRecord; transaction?: StatementTransaction | OutstandingTransaction; cause?: unknown }
+    );
+    code: 'IN_FLIGHT' | 'ALREADY_COMPLETED' | 'PARAMETER_MISMATCH';
+    referenceNo?: string;
+    record?: IdempotencyRecord;
+    transaction?: StatementTransaction | OutstandingTransaction;
+}
+
+export interface IdempotencyRecord {
+    operation: 'sendMoney' | 'createPaymentRequest';
+    referenceNo: string;
+    state: 'pending' | 'completed' | 'failed' | 'unknown';
+    /** The signed request parameters, without request_timestamp. */
+    request: Record<string, unknown>;
+    /** The verified response data of a completed call. */
+    response: Record<string, unknown> | null;
+    transactionId: string | null;
+    createdAt: number;
+    updatedAt: number;
+}
+
+export interface IdempotencyStore {
+    /** Stores the record unless the key exists; resolves to the existing record or null. */
+    create(key: string, record: IdempotencyRecord): Promise<IdempotencyRecord | null>;
+    put(key: string, record: IdempotencyRecord): Promise<void>;
+    get(key: string): Promise<IdempotencyRecord | null>;
+}
+
+export class MemoryIdempotencyStore implements IdempotencyStore {
+    create(key: string, record: IdempotencyRecord): Promise<IdempotencyRecord | null>;
+    put(key: string, record: IdempotencyRecord): Promise<void>;
+    get(key: string): Promise<IdempotencyRecord | null>;
+}
+
+export class FileIdempotencyStore implements IdempotencyStore {
+    constructor(filePath: string);
+    create(key: string, record: IdempotencyRecord): Promise<IdempotencyRecord | null>;
+    put(key: string, record: IdempotencyRecord): Promise<void>;
+    get(key: string): Promise<IdempotencyRecord | null>;
 }
 
 declare const BaseUrl: {
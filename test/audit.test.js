@@ -0,0 +1,77 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FileAuditSink, GPayAuditError, verifyAuditLog } from '../GpayApiClient.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '500', wallets: [{ walletGatewayId: 'W1' }] });
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpay-audit-'));
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function readEntries(file) {
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('money-moving calls are written before and after they are sent, without secrets', async () => {
+    const file = path.join(directory, 'calls.jsonl');
+    const client = context.client({ audit: { path: file }, auditActor: () => 'alice' });
+    await client.createPaymentRequest('10', 'AUD-1');
+    await client.sendMoney('5', 'W1', 'AUD-2', '', { actor: 'bob' });
+    await assert.rejects(client.sendMoney('5', 'MISSING', 'AUD-3'));
+    await client.getBalance();
+
+    const entries = readEntries(file);
+    assert.deepEqual(entries.map(entry => [entry.event, entry.operation, entry.actor]), [
+        ['request', 'createPaymentRequest', 'alice'],
+        ['success', 'createPaymentRequest', 'alice'],
+        ['request', 'sendMoney', 'bob'],
+        ['success', 'sendMoney', 'bob'],
+        ['request', 'sendMoney', 'alice'],
+        ['error', 'sendMoney', 'alice'],
+    ]);
+    assert.equal(entries[3].response.verified, true);
+    assert.equal(entries[5].error.code, 'WALLET_NOT_FOUND');
+    const text = fs.readFileSync(file, 'utf8');
+    assert.ok(credentials.every(secret => !text.includes(secret)));
+});
+
+test('performRequest writes the audit entry as well', async () => {
+    const file = path.join(directory, 'direct.jsonl');
+    const client = context.client({ audit: { path: file } });
+    const parameters = { amount: '1', wallet_gateway_id: 'W1', reference_no: 'AUD-4', description: '', request_timestamp: Date.now().toString() };
+    await client.performRequest('/payment/send-money', parameters);
+    const [entry] = readEntries(file);
+    assert.equal(entry.event, 'request');
+    assert.equal(entry.parameters.reference_no, 'AUD-4');
+});
+
+test('verifyAuditLog detects edited and removed lines', async () => {
+    const file = path.join(directory, 'chain.jsonl');
+    const client = context.client({ audit: new FileAuditSink(file) });
+    await client.createPaymentRequest('1', 'AUD-5');
+    await client.createPaymentRequest('2', 'AUD-6');
+    const report = await verifyAuditLog(file);
+    assert.equal(report.valid, true);
+    assert.equal(report.entries, 4);
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const edited = path.join(directory, 'edited.jsonl');
+    fs.writeFileSync(edited, lines.map((line, i) => (i === 2 ? line.replace('"AUD-6"', '"AUD-7"') : line)).join('\n'));
+    assert.deepEqual(await verifyAuditLog(edited).then(result => [result.valid, result.line]), [false, 3]);
+
+    const removed = path.join(directory, 'removed.jsonl');
+    fs.writeFileSync(removed, lines.filter((line, i) => i !== 1).join('\n'));
+    assert.deepEqual(await verifyAuditLog(removed).then(result => [result.valid, result.line]), [false, 2]);
+});
+
+test('a transfer whose audit entry cannot be written is not sent', async () => {
+    const client = context.client({
+        audit: { append: async () => { throw new Error('disk full'); } },
+    });
+    const balance = (await client.getBalance()).balance.toString();
+    await assert.rejects(client.sendMoney('5', 'W1', 'AUD-8'), err => err instanceof GPayAuditError && err.code === 'WRITE_FAILED');
+    assert.equal((await client.getBalance()).balance.toString(), balance);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FileCacheStore, GPayResponseCache, MemoryCacheStore, TransactionStatus } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+let clock = null;
+const context = useSandbox({ balance: '50', wallets: [{ walletGatewayId: 'W1' }], now: () => clock ?? Date.now() }, ({ sandbox }) => {
+    clock = Date.parse('2025-02-01T10:00:00Z');
+    sandbox.deposit('10', { referenceNo: 'CLOSED-1' });
+    clock = Date.parse('2025-02-02T10:00:00Z');
+    sandbox.deposit('5', { referenceNo: 'OPEN-1', status: TransactionStatus.PENDING });
+    clock = null;
+});
+
+/**
+ * Returns a client with a response cache whose requests are counted by endpoint.
+ */
+function countingClient(cache, sent) {
+    const transport = (url, init) => {
+        const endpoint = url.slice(context.baseUrl.length);
+        sent[endpoint] = (sent[endpoint] || 0) + 1;
+        return fetch(url, init);
+    };
+    return context.client({ cache, transport });
+}
+
+test('statements of past days and wallet checks are served from the cache', async () => {
+    const sent = {};
+    const client = countingClient(true, sent);
+    const first = await client.getStatement('2025-01-15');
+    const second = await client.getStatement('2025-01-15');
+    assert.deepEqual(second.dayStatement, first.dayStatement);
+    await client.getStatement('2025-01-15', { cache: false });
+    assert.equal(sent['/info/statement'], 2);
+
+    await client.checkWallet('W1');
+    assert.equal((await client.checkWallet('W1')).walletGatewayId, 'W1');
+    assert.equal(sent['/info/check-wallet'], 1);
+    assert.deepEqual(client.cache.stats(), { hits: 2, misses: 2, coalesced: 0, stored: 2, errors: 0, inFlight: 0 });
+});
+
+test('today\'s statement and balances are not cached, but concurrent calls are coalesced', async () => {
+    const sent = {};
+    const client = countingClient({}, sent);
+    await client.getStatement(new Date());
+    await client.getStatement(new Date());
+    assert.equal(sent['/info/statement'], 2);
+
+    const balances = await Promise.all([client.getBalance(), client.getBalance(), client.getBalance()]);
+    assert.ok(balances.every(balance => String(balance.balance) === String(balances[0].balance)));
+    assert.equal(sent['/info/balance'], 1);
+    assert.equal(client.cache.stats().coalesced, 2);
+    await client.getBalance();
+    assert.equal(sent['/info/balance'], 2);
+});
+
+test('a failing store is counted and the request is sent instead', async () => {
+    const failing = {
+        get: async () => { throw new Error('store down'); },
+        set: async () => { throw new Error('store down'); },
+        delete: async () => {},
+    };
+    const sent = {};
+    const client = countingClient({ store: failing }, sent);
+    await client.getStatement('2025-01-15');
+    await client.getStatement('2025-01-15');
+    assert.equal(sent['/info/statement'], 2);
+    assert.equal(client.cache.stats().errors, 4);
+});
+
+test('invalidate() drops an entry and only read-only endpoints take a ttl', async () => {
+    const sent = {};
+    const client = countingClient(new GPayResponseCache({ store: new MemoryCacheStore({ maxSize: 10 }) }), sent);
+    await client.getStatement('2025-01-15');
+    await client.cache.invalidate(client, '/info/statement', { date: '2025-01-15' });
+    await client.getStatement('2025-01-15');
+    assert.equal(sent['/info/statement'], 2);
+
+    assert.throws(() => new GPayResponseCache({ ttl: { '/payment/send-money': 1000 } }), /read-only endpoints/);
+});
+
+test('MemoryCacheStore evicts the least recently used entries and expires them', async () => {
+    const store = new MemoryCacheStore({ maxSize: 2 });
+    await store.set('a', '1');
+    await store.set('b', '2');
+    await store.get('a');
+    await store.set('c', '3');
+    assert.equal(await store.get('b'), null);
+    assert.equal(await store.get('a'), '1');
+    await store.set('d', '4', -1);
+    assert.equal(await store.get('d'), null);
+});
+
+test('FileCacheStore keeps cached statements across clients', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpay-cache-'));
+    try {
+        const file = path.join(directory, 'cache.json');
+        const sent = {};
+        await countingClient({ store: new FileCacheStore(file) }, sent).getStatement('2025-01-15');
+        const statement = await countingClient({ store: new FileCacheStore(file) }, sent).getStatement('2025-01-15');
+        assert.deepEqual(statement.dayStatement, []);
+        assert.equal(sent['/info/statement'], 1);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('only closed days are cached, without the live balance and outstanding totals', async () => {
+    const sent = {};
+    const client = countingClient(true, sent);
+    const live = await client.getStatement('2025-02-01');
+    assert.ok(live.availableBalance !== null);
+    const cached = await client.getStatement('2025-02-01');
+    assert.deepEqual(cached.dayStatement, live.dayStatement);
+    assert.equal(cached.availableBalance, null);
+    assert.equal(cached.outstandingCredit, null);
+    assert.equal(String(cached.dayBalance), String(live.dayBalance));
+    assert.equal(sent['/info/statement'], 1);
+
+    await client.getStatement('2025-02-02');
+    await client.getStatement('2025-02-02');
+    assert.equal(sent['/info/statement'], 3);
+});
+
+test('reconcile reads statements past the cache', async () => {
+    const sent = {};
+    const client = countingClient(true, sent);
+    await client.getStatement('2025-02-01');
+    await client.reconcile([], { from: '2025-02-01', to: '2025-02-01' });
+    await client.reconcile([], { from: '2025-02-01', to: '2025-02-01' });
+    assert.equal(sent['/info/statement'], 3);
+});
@@ -0,0 +1,70 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { GPayCassette, GPayCassetteError } from '../GpayApiClient.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '50' });
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpay-cassette-'));
+const file = path.join(directory, 'cassettes', 'payment.json');
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * A transport for replaying clients: nothing may leave the process.
+ */
+function offline() {
+    return Promise.reject(new Error('replay must not send requests'));
+}
+
+test('recording stores every exchange with the secrets scrubbed', async () => {
+    const client = context.client({ cassette: { path: file, mode: 'record' } });
+    const request = await client.createPaymentRequest('12.5', 'CASSETTE-1');
+    assert.equal((await client.checkPaymentStatus(request.requestId)).isPaid, false);
+    context.sandbox.payPaymentRequest(request.requestId);
+    assert.equal((await client.checkPaymentStatus(request.requestId)).isPaid, true);
+
+    const text = fs.readFileSync(file, 'utf8');
+    for (const secret of credentials) {
+        assert.ok(!text.includes(secret), `${secret} was recorded`);
+    }
+    const cassette = JSON.parse(text);
+    assert.equal(cassette.version, 1);
+    assert.equal(cassette.exchanges.length, 3);
+    const [first] = cassette.exchanges;
+    assert.equal(first.endpoint, '/payment/create-payment-request');
+    assert.equal(first.request.parameters.request_timestamp, '[NORMALIZED]');
+    assert.equal(first.request.headers['Authorization'], 'Bearer [REDACTED]');
+    assert.equal(first.request.headers['X-Signature-Hash'], '[NORMALIZED]');
+    assert.ok(first.response.headers['x-signature-hash']);
+});
+
+test('replay answers identical requests in recorded order without sending them', async () => {
+    const client = context.client({ transport: offline, cassette: { path: file } });
+    const request = await client.createPaymentRequest('12.5', 'CASSETTE-1');
+    assert.equal((await client.checkPaymentStatus(request.requestId)).isPaid, false);
+    assert.equal((await client.checkPaymentStatus(request.requestId)).isPaid, true);
+    assert.deepEqual(client.cassette.unplayed(), []);
+
+    await assert.rejects(client.checkPaymentStatus(request.requestId), err => err instanceof GPayCassetteError && err.code === 'UNMATCHED_REQUEST');
+});
+
+test('replayed responses are still verified', async () => {
+    const [apiKey, secretKey] = credentials;
+    const cassette = new GPayCassette(file);
+    const client = context.client({ transport: offline, cassette });
+    client.setCredentials({ apiKey, secretKey, password: 'another-password' });
+    await assert.rejects(client.createPaymentRequest('12.5', 'CASSETTE-1'), /signature/i);
+});
+
+test('unreadable cassettes and bad options are rejected', async () => {
+    const broken = path.join(directory, 'broken.json');
+    fs.writeFileSync(broken, '{"version":2}');
+    const client = context.client({ transport: offline, cassette: { path: broken } });
+    await assert.rejects(client.getBalance(), err => err instanceof GPayCassetteError && err.code === 'INVALID_CASSETTE');
+
+    assert.throws(() => new GPayCassette(file, { mode: 'rewind' }), /Invalid cassette mode/);
+    assert.throws(() => new GPayCassette(), /needs a path/);
+});
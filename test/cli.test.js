@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BaseUrl } from '../GpayApiClient.node.js';
+import { loadProfile, main } from '../GpayCli.node.js';
+import { credentials, transfers, useSandbox } from './helpers.js';
+
+const context = useSandbox({
+    balance: '100',
+    wallets: [{ walletGatewayId: 'W1', walletName: 'Recipient' }, { walletGatewayId: 'CLOSED', canReceiveMoney: false }],
+});
+const env = {
+    GPAY_CONFIG: path.join(os.tmpdir(), 'gpay-cli-test-missing.json'),
+    GPAY_API_KEY: credentials[0],
+    GPAY_SECRET_KEY: credentials[1],
+    GPAY_PASSWORD: credentials[2],
+};
+
+/**
+ * Runs the CLI against the sandbox and returns its exit status and output.
+ */
+async function gpay(...argv) {
+    const output = { stdout: '', stderr: '' };
+    const stream = name => ({ write: chunk => { output[name] += chunk; } });
+    const code = await main(argv, {
+        env,
+        stdout: stream('stdout'),
+        stderr: stream('stderr'),
+        stdin: { isTTY: false },
+        createClient: profile => context.client({}, profile.language),
+    });
+    return { code, ...output };
+}
+
+test('prints results as a table or as JSON', async () => {
+    const table = await gpay('balance');
+    assert.equal(table.code, 0);
+    assert.match(table.stdout, /^balance\s+100\.000$/m);
+    const json = await gpay('check-wallet', 'W1', '-o', 'json');
+    assert.equal(json.code, 0);
+    assert.deepEqual(JSON.parse(json.stdout), {
+        wallet_gateway_id: 'W1',
+        exists: true,
+        wallet_name: 'Recipient',
+        user_account_name: null,
+        can_receive_money: true,
+    });
+});
+
+test('send asks for confirmation unless --yes is given', async () => {
+    const refused = await gpay('send', '5', 'W1', 'CLI-1');
+    assert.equal(refused.code, 2);
+    assert.match(refused.stderr, /use --yes/);
+    assert.equal(transfers(context.sandbox, 'CLI-1').length, 0);
+
+    const sent = await gpay('send', '5', 'W1', 'CLI-1', '--yes', '-o', 'json');
+    assert.equal(sent.code, 0);
+    assert.equal(JSON.parse(sent.stdout).new_balance, '95.000');
+    assert.equal(transfers(context.sandbox, 'CLI-1').length, 1);
+});
+
+test('send --yes still refuses a wallet that does not exist or cannot receive money', async () => {
+    const missing = await gpay('send', '5', 'MISSING', 'CLI-3', '--yes');
+    assert.equal(missing.code, 2);
+    assert.match(missing.stderr, /Wallet MISSING does not exist/);
+    const closed = await gpay('send', '5', 'CLOSED', 'CLI-4', '--yes');
+    assert.equal(closed.code, 2);
+    assert.match(closed.stderr, /Wallet CLOSED cannot receive money/);
+    assert.equal(transfers(context.sandbox, 'CLI-3').length + transfers(context.sandbox, 'CLI-4').length, 0);
+});
+
+test('exports a statement as CSV', async () => {
+    const day = context.sandbox.transactions[0].datetime.slice(0, 10);
+    const { code, stdout } = await gpay('statement', `${day}..${day}`, '-o', 'csv');
+    assert.equal(code, 0);
+    const lines = stdout.trim().split('\n');
+    assert.ok(lines[0].startsWith('transaction_id,datetime,timestamp,description,amount'));
+    assert.match(lines[1], /,-5\.000,95\.000,CLI-1,1,DIRECT_TRANSFER,2,APPLIED,/);
+
+    const json = await gpay('statement', day, '-o', 'json');
+    assert.equal(json.code, 0);
+    const [tx] = JSON.parse(json.stdout);
+    assert.equal(tx.reference_no, 'CLI-1');
+    assert.equal(tx.op_type, 'DIRECT_TRANSFER');
+});
+
+test('exits with 1 on API errors and 2 on usage errors', async () => {
+    const failed = await gpay('status', 'PR-UNKNOWN');
+    assert.equal(failed.code, 1);
+    assert.match(failed.stderr, /PAYMENT_REQUEST_NOT_FOUND/);
+    assert.equal((await gpay('refund', '5')).code, 2);
+    assert.equal((await gpay('send', '5', 'W1')).code, 2);
+    assert.equal((await gpay('balance', '-o', 'xml')).code, 2);
+    assert.equal((await gpay('send', '-5', 'W1', 'CLI-2', '--yes')).code, 2);
+    assert.equal((await gpay('--help')).code, 0);
+});
+
+test('a sandbox profile needs allowCustomBaseUrl', async () => {
+    const output = { stdout: '', stderr: '' };
+    const stream = name => ({ write: chunk => { output[name] += chunk; } });
+    const run = extra => main(['balance'], {
+        env: { ...env, GPAY_BASE_URL: context.baseUrl, ...extra },
+        stdout: stream('stdout'),
+        stderr: stream('stderr'),
+    });
+    assert.equal(await run({}), 2);
+    assert.match(output.stderr, /GPAY_STAGING_ALLOW_CUSTOM_BASE_URL=1/);
+    assert.equal(await run({ GPAY_ALLOW_CUSTOM_BASE_URL: 'true' }), 0);
+    assert.match(output.stdout, /^balance\s+\d+\.\d{3}$/m);
+});
+
+test('the installed command runs as an ES module without warnings', () => {
+    const cli = new URL('../GpayCli.node.js', import.meta.url);
+    const { status, stdout, stderr } = spawnSync(process.execPath, [cli.pathname, '--help'], { encoding: 'utf8', timeout: 10000 });
+    assert.equal(status, 0);
+    assert.match(stdout, /^Usage: gpay /);
+    assert.equal(stderr, '');
+});
+
+test('profiles come from the config file, overridden by the environment', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpay-cli-'));
+    try {
+        const config = path.join(directory, 'gpay.json');
+        fs.writeFileSync(config, JSON.stringify({
+            defaultProfile: 'production',
+            profiles: { production: { apiKey: 'file-key', secretKey: 'file-secret', password: 'file-password', baseUrl: 'production' } },
+        }));
+        const profile = loadProfile({ config }, { GPAY_PRODUCTION_PASSWORD: 'env-password', GPAY_LANGUAGE: 'ar' });
+        assert.deepEqual(profile, {
+            name: 'production',
+            apiKey: 'file-key',
+            secretKey: 'file-secret',
+            password: 'env-password',
+            baseUrl: BaseUrl.PRODUCTION,
+            language: 'ar',
+            allowCustomBaseUrl: false,
+        });
+        assert.throws(() => loadProfile({ config, profile: 'staging' }, {}), /missing apiKey, secretKey, password/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GPayApiClient from '../GpayApiClient.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '10' });
+
+test('a custom baseUrl needs allowCustomBaseUrl and must be an http(s) URL', () => {
+    assert.throws(() => new GPayApiClient(...credentials, 'https://gpay.example.com/api', 'en'), /allowCustomBaseUrl/);
+    assert.throws(() => new GPayApiClient(...credentials, 'http://127.0.0.1:8080/api', 'en'), /allowCustomBaseUrl/);
+    assert.throws(() => new GPayApiClient(...credentials, 'ftp://gpay.example.com/api', 'en', { allowCustomBaseUrl: true }), /http\(s\)/);
+    const client = new GPayApiClient(...credentials, 'https://gpay.example.com/api/', 'en', { allowCustomBaseUrl: true });
+    assert.equal(client.baseUrl, 'https://gpay.example.com/api');
+});
+
+test('a transport must be a function', () => {
+    assert.throws(() => context.client({ transport: 'fetch' }), /transport/);
+});
+
+test('requests go through the transport with the dispatcher, agent and default headers', async () => {
+    const calls = [];
+    const dispatcher = {};
+    const agent = {};
+    const client = context.client({
+        dispatcher,
+        agent,
+        headers: { 'X-Request-Source': 'checkout', 'Authorization': 'Bearer stolen', 'x-signature-hash': 'forged' },
+        transport: (url, init) => {
+            calls.push({ url, init });
+            return fetch(url, { method: init.method, headers: init.headers, body: init.body });
+        },
+    });
+    assert.equal(Number((await client.getBalance()).balance), 10);
+    assert.equal(calls.length, 1);
+    const [{ url, init }] = calls;
+    assert.equal(url, `${context.baseUrl}/info/balance`);
+    assert.equal(init.dispatcher, dispatcher);
+    assert.equal(init.agent, agent);
+    assert.equal(init.headers['X-Request-Source'], 'checkout');
+    assert.equal(init.headers['Authorization'], `Bearer ${credentials[0]}`);
+    assert.equal(init.headers['x-signature-hash'], undefined);
+});
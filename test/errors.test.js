@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    GPayApiError,
+    GPayError,
+    GPayResponseParseError,
+    GPaySignatureError,
+    GPayTimeoutError,
+    GPayTransportError,
+} from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '10', wallets: [{ walletGatewayId: 'W1' }] });
+
+/**
+ * Returns a transport answering every request with the given body and status.
+ */
+function respond(body, status = 200) {
+    return () => Promise.resolve(new Response(body, { status, headers: { 'Content-Type': 'application/json' } }));
+}
+
+test('API errors carry the code, status and body of the response', async () => {
+    const err = await context.client().sendMoney('1', 'MISSING', 'ERR-1').catch(error => error);
+    assert.ok(err instanceof GPayApiError);
+    assert.ok(err instanceof GPayError);
+    assert.equal(err.code, 'WALLET_NOT_FOUND');
+    assert.equal(err.status, 404);
+    assert.equal(JSON.parse(err.body).error.code, 'WALLET_NOT_FOUND');
+});
+
+test('a non-JSON error response is reported with its HTTP status', async () => {
+    const client = context.client({ transport: respond('<html>Bad Gateway</html>', 502) });
+    await assert.rejects(client.getBalance(), err => err instanceof GPayApiError && err.code === 'HTTP_502' && err.status === 502);
+});
+
+test('a successful response that is not JSON is a parse error', async () => {
+    const client = context.client({ transport: respond('not json') });
+    await assert.rejects(client.getBalance(), err => err instanceof GPayResponseParseError && err.body === 'not json');
+});
+
+test('a tampered response signature is a signature error', async () => {
+    const client = context.client({
+        transport: async (url, init) => {
+            const response = await fetch(url, init);
+            const headers = new Headers(response.headers);
+            headers.set('X-Signature-Hash', 'tampered');
+            return new Response(await response.text(), { status: response.status, headers });
+        },
+    });
+    await assert.rejects(client.getBalance(), GPaySignatureError);
+});
+
+test('network failures and timeouts are transport errors with the cause attached', async () => {
+    const refused = new Error('connect ECONNREFUSED');
+    const failing = context.client({ transport: () => Promise.reject(refused) });
+    await assert.rejects(failing.getBalance(), err => err instanceof GPayTransportError && err.cause === refused && err.endpoint === '/info/balance');
+
+    const timeout = new Error('The operation was aborted due to timeout');
+    timeout.name = 'TimeoutError';
+    const slow = context.client({ transport: () => Promise.reject(timeout) });
+    await assert.rejects(slow.getBalance(), err => err instanceof GPayTimeoutError && err instanceof GPayTransportError);
+});
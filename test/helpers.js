@@ -0,0 +1,59 @@
+import { after, before } from 'node:test';
+import GPayApiClient, { OperationType } from '../GpayApiClient.node.js';
+import { GPaySandboxServer } from '../GpaySandboxServer.node.js';
+
+/**
+ * Credentials shared by the sandbox and the clients of every test file.
+ * They are long and distinctive so that secret redaction never touches unrelated text.
+ */
+const credentials = Object.freeze(['test-api-key-1', 'test-secret-key-1', 'test-password-1']);
+
+/**
+ * Starts a GPaySandboxServer before the tests of the calling file (or suite) and stops it afterwards.
+ * Node 20 does not wait for one before() hook to finish before starting the next, so anything that needs
+ * the running sandbox goes into `setup` rather than into a separate hook.
+ * @param {Object} [options] - GPaySandboxServer options, on top of the shared credentials.
+ * @param {Function} [setup] - Called with the context once the sandbox has started.
+ * @returns {{ sandbox: GPaySandboxServer, baseUrl: string, client: Function }} The context is filled in
+ *   once the sandbox has started; client(options, language) creates a GPayApiClient talking to it.
+ */
+function useSandbox(options = {}, setup) {
+    const context = {
+        sandbox: null,
+        baseUrl: null,
+        client: (clientOptions = {}, language = 'en') => new GPayApiClient(
+            ...credentials,
+            context.baseUrl,
+            language,
+            { allowCustomBaseUrl: true, ...clientOptions }
+        ),
+    };
+    before(async () => {
+        context.sandbox = new GPaySandboxServer({
+            apiKey: credentials[0],
+            secretKey: credentials[1],
+            password: credentials[2],
+            ...options,
+        });
+        context.baseUrl = await context.sandbox.start();
+        if (setup) {
+            await setup(context);
+        }
+    });
+    after(() => context.sandbox.stop());
+    return context;
+}
+
+/**
+ * Returns the sandbox ledger's transfers with the given reference number (fees excluded).
+ * @param {GPaySandboxServer} sandbox
+ * @param {string} referenceNo
+ * @returns {Object[]}
+ */
+function transfers(sandbox, referenceNo) {
+    return sandbox.transactions.filter(
+        tx => tx.op_type_id === OperationType.DIRECT_TRANSFER && tx.reference_no === referenceNo
+    );
+}
+
+export { credentials, useSandbox, transfers };
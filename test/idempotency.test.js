@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { FileIdempotencyStore, GPayApiError, GPayIdempotencyError, MemoryIdempotencyStore } from '../GpayApiClient.node.js';
+import { transfers, useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '1000', wallets: [{ walletGatewayId: 'W1' }] });
+
+function createClient(options = {}) {
+    return context.client({ idempotencyStore: new MemoryIdempotencyStore(), ...options });
+}
+
+test('a repeated sendMoney resolves to the first result without sending again', async () => {
+    const client = createClient();
+    const first = await client.sendMoney('5', 'W1', 'IDEM-1');
+    const second = await client.sendMoney('5', 'W1', 'IDEM-1');
+    assert.equal(second.transactionId, first.transactionId);
+    assert.equal(transfers(context.sandbox, 'IDEM-1').length, 1);
+});
+
+test('a repeated createPaymentRequest returns the stored request', async () => {
+    const client = createClient();
+    const first = await client.createPaymentRequest('7', 'IDEM-PR-1');
+    const second = await client.createPaymentRequest('7', 'IDEM-PR-1');
+    assert.equal(second.requestId, first.requestId);
+    assert.equal(context.sandbox.paymentRequests.size, 1);
+});
+
+test('a reference number reused with other parameters is refused', async () => {
+    const client = createClient();
+    await client.sendMoney('5', 'W1', 'IDEM-2');
+    await assert.rejects(client.sendMoney('6', 'W1', 'IDEM-2'), err => err instanceof GPayIdempotencyError && err.code === 'PARAMETER_MISMATCH');
+});
+
+test('a concurrent call with the same reference number is refused while the first is in flight', async () => {
+    const client = createClient();
+    const results = await Promise.allSettled([client.sendMoney('1', 'W1', 'IDEM-3'), client.sendMoney('1', 'W1', 'IDEM-3')]);
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.code, 'IN_FLIGHT');
+    assert.equal(transfers(context.sandbox, 'IDEM-3').length, 1);
+});
+
+test('a transfer whose response was lost is found on GPay instead of being sent twice', async () => {
+    let lose = true;
+    const client = createClient({
+        retry: false,
+        transport: async (url, init) => {
+            const response = await fetch(url, init);
+            if (lose && url.endsWith('/payment/send-money')) {
+                lose = false;
+                throw new TypeError('socket hang up');
+            }
+            return response;
+        },
+    });
+    await assert.rejects(client.sendMoney('5', 'W1', 'IDEM-4'), err => err instanceof GPayIdempotencyError && err.code === 'ALREADY_COMPLETED');
+    await assert.rejects(client.sendMoney('5', 'W1', 'IDEM-4'), err => err.code === 'ALREADY_COMPLETED');
+    assert.equal(transfers(context.sandbox, 'IDEM-4').length, 1);
+});
+
+test('a transfer refused by GPay may be sent again', async () => {
+    const client = createClient();
+    await assert.rejects(client.sendMoney('5', 'UNKNOWN', 'IDEM-5'), err => err instanceof GPayApiError && err.status < 500);
+    const record = await client.idempotencyStore.get('sendMoney:IDEM-5');
+    assert.equal(record.state, 'failed');
+    await assert.rejects(client.sendMoney('5', 'UNKNOWN', 'IDEM-5'), err => err instanceof GPayApiError);
+});
+
+test('FileIdempotencyStore keeps completed references across clients', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpay-idempotency-'));
+    try {
+        const file = path.join(directory, 'references.json');
+        const first = await createClient({ idempotencyStore: new FileIdempotencyStore(file) }).sendMoney('2', 'W1', 'IDEM-6');
+        const second = await createClient({ idempotencyStore: new FileIdempotencyStore(file) }).sendMoney('2', 'W1', 'IDEM-6');
+        assert.equal(second.transactionId, first.transactionId);
+        assert.equal(transfers(context.sandbox, 'IDEM-6').length, 1);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
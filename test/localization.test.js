@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import GPayApiClient, {
+    formatAmount,
+    formatDateTime,
+    formatOperationType,
+    formatTransactionStatus,
+    GPayError,
+    GPayTransportError,
+    GPayValidationError,
+} from '../GpayApiClient.node.js';
+import { GPayClientRegistry, GPayCredentialError } from '../GpayClientRegistry.node.js';
+import { GPayNotificationError, GPayNotificationReceiver } from '../GpayNotificationReceiver.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '50', wallets: [{ walletGatewayId: 'W1' }] });
+
+test('SDK errors use the client language, and a call can override it', async () => {
+    const client = context.client({}, 'ar');
+    await assert.rejects(client.sendMoney('-5', 'W1', 'LANG-1'), err => {
+        assert.ok(err instanceof GPayValidationError);
+        assert.equal(err.errors[0].field, 'amount');
+        assert.match(err.message, /^طلب غير صالح: amount /);
+        assert.match(err.errors[0].message, /بالدينار الليبي/);
+        return true;
+    });
+    await assert.rejects(client.sendMoney('-5', 'W1', 'LANG-1', '', { language: 'en' }), err => {
+        assert.match(err.errors[0].message, /^must be a positive LYD amount/);
+        return true;
+    });
+});
+
+test('localize() renders an error again in another language', async () => {
+    const client = context.client({ transport: () => Promise.reject(new Error('socket hang up')), retry: false }, 'ar');
+    await assert.rejects(client.getBalance(), err => {
+        assert.ok(err instanceof GPayTransportError);
+        assert.match(err.message, /^فشل الطلب إلى واجهة GPay \/info\/balance: socket hang up$/);
+        assert.equal(err.localize('en').message, 'GPay API request to /info/balance failed: socket hang up');
+        return true;
+    });
+});
+
+test('invalid client options are reported in the client language', () => {
+    assert.throws(() => new GPayApiClient(...credentials, 'https://gpay.example.com', 'ar'), err => {
+        assert.ok(err instanceof GPayError);
+        assert.match(err.message, /^قيمة baseUrl غير صالحة/);
+        assert.match(err.localize('en').message, /^Invalid baseUrl/);
+        return true;
+    });
+    assert.throws(() => context.client({ transport: 'fetch' }, 'ar'), /^GPayError: قيمة transport غير صالحة/);
+});
+
+test('payout items skipped for their wallet are described in the client language', async () => {
+    const report = await context.client({}, 'ar').createPayoutBatch([{ walletGatewayId: 'MISSING', amount: '1', referenceNo: 'LANG-PAY-1' }]);
+    assert.equal(report.items[0].error.code, 'WALLET_NOT_FOUND');
+    assert.equal(report.items[0].error.message, 'المحفظة MISSING غير موجودة');
+});
+
+test('rejected notifications are reported in the language of the receiver\'s client', async () => {
+    const receiver = new GPayNotificationReceiver(context.client({}, 'ar'));
+    receiver.on('rejected', () => {});
+    await assert.rejects(receiver.handle({ headers: {}, body: 'not json' }), err => {
+        assert.ok(err instanceof GPayNotificationError);
+        assert.equal(err.code, 'INVALID_NOTIFICATION');
+        assert.equal(err.message, 'محتوى الإشعار ليس JSON صالحًا');
+        return true;
+    });
+    await assert.rejects(receiver.handle({ headers: {}, body: '{}' }), err => {
+        assert.equal(err.code, 'MISSING_SIGNATURE');
+        assert.match(err.message, /^الترويسة X-Signature-Hash/);
+        return true;
+    });
+});
+
+test('credential errors use the registry language', async () => {
+    const registry = new GPayClientRegistry({ provider: async () => null, language: 'ar' });
+    await assert.rejects(registry.get('north'), err => {
+        assert.ok(err instanceof GPayCredentialError);
+        assert.equal(err.message, 'لا توجد بيانات اعتماد GPay للتاجر north');
+        return true;
+    });
+    assert.throws(() => new GPayClientRegistry({ provider: {}, language: 'ar' }), /^GPayError: قيمة provider غير صالحة/);
+});
+
+test('API responses keep working in Arabic', async () => {
+    const balance = await context.client({}, 'ar').getBalance();
+    assert.equal(String(balance.balance), '50.000');
+});
+
+test('formatters render amounts, Libya time and enum labels', () => {
+    assert.equal(formatAmount('1250.5'), '1,250.500 LYD');
+    assert.equal(formatAmount('1250.5', 'ar'), '1.250,500 د.ل.');
+    assert.equal(formatAmount('1', 'fr'), '1.000 LYD');
+    assert.equal(formatDateTime(new Date('2025-01-15T21:30:00Z')), '15/01/2025, 23:30:00');
+    assert.equal(formatDateTime('2025-01-15 23:30:00', 'ar').replace(/\u200f/g, ''), '15/01/2025، 23:30:00');
+    assert.equal(formatDateTime(null), null);
+    assert.equal(formatOperationType(3, 'ar'), 'إيداع مصرفي');
+    assert.equal(formatOperationType(3), 'Bank deposit');
+    assert.equal(formatOperationType(99), '99');
+    assert.equal(formatTransactionStatus(0), 'Pending');
+    assert.equal(formatTransactionStatus(0, 'ar'), 'قيد الانتظار');
+});
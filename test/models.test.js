@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPayResponseSchemaError, Money, PaymentRequest, Statement } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '50', wallets: [{ walletGatewayId: 'W1' }] }, ({ sandbox }) => {
+    sandbox.deposit('20', { referenceNo: 'DEP-1' });
+});
+
+/**
+ * Returns a transport that lets `change` edit the data of every response before the client sees it.
+ */
+function altering(change) {
+    return async (url, init) => {
+        const response = await fetch(url, init);
+        const body = await response.json();
+        change(body.data);
+        return new Response(JSON.stringify(body), { status: response.status, headers: response.headers });
+    };
+}
+
+test('statement transactions have Date timestamps and operation and status names', async () => {
+    const statement = await context.client().getStatement(new Date());
+    const [deposit] = statement.dayStatement;
+    assert.ok(statement.responseTime instanceof Date);
+    assert.ok(deposit.datetime instanceof Date && deposit.createdAt instanceof Date);
+    assert.ok(Math.abs(deposit.datetime.getTime() - Date.now()) < 60 * 1000);
+    assert.equal(deposit.opType, 'BANK_DEPOSIT');
+    assert.equal(deposit.statusName, 'APPLIED');
+    assert.ok(deposit.amount instanceof Money);
+});
+
+test('models survive a JSON round trip', async () => {
+    const client = context.client();
+    const statement = await client.getStatement(new Date());
+    const json = JSON.parse(JSON.stringify(statement));
+    assert.equal(typeof json.dayStatement[0].amount, 'string');
+    assert.equal(json.dayStatement[0].opType, 'BANK_DEPOSIT');
+    assert.deepEqual(Statement.fromJSON(json), statement);
+
+    const request = await client.createPaymentRequest('12.5', 'MODEL-1');
+    assert.deepEqual(PaymentRequest.fromJSON(JSON.parse(JSON.stringify(request))), request);
+});
+
+test('a malformed response throws GPayResponseSchemaError naming each bad field', async () => {
+    const client = context.client({
+        transport: altering(data => {
+            data.day_statement[0].amount = 'twenty';
+            delete data.day_statement[0].transaction_id;
+        }),
+    });
+    await assert.rejects(client.getStatement(new Date()), err => {
+        assert.ok(err instanceof GPayResponseSchemaError);
+        assert.equal(err.endpoint, '/info/statement');
+        assert.deepEqual(err.errors.map(e => e.field).sort(), ['data.day_statement[0].amount', 'data.day_statement[0].transaction_id']);
+        return true;
+    });
+
+    const balanceClient = context.client({ transport: altering(data => { delete data.balance; }) });
+    await assert.rejects(balanceClient.getBalance(), GPayResponseSchemaError);
+});
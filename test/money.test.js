@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPayValidationError, Money } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '100', wallets: [{ walletGatewayId: 'W1' }], sendMoneyFee: { fixed: '0.250' } });
+
+test('Money adds and compares exact dirhams', () => {
+    const sum = Money.parse('0.1').add('0.2');
+    assert.equal(sum.toString(), '0.300');
+    assert.ok(sum.equals(0.3));
+    assert.equal(Money.parse('-3.25').toString(), '-3.250');
+    assert.equal(Money.parse('12.5000').dirhams, 12500);
+    assert.equal(JSON.stringify({ amount: Money.parse(7) }), '{"amount":"7.000"}');
+    assert.equal(Money.parse('1').compare('0.999'), 1);
+    assert.throws(() => Money.parse('1.2345'));
+    assert.throws(() => Money.parse('1e3'));
+});
+
+test('response amounts are Money values that reconcile exactly', async () => {
+    const result = await context.client().sendMoney('10.1', 'W1', 'MONEY-1');
+    assert.ok(result.amount instanceof Money);
+    assert.ok(result.oldBalance.subtract(result.amount).subtract(result.senderFee).equals(result.newBalance));
+    assert.equal(result.newBalance.toString(), '89.650');
+});
+
+test('legacyAmounts returns plain numbers', async () => {
+    const balance = await context.client({ legacyAmounts: true }).getBalance();
+    assert.equal(balance.balance, 89.65);
+});
+
+test('outgoing amounts are validated before anything is sent', async () => {
+    const client = context.client();
+    const sent = context.sandbox.transactions.length;
+    for (const amount of ['0', '-5', '1e3', '1.2345', 'ten', Money.fromDirhams(0)]) {
+        await assert.rejects(
+            client.sendMoney(amount, 'W1', 'MONEY-2'),
+            err => err instanceof GPayValidationError && err.errors[0].field === 'amount',
+            `amount ${amount}`
+        );
+    }
+    assert.equal(context.sandbox.transactions.length, sent);
+    const request = await client.createPaymentRequest(Money.parse('2.5'), 'MONEY-3');
+    assert.equal(request.amount.toString(), '2.500');
+});
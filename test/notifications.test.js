@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { MemorySaltCache } from '../GpayApiClient.node.js';
+import { GPayNotificationError, GPayNotificationReceiver } from '../GpayNotificationReceiver.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+let paid;
+let unpaid;
+const context = useSandbox({}, async ({ sandbox, client }) => {
+    paid = await client().createPaymentRequest('12.5', 'NOTIFY-1');
+    sandbox.payPaymentRequest(paid.requestId);
+    unpaid = await client().createPaymentRequest('4', 'NOTIFY-2');
+});
+
+/**
+ * Builds a notification for a payment request, signed the way GPay signs it.
+ */
+async function notification(requestId, overrides = {}) {
+    const client = context.client();
+    const fields = {
+        request_id: requestId,
+        amount: '12.500',
+        reference_no: 'NOTIFY-1',
+        is_paid: true,
+        response_timestamp: String(Date.now()),
+        ...overrides,
+    };
+    const salt = await client.generateSalt();
+    const hash = await client.generateVerificationHash(client.generateHashToken(salt, credentials[2]), fields);
+    return { headers: { 'X-Signature-Salt': salt, 'X-Signature-Hash': hash }, body: JSON.stringify(fields) };
+}
+
+function rejectsWith(promise, code, status) {
+    return assert.rejects(promise, err => err instanceof GPayNotificationError && err.code === code && err.status === status);
+}
+
+test('a signed notification confirmed by checkPaymentStatus is accepted once', async () => {
+    const receiver = new GPayNotificationReceiver(context.client());
+    const payments = [];
+    const rejected = [];
+    receiver.on('payment', status => payments.push(status));
+    receiver.on('rejected', err => rejected.push(err.code));
+    const delivery = await notification(paid.requestId);
+
+    const status = await receiver.handle(delivery);
+    assert.equal(status.isPaid, true);
+    assert.equal(String(status.amount), '12.500');
+    assert.deepEqual(payments.map(payment => payment.referenceNo), ['NOTIFY-1']);
+
+    await rejectsWith(receiver.handle(delivery), 'REPLAYED_NOTIFICATION', 409);
+    assert.deepEqual(rejected, ['REPLAYED_NOTIFICATION']);
+});
+
+test('a notification answered with 503 is accepted when GPay delivers it again', async () => {
+    let failures = 1;
+    const client = context.client({
+        retry: false,
+        saltCache: new MemorySaltCache(),
+        transport: (url, init) => {
+            if (failures > 0) {
+                failures--;
+                return Promise.resolve(new Response(JSON.stringify({ error: { code: 'UNAVAILABLE', message: 'Try again' } }), { status: 503 }));
+            }
+            return fetch(url, init);
+        },
+    });
+    const receiver = new GPayNotificationReceiver(client);
+    const delivery = await notification(paid.requestId);
+    await rejectsWith(receiver.handle(delivery), 'CONFIRMATION_FAILED', 503);
+    const status = await receiver.handle(delivery);
+    assert.equal(status.requestId, paid.requestId);
+    await rejectsWith(receiver.handle(delivery), 'REPLAYED_NOTIFICATION', 409);
+});
+
+test('tampered, stale and malformed notifications are rejected', async () => {
+    const receiver = new GPayNotificationReceiver(context.client());
+    const delivery = await notification(paid.requestId);
+    await rejectsWith(receiver.handle({ ...delivery, body: delivery.body.replace('12.500', '125.000') }), 'HASH_MISMATCH', 401);
+    await rejectsWith(receiver.handle({ headers: {}, body: delivery.body }), 'MISSING_SIGNATURE', 401);
+    await rejectsWith(receiver.handle(await notification(paid.requestId, { response_timestamp: String(Date.now() - 10 * 60 * 1000) })), 'STALE_NOTIFICATION', 401);
+    await rejectsWith(receiver.handle({ headers: delivery.headers, body: 'not json' }), 'INVALID_NOTIFICATION', 400);
+});
+
+test('notifications that checkPaymentStatus does not confirm are rejected', async () => {
+    const receiver = new GPayNotificationReceiver(context.client());
+    await rejectsWith(receiver.handle(await notification(unpaid.requestId, { amount: '4.000' })), 'UNCONFIRMED', 422);
+    await rejectsWith(receiver.handle(await notification(paid.requestId, { amount: '1.000' })), 'UNCONFIRMED', 422);
+    await rejectsWith(receiver.handle(await notification('PR-UNKNOWN')), 'UNCONFIRMED', 422);
+
+    // Confirmation cannot be turned off.
+    const unconfirming = new GPayNotificationReceiver(context.client(), { confirm: false });
+    await rejectsWith(unconfirming.handle(await notification(unpaid.requestId, { amount: '4.000' })), 'UNCONFIRMED', 422);
+});
+
+test('nodeHandler answers with the status of the outcome', async () => {
+    const receiver = new GPayNotificationReceiver(context.client());
+    const server = http.createServer(receiver.nodeHandler());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/gpay/notify`;
+        const delivery = await notification(paid.requestId);
+        const accepted = await fetch(url, { method: 'POST', headers: delivery.headers, body: delivery.body });
+        assert.equal(accepted.status, 200);
+        assert.deepEqual(await accepted.json(), { status: 'ok', request_id: paid.requestId });
+        const replayed = await fetch(url, { method: 'POST', headers: delivery.headers, body: delivery.body });
+        assert.equal(replayed.status, 409);
+        assert.equal((await replayed.json()).error.code, 'REPLAYED_NOTIFICATION');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('nodeHandler answers 413 to a body above maxBodySize', async () => {
+    const receiver = new GPayNotificationReceiver(context.client(), { maxBodySize: 1024 });
+    const server = http.createServer(receiver.nodeHandler());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/gpay/notify`;
+        const delivery = await notification(paid.requestId);
+        const response = await fetch(url, { method: 'POST', headers: delivery.headers, body: 'x'.repeat(2048) });
+        assert.equal(response.status, 413);
+        assert.equal((await response.json()).error.code, 'BODY_TOO_LARGE');
+        const accepted = await fetch(url, { method: 'POST', headers: delivery.headers, body: delivery.body });
+        assert.equal(accepted.status, 200);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('the Express middleware takes a raw body', async () => {
+    const receiver = new GPayNotificationReceiver(context.client());
+    const delivery = await notification(paid.requestId);
+    const res = {
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(payload) {
+            this.payload = payload;
+        },
+    };
+    await receiver.express()({ headers: delivery.headers, body: Buffer.from(delivery.body) }, res, assert.fail);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.payload.request_id, paid.requestId);
+});
+
+test('the Fastify handler takes the raw body and refuses a parsed one', async () => {
+    const receiver = new GPayNotificationReceiver(context.client());
+    const delivery = await notification(paid.requestId);
+    // GPay sends the amount as a JSON number, signed as the text 12.500.
+    const body = delivery.body.replace('"amount":"12.500"', '"amount":12.500');
+    const reply = {
+        code(code) {
+            this.statusCode = code;
+            return this;
+        },
+        send(payload) {
+            this.payload = payload;
+            return this;
+        },
+    };
+    await assert.rejects(receiver.fastify()({ headers: delivery.headers, body: JSON.parse(body) }, reply), /raw notification body/);
+    assert.equal(reply.statusCode, undefined);
+    await receiver.fastify()({ headers: delivery.headers, body: Buffer.from(body) }, reply);
+    assert.equal(reply.statusCode, 200);
+    assert.equal(reply.payload.request_id, paid.requestId);
+});
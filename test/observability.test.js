@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLoggingHooks, createTracingHooks, GPayMetrics } from '../GpayObservability.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '10', wallets: [{ walletGatewayId: 'W1' }] });
+
+/**
+ * A transport that answers the first request with a 503 and then reaches the sandbox.
+ */
+function failOnce() {
+    let failed = false;
+    return (url, init) => {
+        if (!failed) {
+            failed = true;
+            return Promise.resolve(new Response(JSON.stringify({ error: { code: 'UNAVAILABLE', message: 'Try again' } }), { status: 503 }));
+        }
+        return fetch(url, init);
+    };
+}
+
+test('hooks observe every attempt, and errors they throw are ignored', async () => {
+    const events = [];
+    const client = context.client({
+        retry: { retries: 1, minDelay: 1, jitter: false },
+        transport: failOnce(),
+        hooks: { onRequest: () => { throw new Error('broken hook'); } },
+    });
+    client.use({
+        onRequest: ({ endpoint, attempt }) => events.push(['request', endpoint, attempt]),
+        onResponse: ({ attempt, status, verified, latency }) => events.push(['response', attempt, status, verified, typeof latency]),
+        onError: ({ attempt, status, error }) => events.push(['error', attempt, status, error.code]),
+    });
+    await client.getBalance();
+    assert.deepEqual(events, [
+        ['request', '/info/balance', 0],
+        ['error', 0, 503, 'UNAVAILABLE'],
+        ['request', '/info/balance', 1],
+        ['response', 1, 200, true, 'number'],
+    ]);
+});
+
+test('redact replaces credentials, Authorization and signature values', () => {
+    const client = context.client();
+    const redacted = client.redact({
+        headers: { Authorization: `Bearer ${credentials[0]}`, 'X-Signature-Hash': 'abc' },
+        note: `secret ${credentials[1]} and password ${credentials[2]}`,
+        nested: [{ password: 'anything' }],
+    });
+    assert.deepEqual(redacted, {
+        headers: { Authorization: 'Bearer [REDACTED]', 'X-Signature-Hash': '[REDACTED]' },
+        note: 'secret [REDACTED] and password [REDACTED]',
+        nested: [{ password: '[REDACTED]' }],
+    });
+});
+
+test('logging hooks write redacted entries at the level of the outcome', async () => {
+    const entries = [];
+    const logger = Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [level, (entry, message) => entries.push({ level, entry, message })]));
+    const client = context.client({ retry: false, hooks: createLoggingHooks(logger, { logRequests: true }) });
+    await client.getBalance();
+    await assert.rejects(client.sendMoney('1', 'MISSING', `LOG-${credentials[2]}`));
+    assert.deepEqual(entries.map(({ level }) => level), ['debug', 'info', 'debug', 'warn']);
+    assert.equal(entries[1].message, 'GPay /info/balance 200');
+    assert.equal(entries[3].entry.err.code, 'WALLET_NOT_FOUND');
+    assert.equal(entries[3].entry.parameters.reference_no, 'LOG-[REDACTED]');
+    assert.ok(entries.every(({ entry }) => !JSON.stringify(entry).includes(credentials[2])));
+});
+
+test('tracing hooks record one span per attempt', async () => {
+    const spans = [];
+    const tracer = {
+        startSpan(name, { attributes }) {
+            const span = { name, attributes: { ...attributes }, status: null, ended: false };
+            span.setAttribute = (key, value) => { span.attributes[key] = value; };
+            span.setStatus = status => { span.status = status; };
+            span.recordException = exception => { span.exception = exception; };
+            span.end = () => { span.ended = true; };
+            spans.push(span);
+            return span;
+        },
+    };
+    const client = context.client({ retry: { retries: 1, minDelay: 1, jitter: false }, transport: failOnce(), hooks: createTracingHooks(tracer) });
+    await client.getBalance();
+    assert.deepEqual(spans.map(span => [span.name, span.attributes['gpay.attempt'], span.attributes['http.status_code'], span.status.code, span.ended]), [
+        ['gpay.request /info/balance', 0, 503, 2, true],
+        ['gpay.request /info/balance', 1, 200, 1, true],
+    ]);
+    assert.equal(spans[0].attributes['gpay.error_code'], 'UNAVAILABLE');
+    assert.equal(spans[1].attributes['gpay.signature_verified'], true);
+});
+
+test('GPayMetrics counts requests, retries and errors per endpoint', async () => {
+    const metrics = new GPayMetrics({ buckets: [100000] });
+    const client = context.client({ retry: { retries: 1, minDelay: 1, jitter: false }, transport: failOnce() }).use(metrics);
+    await client.getBalance();
+    await client.checkWallet('W1');
+    const snapshot = metrics.snapshot();
+    assert.deepEqual(Object.keys(snapshot), ['/info/balance', '/info/check-wallet']);
+    const balance = snapshot['/info/balance'];
+    assert.deepEqual([balance.requests, balance.retries, balance.errors], [2, 1, 1]);
+    assert.deepEqual(balance.statusCodes, { 200: 1, 503: 1 });
+    assert.deepEqual(balance.errorCodes, { UNAVAILABLE: 1 });
+    assert.deepEqual(balance.latency.buckets.map(bucket => bucket.count), [2, 2]);
+    metrics.reset();
+    assert.deepEqual(metrics.snapshot(), {});
+});
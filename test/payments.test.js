@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { GPayTimeoutError } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '0' });
+const fast = { interval: 5, maxInterval: 20 };
+
+test('waitForPayment resolves once the request is paid', async () => {
+    const client = context.client();
+    const request = await client.createPaymentRequest('3', 'WAIT-1');
+    const ticks = [];
+    setTimeout(() => context.sandbox.payPaymentRequest(request.requestId), 30);
+    const status = await client.waitForPayment(request.requestId, { ...fast, timeout: 5000, onTick: (tick, attempt) => ticks.push(attempt) });
+    assert.equal(status.isPaid, true);
+    assert.ok(ticks.length >= 2);
+    assert.deepEqual(ticks, ticks.map((tick, index) => index + 1));
+});
+
+test('waitForPayment polls again after a transport error', async () => {
+    let failures = 2;
+    const client = context.client({
+        retry: false,
+        transport: (url, init) => failures-- > 0 ? Promise.reject(new Error('socket hang up')) : fetch(url, init),
+    });
+    const request = await context.client().createPaymentRequest('3', 'WAIT-2');
+    context.sandbox.payPaymentRequest(request.requestId);
+    assert.equal((await client.waitForPayment(request.requestId, { ...fast, timeout: 5000 })).isPaid, true);
+});
+
+test('waitForPayment rejects with a timeout error or the abort reason', async () => {
+    const client = context.client();
+    const request = await client.createPaymentRequest('3', 'WAIT-3');
+    await assert.rejects(client.waitForPayment(request.requestId, { ...fast, timeout: 40 }), GPayTimeoutError);
+
+    const controller = new AbortController();
+    const reason = new Error('order cancelled');
+    setTimeout(() => controller.abort(reason), 20);
+    await assert.rejects(client.waitForPayment(request.requestId, { ...fast, signal: controller.signal }), err => err === reason);
+});
+
+test('PaymentWatcher reports paid and expired requests within its poll budget', async () => {
+    let active = 0;
+    let peak = 0;
+    const client = context.client({
+        transport: async (url, init) => {
+            peak = Math.max(peak, ++active);
+            try {
+                return await fetch(url, init);
+            } finally {
+                active--;
+            }
+        },
+    });
+    const requests = [];
+    for (const referenceNo of ['WATCH-1', 'WATCH-2', 'WATCH-3']) {
+        requests.push(await client.createPaymentRequest('1', referenceNo));
+    }
+    peak = 0;
+    const watcher = client.watchPayments({ budget: 1, tick: 5, ...fast, timeout: 5000 });
+    const paid = [];
+    const expired = [];
+    watcher.on('paid', status => paid.push(status.referenceNo));
+    watcher.on('timeout', requestId => expired.push(requestId));
+    const idle = once(watcher, 'idle');
+
+    watcher.add(requests[0].requestId).add(requests[1].requestId).add(requests[2].requestId, { timeout: 50 });
+    assert.equal(watcher.size, 3);
+    context.sandbox.payPaymentRequest(requests[0].requestId);
+    setTimeout(() => context.sandbox.payPaymentRequest(requests[1].requestId), 30);
+    await idle;
+
+    assert.deepEqual(paid, ['WATCH-1', 'WATCH-2']);
+    assert.deepEqual(expired, [requests[2].requestId]);
+    assert.equal(peak, 1);
+    assert.equal(watcher.size, 0);
+});
+
+test('PaymentWatcher drops requests that fail permanently and polls transient failures again', async () => {
+    let failures = 0;
+    const client = context.client({
+        retry: false,
+        transport: (url, init) => {
+            if (JSON.parse(init.body).request_id !== 'PR-UNKNOWN' && failures > 0) {
+                failures--;
+                return Promise.resolve(new Response(JSON.stringify({ error: { code: 'UNAVAILABLE', message: 'Try again' } }), { status: 503 }));
+            }
+            return fetch(url, init);
+        },
+    });
+    const request = await client.createPaymentRequest('1', 'WATCH-4');
+    context.sandbox.payPaymentRequest(request.requestId);
+    failures = 1;
+    const watcher = client.watchPayments({ tick: 5, ...fast });
+    const rejected = [];
+    const errors = [];
+    const paid = [];
+    watcher.on('rejected', (err, requestId) => rejected.push([err.code, requestId]));
+    watcher.on('error', err => errors.push(err.status));
+    watcher.on('paid', status => paid.push(status.referenceNo));
+    // events.once() would reject on the 'error' event this test expects.
+    const idle = new Promise(resolve => watcher.once('idle', resolve));
+
+    watcher.add('PR-UNKNOWN').add(request.requestId);
+    await idle;
+    assert.deepEqual(rejected, [['PAYMENT_REQUEST_NOT_FOUND', 'PR-UNKNOWN']]);
+    assert.deepEqual(errors, [503]);
+    assert.deepEqual(paid, ['WATCH-4']);
+});
+
+test('PaymentWatcher without an error listener keeps polling after a transient failure', async () => {
+    let failures = 0;
+    const client = context.client({
+        retry: false,
+        transport: (url, init) => {
+            if (failures > 0) {
+                failures--;
+                return Promise.reject(new Error('connection reset'));
+            }
+            return fetch(url, init);
+        },
+    });
+    const request = await client.createPaymentRequest('1', 'WATCH-5');
+    context.sandbox.payPaymentRequest(request.requestId);
+    failures = 1;
+    const watcher = client.watchPayments({ tick: 5, ...fast });
+    // Not events.once(), which listens for 'error' itself.
+    const paid = new Promise(resolve => watcher.once('paid', resolve));
+    watcher.add(request.requestId);
+    assert.equal((await paid).referenceNo, 'WATCH-5');
+    assert.equal(failures, 0);
+});
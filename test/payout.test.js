@@ -0,0 +1,98 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { GPayPayoutError, GPayValidationError } from '../GpayApiClient.node.js';
+import { transfers as sandboxTransfers, useSandbox } from './helpers.js';
+
+const context = useSandbox({
+    balance: '100',
+    sendMoneyFee: { fixed: '0.5', percent: 0 },
+    wallets: [
+        { walletGatewayId: 'A1' },
+        { walletGatewayId: 'A2' },
+        { walletGatewayId: 'A3', canReceiveMoney: false },
+        { walletGatewayId: 'A4' },
+    ],
+});
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpay-payout-'));
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+function createClient(options = {}) {
+    return context.client({ retry: false, ...options });
+}
+
+function transfers(referenceNo) {
+    return sandboxTransfers(context.sandbox, referenceNo);
+}
+
+test('invalid items are all reported before anything is checked or sent', async () => {
+    const items = [
+        { walletGatewayId: '', amount: 'x', referenceNo: 'V1' },
+        { walletGatewayId: 'A1', amount: '1', referenceNo: 'V1' },
+    ];
+    await assert.rejects(createClient().createPayoutBatch(items), err => err instanceof GPayValidationError
+        && err.errors.some(error => error.field === 'items[0].amount')
+        && err.errors.some(error => error.field === 'items[0].walletGatewayId'));
+    assert.equal(transfers('V1').length, 0);
+});
+
+test('a batch the balance cannot cover is refused before anything is sent', async () => {
+    const items = [
+        { walletGatewayId: 'A1', amount: '90', referenceNo: 'B1' },
+        { walletGatewayId: 'A2', amount: '90', referenceNo: 'B2' },
+    ];
+    await assert.rejects(createClient().createPayoutBatch(items), err => err instanceof GPayPayoutError && err.code === 'INSUFFICIENT_BALANCE');
+    assert.equal(transfers('B1').length + transfers('B2').length, 0);
+});
+
+test('an interrupted batch resumes without paying anyone twice', async () => {
+    const items = [
+        { walletGatewayId: 'A1', amount: '10', referenceNo: 'P1' },
+        { walletGatewayId: 'A2', amount: '20', referenceNo: 'P2' },
+        { walletGatewayId: 'A3', amount: '5', referenceNo: 'P3' },
+        { walletGatewayId: 'MISSING', amount: '5', referenceNo: 'P4' },
+        { walletGatewayId: 'A4', amount: '15', referenceNo: 'P5' },
+    ];
+    const jobFile = path.join(directory, 'job.json');
+    let crashed = false;
+    const crashing = createClient({
+        transport: async (url, init) => {
+            const response = await fetch(url, init);
+            if (!crashed && init.body.includes('"P2"')) {
+                crashed = true;
+                throw new TypeError('socket hang up');
+            }
+            return response;
+        },
+    });
+    crashing.findSettledReference = async () => {
+        throw new Error('lookup unavailable');
+    };
+
+    const first = await crashing.createPayoutBatch(items, { jobId: 'week-42', jobFile, concurrency: 2 });
+    assert.equal(first.complete, false);
+    assert.deepEqual(first.items.map(item => item.state), ['sent', 'unknown', 'skipped', 'skipped', 'sent']);
+
+    const second = await createClient().createPayoutBatch(items, { jobId: 'week-42', jobFile });
+    assert.equal(second.complete, true);
+    assert.deepEqual(second.items.map(item => item.state), ['sent', 'sent', 'skipped', 'skipped', 'sent']);
+    assert.equal(second.totals.sent.toString(), '45.000');
+    for (const referenceNo of ['P1', 'P2', 'P5']) {
+        assert.equal(transfers(referenceNo).length, 1, referenceNo);
+    }
+    assert.equal(transfers('P3').length + transfers('P4').length, 0);
+});
+
+test('a job ID reused for other items is refused', async () => {
+    const jobFile = path.join(directory, 'reused.json');
+    const client = createClient();
+    await client.createPayoutBatch([{ walletGatewayId: 'A1', amount: '1', referenceNo: 'J1' }], { jobId: 'job', jobFile });
+    await assert.rejects(
+        client.createPayoutBatch([{ walletGatewayId: 'A1', amount: '2', referenceNo: 'J1' }], { jobId: 'job', jobFile }),
+        err => err.code === 'PARAMETER_MISMATCH'
+    );
+    assert.equal(transfers('J1').length, 1);
+});
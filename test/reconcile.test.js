@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OperationType, TransactionStatus } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '100', wallets: [{ walletGatewayId: 'W1' }], sendMoneyFee: { fixed: '0.5' } });
+
+test('matches local records against statements and outstanding transactions', async () => {
+    const { sandbox } = context;
+    const client = context.client();
+    await client.sendMoney('10', 'W1', 'REC-PAY-1');
+    for (const [amount, referenceNo] of [['20', 'REC-ORD-1'], ['15', 'REC-ORD-2']]) {
+        sandbox.payPaymentRequest((await client.createPaymentRequest(amount, referenceNo)).requestId);
+    }
+    sandbox.deposit('5');
+    sandbox.deposit('7', { referenceNo: 'REC-ORD-3', status: TransactionStatus.PENDING });
+    const day = sandbox.transactions[0].datetime.slice(0, 10);
+
+    const records = [
+        { referenceNo: 'REC-PAY-1', amount: '10', payoutId: 1 },
+        { referenceNo: 'REC-ORD-1', amount: 20 },
+        { referenceNo: 'REC-ORD-2', amount: '16' },
+        { referenceNo: 'REC-ORD-3', amount: '7' },
+        { referenceNo: 'REC-ORD-4', amount: '9' },
+    ];
+    const report = await client.reconcile(records, { from: day, to: day });
+
+    assert.deepEqual(report.matched.map(match => match.record.referenceNo), ['REC-PAY-1', 'REC-ORD-1']);
+    assert.equal(report.matched[0].record.payoutId, 1);
+    assert.deepEqual(report.amountMismatch.map(({ record, expected, actual }) => [record.referenceNo, String(expected), String(actual)]), [
+        ['REC-ORD-2', '16.000', '15.000'],
+    ]);
+    assert.deepEqual(report.pending.map(({ record, transaction }) => [record.referenceNo, transaction.status]), [['REC-ORD-3', TransactionStatus.PENDING]]);
+    assert.deepEqual(report.missingOnGPay, [records[4]]);
+    assert.deepEqual(report.unexpectedOnGPay.map(tx => [tx.opTypeId, String(tx.amount)]), [[OperationType.BANK_DEPOSIT, '5.000']]);
+    assert.equal(report.fees.length, 1);
+    assert.equal(String(report.fees[0].fee.amount), '-0.500');
+    assert.equal(report.fees[0].transfer.referenceNo, 'REC-PAY-1');
+    assert.equal(report.fees[0].record, records[0]);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { inspect } from 'node:util';
+import {
+    CallbackCredentialProvider,
+    EnvCredentialProvider,
+    GPayClientRegistry,
+    GPayCredentialError,
+    JsonFileCredentialProvider,
+} from '../GpayClientRegistry.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '42' });
+const [apiKey, secretKey, password] = credentials;
+
+function createRegistry(provider) {
+    return new GPayClientRegistry({ provider, baseUrl: context.baseUrl, clientOptions: { allowCustomBaseUrl: true, retry: false } });
+}
+
+test('creates one client per merchant and shares concurrent lookups', async () => {
+    const lookups = [];
+    const registry = createRegistry(async merchantId => {
+        lookups.push(merchantId);
+        return { apiKey, secretKey, password, language: 'ar' };
+    });
+    const [first, second] = await Promise.all([registry.get('north'), registry.get('north')]);
+    assert.equal(first, second);
+    assert.equal(first.language, 'ar');
+    assert.equal(await registry.get('north'), first);
+    assert.deepEqual(lookups, ['north']);
+    assert.equal(String((await first.getBalance()).balance), '42.000');
+    assert.deepEqual(registry.merchants(), ['north']);
+    assert.equal(registry.delete('north'), true);
+    assert.deepEqual(registry.merchants(), []);
+});
+
+test('reads credentials from prefixed environment variables', async () => {
+    const env = {
+        SHOP_NORTH_BRANCH_API_KEY: apiKey,
+        SHOP_NORTH_BRANCH_SECRET_KEY: secretKey,
+        SHOP_NORTH_BRANCH_PASSWORD: password,
+    };
+    const registry = createRegistry(new EnvCredentialProvider({ prefix: 'SHOP', env }));
+    const client = await registry.get('north-branch');
+    assert.equal(String((await client.getBalance()).balance), '42.000');
+    await assert.rejects(registry.get('south'), err => err instanceof GPayCredentialError && err.code === 'UNKNOWN_MERCHANT' && err.merchantId === 'south');
+});
+
+test('incomplete credentials are refused', async () => {
+    const registry = createRegistry(async () => ({ apiKey, password }));
+    await assert.rejects(registry.get('north'), err => err.code === 'INVALID_CREDENTIALS' && /secretKey/.test(err.message));
+});
+
+test('rotated credentials are swapped into the existing client', async () => {
+    let current = { apiKey, secretKey, password: 'old-password-1' };
+    const provider = new CallbackCredentialProvider(async () => current);
+    const registry = createRegistry(provider);
+    const client = await registry.get('north');
+    await assert.rejects(client.getBalance(), err => err.code === 'INVALID_SIGNATURE');
+
+    current = { apiKey, secretKey, password };
+    const rotated = once(registry, 'rotated');
+    provider.rotated('north');
+    assert.deepEqual(await rotated, ['north', client]);
+    assert.equal(await registry.get('north'), client);
+    assert.equal(String((await client.getBalance()).balance), '42.000');
+    registry.close();
+});
+
+test('a changed language replaces the client and passes the new one to rotated', async () => {
+    let current = { apiKey, secretKey, password };
+    const provider = new CallbackCredentialProvider(async () => current);
+    const registry = createRegistry(provider);
+    const client = await registry.get('north');
+
+    current = { apiKey, secretKey, password, language: 'ar' };
+    const rotated = once(registry, 'rotated');
+    provider.rotated('north');
+    const [merchantId, replacement] = await rotated;
+    assert.equal(merchantId, 'north');
+    assert.notEqual(replacement, client);
+    assert.equal(replacement.language, 'ar');
+    assert.equal(await registry.get('north'), replacement);
+    registry.close();
+});
+
+test('a credentials file is read again when it changes', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpay-registry-'));
+    const file = path.join(directory, 'merchants.json');
+    const write = (merchant, mtime) => {
+        fs.writeFileSync(file, JSON.stringify({ merchants: { north: merchant } }));
+        fs.utimesSync(file, mtime, mtime);
+    };
+    try {
+        write({ apiKey, secretKey, password: 'old-password-1' }, new Date(2025, 0, 1));
+        const provider = new JsonFileCredentialProvider(file);
+        const registry = createRegistry(provider);
+        const client = await registry.get('north');
+
+        write({ apiKey, secretKey, password }, new Date(2025, 0, 2));
+        const changed = once(provider, 'change');
+        await registry.refresh('north');
+        assert.deepEqual(await changed, ['north']);
+        assert.equal(client.getCredentials().password, password);
+        assert.equal(String((await client.getBalance()).balance), '42.000');
+        provider.close();
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('clients never show their credentials', async () => {
+    const registry = createRegistry(async () => ({ apiKey, secretKey, password }));
+    const client = await registry.get('north');
+    for (const text of [JSON.stringify(client), inspect(client, { depth: 5 })]) {
+        assert.ok(credentials.every(secret => !text.includes(secret)));
+    }
+});
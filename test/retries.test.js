@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPayApiError, GPayTimeoutError } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '50', wallets: [{ walletGatewayId: 'W1' }] });
+const fastRetry = { retries: 2, minDelay: 1, maxDelay: 5, jitter: false };
+
+/**
+ * Returns a transport that answers with the given failures first and then reaches the sandbox.
+ * Each failure is either an HTTP status or an error to reject with.
+ */
+function flaky(failures, calls) {
+    return (url, init) => {
+        calls.push(JSON.parse(init.body));
+        const failure = failures.shift();
+        if (failure instanceof Error) {
+            return Promise.reject(failure);
+        }
+        if (failure) {
+            return Promise.resolve(new Response(JSON.stringify({ error: { code: 'UNAVAILABLE', message: 'Try again' } }), { status: failure }));
+        }
+        return fetch(url, init);
+    };
+}
+
+/**
+ * A transport that never answers, but rejects once the request is aborted.
+ */
+function hanging(url, init) {
+    return new Promise((resolve, reject) => {
+        if (init.signal.aborted) {
+            reject(init.signal.reason);
+            return;
+        }
+        init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true });
+    });
+}
+
+test('read-only calls are retried on 5xx responses with a fresh request_timestamp', async () => {
+    const calls = [];
+    const client = context.client({ retry: fastRetry, transport: flaky([503, 429], calls) });
+    assert.equal(Number((await client.getBalance()).balance), 50);
+    assert.equal(calls.length, 3);
+    assert.ok(calls.every(call => call.request_timestamp));
+});
+
+test('retries stop once the policy is exhausted, and retry: false disables them', async () => {
+    const calls = [];
+    const client = context.client({ retry: fastRetry, transport: flaky([503, 503, 503, 503], calls) });
+    await assert.rejects(client.getBalance(), err => err instanceof GPayApiError && err.status === 503);
+    assert.equal(calls.length, 3);
+
+    calls.length = 0;
+    await assert.rejects(client.getBalance({ retry: false }), GPayApiError);
+    assert.equal(calls.length, 1);
+});
+
+test('money-moving calls are only retried when the connection was refused', async () => {
+    const calls = [];
+    const client = context.client({ retry: fastRetry, transport: flaky([503], calls) });
+    await assert.rejects(client.sendMoney('1', 'W1', 'RETRY-1'), err => err.status === 503);
+    assert.equal(calls.length, 1);
+
+    calls.length = 0;
+    const refused = new TypeError('fetch failed', { cause: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) });
+    const retried = context.client({ retry: fastRetry, transport: flaky([refused], calls) });
+    await retried.sendMoney('1', 'W1', 'RETRY-2');
+    assert.equal(calls.length, 2);
+});
+
+test('an attempt that exceeds the timeout fails with a timeout error', async () => {
+    const client = context.client({ timeout: 20, retry: false, transport: hanging });
+    await assert.rejects(client.getBalance(), GPayTimeoutError);
+});
+
+test('an AbortSignal cancels the call and any pending retry', async () => {
+    const client = context.client({ retry: false, transport: hanging });
+    const controller = new AbortController();
+    const reason = new Error('cancelled by caller');
+    const pending = client.getBalance({ signal: controller.signal });
+    controller.abort(reason);
+    await assert.rejects(pending, err => err === reason);
+
+    const waiting = context.client({ retry: { retries: 1, minDelay: 10000, jitter: false }, transport: flaky([503], []) });
+    const backoff = new AbortController();
+    const retrying = waiting.getBalance({ signal: backoff.signal });
+    setTimeout(() => backoff.abort(reason), 20);
+    await assert.rejects(retrying, err => err === reason);
+});
@@ -0,0 +1,135 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import GPayApiClient, { BaseUrl, OperationType, TransactionStatus } from '../GpayApiClient.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+const signer = new GPayApiClient(...credentials, BaseUrl.STAGING);
+
+/**
+ * Posts a request to the sandbox, signed with the shared credentials unless headers are given.
+ */
+async function post(baseUrl, endpoint, parameters, headers) {
+    if (!headers) {
+        const salt = await signer.generateSalt();
+        headers = {
+            'Authorization': `Bearer ${credentials[0]}`,
+            'X-Signature-Salt': salt,
+            'X-Signature-Hash': await signer.generateVerificationHash(signer.generateHashToken(salt, credentials[2]), parameters),
+        };
+    }
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(parameters),
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('signed protocol', () => {
+    const context = useSandbox({ balance: '250.5' });
+
+    test('answers signed requests with responses the client verifies', async () => {
+        const balance = await context.client().getBalance();
+        assert.equal(Number(balance.balance), 250.5);
+    });
+
+    test('refuses requests with a bad API key, a missing or a wrong signature', async () => {
+        const parameters = { request_timestamp: Date.now().toString() };
+        const wrongKey = await post(context.baseUrl, '/info/balance', parameters, { 'Authorization': 'Bearer other-key' });
+        assert.deepEqual([wrongKey.status, wrongKey.body.error.code], [401, 'UNAUTHORIZED']);
+        const unsigned = await post(context.baseUrl, '/info/balance', parameters, { 'Authorization': `Bearer ${credentials[0]}` });
+        assert.deepEqual([unsigned.status, unsigned.body.error.code], [401, 'MISSING_SIGNATURE']);
+        const tampered = await post(context.baseUrl, '/info/balance', parameters, {
+            'Authorization': `Bearer ${credentials[0]}`,
+            'X-Signature-Salt': 'salt',
+            'X-Signature-Hash': 'hash',
+        });
+        assert.deepEqual([tampered.status, tampered.body.error.code], [401, 'INVALID_SIGNATURE']);
+    });
+
+    test('refuses request timestamps outside the accepted window', async () => {
+        const stale = await post(context.baseUrl, '/info/balance', { request_timestamp: String(Date.now() - 10 * 60 * 1000) });
+        assert.deepEqual([stale.status, stale.body.error.code], [400, 'INVALID_TIMESTAMP']);
+        const fresh = await post(context.baseUrl, '/info/balance', { request_timestamp: String(Date.now()) });
+        assert.equal(fresh.status, 200);
+    });
+});
+
+describe('ledger', () => {
+    const context = useSandbox({
+        balance: '100',
+        wallets: [{ walletGatewayId: 'W1', walletName: 'Recipient' }, { walletGatewayId: 'W2', canReceiveMoney: false }],
+        sendMoneyFee: { fixed: '0.250' },
+    });
+
+    test('marks payment requests paid and credits the wallet', async () => {
+        const client = context.client();
+        const request = await client.createPaymentRequest('12.5', 'SBX-PR-1', 'Order 1');
+        assert.equal((await client.checkPaymentStatus(request.requestId)).isPaid, false);
+        context.sandbox.payPaymentRequest(request.requestId);
+        const status = await client.checkPaymentStatus(request.requestId);
+        assert.equal(status.isPaid, true);
+        assert.equal(Number(status.amount), 12.5);
+        assert.equal(Number((await client.getBalance()).balance), 112.5);
+    });
+
+    test('debits transfers and their fee and lists both on the statement', async () => {
+        const client = context.client();
+        const result = await client.sendMoney('10', 'W1', 'SBX-SEND-1', 'Payout');
+        assert.deepEqual([Number(result.oldBalance), Number(result.newBalance), Number(result.senderFee)], [112.5, 102.25, 0.25]);
+        assert.equal((await client.checkWallet('W1')).walletName, 'Recipient');
+        assert.equal((await client.checkWallet('W3')).exists, false);
+
+        const date = context.sandbox.transactions.at(-1).datetime.slice(0, 10);
+        const statement = await client.getStatement(date);
+        assert.deepEqual(
+            statement.dayStatement.map(tx => [tx.opTypeId, Number(tx.amount)]),
+            [[OperationType.PAYMENT_REQUEST, 12.5], [OperationType.DIRECT_TRANSFER, -10], [OperationType.TRANSACTION_FEE, -0.25]]
+        );
+        assert.deepEqual([Number(statement.dayBalance), Number(statement.dayTotalIn), Number(statement.dayTotalOut)], [102.25, 12.5, 10.25]);
+    });
+
+    test('refuses unknown wallets, wallets that cannot receive and duplicate references', async () => {
+        const parameters = { amount: '1', reference_no: 'SBX-SEND-2', description: '', request_timestamp: String(Date.now()) };
+        const unknown = await post(context.baseUrl, '/payment/send-money', { ...parameters, wallet_gateway_id: 'W3' });
+        assert.deepEqual([unknown.status, unknown.body.error.code], [404, 'WALLET_NOT_FOUND']);
+        const closed = await post(context.baseUrl, '/payment/send-money', { ...parameters, wallet_gateway_id: 'W2' });
+        assert.deepEqual([closed.status, closed.body.error.code], [400, 'WALLET_CANNOT_RECEIVE']);
+        const duplicate = await post(context.baseUrl, '/payment/send-money', { ...parameters, wallet_gateway_id: 'W1', reference_no: 'SBX-SEND-1' });
+        assert.deepEqual([duplicate.status, duplicate.body.error.code], [409, 'DUPLICATE_REFERENCE']);
+    });
+});
+
+describe('pending transactions', () => {
+    const context = useSandbox({ balance: '20', settleImmediately: false });
+
+    test('keep credits out of the balance until they are settled', async () => {
+        const client = context.client();
+        const deposit = context.sandbox.deposit('5');
+        assert.equal(deposit.status, TransactionStatus.PENDING);
+        const outstanding = await client.getOutstandingTransactions();
+        assert.equal(Number(outstanding.outstandingCredit), 5);
+        assert.equal(outstanding.outstandingTransactions.length, 1);
+        assert.equal(Number((await client.getBalance()).balance), 20);
+
+        context.sandbox.settle(deposit.transaction_id);
+        assert.equal(Number((await client.getBalance()).balance), 25);
+        assert.equal((await client.getOutstandingTransactions()).outstandingTransactions.length, 0);
+    });
+
+    test('leave pending credits out of the statement balance and totals until they are settled', async () => {
+        const client = context.client();
+        const deposit = context.sandbox.deposit('7');
+        const date = deposit.datetime.slice(0, 10);
+        const pending = await client.getStatement(date);
+        assert.equal(String(pending.dayBalance), String((await client.getBalance()).balance));
+        assert.equal(String(pending.dayStatement.at(-1).balance), String(pending.dayBalance));
+        assert.equal(Number(pending.dayTotalIn), 5);
+
+        context.sandbox.settle(deposit.transaction_id);
+        const settled = await client.getStatement(date);
+        assert.equal(String(settled.dayBalance), String((await client.getBalance()).balance));
+        assert.equal(Number(settled.dayBalance) - Number(pending.dayBalance), 7);
+        assert.equal(Number(settled.dayTotalIn), 12);
+    });
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPayApiError, GPayScheduler, GPayValidationError } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '50', wallets: [{ walletGatewayId: 'W1' }] });
+
+test('queued calls start by lane, then by arrival', async () => {
+    const scheduler = new GPayScheduler({ concurrency: 1 });
+    const release = await scheduler.acquire('/info/balance');
+    const order = [];
+    const waiting = [
+        scheduler.acquire('/info/statement').then(done => { order.push('low'); done(); }),
+        scheduler.acquire('/info/balance').then(done => { order.push('normal'); done(); }),
+        scheduler.acquire('/payment/send-money').then(done => { order.push('high'); done(); }),
+        scheduler.acquire('/info/statement', { priority: 'high' }).then(done => { order.push('high override'); done(); }),
+    ];
+    assert.deepEqual(scheduler.stats().queuedByLane, { high: 2, normal: 1, low: 1 });
+    release();
+    await Promise.all(waiting);
+    assert.deepEqual(order, ['high', 'high override', 'normal', 'low']);
+    assert.equal(scheduler.stats().running, 0);
+});
+
+test('an endpoint out of tokens waits without holding up other endpoints', async () => {
+    const scheduler = new GPayScheduler({ rateLimits: { '/info/balance': { rate: 1, interval: 100 } } });
+    (await scheduler.acquire('/info/balance'))();
+    const startedAt = Date.now();
+    const order = [];
+    await Promise.all([
+        scheduler.acquire('/info/balance').then(done => { order.push('balance'); done(); }),
+        scheduler.acquire('/info/check-wallet').then(done => { order.push('wallet'); done(); }),
+    ]);
+    assert.deepEqual(order, ['wallet', 'balance']);
+    assert.ok(Date.now() - startedAt >= 50);
+    assert.ok(scheduler.stats().endpoints['/info/balance'].maxWait > 0);
+});
+
+test('aborted calls leave the queue and unknown lanes are rejected', async () => {
+    const scheduler = new GPayScheduler({ concurrency: 1 });
+    const release = await scheduler.acquire('/info/balance');
+    const controller = new AbortController();
+    const waiting = scheduler.acquire('/info/balance', { signal: controller.signal });
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(waiting, /cancelled/);
+    assert.equal(scheduler.stats().queued, 0);
+    release();
+
+    await assert.rejects(scheduler.acquire('/info/balance', { priority: 'urgent' }), GPayValidationError);
+});
+
+test('a 429 pauses the endpoint for Retry-After before the retry', async () => {
+    let calls = 0;
+    const transport = (url, init) => {
+        calls++;
+        if (calls === 1) {
+            return Promise.resolve(new Response(JSON.stringify({ error: { code: 'THROTTLED', message: 'Slow down' } }), {
+                status: 429,
+                headers: { 'Retry-After': '1' },
+            }));
+        }
+        return fetch(url, init);
+    };
+    const client = context.client({ scheduler: true, transport, retry: { retries: 1, minDelay: 1, maxDelay: 2000, jitter: false } });
+    const startedAt = Date.now();
+    assert.equal(Number((await client.getBalance()).balance), 50);
+    assert.equal(calls, 2);
+    assert.ok(Date.now() - startedAt >= 900);
+    assert.equal(client.scheduler.stats().endpoints['/info/balance'].throttled, 1);
+});
+
+test('a Retry-After longer than maxDelay is left to the caller', async () => {
+    const transport = () => Promise.resolve(new Response(JSON.stringify({ error: { code: 'THROTTLED', message: 'Slow down' } }), {
+        status: 429,
+        headers: { 'Retry-After': '60' },
+    }));
+    const client = context.client({ scheduler: {}, transport, retry: { retries: 2, minDelay: 1, maxDelay: 10, jitter: false } });
+    await assert.rejects(client.getBalance(), err => err instanceof GPayApiError && err.status === 429);
+    assert.ok(client.scheduler.stats().endpoints['/info/balance'].pausedUntil instanceof Date);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodeSigner, WebCryptoSigner } from '../GpayApiClient.node.js';
+import { SIGNING_VECTORS, checkSigner } from '../GpaySigningVectors.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '8.5' });
+
+for (const Signer of [NodeSigner, WebCryptoSigner]) {
+    test(`${Signer.name} produces every shared signing vector`, async () => {
+        assert.equal(await checkSigner(new Signer()), SIGNING_VECTORS.length);
+    });
+
+    test(`a client signing with ${Signer.name} talks to the sandbox`, async () => {
+        const client = context.client({ signer: new Signer() });
+        assert.ok(client.signer instanceof Signer);
+        assert.equal(String((await client.getBalance()).balance), '8.500');
+    });
+}
+
+test('checkSigner lists the vectors a signer gets wrong', async () => {
+    const vectors = [{ ...SIGNING_VECTORS[0], hash: 'AAAA' }, SIGNING_VECTORS[1]];
+    await assert.rejects(checkSigner(new NodeSigner(), vectors), new RegExp(SIGNING_VECTORS[0].description));
+});
+
+test('a signer without hmacSha256 is refused', () => {
+    assert.throws(() => context.client({ signer: {} }), /Invalid signer/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPayStatementChainError, GPayValidationError } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+let clock = null;
+const context = useSandbox({ balance: '100', now: () => clock ?? Date.now() }, ({ sandbox }) => {
+    // Noon in Libya on each day; requests themselves are made at the real time.
+    const at = day => Date.parse(`${day}T10:00:00Z`);
+    clock = at('2025-06-01');
+    sandbox.deposit('10', { referenceNo: 'DAY-1' });
+    clock = at('2025-06-03');
+    sandbox.deposit('5', { referenceNo: 'DAY-3a' });
+    sandbox.deposit('2.5', { referenceNo: 'DAY-3b', description: 'Cash, "counter 2"' });
+    clock = null;
+});
+
+test('iterates every day of the range in order and keeps each statement', async () => {
+    const range = context.client().getStatementRange('2025-06-01', '2025-06-03', { concurrency: 2 });
+    const transactions = await range.toArray();
+    assert.deepEqual(transactions.map(tx => tx.referenceNo), ['DAY-1', 'DAY-3a', 'DAY-3b']);
+    assert.deepEqual(range.days.map(day => day.dayBalance.toString()), ['110.000', '110.000', '117.500']);
+});
+
+test('a day whose balance does not chain from the previous day is reported', async () => {
+    const client = context.client();
+    const getStatement = client.getStatement.bind(client);
+    client.getStatement = async (date, options) => {
+        const statement = await getStatement(date, options);
+        if (date === '2025-06-03') {
+            statement.dayBalance = statement.dayBalance.add('1');
+        }
+        return statement;
+    };
+    await assert.rejects(
+        client.getStatementRange('2025-06-01', '2025-06-03').toArray(),
+        err => err instanceof GPayStatementChainError && err.day === '2025-06-03' && err.previousDay === '2025-06-02'
+    );
+    assert.equal((await client.getStatementRange('2025-06-01', '2025-06-03', { verifyBalances: false }).toArray()).length, 3);
+});
+
+test('exports CSV and JSON Lines with operation and status names', async () => {
+    const client = context.client();
+    const csv = (await client.getStatementRange('2025-06-03', '2025-06-03').toCSV()).trim().split('\n');
+    assert.equal(csv[0], 'transaction_id,datetime,timestamp,description,amount,balance,reference_no,op_type_id,op_type,status,status_name,created_at');
+    assert.equal(csv.length, 3);
+    assert.ok(csv[2].includes(',"Cash, ""counter 2""",2.500,'));
+    assert.ok(csv[2].includes(',DAY-3b,3,BANK_DEPOSIT,2,APPLIED,'));
+
+    const rows = (await client.getStatementRange('2025-06-01', '2025-06-01').toJSONLines()).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(rows.map(row => [row.reference_no, row.amount, row.op_type, row.status_name]), [['DAY-1', '10.000', 'BANK_DEPOSIT', 'APPLIED']]);
+});
+
+test('invalid days and reversed ranges are refused', () => {
+    const client = context.client();
+    assert.throws(() => client.getStatementRange('2025-06-03', '2025-06-01'), GPayValidationError);
+    assert.throws(() => client.getStatementRange('06/01/2025', '2025-06-03'), GPayValidationError);
+});
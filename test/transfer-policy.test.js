@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPayApiError, GPayPolicyError, MemoryIdempotencyStore } from '../GpayApiClient.node.js';
+import { transfers as sandboxTransfers, useSandbox } from './helpers.js';
+
+const context = useSandbox({
+    balance: '10000',
+    wallets: [
+        { walletGatewayId: 'W1' },
+        { walletGatewayId: 'W2' },
+        { walletGatewayId: 'CLOSED', canReceiveMoney: false },
+    ],
+});
+
+function createClient(transferPolicy, options = {}) {
+    return context.client({ transferPolicy, ...options });
+}
+
+function transfers(referenceNo) {
+    return sandboxTransfers(context.sandbox, referenceNo);
+}
+
+function policyError(code) {
+    return err => err instanceof GPayPolicyError && err.code === code;
+}
+
+test('blocked transfers are refused with their policy code and never sent', async () => {
+    const client = createClient({ maxAmount: '100', denyWallets: ['W2'] });
+    await assert.rejects(client.sendMoney('101', 'W1', 'POL-1'), policyError('AMOUNT_LIMIT'));
+    await assert.rejects(client.sendMoney('1', 'W2', 'POL-2'), policyError('WALLET_DENIED'));
+    await assert.rejects(client.sendMoney('1', 'MISSING', 'POL-3'), policyError('WALLET_NOT_FOUND'));
+    await assert.rejects(client.sendMoney('1', 'CLOSED', 'POL-4'), policyError('WALLET_CANNOT_RECEIVE'));
+    assert.equal(['POL-1', 'POL-2', 'POL-3', 'POL-4'].flatMap(transfers).length, 0);
+});
+
+test('transfers above the approval threshold need approve()', async () => {
+    const approvals = [];
+    const client = createClient({
+        approvalThreshold: '50',
+        approve: async transfer => {
+            approvals.push(transfer.referenceNo);
+            return transfer.referenceNo !== 'APP-2';
+        },
+    });
+    await client.sendMoney('50', 'W1', 'APP-0');
+    await client.sendMoney('60', 'W1', 'APP-1');
+    await assert.rejects(client.sendMoney('60', 'W1', 'APP-2'), policyError('NOT_APPROVED'));
+    assert.deepEqual(approvals, ['APP-1', 'APP-2']);
+    assert.equal(transfers('APP-2').length, 0);
+});
+
+test('the daily limit counts sent transfers and releases refused ones', async () => {
+    const client = createClient({ dailyLimit: '100' });
+    await client.sendMoney('60', 'W1', 'DAY-1');
+    // GPay refuses a second transfer with the same reference number, after the policy reserved it.
+    await assert.rejects(client.sendMoney('10', 'W1', 'DAY-1'), err => err instanceof GPayApiError && err.status < 500);
+    await assert.rejects(client.sendMoney('50', 'W1', 'DAY-3'), err => policyError('DAILY_LIMIT')(err) && err.used.toString() === '60.000');
+    await client.sendMoney('40', 'W1', 'DAY-4');
+    assert.equal((await client.transferPolicy.usage()).daily.toString(), '100.000');
+});
+
+test('concurrent transfers cannot overrun the limit together', async () => {
+    const client = createClient({ dailyLimit: '100' });
+    const results = await Promise.allSettled([client.sendMoney('60', 'W1', 'CON-1'), client.sendMoney('60', 'W1', 'CON-2')]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(transfers('CON-1').length + transfers('CON-2').length, 1);
+});
+
+test('a repeat answered from the idempotency store is not checked or counted again', async () => {
+    const approvals = [];
+    const client = createClient(
+        { dailyLimit: '100', approvalThreshold: '10', approve: async transfer => approvals.push(transfer.referenceNo) > 0 },
+        { idempotencyStore: new MemoryIdempotencyStore() }
+    );
+    const first = await client.sendMoney('100', 'W1', 'REP-1');
+    const repeat = await client.sendMoney('100', 'W1', 'REP-1');
+    assert.equal(repeat.transactionId, first.transactionId);
+    assert.deepEqual(approvals, ['REP-1']);
+    assert.equal((await client.transferPolicy.usage()).daily.toString(), '100.000');
+});
+
+test('sendRequest to /payment/send-money goes through the policy too', async () => {
+    const client = createClient({ maxAmount: '10' });
+    const parameters = { amount: '20', wallet_gateway_id: 'W1', reference_no: 'RAW-1', description: '', request_timestamp: Date.now().toString() };
+    await assert.rejects(client.sendRequest('/payment/send-money', parameters), policyError('AMOUNT_LIMIT'));
+    assert.equal(transfers('RAW-1').length, 0);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPayValidationError } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '100', wallets: [{ walletGatewayId: 'W1' }] });
+
+/**
+ * Returns a client whose transport records every request it sends.
+ */
+function recordingClient(sent, options = {}) {
+    return context.client({
+        ...options,
+        transport: (url, init) => {
+            sent.push(JSON.parse(init.body));
+            return fetch(url, init);
+        },
+    });
+}
+
+function fields(err) {
+    return err instanceof GPayValidationError && err.errors.map(error => error.field);
+}
+
+test('every invalid argument is reported before anything is sent', async () => {
+    const sent = [];
+    const client = recordingClient(sent);
+    const err = await client.sendMoney('-5', '', 'REF 1', 42).catch(error => error);
+    assert.deepEqual(fields(err), ['amount', 'walletGatewayId', 'referenceNo', 'description']);
+    assert.deepEqual(err.errors[1], { field: 'walletGatewayId', message: 'is required' });
+    assert.deepEqual(fields(await client.sendMoney('5', 'W1').catch(error => error)), ['referenceNo']);
+    assert.deepEqual(fields(await client.checkPaymentStatus('PR 1').catch(error => error)), ['requestId']);
+    assert.deepEqual(fields(await client.checkWallet(undefined).catch(error => error)), ['walletGatewayId']);
+    assert.deepEqual(fields(await client.createPaymentRequest('1', 'R'.repeat(65), 'line\nbreak').catch(error => error)), ['referenceNo', 'description']);
+    assert.deepEqual(sent, []);
+});
+
+test('an amount too large for Money is a validation error reported with the other arguments', async () => {
+    const sent = [];
+    const err = await recordingClient(sent).sendMoney('9007199254741', 'W1', 'REF 1').catch(error => error);
+    assert.deepEqual(fields(err), ['amount', 'referenceNo']);
+    assert.deepEqual(err.errors[0], { field: 'amount', message: 'is larger than the largest supported amount' });
+    assert.deepEqual(sent, []);
+});
+
+test('statement days must exist', async () => {
+    const client = context.client();
+    await assert.rejects(client.getStatement('2025-02-30'), err => fields(err)[0] === 'date');
+    await assert.rejects(client.getStatement('30/01/2025'), GPayValidationError);
+    assert.ok(Array.isArray((await client.getStatement(new Date())).dayStatement));
+});
+
+test('optional arguments are signed as empty strings', async () => {
+    const sent = [];
+    const request = await recordingClient(sent).createPaymentRequest('1');
+    assert.ok(request.requestId);
+    assert.equal(sent[0].reference_no, '');
+    assert.equal(sent[0].description, '');
+});
+
+test('limits can be overridden or turned off', async () => {
+    const strict = context.client({ validation: { descriptionMaxLength: 5 } });
+    await assert.rejects(strict.sendMoney('1', 'W1', 'VAL-1', 'too long'), err => err.errors[0].message === 'must be at most 5 characters');
+    const relaxed = context.client({ validation: false });
+    const result = await relaxed.sendMoney('1', 'W1', 'VAL 2', 'tab\tseparated');
+    assert.equal(result.referenceNo, 'VAL 2');
+    await assert.rejects(relaxed.sendMoney('0', 'W1', 'VAL-3'), err => fields(err)[0] === 'amount');
+});
@@ -0,0 +1,88 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GPaySignatureError, MemorySaltCache } from '../GpayApiClient.node.js';
+import { credentials, useSandbox } from './helpers.js';
+
+/**
+ * Signs response fields the way the API does and returns the response headers.
+ */
+async function sign(client, fields) {
+    const salt = await client.generateSalt();
+    const hash = await client.generateVerificationHash(client.generateHashToken(salt, credentials[2]), fields);
+    return { 'x-signature-salt': salt, 'x-signature-hash': hash };
+}
+
+function rejectsWith(code, fn) {
+    return assert.rejects(async () => fn(), err => err instanceof GPaySignatureError && err.code === code);
+}
+
+describe('verifyResponse', () => {
+    const context = useSandbox();
+
+    test('refuses missing signatures and hash mismatches', async () => {
+        const client = context.client();
+        const fields = { balance: '1.000', response_timestamp: String(Date.now()) };
+        await rejectsWith('MISSING_SIGNATURE', () => client.verifyResponse({}, fields));
+        const headers = await sign(client, fields);
+        await rejectsWith('HASH_MISMATCH', () => client.verifyResponse(headers, { ...fields, balance: '2.000' }));
+        await client.verifyResponse(headers, fields);
+    });
+
+    test('refuses echoed fields that do not match the request', async () => {
+        const client = context.client();
+        const fields = { amount: '5.000', reference_no: 'VER-1', response_timestamp: String(Date.now()) };
+        const headers = await sign(client, fields);
+        const verify = request => client.verifyResponse(headers, fields, { endpoint: '/payment/send-money', request });
+        await rejectsWith('FIELD_MISMATCH', () => verify({ amount: '50', reference_no: 'VER-1' }));
+        await rejectsWith('FIELD_MISMATCH', () => verify({ amount: '5', reference_no: 'VER-2' }));
+        await verify({ amount: '5', reference_no: 'VER-1' });
+    });
+
+    test('a response refused for another reason does not use up its salt', async () => {
+        const client = context.client({ saltCache: new MemorySaltCache() });
+        const fields = { amount: '5.000', reference_no: 'VER-3', response_timestamp: String(Date.now()) };
+        const headers = await sign(client, fields);
+        const verify = request => client.verifyResponse(headers, fields, { endpoint: '/payment/send-money', request });
+        await rejectsWith('FIELD_MISMATCH', () => verify({ amount: '50', reference_no: 'VER-3' }));
+        await verify({ amount: '5', reference_no: 'VER-3' });
+        await rejectsWith('REPLAYED_SALT', () => verify({ amount: '5', reference_no: 'VER-3' }));
+        await client.verifyResponse(headers, fields, { saltCache: null });
+    });
+
+    test('refuses unsigned response fields in strict mode', async () => {
+        const fields = { balance: '1.000', response_timestamp: String(Date.now()) };
+        const headers = await sign(context.client(), fields);
+        const data = { ...fields, injected: 'x' };
+        await rejectsWith('UNSIGNED_FIELDS', () => context.client({ strictResponseFields: true }).verifyResponse(headers, fields, { endpoint: '/info/balance', data }));
+        await context.client().verifyResponse(headers, fields, { endpoint: '/info/balance', data });
+    });
+});
+
+describe('stale responses', () => {
+    const context = useSandbox({ now: () => Date.now() + 10 * 60 * 1000, maxRequestAgeMs: Infinity });
+
+    test('a response_timestamp outside maxClockSkew is refused unless the check is disabled', async () => {
+        await rejectsWith('STALE_RESPONSE', () => context.client().getBalance());
+        await context.client({ maxClockSkew: 15 * 60 * 1000 }).getBalance();
+        await context.client({ maxClockSkew: null }).getBalance();
+    });
+});
+
+describe('replayed responses', () => {
+    const context = useSandbox({ balance: '3' });
+
+    test('a salt cache refuses a response seen before', async () => {
+        let captured = null;
+        const replaying = async (url, init) => {
+            if (!captured) {
+                const response = await fetch(url, init);
+                captured = { body: await response.text(), headers: [...response.headers] };
+            }
+            return new Response(captured.body, { status: 200, headers: captured.headers });
+        };
+        const client = context.client({ transport: replaying, saltCache: new MemorySaltCache() });
+        await client.getBalance();
+        await rejectsWith('REPLAYED_SALT', () => client.getBalance());
+        await context.client({ transport: replaying }).getBalance();
+    });
+});
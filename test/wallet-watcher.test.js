@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryIdempotencyStore, TransactionStatus, WalletWatcher } from '../GpayApiClient.node.js';
+import { useSandbox } from './helpers.js';
+
+const context = useSandbox({ balance: '100', wallets: [{ walletGatewayId: 'W1' }] });
+
+/**
+ * Returns the events a watcher emits, by name, for the given event names.
+ */
+function record(watcher, names) {
+    const events = Object.fromEntries(names.map(name => [name, []]));
+    for (const name of names) {
+        watcher.on(name, (...args) => events[name].push(args));
+    }
+    return events;
+}
+
+test('new transactions and incoming money are reported once', async () => {
+    const { sandbox } = context;
+    sandbox.deposit('5', { referenceNo: 'BEFORE' });
+    const watcher = context.client().watchWallet();
+    const events = record(watcher, ['transaction', 'incoming', 'balance']);
+    await watcher.poll();
+    assert.equal(events.transaction.length, 0);
+    assert.equal(events.balance.length, 1);
+
+    sandbox.deposit('20', { referenceNo: 'DEP-NEW' });
+    await context.client().sendMoney('3', 'W1', 'OUT-1');
+    await watcher.poll();
+    assert.deepEqual(events.incoming.map(([tx]) => tx.referenceNo), ['DEP-NEW']);
+    assert.ok(events.transaction.length >= 2);
+    assert.ok(events.transaction.some(([tx]) => tx.referenceNo === 'OUT-1'));
+
+    const count = events.transaction.length;
+    await watcher.poll();
+    assert.equal(events.transaction.length, count);
+});
+
+test('emitExisting reports the transactions already on the first day', async () => {
+    const watcher = new WalletWatcher(context.client(), { emitExisting: true });
+    const events = record(watcher, ['transaction']);
+    await watcher.poll();
+    assert.ok(events.transaction.some(([tx]) => tx.referenceNo === 'BEFORE'));
+});
+
+test('settlements of outstanding transactions are reported', async () => {
+    const { sandbox } = context;
+    const watcher = context.client().watchWallet();
+    const events = record(watcher, ['settled']);
+    const pending = sandbox.deposit('7', { referenceNo: 'DEP-PENDING', status: TransactionStatus.PENDING });
+    await watcher.poll();
+    assert.equal(events.settled.length, 0);
+    sandbox.settle(pending.transaction_id);
+    await watcher.poll();
+    assert.equal(events.settled.length, 1);
+    const [tx, previousStatus] = events.settled[0];
+    assert.equal(tx.transactionId, pending.transaction_id);
+    assert.equal(tx.status, TransactionStatus.APPLIED);
+    assert.equal(previousStatus, TransactionStatus.PENDING);
+});
+
+test('lowBalance is emitted once until the balance recovers', async () => {
+    const { sandbox } = context;
+    const watcher = context.client().watchWallet({ lowBalance: '1000' });
+    const events = record(watcher, ['lowBalance']);
+    await watcher.poll();
+    await watcher.poll();
+    assert.equal(events.lowBalance.length, 1);
+    assert.equal(String(events.lowBalance[0][1]), '1000.000');
+
+    sandbox.deposit('1000');
+    await watcher.poll();
+    await context.client().sendMoney('1000', 'W1', 'DRAIN-1');
+    await watcher.poll();
+    assert.equal(events.lowBalance.length, 2);
+});
+
+test('the cursor lets a new watcher continue where the last one stopped', async () => {
+    const { sandbox } = context;
+    const store = new MemoryIdempotencyStore();
+    await context.client().watchWallet({ store, id: 'shop' }).poll();
+    sandbox.deposit('2', { referenceNo: 'WHILE-STOPPED' });
+
+    const watcher = context.client().watchWallet({ store, id: 'shop' });
+    const events = record(watcher, ['transaction']);
+    await watcher.poll();
+    assert.deepEqual(events.transaction.map(([tx]) => tx.referenceNo), ['WHILE-STOPPED']);
+});
+
+test('a failed poll is reported to the error listener and polling goes on', async () => {
+    let failures = 1;
+    const transport = (url, init) => {
+        if (failures > 0) {
+            failures--;
+            return Promise.reject(new Error('connection reset'));
+        }
+        return fetch(url, init);
+    };
+    const watcher = context.client({ transport, retry: false }).watchWallet({ interval: 10 });
+    const errors = [];
+    watcher.on('error', err => errors.push(err));
+    const balance = new Promise(resolve => watcher.once('balance', resolve));
+    watcher.start();
+    await balance;
+    watcher.stop();
+    assert.equal(errors.length, 1);
+});
+
+test('without an error listener a failed poll is ignored and polling goes on', async () => {
+    let failures = 1;
+    const transport = (url, init) => {
+        if (failures > 0) {
+            failures--;
+            return Promise.reject(new Error('connection reset'));
+        }
+        return fetch(url, init);
+    };
+    const watcher = context.client({ transport, retry: false }).watchWallet({ interval: 10 });
+    const balance = new Promise(resolve => watcher.once('balance', resolve));
+    watcher.start();
+    await balance;
+    watcher.stop();
+    assert.equal(failures, 0);
+});